@@ -7,22 +7,323 @@
  * SharedArrayBuffer (needed by Blazor WASM threading) is available.
  *
  * When running locally, Program.cs already sets these headers via middleware,
- * so the service worker skips registration in that case (window.crossOriginIsolated === true).
+ * so no reload is needed in that case (window.crossOriginIsolated === true).
+ *
+ * The worker also caches the application so the viewer loads offline after the
+ * first visit. The application shell - the page, its scripts, fonts.json, the
+ * _framework runtime and assemblies listed in the boot config, and the fonts of
+ * fonts.json - is kept as a unit in a cache named after a version key, and every
+ * request is served cache-first. The key is derived from the boot config hash and
+ * the validators (ETag or Last-Modified) of the unversioned shell files. When a
+ * page is opened, the worker fetches those small files again; if the key changed,
+ * it builds the new shell in a separate cache, copying the fingerprinted
+ * _framework files and fonts it already has instead of revalidating them, and
+ * switches to it only once every file is in place. Open pages then receive an
+ * { type: "update-available" } message, re-dispatched by the page script as a
+ * "pdfpixel-update-available" window event; reloading the page picks up the
+ * update. Stylesheets and fonts of third-party hosts are cached by URL as they
+ * are fetched. Caches of other CACHE_VERSION values are deleted on activate.
  */
 if (typeof window === "undefined") {
     // ---- Running as a Service Worker ----
 
-    self.addEventListener("install", () => self.skipWaiting());
+    // Bump to invalidate all cached files, e.g. when the layout of the caches changes.
+    const CACHE_VERSION = "v2";
+    const CACHE_PREFIX = "pdf-pixel-";
+    const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+    // Shell caches are named SHELL_CACHE_PREFIX plus the version key; the meta cache records the current one
+    // under CURRENT_SHELL_KEY, and the runtime cache holds files of CACHED_HOSTS.
+    const SHELL_CACHE_PREFIX = `${CACHE_NAME}-shell-`;
+    const META_CACHE_NAME = `${CACHE_NAME}-meta`;
+    const RUNTIME_CACHE_NAME = `${CACHE_NAME}-runtime`;
+    const CURRENT_SHELL_KEY = "current-shell";
+
+    // Unversioned files of the application shell, fetched again to check for an update. The fingerprinted
+    // _framework files are read from the boot config and the font files from fonts.json.
+    const SHELL_URLS = [
+        "./",
+        "index.html",
+        "coi-serviceworker.js",
+        "canvasInterop.js",
+        "formFieldEditor.js",
+        "panelLink.js",
+        "print.js",
+        "viewHistory.js",
+        "pdfPixelViewer.js",
+        "logo.png",
+        "fonts.json",
+        "_framework/dotnet.js",
+    ];
+
+    // Stylesheets linked by index.html; keep in sync with the links there.
+    const PRECACHE_STYLESHEET_URLS = [
+        "https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap",
+        "https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined:opsz,wght,FILL,GRAD@24,400,0,0",
+    ];
+
+    // Hosts whose responses are cached when fetched, covering the font files the stylesheets refer to.
+    const CACHED_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+    // Boot config resource groups holding files the runtime downloads; debugging symbols are left out.
+    const BOOT_RESOURCE_GROUPS = [
+        "jsModuleNative", "jsModuleRuntime", "wasmNative", "coreAssembly", "assembly", "satelliteResources", "icu",
+    ];
+
+    // Name of the shell cache requests are served from, read from the meta cache once per worker start.
+    let currentShellName = null;
+
+    // Running update check, so pages opened at the same time share it.
+    let updateCheck = null;
+
+    self.addEventListener("install", (event) => {
+        event.waitUntil((async () => {
+            // Without a complete shell the new worker must not replace the old one.
+            if (!await updateShell()) {
+                throw new Error("coi-serviceworker: application shell could not be cached.");
+            }
 
-    self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+            const runtimeCache = await caches.open(RUNTIME_CACHE_NAME);
+            const results = await Promise.allSettled(PRECACHE_STYLESHEET_URLS.map((url) => runtimeCache.add(new Request(url, { mode: "cors" }))));
+            const failed = results.filter((result) => result.status === "rejected").length;
+            if (failed > 0) {
+                console.warn(`coi-serviceworker: ${failed} of ${PRECACHE_STYLESHEET_URLS.length} stylesheets could not be precached.`);
+            }
+
+            await self.skipWaiting();
+        })());
+    });
+
+    self.addEventListener("activate", (event) => {
+        event.waitUntil((async () => {
+            const names = await caches.keys();
+            const outdated = names.filter((name) => name.startsWith(CACHE_PREFIX) && !name.startsWith(`${CACHE_NAME}-`));
+            await Promise.all(outdated.map((name) => caches.delete(name)));
+            await self.clients.claim();
+
+            if (outdated.length > 0) {
+                await notifyUpdate();
+            }
+        })());
+    });
+
+    /**
+     * Reads the name of the shell cache requests are served from.
+     * @returns {Promise<string|null>} Cache name, null before the first shell was cached.
+     */
+    async function readCurrentShellName() {
+        if (currentShellName === null) {
+            const meta = await caches.open(META_CACHE_NAME);
+            currentShellName = await (await meta.match(CURRENT_SHELL_KEY))?.text() ?? null;
+        }
+        return currentShellName;
+    }
+
+    /**
+     * Fetches the unversioned shell files and, when their version key differs from the current shell,
+     * caches the new shell as a unit and switches to it. The shell that was current is kept until the
+     * next switch, so pages still running it can load their remaining files.
+     * @returns {Promise<boolean>} True if the current shell is up to date afterwards, false if the
+     * update could not be completed, e.g. while offline.
+     */
+    async function updateShell() {
+        let responses;
+        try {
+            responses = await Promise.all(SHELL_URLS.map((url) => fetch(url, { cache: "no-cache" })));
+        } catch {
+            // Offline or unreachable.
+            return false;
+        }
+        if (responses.some((response) => !response.ok)) {
+            console.warn("coi-serviceworker: application shell files could not be fetched.");
+            return false;
+        }
+
+        const dotnetScript = await responses[SHELL_URLS.indexOf("_framework/dotnet.js")].clone().text();
+        const bootConfig = await readBootConfig(dotnetScript);
+        const versionKey = await createVersionKey(bootConfig, responses);
+        const shellName = `${SHELL_CACHE_PREFIX}${versionKey}`;
+        const previousShellName = await readCurrentShellName();
+        if (shellName === previousShellName) {
+            return true;
+        }
+
+        const shell = await caches.open(shellName);
+        try {
+            await Promise.all(SHELL_URLS.map((url, index) => shell.put(url, responses[index])));
+
+            // Fingerprinted runtime files and fonts never change under the same URL, so the previous shell's copies are reused.
+            const previousShell = previousShellName ? await caches.open(previousShellName) : null;
+            const fontsManifest = await (await shell.match("fonts.json")).json();
+            const immutableUrls = [...readFrameworkUrls(bootConfig), ...readFontUrls(fontsManifest)];
+            await Promise.all(immutableUrls.map(async (url) => {
+                const previous = await previousShell?.match(url);
+                if (previous) {
+                    await shell.put(url, previous);
+                } else {
+                    await shell.add(new Request(url, { mode: "cors" }));
+                }
+            }));
+        } catch (error) {
+            console.warn("coi-serviceworker: application shell could not be cached.", error);
+            await caches.delete(shellName);
+            return false;
+        }
+
+        const meta = await caches.open(META_CACHE_NAME);
+        await meta.put(CURRENT_SHELL_KEY, new Response(shellName));
+        currentShellName = shellName;
+
+        const names = await caches.keys();
+        const unused = names.filter((name) => name.startsWith(SHELL_CACHE_PREFIX) && name !== shellName && name !== previousShellName);
+        await Promise.all(unused.map((name) => caches.delete(name)));
+
+        if (previousShellName) {
+            await notifyUpdate();
+        }
+        return true;
+    }
+
+    /**
+     * Reads the boot config, which is embedded in dotnet.js by recent SDKs and published as
+     * blazor.boot.json by older ones.
+     * @param {string} dotnetScript Content of dotnet.js.
+     * @returns {Promise<object|null>} Boot config, null if none was found.
+     */
+    async function readBootConfig(dotnetScript) {
+        try {
+            const embedded = /\/\*json-start\*\/([\s\S]*?)\/\*json-end\*\//.exec(dotnetScript);
+            if (embedded) {
+                return JSON.parse(embedded[1]);
+            }
+            const response = await fetch("_framework/blazor.boot.json", { cache: "no-cache" });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn("coi-serviceworker: boot config could not be read.", error);
+            return null;
+        }
+    }
+
+    /**
+     * Derives the shell version key from the boot config hash and the validators of the shell files:
+     * the ETag, else the Last-Modified header, else the content length.
+     * @param {object|null} bootConfig Boot config.
+     * @param {Response[]} responses Fresh responses of SHELL_URLS, in order.
+     * @returns {Promise<string>} Hex key.
+     */
+    async function createVersionKey(bootConfig, responses) {
+        const parts = [bootConfig?.resources?.hash ?? JSON.stringify(bootConfig?.resources ?? null)];
+        for (const response of responses) {
+            const headers = response.headers;
+            parts.push(headers.get("etag") ?? headers.get("last-modified") ?? headers.get("content-length") ?? "");
+        }
+
+        const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(parts.join("\n")));
+        return Array.from(new Uint8Array(digest, 0, 8), (value) => value.toString(16).padStart(2, "0")).join("");
+    }
+
+    /**
+     * Lists the _framework files of the boot config.
+     * @param {object|null} bootConfig Boot config.
+     * @returns {string[]} File URLs relative to the worker scope, empty without a boot config.
+     */
+    function readFrameworkUrls(bootConfig) {
+        const resources = bootConfig?.resources ?? {};
+        const names = new Set();
+        for (const group of BOOT_RESOURCE_GROUPS) {
+            collectResourceNames(resources[group], names);
+        }
+        return [...names].map((name) => `_framework/${name}`);
+    }
+
+    /**
+     * Lists the font files of fonts.json, resolved against its location.
+     * @param {object} manifest Content of fonts.json.
+     * @returns {string[]} Absolute font URLs.
+     */
+    function readFontUrls(manifest) {
+        const manifestUrl = new URL("fonts.json", self.registration.scope);
+        return (manifest?.fonts ?? []).map((font) => new URL(font.url, manifestUrl).href);
+    }
+
+    /**
+     * Adds the file names of a boot config resource group, which maps names to hashes, lists
+     * { name } entries, or nests either per culture for satellite assemblies.
+     */
+    function collectResourceNames(group, names) {
+        if (Array.isArray(group)) {
+            for (const entry of group) {
+                if (entry?.name) {
+                    names.add(entry.name);
+                }
+            }
+        } else if (group && typeof group === "object") {
+            for (const [key, value] of Object.entries(group)) {
+                if (typeof value === "string") {
+                    names.add(key);
+                } else {
+                    collectResourceNames(value, names);
+                }
+            }
+        }
+    }
+
+    async function notifyUpdate() {
+        const clients = await self.clients.matchAll({ type: "window" });
+        for (const client of clients) {
+            client.postMessage({ type: "update-available" });
+        }
+    }
+
+    /**
+     * Tells whether a response fetched from the network is added to the runtime cache: only files of
+     * CACHED_HOSTS, whose URLs are versioned. Same-origin files are cached with the shell.
+     */
+    function isCacheable(request) {
+        const url = new URL(request.url);
+        return url.origin !== self.location.origin && CACHED_HOSTS.includes(url.hostname);
+    }
+
+    async function fetchWithCache(event) {
+        const request = event.request;
+        if (request.method !== "GET" || request.headers.has("range")) {
+            return fetch(request);
+        }
+
+        if (request.mode === "navigate") {
+            updateCheck ??= updateShell().finally(() => {
+                updateCheck = null;
+            });
+            event.waitUntil(updateCheck);
+        }
+
+        // Pages opened with a query (e.g. index.html?file=...) share the cached page.
+        const options = { ignoreSearch: request.mode === "navigate" };
+        const shellName = await readCurrentShellName();
+        const shell = shellName ? await caches.open(shellName) : null;
+        // Pages still running the previous shell find its files in the other caches.
+        const cached = await shell?.match(request, options) ?? await caches.match(request, options);
+        if (cached) {
+            return cached;
+        }
+
+        const response = await fetch(request);
+        if (response.ok && isCacheable(request)) {
+            const runtimeCache = await caches.open(RUNTIME_CACHE_NAME);
+            event.waitUntil(runtimeCache.put(request, response.clone()));
+        }
+        return response;
+    }
+
+    async function handleFetch(event) {
+        const request = event.request;
 
-    async function handleFetch(request) {
         // Avoid a known Chrome bug with cache-only same-origin requests.
         if (request.cache === "only-if-cached" && request.mode !== "same-origin") {
             return;
         }
 
-        const response = await fetch(request);
+        const response = await fetchWithCache(event);
 
         // Opaque responses (status 0) cannot be modified.
         if (response.status === 0) {
@@ -42,23 +343,30 @@ if (typeof window === "undefined") {
         });
     }
 
-    self.addEventListener("fetch", (event) => event.respondWith(handleFetch(event.request)));
+    self.addEventListener("fetch", (event) => event.respondWith(handleFetch(event)));
 } else {
     // ---- Running as a regular page script ----
     (async function () {
-        // Already isolated (e.g. local dev with ASP.NET Core middleware) — nothing to do.
-        if (window.crossOriginIsolated !== false) {
-            return;
-        }
+        // Already isolated (e.g. local dev with ASP.NET Core middleware) — the worker is still
+        // registered for offline caching, but no reload is needed.
+        const isolated = window.crossOriginIsolated !== false;
 
         if (!navigator.serviceWorker) {
-            console.error(
-                "SharedArrayBuffer is not available and Service Workers are not supported. " +
-                "Please use a modern browser."
-            );
+            if (!isolated) {
+                console.error(
+                    "SharedArrayBuffer is not available and Service Workers are not supported. " +
+                    "Please use a modern browser."
+                );
+            }
             return;
         }
 
+        navigator.serviceWorker.addEventListener("message", (event) => {
+            if (event.data?.type === "update-available") {
+                window.dispatchEvent(new CustomEvent("pdfpixel-update-available"));
+            }
+        });
+
         try {
             await navigator.serviceWorker.register(window.document.currentScript.src);
             await navigator.serviceWorker.ready;
@@ -69,7 +377,7 @@ if (typeof window === "undefined") {
 
         // The service worker is registered but not yet controlling this page.
         // Reload so it takes effect immediately.
-        if (!navigator.serviceWorker.controller) {
+        if (!isolated && !navigator.serviceWorker.controller) {
             window.location.reload();
         }
     })();
@@ -29,4 +29,25 @@ internal class PdfPanelResources
     /// Gets or sets the parsed configuration for the panel.
     /// </summary>
     public PdfPanelConfiguration Configuration { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the page layout applied to the context, as passed from JavaScript.
+    /// </summary>
+    public string LayoutMode { get; set; } = PdfPanelInterop.DefaultLayoutMode;
+
+    /// <summary>
+    /// Gets or sets the fingerprint identifying the current document, <see langword="null"/> when no document is set.
+    /// </summary>
+    public string DocumentFingerprint { get; set; }
+
+    /// <summary>
+    /// Gets or sets the current text selection, <see langword="null"/> when nothing is selected.
+    /// </summary>
+    public PdfPanelTextSelection TextSelection { get; set; }
+
+    /// <summary>
+    /// Gets or sets the stream of the document being loaded progressively, <see langword="null"/> when
+    /// the current document was set as a whole.
+    /// </summary>
+    public ChunkedDocumentStream DocumentStream { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+﻿using PdfPixel.Fonts.Mapping;
+using PdfPixel.Fonts.Management;
+using PdfPixel.Text;
+using SkiaSharp;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace PdfPixel.PdfPanel.Web;
+
+/// <summary>
+/// Font registration and font substitution reporting.
+/// </summary>
+public partial class PdfPanelInterop
+{
+    // Font registration error codes, surfaced to JavaScript as rejection reasons.
+    private const string UnknownFontError = "UnknownFont";
+    private const string InvalidFontDataError = "InvalidFontData";
+
+    /// <summary>
+    /// Registers font data for a standard PDF font identified by its <see cref="PdfStandardFontName"/> text name.
+    /// Must be called before loading any PDF documents that use the font.
+    /// </summary>
+    /// <returns>An error code, or an empty string if the font was registered.</returns>
+    [JSExport]
+    public static string SetFont(string name, byte[] fontData)
+    {
+        if (!Enum.TryParse<PdfStandardFontName>(name, ignoreCase: true, out var standardFont))
+        {
+            return UnknownFontError;
+        }
+
+        if (!FontProvider.RegisterStandardFont(standardFont, fontData))
+        {
+            return InvalidFontDataError;
+        }
+
+        Console.WriteLine($"Registered standard font '{name}'");
+        return string.Empty;
+    }
+
+    /// <summary>
+    /// Returns the names accepted by <see cref="SetFont"/>.
+    /// </summary>
+    [JSExport]
+    public static string[] GetStandardFontNames()
+    {
+        return Enum.GetNames<PdfStandardFontName>();
+    }
+
+    /// <summary>
+    /// Registers font data under an arbitrary family name and style, used as a substitute for fonts
+    /// that documents do not embed. Must be called before loading any PDF documents that use the font.
+    /// </summary>
+    /// <param name="family">Family name the font is matched by.</param>
+    /// <param name="fontData">Raw font file bytes.</param>
+    /// <param name="weight">CSS font weight, 1 to 1000.</param>
+    /// <param name="style">CSS font style: "normal", "italic" or "oblique".</param>
+    /// <returns>An error code, or an empty string if the font was registered.</returns>
+    [JSExport]
+    public static string RegisterFont(string family, byte[] fontData, int weight, string style)
+    {
+        var slant = style switch
+        {
+            "italic" => SKFontStyleSlant.Italic,
+            "oblique" => SKFontStyleSlant.Oblique,
+            _ => SKFontStyleSlant.Upright
+        };
+
+        if (!FontProvider.RegisterFont(family, fontData, new SKFontStyle(weight, (int)SKFontStyleWidth.Normal, slant)))
+        {
+            return InvalidFontDataError;
+        }
+
+        Console.WriteLine($"Registered font '{family}' ({style} {weight})");
+        return string.Empty;
+    }
+
+    /// <summary>
+    /// Sets the registered families searched, in order, for text the matched font has no glyphs for.
+    /// </summary>
+    /// <returns>Families that are not registered; the fallback chain is only changed when empty.</returns>
+    [JSExport]
+    public static string[] SetFallbackFonts(string[] families)
+    {
+        var unknownFamilies = families.Where(family => !FontProvider.IsRegistered(family)).ToArray();
+        if (unknownFamilies.Length == 0)
+        {
+            FontProvider.SetFallbackFonts(families);
+        }
+
+        return unknownFamilies;
+    }
+
+    /// <summary>
+    /// Returns the family names fonts are registered under, including standard display names.
+    /// </summary>
+    [JSExport]
+    public static string[] GetRegisteredFonts()
+    {
+        return FontProvider.RegisteredFamilies.OrderBy(family => family, StringComparer.OrdinalIgnoreCase).ToArray();
+    }
+
+    /// <summary>
+    /// Lists the fonts the current document requests without embedding them on a thread pool thread, as JSON:
+    /// <c>{ substitutions: [{ name, weight, style, substitute, fallbacks }], unresolvedPages }</c> with a <c>null</c>
+    /// substitute when no registered font could be used, and the numbers of the pages whose fonts could not be read.
+    /// Empty when the view is not initialized or the fonts could not be listed.
+    /// </summary>
+    [JSExport]
+    public static async Task<string> GetFontSubstitutions(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return string.Empty;
+        }
+
+        var pages = resources.Context.Pages;
+        var unresolvedPageNumbers = new List<int>();
+        IReadOnlyList<PdfFontSubstitution> substitutions;
+        try
+        {
+            substitutions = await Task.Run(() => pages.GetFontSubstitutions(unresolvedPageNumbers));
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error listing font substitutions for canvas '{id}': {ex}");
+            return string.Empty;
+        }
+
+        using var stream = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            writer.WriteStartObject();
+            writer.WriteStartArray("substitutions");
+
+            foreach (var substitution in substitutions)
+            {
+                writer.WriteStartObject();
+                writer.WriteString("name", substitution.RequestedName);
+                writer.WriteNumber("weight", substitution.Style.Weight);
+                writer.WriteString("style", substitution.Style.Slant switch
+                {
+                    SKFontStyleSlant.Italic => "italic",
+                    SKFontStyleSlant.Oblique => "oblique",
+                    _ => "normal"
+                });
+                writer.WriteString("substitute", substitution.SubstituteFamily);
+                writer.WriteStartArray("fallbacks");
+                foreach (var family in substitution.FallbackFamilies)
+                {
+                    writer.WriteStringValue(family);
+                }
+                writer.WriteEndArray();
+                writer.WriteEndObject();
+            }
+
+            writer.WriteEndArray();
+            writer.WriteStartArray("unresolvedPages");
+            foreach (int pageNumber in unresolvedPageNumbers)
+            {
+                writer.WriteNumberValue(pageNumber);
+            }
+            writer.WriteEndArray();
+            writer.WriteEndObject();
+        }
+
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+}
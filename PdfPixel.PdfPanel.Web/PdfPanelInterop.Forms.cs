@@ -0,0 +1,281 @@
+﻿using PdfPixel.Annotations.Models;
+using PdfPixel.Forms;
+using PdfPixel.Text;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+using System.Text.Json;
+
+namespace PdfPixel.PdfPanel.Web;
+
+/// <summary>
+/// Interactive form fields: widget clicks, field editors and form values.
+/// </summary>
+public partial class PdfPanelInterop
+{
+    /// <summary>
+    /// Handles a click on a form field widget. Checkboxes and radio buttons are toggled in place and reported
+    /// through the <c>formFieldChanged</c> state field; text and choice fields are edited by an overlay element
+    /// in JavaScript, described by the <c>formFieldEdit</c> state field.
+    /// </summary>
+    private static void HandleWidgetClick(PdfPanelContext context, PdfWidgetAnnotation widgetAnnotation, JSObject state)
+    {
+        var field = context.Pages.GetFormField(widgetAnnotation);
+        if (field == null || !field.IsEditable)
+        {
+            return;
+        }
+
+        switch (field.FieldType)
+        {
+            case PdfPanelFormFieldType.CheckBox:
+            case PdfPanelFormFieldType.RadioButton:
+                if (context.Pages.ToggleFormField(field, widgetAnnotation))
+                {
+                    state.SetProperty("formFieldChanged", field.Name);
+                }
+                break;
+            case PdfPanelFormFieldType.Text:
+            case PdfPanelFormFieldType.ComboBox:
+            case PdfPanelFormFieldType.ListBox:
+                var widget = field.Widgets.First(fieldWidget => fieldWidget.Annotation == widgetAnnotation);
+                state.SetProperty("formFieldEdit", GetFormFieldEditor(field, widget));
+                break;
+        }
+    }
+
+    /// <summary>
+    /// Describes the overlay editor of a text or choice field widget as JSON
+    /// <c>{ name, type, pageNumber, rect: { left, top, width, height }, value, options: [{ value, label }],
+    /// multiline, password, comb, maxLength, multiSelect, editable, quadding }</c>.
+    /// The rectangle is in page coordinates (top-left origin, unrotated).
+    /// </summary>
+    private static string GetFormFieldEditor(PdfPanelFormField field, PdfPanelFormWidget widget)
+    {
+        using var stream = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            writer.WriteStartObject();
+            writer.WriteString("name", field.Name);
+            writer.WriteString("type", field.FieldType == PdfPanelFormFieldType.Text ? "text" : field.FieldType == PdfPanelFormFieldType.ComboBox ? "combo" : "list");
+            writer.WriteNumber("pageNumber", widget.PageNumber);
+
+            writer.WriteStartObject("rect");
+            writer.WriteNumber("left", widget.Bounds.Left);
+            writer.WriteNumber("top", widget.Bounds.Top);
+            writer.WriteNumber("width", widget.Bounds.Width);
+            writer.WriteNumber("height", widget.Bounds.Height);
+            writer.WriteEndObject();
+
+            writer.WriteStartArray("value");
+            foreach (var value in field.GetValues())
+            {
+                writer.WriteStringValue(value);
+            }
+            writer.WriteEndArray();
+
+            writer.WriteStartArray("options");
+            foreach (var option in field.Options)
+            {
+                writer.WriteStartObject();
+                writer.WriteString("value", option.ExportValue);
+                writer.WriteString("label", option.DisplayText);
+                writer.WriteEndObject();
+            }
+            writer.WriteEndArray();
+
+            var textField = field.Field as PdfTextFormField;
+            var choiceField = field.Field as PdfChoiceFormField;
+            writer.WriteBoolean("multiline", textField?.IsMultiline == true);
+            writer.WriteBoolean("password", textField?.IsPassword == true);
+            writer.WriteBoolean("comb", textField?.IsComb == true);
+            if (textField?.MaxLength is int maxLength)
+            {
+                writer.WriteNumber("maxLength", maxLength);
+            }
+            else
+            {
+                writer.WriteNull("maxLength");
+            }
+            writer.WriteBoolean("multiSelect", choiceField?.IsMultiSelect == true);
+            writer.WriteBoolean("editable", choiceField?.IsEditable == true);
+            writer.WriteNumber("quadding", field.Field.Quadding);
+            writer.WriteEndObject();
+        }
+
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    /// <summary>
+    /// Returns the form field values as a JSON object keyed by fully qualified field name.
+    /// Text fields have string values, checkboxes booleans, radio buttons, combo boxes and single-select
+    /// list boxes the selected export value or null, and multi-select list boxes arrays of export values.
+    /// Push buttons, signatures and unnamed fields are omitted.
+    /// </summary>
+    [JSExport]
+    public static string GetFormValues(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return "{}";
+        }
+
+        using var stream = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            writer.WriteStartObject();
+
+            foreach (var field in resources.Context.Pages.FormFields)
+            {
+                if (HasFormValue(field))
+                {
+                    writer.WritePropertyName(field.Name);
+                    WriteFormFieldValue(writer, field);
+                }
+            }
+
+            writer.WriteEndObject();
+        }
+
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    /// <summary>
+    /// Returns the value of one form field as JSON, in the format of its <see cref="GetFormValues"/> entry.
+    /// </summary>
+    /// <returns>The JSON value, or "null" if the document has no field with a value under that name.</returns>
+    [JSExport]
+    public static string GetFormFieldValue(string id, string name)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return "null";
+        }
+
+        var field = resources.Context.Pages.GetFormField(name);
+        if (field == null || !HasFormValue(field))
+        {
+            return "null";
+        }
+
+        using var stream = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            WriteFormFieldValue(writer, field);
+        }
+
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private static bool HasFormValue(PdfPanelFormField field)
+    {
+        return !string.IsNullOrEmpty(field.Name) && field.FieldType != PdfPanelFormFieldType.PushButton && field.FieldType != PdfPanelFormFieldType.Signature;
+    }
+
+    private static void WriteFormFieldValue(Utf8JsonWriter writer, PdfPanelFormField field)
+    {
+        var values = field.GetValues();
+
+        switch (field.FieldType)
+        {
+            case PdfPanelFormFieldType.Text:
+                writer.WriteStringValue(values.Count > 0 ? values[0] : string.Empty);
+                break;
+            case PdfPanelFormFieldType.CheckBox:
+                writer.WriteBooleanValue(values.Count > 0);
+                break;
+            case PdfPanelFormFieldType.ListBox when ((PdfChoiceFormField)field.Field).IsMultiSelect:
+                writer.WriteStartArray();
+                foreach (var value in values)
+                {
+                    writer.WriteStringValue(value);
+                }
+                writer.WriteEndArray();
+                break;
+            default:
+                if (values.Count > 0)
+                {
+                    writer.WriteStringValue(values[0]);
+                }
+                else
+                {
+                    writer.WriteNullValue();
+                }
+                break;
+        }
+    }
+
+    /// <summary>
+    /// Sets form field values from a JSON object keyed by fully qualified field name, in the format returned by
+    /// <see cref="GetFormValues"/>. A checkbox set to true takes its first export value; any value can also be
+    /// given as a string or an array of strings. Fields that are not listed keep their values.
+    /// </summary>
+    /// <returns>Names of the fields whose value changed.</returns>
+    [JSExport]
+    public static string[] SetFormValues(string id, string valuesJson)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return Array.Empty<string>();
+        }
+
+        var changedFields = new List<string>();
+
+        try
+        {
+            using var document = JsonDocument.Parse(valuesJson);
+            if (document.RootElement.ValueKind != JsonValueKind.Object)
+            {
+                Console.Error.WriteLine($"Form values for canvas '{id}' must be an object");
+                return Array.Empty<string>();
+            }
+
+            foreach (var property in document.RootElement.EnumerateObject())
+            {
+                var field = resources.Context.Pages.GetFormField(property.Name);
+                if (field == null)
+                {
+                    Console.Error.WriteLine($"Form field '{property.Name}' not found in canvas '{id}'");
+                    continue;
+                }
+
+                if (resources.Context.Pages.SetFormFieldValues(field, ParseFormFieldValues(field, property.Value)))
+                {
+                    changedFields.Add(field.Name);
+                }
+            }
+        }
+        catch (JsonException ex)
+        {
+            Console.Error.WriteLine($"Invalid form values for canvas '{id}': {ex.Message}");
+        }
+
+        return changedFields.ToArray();
+    }
+
+    private static string[] ParseFormFieldValues(PdfPanelFormField field, JsonElement value)
+    {
+        switch (value.ValueKind)
+        {
+            case JsonValueKind.String:
+                return new[] { value.GetString() };
+            case JsonValueKind.True:
+                return field.Options.Count > 0 ? new[] { field.Options[0].ExportValue } : Array.Empty<string>();
+            case JsonValueKind.Array:
+                return value.EnumerateArray()
+                    .Where(item => item.ValueKind == JsonValueKind.String)
+                    .Select(item => item.GetString())
+                    .ToArray();
+            case JsonValueKind.Number:
+                return new[] { value.GetRawText() };
+            default:
+                return Array.Empty<string>();
+        }
+    }
+}
@@ -0,0 +1,149 @@
+﻿using SkiaSharp;
+using System;
+using System.Linq;
+using System.Runtime.InteropServices.JavaScript;
+using System.Threading;
+using System.Threading.Tasks;
+using PdfPixel.PdfPanel.Extensions;
+
+namespace PdfPixel.PdfPanel.Web;
+
+/// <summary>
+/// Off-screen rendering of thumbnails and page images.
+/// </summary>
+public partial class PdfPanelInterop
+{
+    /// <summary>
+    /// Renders a page thumbnail that fits into <paramref name="maxSize"/> pixels and fills <paramref name="result"/>
+    /// with <c>width</c>, <c>height</c> and <c>pixels</c> (unpremultiplied RGBA bytes, ready for <c>ImageData</c>).
+    /// Nothing is written if the page could not be rendered.
+    /// </summary>
+    [JSExport]
+    public static async Task RenderThumbnail(string id, int pageNumber, int maxSize, JSObject result)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return;
+        }
+
+        try
+        {
+            var pages = resources.Context.Pages;
+            var thumbnail = await Task.Run(() =>
+            {
+                using var image = pages.RenderThumbnail(pageNumber, maxSize);
+                if (image == null)
+                {
+                    return null;
+                }
+
+                var bitmap = new SKBitmap(new SKImageInfo(image.Width, image.Height, SKColorType.Rgba8888, SKAlphaType.Unpremul));
+                image.ReadPixels(bitmap.Info, bitmap.GetPixels(), bitmap.RowBytes);
+                return bitmap;
+            });
+
+            if (thumbnail == null)
+            {
+                return;
+            }
+
+            using (thumbnail)
+            {
+                result.SetProperty("width", thumbnail.Width);
+                result.SetProperty("height", thumbnail.Height);
+                result.SetProperty("pixels", thumbnail.Bytes);
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error rendering thumbnail of page {pageNumber} for canvas '{id}': {ex}");
+        }
+    }
+
+    /// <summary>
+    /// Renders a page off-screen with its annotations and fills <paramref name="result"/> with <c>width</c>,
+    /// <c>height</c> and <c>data</c> (the encoded image bytes). The visible viewport and its cached pictures are not used.
+    /// Nothing is written if the page could not be rendered.
+    /// </summary>
+    /// <param name="id">Canvas id.</param>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <param name="scale">Image pixels per page unit, used when <paramref name="width"/> is not positive.</param>
+    /// <param name="width">Image width in pixels, or 0 to use <paramref name="scale"/>.</param>
+    /// <param name="format">Image format: <c>png</c>, <c>jpeg</c> or <c>webp</c>.</param>
+    /// <param name="quality">Encoding quality from 0 to 100, ignored for PNG.</param>
+    /// <param name="background">Background color in <c>#RRGGBB</c> or <c>#AARRGGBB</c> form; JPEG images are never transparent.</param>
+    /// <param name="result">Object receiving the rendered image.</param>
+    [JSExport]
+    public static async Task RenderPageImage(string id, int pageNumber, double scale, int width, string format, int quality, string background, JSObject result)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return;
+        }
+
+        var imageFormat = format switch
+        {
+            "png" => SKEncodedImageFormat.Png,
+            "jpeg" => SKEncodedImageFormat.Jpeg,
+            "webp" => SKEncodedImageFormat.Webp,
+            _ => (SKEncodedImageFormat?)null
+        };
+
+        if (imageFormat == null)
+        {
+            Console.Error.WriteLine($"Unsupported image format '{format}' for canvas '{id}'");
+            return;
+        }
+
+        if (string.IsNullOrEmpty(background) || !SKColor.TryParse(background, out var backgroundColor))
+        {
+            Console.Error.WriteLine($"Invalid background color '{background}' for canvas '{id}'");
+            return;
+        }
+
+        if (imageFormat == SKEncodedImageFormat.Jpeg && backgroundColor.Alpha != 255)
+        {
+            backgroundColor = SKColors.White;
+        }
+
+        try
+        {
+            var pages = resources.Context.Pages;
+            if (!pages.TryGetPage(pageNumber, out var page))
+            {
+                Console.Error.WriteLine($"Page {pageNumber} does not exist in canvas '{id}'");
+                return;
+            }
+
+            float imageScale = width > 0 ? width / page.GetRotatedSize().Width : (float)scale;
+
+            var image = await Task.Run<(int Width, int Height, byte[] Data)?>(() =>
+            {
+                using var rendered = pages.RenderPage(pageNumber, imageScale, backgroundColor, CancellationToken.None);
+                if (rendered == null)
+                {
+                    return null;
+                }
+
+                using var data = rendered.Encode(imageFormat.Value, Math.Clamp(quality, 0, 100));
+                return data == null ? null : (rendered.Width, rendered.Height, data.ToArray());
+            });
+
+            if (image == null)
+            {
+                Console.Error.WriteLine($"Page {pageNumber} of canvas '{id}' could not be rendered as {format} at scale {imageScale}");
+                return;
+            }
+
+            result.SetProperty("width", image.Value.Width);
+            result.SetProperty("height", image.Value.Height);
+            result.SetProperty("data", image.Value.Data);
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error rendering image of page {pageNumber} for canvas '{id}': {ex}");
+        }
+    }
+}
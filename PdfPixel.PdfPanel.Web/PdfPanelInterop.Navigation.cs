@@ -0,0 +1,194 @@
+﻿using PdfPixel.Annotations.Models;
+using PdfPixel.Models;
+using PdfPixel.Text;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+using System.Text.Json;
+using PdfPixel.PdfPanel.Extensions;
+
+namespace PdfPixel.PdfPanel.Web;
+
+/// <summary>
+/// Annotation clicks, link actions and the document outline.
+/// </summary>
+public partial class PdfPanelInterop
+{
+    /// <summary>
+    /// Handles a click on an annotation. Internal destinations are navigated to directly, while external
+    /// targets (URI, launch and remote document actions) are only reported to JavaScript through the
+    /// <c>linkActionType</c> and <c>linkTarget</c> state fields, leaving the decision to the host page.
+    /// </summary>
+    private static void HandleAnnotationClick(PdfPanelContext context, PdfAnnotationBase annotation, JSObject state)
+    {
+        if (annotation is PdfWidgetAnnotation widgetAnnotation)
+        {
+            HandleWidgetClick(context, widgetAnnotation, state);
+            return;
+        }
+
+        if (annotation is not PdfLinkAnnotation linkAnnotation)
+        {
+            return;
+        }
+
+        switch (linkAnnotation.Action)
+        {
+            case PdfUriAction uriAction:
+                ReportLinkActivation(state, "uri", uriAction.Uri.DecodePdfString());
+                break;
+            case PdfGoToAction goToAction:
+                NavigateToDestination(context, goToAction.Destination);
+                break;
+            case PdfGoToRemoteAction goToRemoteAction:
+                ReportLinkActivation(state, "goToRemote", goToRemoteAction.FileSpecification.DecodePdfString());
+                break;
+            case PdfAction action when action.ActionType == PdfActionType.Launch:
+                ReportLinkActivation(state, "launch", GetLaunchTarget(action));
+                break;
+            case null:
+                NavigateToDestination(context, linkAnnotation.Destination);
+                break;
+        }
+    }
+
+    private static void NavigateToDestination(PdfPanelContext context, PdfDestination destination)
+    {
+        if (destination == null)
+        {
+            return;
+        }
+
+        context.ScrollToDestination(destination);
+        context.Update();
+    }
+
+    private static void ReportLinkActivation(JSObject state, string actionType, string target)
+    {
+        if (string.IsNullOrEmpty(target))
+        {
+            return;
+        }
+
+        state.SetProperty("linkActionType", actionType);
+        state.SetProperty("linkTarget", target);
+    }
+
+    /// <summary>
+    /// Gets the file name of a launch action, which is either a string or a file specification dictionary.
+    /// </summary>
+    private static string GetLaunchTarget(PdfAction action)
+    {
+        var fileSpecification = action.ActionDictionary.GetDictionary(PdfTokens.FKey);
+        if (fileSpecification == null)
+        {
+            return action.ActionDictionary.GetString(PdfTokens.FKey).DecodePdfString();
+        }
+
+        var unicodeFileName = fileSpecification.GetString(PdfTokens.UFKey);
+        return !unicodeFileName.IsEmpty
+            ? unicodeFileName.DecodePdfString()
+            : fileSpecification.GetString(PdfTokens.FKey).DecodePdfString();
+    }
+
+    /// <summary>
+    /// Returns the document outline as a JSON array of items
+    /// <c>{ id, title, isOpen, destination: { pageNumber, pageLabel, fitType, zoom } | null, uri, items }</c>.
+    /// Ids are depth-first indices accepted by the <c>forceOutlineItem</c> redraw state field.
+    /// </summary>
+    [JSExport]
+    public static string GetOutline(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return "[]";
+        }
+
+        using var stream = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            int nextId = 0;
+            WriteOutlineItems(writer, resources.Context.Pages, resources.Context.Pages.Outlines, ref nextId);
+        }
+
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private static void WriteOutlineItems(Utf8JsonWriter writer, PdfPanelPageCollection pages, IReadOnlyList<PdfOutlineItem> items, ref int nextId)
+    {
+        writer.WriteStartArray();
+
+        foreach (var item in items)
+        {
+            writer.WriteStartObject();
+            writer.WriteNumber("id", nextId++);
+            writer.WriteString("title", item.Title);
+            writer.WriteBoolean("isOpen", item.IsOpen);
+
+            var destinationPage = item.Destination?.GetPdfPage();
+            if (destinationPage != null && pages.TryGetPage(destinationPage.PageNumber, out var panelPage))
+            {
+                writer.WriteStartObject("destination");
+                writer.WriteNumber("pageNumber", panelPage.PageNumber);
+                writer.WriteString("pageLabel", panelPage.Info.Label);
+                writer.WriteString("fitType", item.Destination.FitType.ToString());
+                if (item.Destination.Zoom.HasValue)
+                {
+                    writer.WriteNumber("zoom", item.Destination.Zoom.Value);
+                }
+                else
+                {
+                    writer.WriteNull("zoom");
+                }
+                writer.WriteEndObject();
+            }
+            else
+            {
+                writer.WriteNull("destination");
+            }
+
+            if (item.Action is PdfUriAction uriAction && !uriAction.Uri.IsEmpty)
+            {
+                writer.WriteString("uri", uriAction.Uri.DecodePdfString());
+            }
+            else
+            {
+                writer.WriteNull("uri");
+            }
+
+            writer.WritePropertyName("items");
+            WriteOutlineItems(writer, pages, item.Children, ref nextId);
+            writer.WriteEndObject();
+        }
+
+        writer.WriteEndArray();
+    }
+
+    /// <summary>
+    /// Finds an outline item by its depth-first index, in the same order as <see cref="GetOutline"/> assigns ids.
+    /// </summary>
+    private static PdfOutlineItem FindOutlineItem(IReadOnlyList<PdfOutlineItem> items, ref int remaining)
+    {
+        foreach (var item in items)
+        {
+            if (remaining == 0)
+            {
+                return item;
+            }
+
+            remaining--;
+
+            var child = FindOutlineItem(item.Children, ref remaining);
+            if (child != null)
+            {
+                return child;
+            }
+        }
+
+        return null;
+    }
+}
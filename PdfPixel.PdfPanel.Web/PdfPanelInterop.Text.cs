@@ -0,0 +1,171 @@
+﻿using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices.JavaScript;
+using System.Threading.Tasks;
+using PdfPixel.PdfPanel.Extensions;
+
+namespace PdfPixel.PdfPanel.Web;
+
+/// <summary>
+/// Text search and text selection.
+/// </summary>
+public partial class PdfPanelInterop
+{
+    /// <summary>
+    /// Searches document text and fills <paramref name="result"/> with flat match arrays:
+    /// <c>pageNumbers</c> holds the page of each match, <c>rects</c> holds 5 numbers per rectangle
+    /// (match index, left, top, width, height) in page coordinates.
+    /// </summary>
+    [JSExport]
+    public static async Task Search(string id, string query, bool caseSensitive, bool wholeWord, JSObject result)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return;
+        }
+
+        try
+        {
+            var pages = resources.Context.Pages;
+            var matches = await Task.Run(() => pages.Search(query, caseSensitive, wholeWord).ToList());
+
+            var pageNumbers = new int[matches.Count];
+            var rects = new List<double>();
+
+            for (int i = 0; i < matches.Count; i++)
+            {
+                pageNumbers[i] = matches[i].PageNumber;
+
+                foreach (var bounds in matches[i].Bounds)
+                {
+                    rects.Add(i);
+                    rects.Add(bounds.Left);
+                    rects.Add(bounds.Top);
+                    rects.Add(bounds.Width);
+                    rects.Add(bounds.Height);
+                }
+            }
+
+            result.SetProperty("pageNumbers", pageNumbers);
+            result.SetProperty("rects", rects.ToArray());
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error searching canvas '{id}': {ex}");
+        }
+    }
+
+    /// <summary>
+    /// Extracts the text a selection action reads on a thread pool thread, so dense pages do not stall the frame:
+    /// the page under the pointer and, while extending, the pages up to the selection anchor. Without an action
+    /// the text of the page under the pointer is prepared in the background, ready for a selection started there.
+    /// </summary>
+    /// <returns>False when the document data of a page could not be read; the text is extracted again on the next action.</returns>
+    private static async Task<bool> LoadSelectionTextAsync(PdfPanelResources resources, string action)
+    {
+        var context = resources.Context;
+        var pointerPage = context.PointerPosition.HasValue ? context.GetPageAtViewportPoint(context.PointerPosition.Value) : null;
+
+        try
+        {
+            switch (action)
+            {
+                case "begin":
+                case "word":
+                    if (pointerPage != null)
+                    {
+                        await context.Pages.GetPageTextAsync(pointerPage.PageNumber);
+                    }
+                    break;
+                case "extend":
+                    if (pointerPage != null && resources.TextSelection != null)
+                    {
+                        int anchorPage = resources.TextSelection.Anchor.PageNumber;
+                        int firstPage = Math.Min(anchorPage, pointerPage.PageNumber);
+                        int lastPage = Math.Max(anchorPage, pointerPage.PageNumber);
+                        await Task.WhenAll(Enumerable.Range(firstPage, lastPage - firstPage + 1).Select(context.Pages.GetPageTextAsync));
+                    }
+                    break;
+                default:
+                    if (pointerPage != null)
+                    {
+                        _ = context.Pages.GetPageTextAsync(pointerPage.PageNumber).ContinueWith(task => _ = task.Exception, TaskContinuationOptions.OnlyOnFaulted);
+                    }
+                    break;
+            }
+
+            return true;
+        }
+        catch (IOException ex)
+        {
+            Console.Error.WriteLine($"Page text is not available yet: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Applies a selection action at the current pointer position:
+    /// "begin" starts a selection, "extend" moves its end, "word" selects the word under the pointer
+    /// and "clear" removes it. Extending keeps the previous end while the pointer is not over a page.
+    /// </summary>
+    /// <returns>True if the selection was updated.</returns>
+    private static bool UpdateTextSelection(PdfPanelResources resources, string action)
+    {
+        var context = resources.Context;
+        var pointer = context.PointerPosition;
+
+        switch (action)
+        {
+            case "begin":
+                resources.TextSelection = pointer.HasValue && context.TryGetTextPositionAt(pointer.Value, out var anchor)
+                    ? new PdfPanelTextSelection(anchor, anchor)
+                    : null;
+                return true;
+            case "extend":
+                if (resources.TextSelection != null && pointer.HasValue && context.TryGetTextPositionAt(pointer.Value, out var focus))
+                {
+                    resources.TextSelection = new PdfPanelTextSelection(resources.TextSelection.Anchor, focus);
+                }
+                return true;
+            case "word":
+                resources.TextSelection = pointer.HasValue ? context.GetWordSelectionAt(pointer.Value) : null;
+                return true;
+            case "clear":
+                resources.TextSelection = null;
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /// <summary>
+    /// Returns 5 numbers per selected line: page number, left, top, width, height in page coordinates.
+    /// </summary>
+    private static double[] GetSelectionRects(PdfPanelResources resources)
+    {
+        var selection = resources.TextSelection;
+        var rects = new List<double>();
+
+        if (selection == null || selection.IsEmpty)
+        {
+            return rects.ToArray();
+        }
+
+        for (int pageNumber = selection.Start.PageNumber; pageNumber <= selection.End.PageNumber; pageNumber++)
+        {
+            foreach (var bounds in resources.Context.Pages.GetSelectionBounds(selection, pageNumber))
+            {
+                rects.Add(pageNumber);
+                rects.Add(bounds.Left);
+                rects.Add(bounds.Top);
+                rects.Add(bounds.Width);
+                rects.Add(bounds.Height);
+            }
+        }
+
+        return rects.ToArray();
+    }
+}
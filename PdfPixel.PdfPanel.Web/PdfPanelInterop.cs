@@ -1,12 +1,15 @@
 ﻿using Microsoft.Extensions.Logging;
+using PdfPixel.Annotations.Models;
 using PdfPixel.Fonts.Management;
-using PdfPixel.Fonts.Mapping;
+using PdfPixel.Models;
 using SkiaSharp;
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using System.Runtime.InteropServices.JavaScript;
 using System.Runtime.Versioning;
+using System.Text.Json;
 using System.Threading.Tasks;
 using PdfPixel.PdfPanel.Extensions;
 using PdfPixel.PdfPanel.Layout;
@@ -20,30 +23,22 @@ public partial class PdfPanelInterop
     private static readonly InMemorySkiaFontProvider FontProvider = new();
     private static readonly Dictionary<string, PdfPanelResources> ResourcesMap = new();
 
+    // Document load error codes, surfaced to JavaScript as PdfDocumentError names.
+    private const string PasswordRequiredError = "PasswordRequired";
+    private const string IncorrectPasswordError = "IncorrectPassword";
+    private const string CorruptDocumentError = "CorruptDocument";
+    private const string AbortedError = "Aborted";
+    private const string ViewNotInitializedError = "ViewNotInitialized";
+
+    // Page layout used until JavaScript requests another one.
+    internal const string DefaultLayoutMode = "vertical";
+
     [JSExport]
     internal static async Task Initialize()
     {
         UiInvoker.Capture();
     }
 
-    /// <summary>
-    /// Registers font data for a standard PDF font identified by its <see cref="PdfStandardFontName"/> text name.
-    /// Must be called before loading any PDF documents that use the font.
-    /// </summary>
-    [JSExport]
-    public static void SetFont(string name, byte[] fontData)
-    {
-        if (Enum.TryParse<PdfStandardFontName>(name, ignoreCase: true, out var standardFont))
-        {
-            FontProvider.RegisterStandardFont(standardFont, fontData);
-            Console.WriteLine($"Registered standard font '{name}'");
-        }
-        else
-        {
-            Console.Error.WriteLine($"Unknown standard font name '{name}'. Expected one of: {string.Join(", ", Enum.GetNames<PdfStandardFontName>())}");
-        }
-    }
-
     [JSExport]
     public static async Task RegisterCanvas(string containerId, JSObject configuration)
     {
@@ -62,32 +57,7 @@ public partial class PdfPanelInterop
             RenderTargetFactory = renderer
         };
 
-        // Parse configuration immediately into a strongly-typed struct
-        var parsed = new PdfPanelConfiguration
-        {
-            MinZoom = (float)(double)configuration.GetPropertyAsDouble("minZoom"),
-            MaxZoom = (float)(double)configuration.GetPropertyAsDouble("maxZoom"),
-            MaxThumbnailSize = configuration.GetPropertyAsInt32("maxThumbnailSize"),
-            MinimumPageGap = (float)(double)configuration.GetPropertyAsDouble("minimumPageGap"),
-            PagesPadding = SKRect.Create(
-                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("left"),
-                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("top"),
-                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("right"),
-                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("bottom")
-            )
-        };
-
-        var background = configuration.GetPropertyAsString("backgroundColor");
-        if (!string.IsNullOrEmpty(background) && SKColor.TryParse(background, out var backgroundColor))
-        {
-            parsed.BackgroundColor = backgroundColor;
-        }
-        else
-        {
-            parsed.BackgroundColor = SKColors.LightGray;
-        }
-        
-        resources.Configuration = parsed;
+        resources.Configuration = ParseConfiguration(configuration);
 
         Task renderInvoker(Action action)
         {
@@ -133,44 +103,272 @@ public partial class PdfPanelInterop
     {
         if (ResourcesMap.TryGetValue(containerId, out var resources))
         {
+            resources.DocumentStream?.Abort();
             resources.RenderingQueue.Dispose();
             ResourcesMap.Remove(containerId);
         }
     }
 
+    /// <summary>
+    /// Replaces the configuration of a registered canvas. The new values are applied to the
+    /// context on the next redraw; the thumbnail size keeps its registration value because the
+    /// thumbnail canvas is sized once.
+    /// </summary>
     [JSExport]
-    internal static async Task SetDocument(string id, byte[] documentData)
+    public static void UpdateConfiguration(string id, JSObject configuration)
     {
-        Console.WriteLine($"Loading PDF document for canvas '{id}' in ThreadDemoInterop...");
         if (!ResourcesMap.TryGetValue(id, out var resources))
         {
-            Console.WriteLine($"Canvas resources not found for id '{id}'");
+            Console.Error.WriteLine($"Canvas '{id}' is not registered");
             return;
         }
+
+        var parsed = ParseConfiguration(configuration);
+        parsed.MaxThumbnailSize = resources.Configuration.MaxThumbnailSize;
+        resources.Configuration = parsed;
+    }
+
+    private static PdfPanelConfiguration ParseConfiguration(JSObject configuration)
+    {
+        var parsed = new PdfPanelConfiguration
+        {
+            MinZoom = (float)(double)configuration.GetPropertyAsDouble("minZoom"),
+            MaxZoom = (float)(double)configuration.GetPropertyAsDouble("maxZoom"),
+            MaxThumbnailSize = configuration.GetPropertyAsInt32("maxThumbnailSize"),
+            MinimumPageGap = (float)(double)configuration.GetPropertyAsDouble("minimumPageGap"),
+            PagesPadding = SKRect.Create(
+                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("left"),
+                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("top"),
+                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("right"),
+                (float)(double)configuration.GetPropertyAsJSObject("pagesPadding")?.GetPropertyAsDouble("bottom")
+            )
+        };
+
+        var background = configuration.GetPropertyAsString("backgroundColor");
+        if (!string.IsNullOrEmpty(background) && SKColor.TryParse(background, out var backgroundColor))
+        {
+            parsed.BackgroundColor = backgroundColor;
+        }
+        else
+        {
+            parsed.BackgroundColor = SKColors.LightGray;
+        }
+
+        return parsed;
+    }
+
+    /// <summary>
+    /// Reads the document and shows it if it opens. The current document stays in place otherwise.
+    /// </summary>
+    /// <returns>An empty string on success, otherwise <c>PasswordRequired</c>, <c>IncorrectPassword</c>, <c>CorruptDocument</c>
+    /// or <c>ViewNotInitialized</c> when the canvas is not registered.</returns>
+    [JSExport]
+    internal static async Task<string> SetDocument(string id, byte[] documentData, string password)
+    {
+        Console.WriteLine($"Loading PDF document for canvas '{id}' in ThreadDemoInterop...");
+        if (!ResourcesMap.TryGetValue(id, out var resources))
+        {
+            Console.Error.WriteLine($"Canvas resources not found for id '{id}'");
+            return ViewNotInitializedError;
+        }
+
         var factory = LoggerFactory.Create(builder => builder.AddConsole());
         try
         {
             var reader = new PdfDocumentReader(factory, FontProvider);
             Console.WriteLine($"Reading PDF document... {documentData.Length}");
-            var document = reader.Read(new MemoryStream(documentData), string.Empty);
+            var document = reader.Read(new MemoryStream(documentData), password);
+
+            string error = GetDocumentError(document, password);
+            if (error.Length > 0)
+            {
+                Console.Error.WriteLine($"PDF document for canvas '{id}' was not opened: {error}");
+                return error;
+            }
+
             Console.WriteLine($"PDF document loaded with {document.Pages.Count} pages.");
             var pages = PdfPanelPageCollection.FromDocument(document);
-            resources.Context = new PdfPanelContext(pages, resources.RenderingQueue, resources.RenderTargetFactory, new PdfPanelVerticalLayout());
 
-            var panelConfiguration = resources.Configuration;
-            resources.Context.BackgroundColor = panelConfiguration.BackgroundColor;
-            resources.Context.MaxThumbnailSize = panelConfiguration.MaxThumbnailSize;
-            resources.Context.MinimumPageGap = panelConfiguration.MinimumPageGap;
-            resources.Context.PagesPadding = panelConfiguration.PagesPadding;
+            resources.DocumentStream?.Abort();
+            resources.DocumentStream = null;
+            ApplyPages(resources, pages, CreateDocumentFingerprint(document, documentData.Length));
 
             Console.WriteLine($"PDF document loaded for canvas '{id}' with {pages.Count} pages.");
+            return string.Empty;
         }
         catch(Exception ex)
         {
             Console.Error.WriteLine($"Error loading PDF document for canvas '{id}': {ex}");
+            return CorruptDocumentError;
+        }
+    }
+
+    /// <summary>
+    /// Classifies a document that failed to open. A wrong password is reported as
+    /// <c>PasswordRequired</c> when none was given, so hosts can tell a first prompt from a retry.
+    /// </summary>
+    /// <returns>An error code, or an empty string if the document opened.</returns>
+    private static string GetDocumentError(PdfDocument document, string password)
+    {
+        if (!document.IsPasswordValid)
+        {
+            return string.IsNullOrEmpty(password) ? PasswordRequiredError : IncorrectPasswordError;
+        }
+
+        if (document.Pages.Count == 0)
+        {
+            return CorruptDocumentError;
         }
+
+        return string.Empty;
     }
 
+    /// <summary>
+    /// Starts a progressive document load: the document of <paramref name="length"/> bytes is delivered
+    /// in chunks of <paramref name="chunkSize"/> bytes through <see cref="AddDocumentChunk"/>, in any order.
+    /// Any previous progressive load of the canvas is aborted.
+    /// </summary>
+    [JSExport]
+    public static void BeginDocumentStream(string id, double length, int chunkSize)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources))
+        {
+            Console.Error.WriteLine($"Canvas resources not found for id '{id}'");
+            return;
+        }
+
+        resources.DocumentStream?.Abort();
+        resources.DocumentStream = new ChunkedDocumentStream((long)length, chunkSize);
+    }
+
+    /// <summary>
+    /// Delivers a downloaded chunk of the document started with <see cref="BeginDocumentStream"/>.
+    /// </summary>
+    [JSExport]
+    public static void AddDocumentChunk(string id, int index, byte[] data)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.DocumentStream == null)
+        {
+            Console.Error.WriteLine($"No document is being loaded for canvas '{id}'");
+            return;
+        }
+
+        resources.DocumentStream.AddChunk(index, data);
+    }
+
+    /// <summary>
+    /// Returns the index of a chunk the parser or renderer is waiting for, or -1 if nothing is waiting,
+    /// so the loader can fetch it ahead of the sequential download.
+    /// </summary>
+    [JSExport]
+    public static int TakeRequestedDocumentChunk(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.DocumentStream == null)
+        {
+            return -1;
+        }
+
+        return resources.DocumentStream.TakeRequestedChunk();
+    }
+
+    /// <summary>
+    /// Aborts the progressive load of the canvas; readers waiting for missing chunks fail instead of blocking.
+    /// </summary>
+    [JSExport]
+    public static void AbortDocumentStream(string id)
+    {
+        if (ResourcesMap.TryGetValue(id, out var resources) && resources.DocumentStream != null)
+        {
+            resources.DocumentStream.Abort();
+            resources.DocumentStream = null;
+        }
+    }
+
+    /// <summary>
+    /// Parses the document started with <see cref="BeginDocumentStream"/> on a worker thread while chunks
+    /// are still being delivered, and shows it once the page tree is read. The stream is kept on failure,
+    /// so the document can be opened again with another password.
+    /// </summary>
+    /// <returns>An empty string if the document was shown, <c>Aborted</c> if the load was aborted or superseded,
+    /// otherwise <c>PasswordRequired</c>, <c>IncorrectPassword</c> or <c>CorruptDocument</c>.</returns>
+    [JSExport]
+    public static async Task<string> OpenDocumentStream(string id, string password)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.DocumentStream == null)
+        {
+            Console.Error.WriteLine($"No document is being loaded for canvas '{id}'");
+            return AbortedError;
+        }
+
+        var stream = resources.DocumentStream;
+        var factory = LoggerFactory.Create(builder => builder.AddConsole());
+
+        try
+        {
+            var (pages, fingerprint, error) = await Task.Run(() =>
+            {
+                var reader = new PdfDocumentReader(factory, FontProvider);
+                var document = reader.Read(stream, password);
+                string documentError = GetDocumentError(document, password);
+                return documentError.Length == 0
+                    ? (PdfPanelPageCollection.FromDocument(document), CreateDocumentFingerprint(document, stream.Length), documentError)
+                    : (null, null, documentError);
+            });
+
+            if (resources.DocumentStream != stream)
+            {
+                pages?.Dispose();
+                return AbortedError;
+            }
+
+            if (pages == null)
+            {
+                Console.Error.WriteLine($"PDF document for canvas '{id}' was not opened: {error}");
+                return error;
+            }
+
+            ApplyPages(resources, pages, fingerprint);
+            Console.WriteLine($"PDF document loaded for canvas '{id}' with {pages.Count} pages.");
+            return string.Empty;
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error loading PDF document for canvas '{id}': {ex}");
+            return resources.DocumentStream != stream ? AbortedError : CorruptDocumentError;
+        }
+    }
+
+    /// <summary>
+    /// Identifies a document across loads: both hex-encoded parts of the trailer file identifier, so a modified
+    /// file with the same permanent identifier is told apart. Without a version identifier the file length
+    /// takes its place, and documents without any identifier use the file length and page count.
+    /// </summary>
+    private static string CreateDocumentFingerprint(PdfDocument document, long length)
+    {
+        if (document.FileId != null && document.FileId.Length > 0)
+        {
+            string fileId = Convert.ToHexString(document.FileId).ToLowerInvariant();
+            return document.FileVersionId != null && document.FileVersionId.Length > 0
+                ? $"{fileId}-{Convert.ToHexString(document.FileVersionId).ToLowerInvariant()}"
+                : $"{fileId}-{length:x}";
+        }
+
+        return $"{length:x}-{document.Pages.Count}";
+    }
+
+    private static void ApplyPages(PdfPanelResources resources, PdfPanelPageCollection pages, string fingerprint)
+    {
+        var layout = CreateLayout(resources.LayoutMode) ?? new PdfPanelVerticalLayout();
+        resources.Context = new PdfPanelContext(pages, resources.RenderingQueue, resources.RenderTargetFactory, layout);
+        resources.TextSelection = null;
+        resources.DocumentFingerprint = fingerprint;
+
+        var panelConfiguration = resources.Configuration;
+        resources.Context.BackgroundColor = panelConfiguration.BackgroundColor;
+        resources.Context.MaxThumbnailSize = panelConfiguration.MaxThumbnailSize;
+        resources.Context.MinimumPageGap = panelConfiguration.MinimumPageGap;
+        resources.Context.PagesPadding = panelConfiguration.PagesPadding;
+    }
 
     [JSExport]
     public static async Task UpdateView(string id, float verticalOffset, float horizontalOffset, float scale)
@@ -212,6 +410,8 @@ public partial class PdfPanelInterop
             resources.Context.MaxThumbnailSize = panelConfiguration.MaxThumbnailSize;
             resources.Context.MinimumPageGap = panelConfiguration.MinimumPageGap;
             resources.Context.PagesPadding = panelConfiguration.PagesPadding;
+            resources.Context.MinScale = panelConfiguration.MinZoom;
+            resources.Context.MaxScale = panelConfiguration.MaxZoom;
 
             resources.Context.VerticalOffset = verticalOffset;
             resources.Context.HorizontalOffset = horizontalOffset;
@@ -222,7 +422,24 @@ public partial class PdfPanelInterop
             int forcePageSet = state.GetPropertyAsInt32("forcePageSet");
             if (forcePageSet > 0)
             {
-                resources.Context.ScrollToPage(forcePageSet);
+                var forcePageRect = state.GetPropertyAsJSObject("forcePageRect");
+                if (forcePageRect != null)
+                {
+                    var pageRect = SKRect.Create(
+                        (float)forcePageRect.GetPropertyAsDouble("left"),
+                        (float)forcePageRect.GetPropertyAsDouble("top"),
+                        (float)forcePageRect.GetPropertyAsDouble("width"),
+                        (float)forcePageRect.GetPropertyAsDouble("height"));
+                    resources.Context.ScrollToPageRectangle(forcePageSet, pageRect);
+                }
+                else if (state.GetPropertyAsBoolean("forcePageBottom"))
+                {
+                    resources.Context.ScrollToPageBottom(forcePageSet);
+                }
+                else
+                {
+                    resources.Context.ScrollToPage(forcePageSet);
+                }
             }
 
             bool pointerInside = state.GetPropertyAsBoolean("pointerInside");
@@ -242,12 +459,79 @@ public partial class PdfPanelInterop
 
             resources.Context.Update();
 
+            string layoutMode = state.GetPropertyAsString("layout") ?? DefaultLayoutMode;
+            if (layoutMode != resources.LayoutMode)
+            {
+                var layout = CreateLayout(layoutMode);
+                if (layout == null)
+                {
+                    Console.Error.WriteLine($"Unknown page layout '{layoutMode}'");
+                }
+                else
+                {
+                    resources.LayoutMode = layoutMode;
+                    resources.Context.SetLayout(layout);
+                }
+            }
+
+            if (ApplyRotation(resources.Context, state.GetPropertyAsString("rotation")))
+            {
+                state.SetProperty("pageRotations", resources.Context.Pages.Select(page => (double)page.UserRotation).ToArray());
+            }
+
+            var autoScaleMode = ParseAutoScaleMode(state.GetPropertyAsString("autoScaleMode"));
+            if (autoScaleMode != PdfPanelAutoScaleMode.NoAutoScale)
+            {
+                resources.Context.SetAutoScaleMode(autoScaleMode);
+                resources.Context.Update();
+            }
+
+            // Positioned after auto-scaling so the restored point is not moved by a scale change.
+            var forcePosition = state.GetPropertyAsJSObject("forcePosition");
+            if (forcePosition != null)
+            {
+                float? left = forcePosition.GetTypeOfProperty("left") == "number" ? (float)forcePosition.GetPropertyAsDouble("left") : null;
+                float? top = forcePosition.GetTypeOfProperty("top") == "number" ? (float)forcePosition.GetPropertyAsDouble("top") : null;
+                resources.Context.ScrollToPdfPoint(forcePosition.GetPropertyAsInt32("pageNumber"), left, top);
+                resources.Context.Update();
+            }
+
+            int forceOutlineItem = state.GetPropertyAsInt32("forceOutlineItem");
+            if (forceOutlineItem >= 0)
+            {
+                int remaining = forceOutlineItem;
+                var outlineItem = FindOutlineItem(resources.Context.Pages.Outlines, ref remaining);
+                if (outlineItem?.Destination != null)
+                {
+                    resources.Context.ScrollToDestination(outlineItem.Destination);
+                    resources.Context.Update();
+                }
+            }
+
+            bool pointerClick = state.GetPropertyAsBoolean("pointerClick");
+            if (pointerClick && resources.Context.ActiveAnnotation != null)
+            {
+                HandleAnnotationClick(resources.Context, resources.Context.ActiveAnnotation.Annotation, state);
+            }
+
+            string selectionAction = state.GetPropertyAsString("selectionAction");
+            if (await LoadSelectionTextAsync(resources, selectionAction) && UpdateTextSelection(resources, selectionAction))
+            {
+                state.SetProperty("selectionRects", GetSelectionRects(resources));
+                state.SetProperty("selectedText", resources.Context.Pages.GetSelectedText(resources.TextSelection));
+            }
+
             state.SetProperty("scrollWidth", resources.Context.ExtentWidth);
             state.SetProperty("scrollHeight", resources.Context.ExtentHeight);
             state.SetProperty("verticalOffset", resources.Context.VerticalOffset);
             state.SetProperty("horizontalOffset", resources.Context.HorizontalOffset);
-            state.SetProperty("currentPage", resources.Context.GetCurrentPage());
+            state.SetProperty("scale", resources.Context.Scale);
+            int currentPage = resources.Context.GetCurrentPage();
+            state.SetProperty("currentPage", currentPage);
+            state.SetProperty("currentPageLabel", resources.Context.Pages.TryGetPage(currentPage, out var currentPanelPage) ? currentPanelPage.Info.Label : string.Empty);
             state.SetProperty("pageCount", resources.Context.Pages.Count);
+            state.SetProperty("visiblePages", GetVisiblePageTransforms(resources.Context));
+            state.SetProperty("cursor", GetCursor(resources.Context.ActiveAnnotation));
 
             resources.Context.Render();
         }
@@ -256,4 +540,179 @@ public partial class PdfPanelInterop
             Console.Error.WriteLine($"Error in canvas '{id}': {ex}");
         }
     }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Returns the fingerprint of the current document: both parts of the hex-encoded trailer file identifier
+    /// (the file length in place of a missing second part), or the file length and page count for documents
+    /// without one. Empty when no document is set.
+    /// </summary>
+    [JSExport]
+    public static string GetDocumentFingerprint(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return string.Empty;
+        }
+
+        return resources.DocumentFingerprint ?? string.Empty;
+    }
+
+    /// <summary>
+    /// Returns the position of the viewport as of the last redraw: the current page number followed by the
+    /// PDF coordinates (left, top) of the point of that page at the top-left corner of the viewport.
+    /// Empty when the document has no pages.
+    /// </summary>
+    [JSExport]
+    public static double[] GetViewPosition(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return Array.Empty<double>();
+        }
+
+        var context = resources.Context;
+        if (context.Pages.Count == 0)
+        {
+            return Array.Empty<double>();
+        }
+
+        var page = context.Pages[context.GetCurrentPage() - 1];
+        SKPoint pagePoint = page.ViewportToPageMatrix(context).MapPoint(new SKPoint(0, 0));
+        SKPoint pdfPoint = page.ToPdfPoint(pagePoint);
+
+        return new double[] { page.PageNumber, pdfPoint.X, pdfPoint.Y };
+    }
+
+    /// <summary>
+    /// Returns the displayed size of every page as 2 numbers per page (width, height) in page units,
+    /// with page and user rotation applied.
+    /// </summary>
+    [JSExport]
+    public static double[] GetPageSizes(string id)
+    {
+        if (!ResourcesMap.TryGetValue(id, out var resources) || resources.Context == null)
+        {
+            Console.Error.WriteLine($"View is not initialized for canvas '{id}'");
+            return Array.Empty<double>();
+        }
+
+        var pages = resources.Context.Pages;
+        var sizes = new double[pages.Count * 2];
+
+        for (int i = 0; i < pages.Count; i++)
+        {
+            SKSize size = pages[i].GetRotatedSize();
+            sizes[i * 2] = size.Width;
+            sizes[i * 2 + 1] = size.Height;
+        }
+
+        return sizes;
+    }
+
+    private static string GetCursor(PdfAnnotationPopup activeAnnotation)
+    {
+        if (activeAnnotation?.IsInteractive() != true)
+        {
+            return "default";
+        }
+
+        if (activeAnnotation.Annotation is PdfWidgetAnnotation widgetAnnotation && widgetAnnotation.GetCursorType() == WidgetCursorType.IBeam)
+        {
+            return "text";
+        }
+
+        return "pointer";
+    }
+
+    /// <summary>
+    /// Applies the rotations requested through the <c>rotation</c> redraw state field: a JSON array of
+    /// <c>[pageNumber, degrees]</c> pairs, where page number 0 rotates all pages.
+    /// </summary>
+    /// <returns>True if any rotation was applied.</returns>
+    private static bool ApplyRotation(PdfPanelContext context, string rotation)
+    {
+        if (string.IsNullOrEmpty(rotation))
+        {
+            return false;
+        }
+
+        bool rotated = false;
+
+        using var document = JsonDocument.Parse(rotation);
+        foreach (var item in document.RootElement.EnumerateArray())
+        {
+            int pageNumber = item[0].GetInt32();
+            int degrees = item[1].GetInt32();
+
+            if (degrees % 90 != 0)
+            {
+                Console.Error.WriteLine($"Rotation of {degrees} degrees is not a multiple of 90");
+                continue;
+            }
+
+            var pageNumbers = pageNumber == 0 ? context.Pages.Select(page => page.PageNumber) : new[] { pageNumber };
+            context.RotatePages(pageNumbers, degrees);
+            rotated = true;
+        }
+
+        return rotated;
+    }
+
+    /// <summary>
+    /// Returns 7 numbers per visible page: page number followed by the page to viewport matrix
+    /// (scaleX, skewX, transX, skewY, scaleY, transY) in device pixels.
+    /// </summary>
+    private static double[] GetVisiblePageTransforms(PdfPanelContext context)
+    {
+        var transforms = new List<double>();
+
+        foreach (var page in context.Pages)
+        {
+            if (!page.IsPageVisible(context.ViewportRectangle, context.Scale))
+            {
+                continue;
+            }
+
+            var matrix = page.ViewportToPageMatrix(context).Invert();
+            transforms.Add(page.PageNumber);
+            transforms.Add(matrix.ScaleX);
+            transforms.Add(matrix.SkewX);
+            transforms.Add(matrix.TransX);
+            transforms.Add(matrix.SkewY);
+            transforms.Add(matrix.ScaleY);
+            transforms.Add(matrix.TransY);
+        }
+
+        return transforms.ToArray();
+    }
+
+    /// <summary>
+    /// Creates the page layout for a layout name passed from JavaScript.
+    /// </summary>
+    /// <returns>The layout, or <see langword="null"/> if the name is unknown.</returns>
+    private static IPdfPanelLayout CreateLayout(string mode)
+    {
+        return mode switch
+        {
+            "vertical" => new PdfPanelVerticalLayout(),
+            "horizontal" => new PdfPanelHorizontalLayout(),
+            "spread" => new PdfPanelSpreadLayout(showCoverPage: false),
+            "spreadWithCover" => new PdfPanelSpreadLayout(showCoverPage: true),
+            "singlePage" => new PdfPanelSinglePageLayout(),
+            _ => null
+        };
+    }
+
+    private static PdfPanelAutoScaleMode ParseAutoScaleMode(string mode)
+    {
+        return mode switch
+        {
+            "fitWidth" => PdfPanelAutoScaleMode.ScaleToWidth,
+            "fitHeight" => PdfPanelAutoScaleMode.ScaleToHeight,
+            "fitPage" => PdfPanelAutoScaleMode.ScaleToPage,
+            _ => PdfPanelAutoScaleMode.NoAutoScale
+        };
+    }
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parsePageRange } from '../wwwroot/print.js';
+
+test('parsePageRange expands single pages and ranges in order', () => {
+    assert.deepEqual(parsePageRange('1-3, 5, 8', 10), [1, 2, 3, 5, 8]);
+    assert.deepEqual(parsePageRange('4,2', 10), [4, 2]);
+});
+
+test('parsePageRange runs an open range to the last page', () => {
+    assert.deepEqual(parsePageRange('8-', 10), [8, 9, 10]);
+    assert.deepEqual(parsePageRange(' 9 - ', 10), [9, 10]);
+});
+
+test('parsePageRange rejects malformed ranges', () => {
+    for (const range of ['', 'a', '1,,2', '-3', '1-2-3', '1.5', '2 3']) {
+        assert.equal(parsePageRange(range, 10), null, range);
+    }
+});
+
+test('parsePageRange rejects pages out of bounds and reversed ranges', () => {
+    assert.equal(parsePageRange('0', 10), null);
+    assert.equal(parsePageRange('11', 10), null);
+    assert.equal(parsePageRange('3-12', 10), null);
+    assert.equal(parsePageRange('5-2', 10), null);
+});
+
+test('parsePageRange accepts arrays of valid page numbers and copies them', () => {
+    const pageNumbers = [3, 1];
+    const result = parsePageRange(pageNumbers, 3);
+
+    assert.deepEqual(result, [3, 1]);
+    assert.notEqual(result, pageNumbers);
+    assert.equal(parsePageRange([], 3), null);
+    assert.equal(parsePageRange([1, 4], 3), null);
+    assert.equal(parsePageRange([1.5], 3), null);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatOpenParameters, parseOpenParameters } from '../wwwroot/viewHistory.js';
+
+test('parseOpenParameters reads page and zoom with a position', () => {
+    assert.deepEqual(parseOpenParameters('#page=5&zoom=150,0,200'), {
+        pageNumber: 5, scale: 1.5, autoScaleMode: 'none', left: 0, top: 200
+    });
+});
+
+test('parseOpenParameters reads zoom without a position', () => {
+    assert.deepEqual(parseOpenParameters('zoom=200'), {
+        pageNumber: 1, scale: 2, autoScaleMode: 'none', left: undefined, top: undefined
+    });
+});
+
+test('parseOpenParameters maps views to auto-scale modes', () => {
+    assert.deepEqual(parseOpenParameters('page=2&view=Fit'), {
+        pageNumber: 2, autoScaleMode: 'fitPage', left: undefined, top: undefined
+    });
+    assert.deepEqual(parseOpenParameters('page=2&view=FitH,300'), {
+        pageNumber: 2, autoScaleMode: 'fitWidth', left: undefined, top: 300
+    });
+    assert.deepEqual(parseOpenParameters('view=FitV,72'), {
+        pageNumber: 1, autoScaleMode: 'fitHeight', left: 72, top: undefined
+    });
+});
+
+test('parseOpenParameters lets later parameters override earlier ones', () => {
+    assert.equal(parseOpenParameters('page=2&page=3').pageNumber, 3);
+    assert.equal(parseOpenParameters('zoom=150&view=Fit').autoScaleMode, 'fitPage');
+    assert.equal(parseOpenParameters('view=Fit&zoom=150').autoScaleMode, 'none');
+});
+
+test('parseOpenParameters matches names case-insensitively and decodes values', () => {
+    assert.equal(parseOpenParameters('PAGE=4').pageNumber, 4);
+    assert.equal(parseOpenParameters('zoom=50%2C10%2C20').top, 20);
+});
+
+test('parseOpenParameters ignores invalid and unsupported parameters', () => {
+    for (const fragment of ['', '#', 'nameddest=intro', 'page', 'page=0', 'page=1.5', 'page=abc', 'zoom=-5', 'zoom=', 'view=FitB']) {
+        assert.equal(parseOpenParameters(fragment), null, fragment);
+    }
+    assert.equal(parseOpenParameters('page=0&page=3').pageNumber, 3);
+});
+
+test('parseOpenParameters skips parameters with malformed escapes', () => {
+    assert.equal(parseOpenParameters('#page=%E0'), null);
+    assert.equal(parseOpenParameters('page=%E0&zoom=150').scale, 1.5);
+    assert.equal(parseOpenParameters('page=3&%E0=1').pageNumber, 3);
+});
+
+test('parseOpenParameters leaves out coordinates that are not numbers', () => {
+    assert.deepEqual(parseOpenParameters('zoom=100,NaN,20'), {
+        pageNumber: 1, scale: 1, autoScaleMode: 'none', left: undefined, top: 20
+    });
+    assert.equal(parseOpenParameters('view=FitH,abc').top, undefined);
+});
+
+test('formatOpenParameters leaves out coordinates that are not finite', () => {
+    assert.equal(formatOpenParameters({ pageNumber: 2, scale: 1, autoScaleMode: 'none', left: NaN, top: NaN }), 'page=2&zoom=100');
+    assert.equal(formatOpenParameters({ pageNumber: 2, scale: 1, autoScaleMode: 'none', left: 10, top: undefined }), 'page=2&zoom=100');
+    assert.equal(formatOpenParameters({ pageNumber: 2, scale: 1, autoScaleMode: 'fitWidth', top: Infinity }), 'page=2&view=FitH');
+    assert.equal(formatOpenParameters({ pageNumber: 2, scale: 1, autoScaleMode: 'fitHeight', left: 36.4 }), 'page=2&view=FitV,36');
+});
+
+test('formatOpenParameters output parses back to the same view', () => {
+    const snapshots = [
+        { pageNumber: 3, scale: 1.25, autoScaleMode: 'none', left: 10.4, top: 700.6 },
+        { pageNumber: 1, scale: 1, autoScaleMode: 'fitPage', left: 0, top: 0 },
+        { pageNumber: 7, scale: 1, autoScaleMode: 'fitWidth', left: 0, top: 500 },
+        { pageNumber: 2, scale: 1, autoScaleMode: 'fitHeight', left: 36, top: 0 }
+    ];
+
+    for (const snapshot of snapshots) {
+        const parsed = parseOpenParameters(formatOpenParameters(snapshot));
+
+        assert.equal(parsed.pageNumber, snapshot.pageNumber);
+        assert.equal(parsed.autoScaleMode, snapshot.autoScaleMode);
+        if (snapshot.autoScaleMode === 'none') {
+            assert.equal(parsed.scale, snapshot.scale);
+            assert.equal(parsed.left, Math.round(snapshot.left));
+            assert.equal(parsed.top, Math.round(snapshot.top));
+        }
+    }
+});
@@ -1,6 +1,132 @@
+import { PdfFormFieldEditor } from './formFieldEditor.js';
+import { COMPARE_RENDER_SCALE, PdfPanelLink } from './panelLink.js';
+import { DEFAULT_PRINT_DPI, parsePageRange, printPages } from './print.js';
+import { formatOpenParameters, parseOpenParameters, readViewHistory, writeViewHistory } from './viewHistory.js';
+
 const views = new Map();
 let interop = null;
 
+// Resolved by initialize(), for code that may run before the .NET runtime is started.
+let resolveInitialized;
+const initialized = new Promise(resolve => { resolveInitialized = resolve; });
+
+// Touch gesture tuning, in CSS pixels and milliseconds.
+const TAP_SLOP = 10;
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_SLOP = 30;
+const INERTIA_DECAY = 0.95;
+const INERTIA_MIN_VELOCITY = 0.02;
+
+const AUTO_SCALE_MODES = ['none', 'fitWidth', 'fitPage', 'fitHeight'];
+const LAYOUT_MODES = ['vertical', 'horizontal', 'spread', 'spreadWithCover', 'singlePage'];
+
+// Delay after the last render before the view position is saved when persistViewState is enabled.
+const VIEW_STATE_SAVE_DELAY = 500;
+
+// Configuration options that updateConfiguration() can change after registration.
+const UPDATABLE_CONFIGURATION_KEYS = ['backgroundColor', 'pagesPadding', 'minimumPageGap', 'minZoom', 'maxZoom', 'zoomFactor', 'scrollStep'];
+
+// Events that can be subscribed to with on()/addEventListener().
+export const VIEW_EVENTS = ['statechange', 'pagechange', 'scalechange', 'scroll', 'resize',
+    'documentloaded', 'documenterror', 'renderstart', 'renderend'];
+
+// Minimum time between wheel-driven page flips in single page layout, so one
+// wheel gesture (including trackpad momentum) does not skip several pages.
+const PAGE_FLIP_COOLDOWN = 500;
+
+// Search highlight colors drawn on the overlay canvas.
+const SEARCH_MATCH_COLOR = 'rgba(255, 213, 0, 0.4)';
+const SEARCH_ACTIVE_MATCH_COLOR = 'rgba(255, 120, 0, 0.5)';
+const TEXT_SELECTION_COLOR = 'rgba(0, 120, 215, 0.3)';
+
+// MIME types of the formats renderPageToImage() can encode, keyed by format name.
+const IMAGE_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const DEFAULT_IMAGE_QUALITY = 0.92;
+
+// Background colors renderPageToImage() accepts: '#RRGGBB' or '#AARRGGBB', with alpha first as SkiaSharp parses them.
+const IMAGE_BACKGROUND_PATTERN = /^#(?:[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Thumbnail sidebar layout in CSS pixels, items kept around the visible range, and the
+// number of rendered thumbnails kept in memory.
+const THUMBNAIL_PADDING = 8;
+const THUMBNAIL_LABEL_HEIGHT = 18;
+const THUMBNAIL_OVERSCAN = 2;
+const THUMBNAIL_CACHE_SIZE = 200;
+const THUMBNAIL_CURRENT_COLOR = 'rgb(0, 120, 215)';
+
+// Size of the HTTP Range requests used to load documents from URLs progressively.
+const DEFAULT_RANGE_CHUNK_SIZE = 256 * 1024;
+
+// Messages of the PdfDocumentError codes reported by .NET document loading.
+const DOCUMENT_ERROR_MESSAGES = {
+    PasswordRequired: 'The document is encrypted and requires a password',
+    IncorrectPassword: 'The password does not open the document',
+    CorruptDocument: 'The document is damaged or is not a PDF file',
+    ViewNotInitialized: 'The view is not initialized'
+};
+
+// CSS font-style values accepted by registerFont().
+const FONT_STYLES = ['normal', 'italic', 'oblique'];
+
+// Default keyboard shortcuts. Keys are combos produced by getKeyCombo(), values are
+// actions understood by PdfPanelView.runKeyAction(); null disables a combo.
+const DEFAULT_KEY_BINDINGS = {
+    'ArrowUp': 'lineUp',
+    'ArrowDown': 'lineDown',
+    'ArrowLeft': 'lineLeft',
+    'ArrowRight': 'lineRight',
+    'PageUp': 'pageUp',
+    'PageDown': 'pageDown',
+    'Space': 'pageDown',
+    'Shift+Space': 'pageUp',
+    'Home': 'firstPage',
+    'End': 'lastPage',
+    'Ctrl+=': 'zoomIn',
+    'Ctrl++': 'zoomIn',
+    'Ctrl+-': 'zoomOut',
+    'Ctrl+0': 'resetZoom',
+    'Ctrl+c': 'copy',
+    'Ctrl+p': 'print'
+};
+
+/**
+ * Builds a shortcut combo string such as "Ctrl+=" or "Shift+Space" from a keyboard event.
+ * Shift is only part of the combo for named keys, since for printable keys it is already
+ * reflected in `key` (Ctrl+Shift+= arrives as "Ctrl++"). Cmd counts as Ctrl.
+ * @param {KeyboardEvent} e Keyboard event.
+ * @returns {string} Combo string.
+ */
+function getKeyCombo(e) {
+    const key = e.key === ' ' ? 'Space' : e.key;
+    const parts = [];
+
+    if (e.ctrlKey || e.metaKey) {
+        parts.push('Ctrl');
+    }
+    if (e.altKey) {
+        parts.push('Alt');
+    }
+    if (e.shiftKey && key.length > 1) {
+        parts.push('Shift');
+    }
+
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Error a document load is rejected with when the document cannot be opened.
+ * `name` and `code` hold the reason: 'PasswordRequired', 'IncorrectPassword', 'CorruptDocument' or
+ * 'ViewNotInitialized' when the .NET side of the view is not registered.
+ */
+export class PdfDocumentError extends Error {
+    constructor(code) {
+        super(DOCUMENT_ERROR_MESSAGES[code] || `The document could not be opened (${code})`);
+        this.name = code;
+        this.code = code;
+    }
+}
+
 class PdfPanelView {
     constructor(id, containerElement, configuration) {
         this.id = id;
@@ -21,9 +147,18 @@ class PdfPanelView {
             maxThumbnailSize: 400,
             pagesPadding: { left: 10, top: 10, right: 10, bottom: 10 },
             minimumPageGap: 10,
-            scrollStep: 20
+            scrollStep: 20,
+            keyboardNavigation: true,
+            keyBindings: {},
+            autoScaleMode: 'none',
+            layout: 'vertical',
+            persistViewState: false
         };
         this.configuration = Object.assign({}, defaults, configuration || {});
+        this.configuration.keyBindings = Object.assign({}, DEFAULT_KEY_BINDINGS, this.configuration.keyBindings);
+        if (!LAYOUT_MODES.includes(this.configuration.layout)) {
+            throw new Error(`Unknown layout '${this.configuration.layout}'. Expected one of: ${LAYOUT_MODES.join(', ')}`);
+        }
 
         this.state = {
             verticalOffset: 0,
@@ -39,9 +174,15 @@ class PdfPanelView {
             mouseX: null,
             mouseY: null,
             currentPage: 0,
+            currentPageLabel: '',
             pageCount: 0,
             forcePageSet: 0,
-            pointerPressed: false
+            autoScaleMode: this.configuration.autoScaleMode,
+            layout: this.configuration.layout,
+            searchMatchCount: 0,
+            activeMatchIndex: -1,
+            pointerPressed: false,
+            pageRotations: []
         };
 
         this.renderFrameRequestId = null;
@@ -49,11 +190,98 @@ class PdfPanelView {
         this.renderInProgress = false;
         this.renderVersion = 0;
 
+        // Set when the sticky auto-scale mode must be re-applied on the next render
+        // (mode change, container resize or a new document).
+        this.autoScalePending = this.state.autoScaleMode !== 'none';
+
         // Tracks the scroll position we set programmatically so onScroll can
         // ignore those events and only react to genuine user-initiated scrolls.
         this._expectedScrollLeft = 0;
         this._expectedScrollTop = 0;
         this.onStateChanged = null;
+        this.onLinkActivated = null;
+
+        // Handlers added with on()/addEventListener(), as a Set per event name, and the state
+        // the last change events were emitted for. Scrolling and zooming update this.state
+        // before the render, so changes are detected against this copy.
+        this.eventListeners = new Map();
+        this.emittedState = { ...this.state };
+        this.onPasswordRequired = null;
+        this.onFormFieldChanged = null;
+        this.thumbnailSidebar = null;
+
+        // Link of linkPanels() the view belongs to, and the difference masks of compare mode keyed by
+        // page number, as { image, width, height } with the displayed page size in points.
+        this.panelLink = null;
+        this.pageDifferences = new Map();
+
+        // Overlay element editing a text or choice field widget, null when no field is edited.
+        this.formFieldEditor = null;
+
+        // Aborts the document load started by openDocument(), which may keep downloading
+        // in the background after the document is shown.
+        this.documentLoadController = null;
+
+        // Hidden iframe holding the rendered pages of the current print job, and the
+        // controller that cancels the job when another one starts or the view is disposed.
+        this.printFrame = null;
+        this.printController = null;
+
+        // Mouse press position in viewport CSS pixels, used to tell clicks from drags, and the
+        // one-shot click flag sent with the next render so .NET can activate the annotation under it.
+        this.pointerDownX = null;
+        this.pointerDownY = null;
+        this.pointerClick = false;
+
+        // Active touch pointers in viewport CSS pixels, keyed by pointerId,
+        // and the gesture (pan or pinch) they currently form.
+        this.activePointers = new Map();
+        this.gesture = null;
+        this.lastTapTime = 0;
+        this.lastTapX = 0;
+        this.lastTapY = 0;
+        this.inertiaFrameRequestId = null;
+
+        // Search results ({ index, pageNumber, rects }) in page coordinates, the page rectangle
+        // to center on the next forced page set, and the page-to-viewport transforms of the
+        // visible pages from the last render, used to draw highlights on the overlay canvas.
+        this.searchMatches = [];
+        this.forcePageRect = null;
+
+        // Set when the next forced page set turns back a page in single page layout.
+        this.forcePageBottom = false;
+
+        // Outline item id to navigate to on the next render, -1 when none.
+        this.forceOutlineItem = -1;
+
+        // Rotations to apply on the next render as [pageNumber, degrees] pairs, page 0 meaning all pages.
+        this.pendingRotations = [];
+
+        // Time of the last wheel-driven page flip in single page layout.
+        this.lastPageFlipTime = 0;
+
+        // Page position to scroll to on the next render, as {pageNumber, left, top} in PDF coordinates.
+        this.forcePosition = null;
+
+        // Fingerprint of the current document, and the pending save of its position when persistViewState is enabled.
+        this.documentFingerprint = null;
+        this.viewStateSaveTimer = null;
+
+        // Renders up to this version started before the current document was set; the first later
+        // completed render emits documentloaded. -1 when no documentloaded event is pending.
+        this.documentLoadedAfterRender = -1;
+        this.visiblePages = [];
+        this.overlayCanvas = null;
+
+        // Text selection is kept in .NET; the view holds the last reported rectangles
+        // ({ pageNumber, left, top, width, height } in page coordinates) and text. The pending
+        // action ('begin', 'word' or 'clear') is sent with the next render; while dragging,
+        // every render extends the selection to the pointer.
+        this.selectionRects = [];
+        this.selectedText = '';
+        this.pendingSelectionAction = null;
+        this.selectingText = false;
+        this.lastPointerType = null;
 
         this.onWheel = this.onWheel.bind(this);
         this.onScroll = this.onScroll.bind(this);
@@ -61,6 +289,11 @@ class PdfPanelView {
         this.onResizeRequested = this.onResizeRequested.bind(this);
         this.onPointerDown = this.onPointerDown.bind(this);
         this.onPointerUp = this.onPointerUp.bind(this);
+        this.onTouchPointerMove = this.onTouchPointerMove.bind(this);
+        this.onTouchPointerUp = this.onTouchPointerUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onCopy = this.onCopy.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
     }
 
     requestRender() {
@@ -90,6 +323,10 @@ class PdfPanelView {
         const currentRenderVersion = this.renderVersion + 1;
         this.renderVersion = currentRenderVersion;
 
+        const renderStartTime = performance.now();
+        let renderCompleted = false;
+        this.emit('renderstart', { renderVersion: currentRenderVersion });
+
         try {
             const containerWidth = this.scrollHost.clientWidth;
             const containerHeight = this.scrollHost.clientHeight;
@@ -105,6 +342,21 @@ class PdfPanelView {
             const pointerX = pointerInside ? this.state.mouseX * devicePixelScale : 0;
             const pointerY = pointerInside ? this.state.mouseY * devicePixelScale : 0;
 
+            const selectionAction = this.pendingSelectionAction || (this.selectingText ? 'extend' : 'none');
+            this.pendingSelectionAction = null;
+
+            const forceOutlineItem = this.forceOutlineItem;
+            this.forceOutlineItem = -1;
+
+            const pointerClick = this.pointerClick;
+            this.pointerClick = false;
+
+            const rotation = this.pendingRotations;
+            this.pendingRotations = [];
+
+            const forcePosition = this.forcePosition;
+            this.forcePosition = null;
+
             const redrawState = {
                 containerWidth: containerWidth,
                 containerHeight: containerHeight,
@@ -117,20 +369,62 @@ class PdfPanelView {
                 scrollWidth: 0,
                 scrollHeight: 0,
                 forcePageSet: this.state.forcePageSet,
+                forcePageRect: this.state.forcePageSet > 0 ? this.forcePageRect : null,
+                forcePageBottom: this.state.forcePageSet > 0 && this.forcePageBottom,
+                forceOutlineItem: forceOutlineItem,
+                forcePosition: forcePosition,
+                rotation: rotation.length > 0 ? JSON.stringify(rotation) : null,
+                autoScaleMode: this.autoScalePending ? this.state.autoScaleMode : 'none',
+                layout: this.state.layout,
                 pointerInside: pointerInside,
                 pointerX: pointerX,
                 pointerY: pointerY,
-                pointerPressed: this.state.pointerPressed
+                pointerPressed: this.state.pointerPressed,
+                pointerClick: pointerClick,
+                selectionAction: selectionAction
             };
 
             await interop.RequestRedraw(this.id, redrawState);
 
             this.state.forcePageSet = 0;
+            this.forcePageRect = null;
+            this.forcePageBottom = false;
+
+            // A link click is reported once, so it is handled even if this render is superseded.
+            if (redrawState.linkActionType) {
+                this.emitLinkActivated(redrawState.linkActionType, redrawState.linkTarget);
+            }
+
+            // Rotations are applied in .NET already, so take the result even if this render is superseded.
+            if (redrawState.pageRotations) {
+                this.state.pageRotations = Array.from(redrawState.pageRotations);
+                if (this.thumbnailSidebar) {
+                    this.thumbnailSidebar.invalidate();
+                }
+            }
+
+            // Form changes made by the click are applied in .NET already, so they are reported even if this render is superseded.
+            if (redrawState.formFieldChanged) {
+                this.emitFormFieldChanged(redrawState.formFieldChanged);
+            }
+            if (redrawState.formFieldEdit) {
+                this.openFormFieldEditor(JSON.parse(redrawState.formFieldEdit));
+            }
+
+            // The selection is already updated in .NET, so take the result even if this render is superseded.
+            if (selectionAction !== 'none') {
+                this.selectionRects = parseSelectionRects(redrawState.selectionRects);
+                this.selectedText = redrawState.selectedText || '';
+            }
 
             if (currentRenderVersion !== this.renderVersion) {
                 return;
             }
 
+            // Only consume the pending auto-scale once its resulting scale is read back below;
+            // a superseded render would otherwise send the old scale and lose the fit.
+            this.autoScalePending = false;
+
             this.state.containerWidth = redrawState.containerWidth;
             this.state.containerHeight = redrawState.containerHeight;
             this.state.devicePixelScale = redrawState.devicePixelScale;
@@ -140,8 +434,20 @@ class PdfPanelView {
             this.state.scrollHeight = redrawState.scrollHeight;
             this.state.verticalOffset = redrawState.verticalOffset;
             this.state.horizontalOffset = redrawState.horizontalOffset;
+
+            // A destination with its own zoom overrides the sticky auto-scale mode.
+            if (forceOutlineItem >= 0 && redrawState.scale !== this.state.scale) {
+                this.state.autoScaleMode = 'none';
+            }
+
+            this.state.scale = redrawState.scale;
             this.state.currentPage = redrawState.currentPage;
+            this.state.currentPageLabel = redrawState.currentPageLabel || '';
             this.state.pageCount = redrawState.pageCount;
+            if (this.state.pageRotations.length !== this.state.pageCount) {
+                this.state.pageRotations = new Array(this.state.pageCount).fill(0);
+            }
+            this.visiblePages = parseVisiblePages(redrawState.visiblePages);
 
             this.spacer.style.width = (this.state.scrollWidth / dpr) + 'px';
             this.spacer.style.height = (this.state.scrollHeight / dpr) + 'px';
@@ -162,11 +468,35 @@ class PdfPanelView {
 
             void this.scrollHost.offsetHeight;
 
+            this.scrollHost.style.cursor = redrawState.cursor === 'pointer' || redrawState.cursor === 'text' ? redrawState.cursor : '';
+            this.drawOverlay();
+
+            if (this.formFieldEditor) {
+                this.formFieldEditor.position();
+            }
+
+            if (this.thumbnailSidebar) {
+                this.thumbnailSidebar.update();
+            }
+
+            renderCompleted = true;
+            if (this.documentLoadedAfterRender >= 0 && currentRenderVersion > this.documentLoadedAfterRender) {
+                this.documentLoadedAfterRender = -1;
+                this.emit('documentloaded', { pageCount: this.state.pageCount });
+            }
+            this.emitStateChanges();
+            this.scheduleViewStateSave();
+
             if (typeof this.onStateChanged === 'function') {
-                this.onStateChanged({ ...this.state });
+                this.onStateChanged(this.getStateSnapshot());
             }
 
         } finally {
+            this.emit('renderend', {
+                renderVersion: currentRenderVersion,
+                completed: renderCompleted,
+                duration: performance.now() - renderStartTime
+            });
             this.renderInProgress = false;
             if (this.requestedRender) {
                 this.requestRender();
@@ -176,6 +506,9 @@ class PdfPanelView {
 
     onWheel(e) {
         if (!e.ctrlKey) {
+            if (this.state.layout === 'singlePage' && e.deltaY !== 0) {
+                this.onSinglePageWheel(e);
+            }
             return;
         }
 
@@ -183,8 +516,7 @@ class PdfPanelView {
 
         const oldScale = this.state.scale;
         const zoomDelta = this.configuration.zoomFactor;
-        const nextScaleRequest = e.deltaY > 0 ? oldScale * (1 - zoomDelta) : oldScale * (1 + zoomDelta);
-        const nextScale = Math.max(this.configuration.minZoom, Math.min(this.configuration.maxZoom, nextScaleRequest));
+        const nextScale = e.deltaY > 0 ? oldScale * (1 - zoomDelta) : oldScale * (1 + zoomDelta);
 
         // Compute center coordinates for zoom from mouse if available; otherwise center
         let centerX = this.state.viewportWidth / 2;
@@ -195,13 +527,213 @@ class PdfPanelView {
             centerY = this.state.mouseY * this.state.devicePixelScale;
         }
 
-        // Update offsets to keep zoom centered around pointer (or center)
+        this.applyScale(nextScale, centerX, centerY);
+        this.requestRender();
+    }
+
+    /**
+     * Turns the page when the wheel scrolls past the top or bottom edge of the page in single page layout.
+     * Scrolling within the page is left to the browser.
+     * @param {WheelEvent} e Wheel event without the ctrl key.
+     */
+    onSinglePageWheel(e) {
+        const direction = Math.sign(e.deltaY);
+        if (!this.isAtPageEdge(direction)) {
+            return;
+        }
+
+        e.preventDefault();
+
+        const now = performance.now();
+        if (now - this.lastPageFlipTime < PAGE_FLIP_COOLDOWN) {
+            return;
+        }
+
+        if (this.flipPage(direction)) {
+            this.lastPageFlipTime = now;
+            this.requestRender();
+        }
+    }
+
+    /**
+     * Checks whether the viewport cannot scroll further vertically in the given direction.
+     * @param {number} direction 1 for down, -1 for up.
+     * @returns {boolean} True if the viewport is at the bottom (or top) edge.
+     */
+    isAtPageEdge(direction) {
+        const maxVerticalOffset = Math.max(0, this.state.scrollHeight - this.state.viewportHeight);
+        // Allow for sub-pixel rounding of the browser scroll position.
+        return direction > 0
+            ? this.state.verticalOffset >= maxVerticalOffset - 1
+            : this.state.verticalOffset <= 1;
+    }
+
+    /**
+     * Queues navigation to the page next to the current one.
+     * @param {number} direction 1 for the next page, -1 for the previous page.
+     * @returns {boolean} True if there is a page in that direction.
+     */
+    flipPage(direction) {
+        const pageNumber = this.state.currentPage + direction;
+        if (pageNumber < 1 || pageNumber > this.state.pageCount) {
+            return false;
+        }
+        this.state.forcePageSet = pageNumber;
+        // Turning back continues reading upwards, so the previous page is shown from its bottom edge.
+        this.forcePageBottom = direction < 0;
+        return true;
+    }
+
+    /**
+     * Reads the position of the view as of the last completed render.
+     * @returns {{pageNumber: number, left: number, top: number, scale: number, autoScaleMode: string}|null}
+     * Current page, PDF coordinates of its point at the top-left corner of the viewport, scale and
+     * auto-scale mode; null when no document is shown.
+     */
+    getViewState() {
+        if (this.state.pageCount === 0) {
+            return null;
+        }
+
+        const position = interop.GetViewPosition(this.id);
+        if (position.length < 3) {
+            return null;
+        }
+
+        return {
+            pageNumber: position[0],
+            left: position[1],
+            top: position[2],
+            scale: this.state.scale,
+            autoScaleMode: this.state.autoScaleMode
+        };
+    }
+
+    /**
+     * Queues a validated view position for the next render. An auto-scale mode other than 'none'
+     * takes precedence over the scale; missing coordinates default to the page edges.
+     * @param {{pageNumber: number, left?: number, top?: number, scale?: number, autoScaleMode?: string}} snapshot View position.
+     */
+    restoreViewState(snapshot) {
+        if (snapshot.autoScaleMode && snapshot.autoScaleMode !== 'none') {
+            this.setAutoScaleMode(snapshot.autoScaleMode);
+        } else if (snapshot.scale > 0) {
+            this.state.scale = this.clampScale(snapshot.scale);
+            this.setAutoScaleMode('none');
+        }
+
+        this.forcePosition = {
+            pageNumber: snapshot.pageNumber,
+            left: Number.isFinite(snapshot.left) ? snapshot.left : null,
+            top: Number.isFinite(snapshot.top) ? snapshot.top : null
+        };
+        this.requestRender();
+    }
+
+    /**
+     * Saves the view position of the current document once rendering settles, if persistViewState is enabled.
+     */
+    scheduleViewStateSave() {
+        if (!this.configuration.persistViewState || !this.documentFingerprint) {
+            return;
+        }
+
+        clearTimeout(this.viewStateSaveTimer);
+        this.viewStateSaveTimer = setTimeout(() => this.saveViewState(), VIEW_STATE_SAVE_DELAY);
+    }
+
+    saveViewState() {
+        clearTimeout(this.viewStateSaveTimer);
+        this.viewStateSaveTimer = null;
+
+        const snapshot = this.getViewState();
+        if (snapshot && this.documentFingerprint) {
+            writeViewHistory(this.documentFingerprint, snapshot);
+        }
+    }
+
+    /**
+     * Switches the page layout on the next render, keeping the current page in view.
+     * A sticky auto-scale mode is re-applied to the new layout.
+     * @param {string} layout One of 'vertical', 'horizontal', 'spread', 'spreadWithCover', 'singlePage'.
+     */
+    setLayout(layout) {
+        this.state.layout = layout;
+        if (this.state.autoScaleMode !== 'none') {
+            this.autoScalePending = true;
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Applies validated configuration changes: re-clamps the scale to the zoom limits, re-applies
+     * the container background and passes the configuration to .NET for the next render.
+     * @param {object} changes Configuration options to replace.
+     */
+    updateConfiguration(changes) {
+        Object.assign(this.configuration, changes);
+        this.container.style.backgroundColor = this.configuration.backgroundColor;
+
+        if (this.state.autoScaleMode !== 'none') {
+            // Padding, gap and zoom limits all change the fitted scale.
+            this.autoScalePending = true;
+        } else if (this.clampScale(this.state.scale) !== this.state.scale) {
+            this.applyScale(this.state.scale, this.state.viewportWidth / 2, this.state.viewportHeight / 2);
+        }
+
+        interop.UpdateConfiguration(this.id, this.configuration);
+        this.requestRender();
+    }
+
+    /**
+     * Clamps a scale to the configured zoom limits.
+     * @param {number} scale Requested scale.
+     * @returns {number} Scale within `minZoom`..`maxZoom`.
+     */
+    clampScale(scale) {
+        return Math.max(this.configuration.minZoom, Math.min(this.configuration.maxZoom, scale));
+    }
+
+    /**
+     * Changes the scale while keeping the given viewport point fixed on screen.
+     * This is a manual zoom, so any sticky auto-scale mode is dropped.
+     * @param {number} scale Requested scale, clamped to the configured limits.
+     * @param {number} centerX Anchor X in device pixels relative to the viewport.
+     * @param {number} centerY Anchor Y in device pixels relative to the viewport.
+     */
+    applyScale(scale, centerX, centerY) {
+        const oldScale = this.state.scale;
+        const nextScale = this.clampScale(scale);
+
+        // Update offsets to keep zoom centered around the anchor point
         this.state.verticalOffset = (this.state.verticalOffset + centerY) * (nextScale / oldScale) - centerY;
         this.state.horizontalOffset = (this.state.horizontalOffset + centerX) * (nextScale / oldScale) - centerX;
 
         this.state.scale = nextScale;
+        this.state.autoScaleMode = 'none';
+    }
 
-        this.requestRender();
+    /**
+     * Sets the sticky auto-scale mode, applied on the next render and again on every resize.
+     * @param {string} mode One of 'none', 'fitWidth', 'fitPage', 'fitHeight'.
+     */
+    setAutoScaleMode(mode) {
+        this.state.autoScaleMode = mode;
+        this.autoScalePending = mode !== 'none';
+    }
+
+    /**
+     * Scrolls the content by a delta in CSS pixels, clamped to the last known scroll extent.
+     * @param {number} deltaX Horizontal delta in CSS pixels.
+     * @param {number} deltaY Vertical delta in CSS pixels.
+     */
+    scrollBy(deltaX, deltaY) {
+        const dps = this.state.devicePixelScale || window.devicePixelRatio || 1;
+        const maxHorizontalOffset = Math.max(0, this.state.scrollWidth - this.state.viewportWidth);
+        const maxVerticalOffset = Math.max(0, this.state.scrollHeight - this.state.viewportHeight);
+
+        this.state.horizontalOffset = Math.max(0, Math.min(maxHorizontalOffset, this.state.horizontalOffset + deltaX * dps));
+        this.state.verticalOffset = Math.max(0, Math.min(maxVerticalOffset, this.state.verticalOffset + deltaY * dps));
     }
 
     onScroll() {
@@ -238,240 +770,2728 @@ class PdfPanelView {
         this.requestRender();
     }
 
-    onPointerDown() {
+    onPointerDown(e) {
+        if (this.configuration.keyboardNavigation) {
+            this.container.focus({ preventScroll: true });
+        }
+
+        this.lastPointerType = e.pointerType;
+
+        if (e.pointerType === 'touch') {
+            this.onTouchPointerDown(e);
+            return;
+        }
+
+        // Presses on the native scrollbars are left to the scroll host.
+        const point = this.getViewportPoint(e);
+        if (e.button === 0 && point.x < this.scrollHost.clientWidth && point.y < this.scrollHost.clientHeight) {
+            this.state.mouseX = point.x;
+            this.state.mouseY = point.y;
+            this.pointerDownX = point.x;
+            this.pointerDownY = point.y;
+
+            // Presses on links and form widgets activate them on release and keep the current selection.
+            // The cursor set by the last render tells whether the pointer is over one of them.
+            if (!this.scrollHost.style.cursor) {
+                this.pendingSelectionAction = 'begin';
+                this.selectingText = true;
+            }
+        }
+
         this.state.pointerPressed = true;
         this.requestRender();
     }
 
-    onPointerUp() {
+    onPointerUp(e) {
+        if (e.pointerType === 'touch') {
+            return;
+        }
+
+        if (e.button === 0 && this.pointerDownX !== null) {
+            const point = this.getViewportPoint(e);
+            if (Math.hypot(point.x - this.pointerDownX, point.y - this.pointerDownY) <= TAP_SLOP) {
+                this.state.mouseX = point.x;
+                this.state.mouseY = point.y;
+                this.pointerClick = true;
+            }
+        }
+
+        this.pointerDownX = null;
+        this.pointerDownY = null;
+        this.selectingText = false;
         this.state.pointerPressed = false;
         this.requestRender();
     }
 
-    onResizeRequested() {
-        const hasHorizontalScrollbar = this.state.scrollWidth > this.state.viewportWidth;
-        const hasVerticalScrollbar = this.state.scrollHeight > this.state.viewportHeight;
+    /**
+     * Copies the view state for the host page, so later renders do not change it under the caller.
+     * @returns {object} State snapshot.
+     */
+    getStateSnapshot() {
+        return { ...this.state, pageRotations: [...this.state.pageRotations] };
+    }
 
-        this.scrollHost.style.overflowX = hasHorizontalScrollbar ? 'scroll' : 'hidden';
-        this.scrollHost.style.overflowY = hasVerticalScrollbar ? 'scroll' : 'hidden';
+    /**
+     * Adds a handler for one of VIEW_EVENTS.
+     * @param {string} eventName Event name.
+     * @param {(payload: object) => void} handler Called with the event payload.
+     * @returns {() => void} Removes the handler.
+     */
+    addListener(eventName, handler) {
+        let handlers = this.eventListeners.get(eventName);
+        if (!handlers) {
+            handlers = new Set();
+            this.eventListeners.set(eventName, handlers);
+        }
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+    }
 
-        this.requestRender();
+    /**
+     * Calls the handlers of an event. A failing handler is logged and does not stop the others.
+     * @param {string} eventName Event name.
+     * @param {object} payload Event payload.
+     */
+    emit(eventName, payload) {
+        const handlers = this.eventListeners.get(eventName);
+        if (!handlers || handlers.size === 0) {
+            return;
+        }
+
+        // Handlers may unsubscribe while being called.
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`'${eventName}' handler failed for view '${this.id}':`, err);
+            }
+        }
     }
 
-    attachEvents() {
-        this.container.addEventListener('wheel', this.onWheel, { passive: false });
-        this.scrollHost.addEventListener('scroll', this.onScroll);
-        this.scrollHost.addEventListener('pointerdown', this.onPointerDown);
-        document.addEventListener('mousemove', this.onMouseMove);
-        document.addEventListener('pointerup', this.onPointerUp);
+    /**
+     * Emits the fine-grained events for state that changed since the last completed render, then statechange.
+     */
+    emitStateChanges() {
+        const state = this.state;
+        const previousState = this.emittedState;
+        this.emittedState = { ...state };
+
+        if (state.containerWidth !== previousState.containerWidth ||
+            state.containerHeight !== previousState.containerHeight ||
+            state.devicePixelScale !== previousState.devicePixelScale) {
+            this.emit('resize', {
+                containerWidth: state.containerWidth,
+                containerHeight: state.containerHeight,
+                devicePixelScale: state.devicePixelScale
+            });
+        }
 
-        this.resizeObserver = new ResizeObserver(this.onResizeRequested);
-        this.resizeObserver.observe(this.container);
+        if (state.scale !== previousState.scale) {
+            this.emit('scalechange', {
+                scale: state.scale,
+                previousScale: previousState.scale,
+                autoScaleMode: state.autoScaleMode
+            });
+        }
+
+        if (state.horizontalOffset !== previousState.horizontalOffset ||
+            state.verticalOffset !== previousState.verticalOffset) {
+            this.emit('scroll', {
+                horizontalOffset: state.horizontalOffset,
+                verticalOffset: state.verticalOffset,
+                scrollWidth: state.scrollWidth,
+                scrollHeight: state.scrollHeight
+            });
+        }
+
+        if (state.currentPage !== previousState.currentPage || state.pageCount !== previousState.pageCount) {
+            this.emit('pagechange', {
+                pageNumber: state.currentPage,
+                previousPageNumber: previousState.currentPage,
+                pageLabel: state.currentPageLabel,
+                pageCount: state.pageCount
+            });
+        }
+
+        this.emit('statechange', this.getStateSnapshot());
     }
 
-    detachEvents() {
-        this.container.removeEventListener('wheel', this.onWheel);
-        this.scrollHost.removeEventListener('scroll', this.onScroll);
-        this.scrollHost.removeEventListener('pointerdown', this.onPointerDown);
-        document.removeEventListener('mousemove', this.onMouseMove);
-        document.removeEventListener('pointerup', this.onPointerUp);
+    /**
+     * Passes an external link activation to the host page. Nothing is opened by the panel itself.
+     * @param {string} type Action type: 'uri', 'launch' or 'goToRemote'.
+     * @param {string} target URI or file specification of the action.
+     */
+    emitLinkActivated(type, target) {
+        if (typeof this.onLinkActivated !== 'function') {
+            console.info(`Link activation '${type}' for '${target}' ignored, no onLinkActivated handler is set for view '${this.id}'`);
+            return;
+        }
 
-        if (this.resizeObserver) {
-            this.resizeObserver.disconnect();
-            this.resizeObserver = null;
+        try {
+            this.onLinkActivated({ type: type, target: target });
+        } catch (err) {
+            console.error(`onLinkActivated handler failed for view '${this.id}':`, err);
         }
     }
 
-    async initInterop() {
-        const thumbnailSize = this.configuration.maxThumbnailSize || 400;
-        this.thumbnailCanvas = document.createElement('canvas');
-        this.thumbnailCanvas.classList.add('pdf-thumbnail-canvas');
-        this.thumbnailCanvas.width = thumbnailSize;
-        this.thumbnailCanvas.height = thumbnailSize;
-        this.thumbnailCanvas.style.cssText = 'position:fixed; visibility:hidden; pointer-events:none;';
-        this.container.appendChild(this.thumbnailCanvas);
+    /**
+     * Reports a form field changed by the user to the host page with its new value,
+     * in the format of getFormValues().
+     * @param {string} name Fully qualified field name.
+     */
+    emitFormFieldChanged(name) {
+        if (typeof this.onFormFieldChanged !== 'function') {
+            return;
+        }
 
-        await interop.RegisterCanvas(this.id, this.configuration);
+        const value = JSON.parse(interop.GetFormFieldValue(this.id, name));
+        try {
+            this.onFormFieldChanged({ name: name, value: value });
+        } catch (err) {
+            console.error(`onFormFieldChanged handler failed for view '${this.id}':`, err);
+        }
     }
 
-    async start() {
-        this.container.style.backgroundColor = this.configuration.backgroundColor;
-        this.attachEvents();
-        await this.initInterop();
+    /**
+     * Shows an editor over a text or choice field widget, committing any field edited before.
+     * @param {object} field Editor description reported by .NET in the formFieldEdit state field.
+     */
+    openFormFieldEditor(field) {
+        this.closeFormFieldEditor(true);
+        this.formFieldEditor = new PdfFormFieldEditor(this, field);
+        this.formFieldEditor.position();
+        this.formFieldEditor.focus();
+    }
+
+    /**
+     * Removes the form field editor, if any.
+     * @param {boolean} commit True to write the edited value to the field, false to discard it.
+     */
+    closeFormFieldEditor(commit) {
+        const editor = this.formFieldEditor;
+        if (!editor) {
+            return;
+        }
+
+        this.formFieldEditor = null;
+        editor.close(commit);
+    }
+
+    /**
+     * Writes a value edited by the user to a form field and reports the change.
+     * @param {string} name Fully qualified field name.
+     * @param {string[]} value Field value as export values, or the text of a text field.
+     */
+    commitFormFieldValue(name, value) {
+        const changed = interop.SetFormValues(this.id, JSON.stringify({ [name]: value }));
+        if (changed.length === 0) {
+            return;
+        }
+
+        this.emitFormFieldChanged(name);
         this.requestRender();
-        console.log(`View '${this.id}' registered successfully`);
     }
 
-    dispose() {
-        this.detachEvents();
-        if (this.thumbnailCanvas) {
-            this.thumbnailCanvas.remove();
-            this.thumbnailCanvas = null;
+    onDoubleClick(e) {
+        // Double-tap on touch is a zoom gesture, see handleTap().
+        if (this.lastPointerType === 'touch') {
+            return;
         }
+
+        const point = this.getViewportPoint(e);
+        this.state.mouseX = point.x;
+        this.state.mouseY = point.y;
+        this.selectingText = false;
+        this.pendingSelectionAction = 'word';
+        this.requestRender();
     }
-}
 
-/**
- * Initialize PDF panel interop and bind JS module imports.
- * @param {(name: string, module: any) => void} setModuleImports Binds a logical module name to an ESM object for [JSImport].
- * @param {(assemblyName: string) => Promise<any>} getAssemblyExports Retrieves .NET assembly exports.
- * @returns {Promise<void>} Resolves when interop is ready.
- */
-export async function initialize(setModuleImports, getAssemblyExports) {
-    const exports = await getAssemblyExports(`PdfPixel.PdfPanel.Web`);
-    const panelInterop = exports.PdfPixel.PdfPanel.Web.PdfPanelInterop;
+    onCopy(e) {
+        // Copying inside a form field editor copies its own text.
+        if (!this.selectedText || this.formFieldEditor) {
+            return;
+        }
 
-    setModuleImports('canvasInterop.js', this);
+        e.clipboardData.setData('text/plain', this.selectedText);
+        e.preventDefault();
+    }
 
-    interop = panelInterop;
-    await interop.Initialize();
+    copySelectedText() {
+        if (!this.selectedText || !navigator.clipboard) {
+            return false;
+        }
 
-    console.log('Panel interop initialized');
-}
+        navigator.clipboard.writeText(this.selectedText).catch(err => {
+            console.error(`Failed to copy selected text for id '${this.id}':`, err);
+        });
+        return true;
+    }
 
-/**
- * Register a PDF panel view bound to a container element.
- * @param {string} id Unique view id.
- * @param {HTMLElement} containerElement The `.pdf-panel-*` container element.
- * @returns {Promise<boolean>} True if registration succeeded.
- */
-export async function registerPanel(id, containerElement, configuration) {
-    if (!containerElement) {
-        console.error(`Container element is null or undefined for id '${id}'`);
-        return false;
+    clearSelection() {
+        this.selectingText = false;
+        this.pendingSelectionAction = 'clear';
+        this.selectionRects = [];
+        this.selectedText = '';
+        this.requestRender();
     }
-    if (views.has(id)) {
-        console.warn(`View with id '${id}' is already registered`);
-        return false;
+
+    getViewportPoint(e) {
+        const rect = this.scrollHost.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
     }
 
-    let view;
-    try {
-        view = new PdfPanelView(id, containerElement, configuration);
-    } catch (err) {
-        console.error(err?.message || String(err));
-        return false;
+    onTouchPointerDown(e) {
+        this.stopInertia();
+        this.scrollHost.setPointerCapture(e.pointerId);
+
+        const point = this.getViewportPoint(e);
+        this.activePointers.set(e.pointerId, point);
+
+        if (this.activePointers.size === 1) {
+            this.beginPan(point, e.timeStamp, false);
+
+            // A touch acts as a pressed pointer until it moves beyond the tap slop,
+            // so annotations get the same hover/press feedback as with a mouse.
+            this.state.mouseX = point.x;
+            this.state.mouseY = point.y;
+            this.state.pointerPressed = true;
+        } else {
+            this.beginPinch();
+        }
+
+        this.requestRender();
     }
 
-    views.set(id, view);
-    await view.start();
-    return true;
-}
+    onTouchPointerMove(e) {
+        if (!this.activePointers.has(e.pointerId)) {
+            return;
+        }
 
-/**
+        e.preventDefault();
+
+        const point = this.getViewportPoint(e);
+        this.activePointers.set(e.pointerId, point);
+
+        if (this.gesture.type === 'pinch') {
+            this.updatePinch();
+        } else {
+            this.updatePan(point, e.timeStamp);
+        }
+    }
+
+    onTouchPointerUp(e) {
+        if (!this.activePointers.has(e.pointerId)) {
+            return;
+        }
+
+        const point = this.activePointers.get(e.pointerId);
+        this.activePointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+
+        if (this.activePointers.size >= 2) {
+            this.beginPinch();
+            return;
+        }
+
+        if (this.activePointers.size === 1) {
+            // Lifting one finger of a pinch continues as a pan with the other one.
+            const [remaining] = this.activePointers.values();
+            this.beginPan(remaining, e.timeStamp, true);
+            return;
+        }
+
+        this.gesture = null;
+        this.state.pointerPressed = false;
+
+        if (gesture && gesture.type === 'pan') {
+            if (gesture.moved) {
+                if (e.type !== 'pointercancel') {
+                    this.startInertia(gesture.velocityX, gesture.velocityY);
+                }
+            } else {
+                this.handleTap(point, e.timeStamp);
+            }
+        }
+
+        this.requestRender();
+    }
+
+    beginPan(point, timeStamp, moved) {
+        this.gesture = {
+            type: 'pan',
+            startX: point.x,
+            startY: point.y,
+            lastX: point.x,
+            lastY: point.y,
+            lastTime: timeStamp,
+            velocityX: 0,
+            velocityY: 0,
+            moved: moved
+        };
+    }
+
+    updatePan(point, timeStamp) {
+        const gesture = this.gesture;
+
+        if (!gesture.moved) {
+            if (Math.hypot(point.x - gesture.startX, point.y - gesture.startY) <= TAP_SLOP) {
+                return;
+            }
+
+            gesture.moved = true;
+            this.state.pointerPressed = false;
+            this.state.mouseX = null;
+            this.state.mouseY = null;
+        }
+
+        const deltaX = point.x - gesture.lastX;
+        const deltaY = point.y - gesture.lastY;
+        const elapsed = Math.max(1, timeStamp - gesture.lastTime);
+
+        // Smoothed velocity in CSS pixels per millisecond, used to seed inertia on release.
+        gesture.velocityX = 0.8 * (deltaX / elapsed) + 0.2 * gesture.velocityX;
+        gesture.velocityY = 0.8 * (deltaY / elapsed) + 0.2 * gesture.velocityY;
+        gesture.lastX = point.x;
+        gesture.lastY = point.y;
+        gesture.lastTime = timeStamp;
+
+        this.scrollBy(-deltaX, -deltaY);
+        this.requestRender();
+    }
+
+    beginPinch() {
+        const [first, second] = this.activePointers.values();
+
+        this.gesture = {
+            type: 'pinch',
+            distance: Math.max(1, Math.hypot(second.x - first.x, second.y - first.y)),
+            centerX: (first.x + second.x) / 2,
+            centerY: (first.y + second.y) / 2
+        };
+
+        this.state.pointerPressed = false;
+        this.state.mouseX = null;
+        this.state.mouseY = null;
+    }
+
+    updatePinch() {
+        const gesture = this.gesture;
+        const [first, second] = this.activePointers.values();
+
+        const distance = Math.max(1, Math.hypot(second.x - first.x, second.y - first.y));
+        const centerX = (first.x + second.x) / 2;
+        const centerY = (first.y + second.y) / 2;
+        const dps = this.state.devicePixelScale;
+
+        // Follow the midpoint first, then zoom around its new position.
+        this.state.horizontalOffset -= (centerX - gesture.centerX) * dps;
+        this.state.verticalOffset -= (centerY - gesture.centerY) * dps;
+        this.applyScale(this.state.scale * distance / gesture.distance, centerX * dps, centerY * dps);
+
+        gesture.distance = distance;
+        gesture.centerX = centerX;
+        gesture.centerY = centerY;
+
+        this.requestRender();
+    }
+
+    handleTap(point, timeStamp) {
+        const isDoubleTap =
+            timeStamp - this.lastTapTime <= DOUBLE_TAP_DELAY &&
+            Math.hypot(point.x - this.lastTapX, point.y - this.lastTapY) <= DOUBLE_TAP_SLOP;
+
+        if (!isDoubleTap) {
+            this.lastTapTime = timeStamp;
+            this.lastTapX = point.x;
+            this.lastTapY = point.y;
+
+            // A single tap activates links like a mouse click.
+            this.state.mouseX = point.x;
+            this.state.mouseY = point.y;
+            this.pointerClick = true;
+            this.requestRender();
+            return;
+        }
+
+        this.lastTapTime = 0;
+
+        // Double-tap toggles between 100% (anchored at the tap) and fit-width.
+        if (Math.abs(this.state.scale - 1) > 0.01) {
+            const dps = this.state.devicePixelScale;
+            this.applyScale(1, point.x * dps, point.y * dps);
+        } else {
+            this.setAutoScaleMode('fitWidth');
+        }
+    }
+
+    startInertia(velocityX, velocityY) {
+        this.stopInertia();
+
+        let lastTime = performance.now();
+
+        const step = (time) => {
+            const elapsed = Math.max(0, time - lastTime);
+            lastTime = time;
+
+            // Decay is defined per 60 Hz frame and scaled to the real frame time.
+            const decay = Math.pow(INERTIA_DECAY, elapsed / 16);
+            velocityX *= decay;
+            velocityY *= decay;
+
+            if (Math.hypot(velocityX, velocityY) < INERTIA_MIN_VELOCITY) {
+                this.inertiaFrameRequestId = null;
+                return;
+            }
+
+            this.scrollBy(-velocityX * elapsed, -velocityY * elapsed);
+            this.requestRender();
+            this.inertiaFrameRequestId = window.requestAnimationFrame(step);
+        };
+
+        this.inertiaFrameRequestId = window.requestAnimationFrame(step);
+    }
+
+    stopInertia() {
+        if (this.inertiaFrameRequestId !== null) {
+            window.cancelAnimationFrame(this.inertiaFrameRequestId);
+            this.inertiaFrameRequestId = null;
+        }
+    }
+
+    onKeyDown(e) {
+        if (!this.configuration.keyboardNavigation) {
+            return;
+        }
+
+        // Leave typing in embedded inputs alone.
+        const target = e.target;
+        if (target !== this.container && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+
+        const action = this.configuration.keyBindings[getKeyCombo(e)];
+        if (!action || !this.runKeyAction(action)) {
+            return;
+        }
+
+        e.preventDefault();
+        this.stopInertia();
+        this.requestRender();
+    }
+
+    /**
+     * Performs a keyboard action on the view state.
+     * @param {string} action Action name from the key bindings.
+     * @returns {boolean} True if the action is known and was applied.
+     */
+    runKeyAction(action) {
+        const step = this.configuration.scrollStep;
+        const viewportWidth = this.state.containerWidth;
+        const viewportHeight = this.state.containerHeight;
+        const centerX = this.state.viewportWidth / 2;
+        const centerY = this.state.viewportHeight / 2;
+
+        switch (action) {
+            case 'lineUp':
+                this.scrollBy(0, -step);
+                return true;
+            case 'lineDown':
+                this.scrollBy(0, step);
+                return true;
+            case 'lineLeft':
+                this.scrollBy(-step, 0);
+                return true;
+            case 'lineRight':
+                this.scrollBy(step, 0);
+                return true;
+            case 'pageUp':
+                if (this.state.layout === 'singlePage' && this.isAtPageEdge(-1)) {
+                    this.flipPage(-1);
+                    return true;
+                }
+                this.scrollBy(0, -viewportHeight);
+                return true;
+            case 'pageDown':
+                if (this.state.layout === 'singlePage' && this.isAtPageEdge(1)) {
+                    this.flipPage(1);
+                    return true;
+                }
+                this.scrollBy(0, viewportHeight);
+                return true;
+            case 'pageLeft':
+                this.scrollBy(-viewportWidth, 0);
+                return true;
+            case 'pageRight':
+                this.scrollBy(viewportWidth, 0);
+                return true;
+            case 'firstPage':
+                this.state.forcePageSet = this.state.pageCount > 0 ? 1 : 0;
+                return true;
+            case 'lastPage':
+                this.state.forcePageSet = this.state.pageCount;
+                return true;
+            case 'zoomIn':
+                this.applyScale(this.state.scale * (1 + this.configuration.zoomFactor), centerX, centerY);
+                return true;
+            case 'zoomOut':
+                this.applyScale(this.state.scale * (1 - this.configuration.zoomFactor), centerX, centerY);
+                return true;
+            case 'resetZoom':
+                this.applyScale(1, centerX, centerY);
+                return true;
+            case 'copy':
+                return this.copySelectedText();
+            case 'print':
+                if (this.state.pageCount === 0) {
+                    return false;
+                }
+                this.print(Array.from({ length: this.state.pageCount }, (_, i) => i + 1), DEFAULT_PRINT_DPI, {})
+                    .catch(err => {
+                        if (err?.name !== 'AbortError') {
+                            console.error(`Printing failed for view '${this.id}':`, err);
+                        }
+                    });
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Queues a rotation for the next render. The layout change is anchored to the content under the
+     * viewport center, and a sticky auto-scale mode is re-applied to the new page sizes.
+     * @param {number} pageNumber Page to rotate, or 0 for all pages.
+     * @param {number} degrees Clockwise rotation, a multiple of 90.
+     */
+    rotate(pageNumber, degrees) {
+        this.pendingRotations.push([pageNumber, degrees]);
+        if (this.state.autoScaleMode !== 'none') {
+            this.autoScalePending = true;
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Resets per-document state after a new document was set in .NET.
+     */
+    onDocumentChanged() {
+        if (this.thumbnailSidebar) {
+            this.thumbnailSidebar.invalidate();
+        }
+        this.setSearchMatches([]);
+        this.clearSelection();
+        this.closeFormFieldEditor(false);
+        this.pendingRotations = [];
+        this.state.pageRotations = [];
+        if (this.state.autoScaleMode !== 'none') {
+            this.autoScalePending = true;
+        }
+
+        // The position of the previous document was saved by its last render already.
+        clearTimeout(this.viewStateSaveTimer);
+        this.viewStateSaveTimer = null;
+        this.documentFingerprint = interop.GetDocumentFingerprint(this.id) || null;
+        if (this.configuration.persistViewState && this.documentFingerprint) {
+            const saved = readViewHistory().find(entry => entry.fingerprint === this.documentFingerprint);
+            if (saved) {
+                this.restoreViewState(saved);
+            }
+        }
+
+        // The page count is reported by the render that shows the new document.
+        this.documentLoadedAfterRender = this.renderVersion;
+        this.requestRender();
+    }
+
+    cancelDocumentLoad() {
+        if (this.documentLoadController) {
+            this.documentLoadController.abort(new DOMException('Document load was superseded', 'AbortError'));
+            this.documentLoadController = null;
+        }
+    }
+
+    /**
+     * Opens a document with the given password. While the document rejects the password,
+     * onPasswordRequired is asked for another one until it opens or the callback gives up.
+     * @param {(password: string) => Promise<string>} open Opens the document, resolving to an empty string or an error code.
+     * @param {string} [password] Initial password.
+     * @param {AbortSignal} [signal] Stops prompting when aborted.
+     * @returns {Promise<string>} Empty string if the document opened, otherwise the last error code.
+     */
+    async openWithPassword(open, password, signal) {
+        let code = await open(password || '');
+
+        while ((code === 'PasswordRequired' || code === 'IncorrectPassword') && typeof this.onPasswordRequired === 'function') {
+            const nextPassword = await this.onPasswordRequired({ reason: code });
+            signal?.throwIfAborted();
+            if (typeof nextPassword !== 'string') {
+                break;
+            }
+            code = await open(nextPassword);
+        }
+
+        return code;
+    }
+
+    /**
+     * Loads a document from a URL, Blob, ReadableStream or buffer and shows it.
+     * @param {string|URL|Blob|ReadableStream<Uint8Array>|ArrayBuffer|ArrayBufferView} source Document source.
+     * @param {{signal?: AbortSignal, onProgress?: Function, rangeChunkSize?: number, password?: string}} options Load options.
+     * @returns {Promise<boolean>} Resolves true once the document is shown.
+     */
+    async openDocument(source, options) {
+        this.cancelDocumentLoad();
+
+        const controller = new AbortController();
+        this.documentLoadController = controller;
+
+        // The caller's signal is followed until the load, including a background download, is over.
+        const forwardAbort = () => controller.abort(options.signal.reason);
+        const releaseSignal = () => options.signal?.removeEventListener('abort', forwardAbort);
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort(options.signal.reason);
+            } else {
+                options.signal.addEventListener('abort', forwardAbort, { once: true });
+            }
+        }
+
+        const signal = controller.signal;
+
+        try {
+            signal.throwIfAborted();
+
+            let data;
+            if (typeof source === 'string' || source instanceof URL) {
+                const chunkSize = options.rangeChunkSize > 0 ? Math.floor(options.rangeChunkSize) : DEFAULT_RANGE_CHUNK_SIZE;
+                const response = await fetch(source, { headers: { Range: `bytes=0-${chunkSize - 1}` }, signal: signal });
+                if (!response.ok) {
+                    throw new Error(`Failed to load document from '${source}': HTTP ${response.status}`);
+                }
+
+                const totalBytes = response.status === 206 ? parseContentRangeLength(response.headers.get('Content-Range')) : null;
+                if (totalBytes !== null && totalBytes > chunkSize) {
+                    await this.openRangeDocument(String(source), response, totalBytes, chunkSize, signal, options, releaseSignal);
+                    return true;
+                }
+
+                // The server ignored the range or the whole file fits into the first chunk.
+                const contentLength = Number(response.headers.get('Content-Length')) || null;
+                data = await readDocumentStream(response.body, totalBytes ?? contentLength, signal, options.onProgress);
+            } else {
+                data = await readDocumentSource(source, signal, options.onProgress);
+            }
+            signal.throwIfAborted();
+
+            const code = await this.openWithPassword(password => interop.SetDocument(this.id, data, password), options.password, signal);
+            if (code) {
+                throw new PdfDocumentError(code);
+            }
+        } catch (error) {
+            releaseSignal();
+
+            // A cancelled load is not reported, the caller or a newer load asked for it.
+            if (!signal.aborted) {
+                this.emit('documenterror', { error: error });
+            }
+
+            // Stop a background download the failed document may still have running.
+            if (this.documentLoadController === controller) {
+                this.documentLoadController = null;
+                controller.abort(error);
+            }
+            throw error;
+        }
+
+        releaseSignal();
+        if (this.documentLoadController === controller) {
+            this.documentLoadController = null;
+        }
+        this.onDocumentChanged();
+        return true;
+    }
+
+    /**
+     * Shows a document while it is downloaded with HTTP Range requests. .NET parses the document
+     * on a worker thread and reports the chunks it waits for, which are fetched ahead of the
+     * sequential download; the download continues in the background once the document is shown.
+     * `onDownloadEnd` is called once the download completed, failed or was aborted.
+     */
+    async openRangeDocument(url, firstResponse, totalBytes, chunkSize, signal, options, onDownloadEnd) {
+        const onProgress = options.onProgress;
+        const firstChunk = new Uint8Array(await firstResponse.arrayBuffer());
+        if (firstChunk.length !== chunkSize) {
+            throw new Error(`Unexpected range response length ${firstChunk.length} from '${url}'`);
+        }
+        signal.throwIfAborted();
+
+        const chunkCount = Math.ceil(totalBytes / chunkSize);
+        const loadedChunks = new Uint8Array(chunkCount);
+        let loadedCount = 0;
+        let loadedBytes = 0;
+
+        const addChunk = (index, data) => {
+            if (loadedChunks[index]) {
+                return;
+            }
+            interop.AddDocumentChunk(this.id, index, data);
+            loadedChunks[index] = 1;
+            loadedCount++;
+            loadedBytes += data.length;
+            reportLoadProgress(onProgress, loadedBytes, totalBytes);
+        };
+
+        interop.BeginDocumentStream(this.id, totalBytes, chunkSize);
+        addChunk(0, firstChunk);
+
+        // Aborting must release .NET readers waiting for data synchronously, before a
+        // superseding load starts its own stream.
+        const abortStream = () => interop.AbortDocumentStream(this.id);
+        signal.addEventListener('abort', abortStream, { once: true });
+
+        const download = (async () => {
+            let nextIndex = 1;
+            while (loadedCount < chunkCount) {
+                signal.throwIfAborted();
+
+                // Chunks .NET is waiting for come first, then the end of the file with the
+                // trailer and cross-reference data, then the rest in order.
+                let index = interop.TakeRequestedDocumentChunk(this.id);
+                if (index < 0) {
+                    if (!loadedChunks[chunkCount - 1]) {
+                        index = chunkCount - 1;
+                    } else {
+                        while (loadedChunks[nextIndex]) {
+                            nextIndex++;
+                        }
+                        index = nextIndex;
+                    }
+                }
+
+                if (!loadedChunks[index]) {
+                    const start = index * chunkSize;
+                    const end = Math.min(totalBytes, start + chunkSize) - 1;
+                    addChunk(index, await fetchDocumentRange(url, start, end, signal));
+                }
+            }
+        })();
+
+        let downloadError = null;
+        const downloaded = download
+            .catch(error => {
+                downloadError = error;
+                if (!signal.aborted) {
+                    interop.AbortDocumentStream(this.id);
+                }
+            })
+            .finally(() => {
+                signal.removeEventListener('abort', abortStream);
+                onDownloadEnd();
+            });
+
+        const code = await this.openWithPassword(password => interop.OpenDocumentStream(this.id, password), options.password, signal);
+        if (code === 'Aborted') {
+            await downloaded;
+            throw downloadError || new Error(`Failed to load document from '${url}'`);
+        }
+        if (code) {
+            throw new PdfDocumentError(code);
+        }
+
+        this.onDocumentChanged();
+        this.requestRender();
+
+        void downloaded.then(() => {
+            if (downloadError && !signal.aborted) {
+                console.error(`Document download from '${url}' failed: ${downloadError?.message || downloadError}`);
+            }
+        });
+    }
+
+    /**
+     * Prints pages through a hidden iframe, see printPages().
+     * @param {number[]} pageNumbers Pages to print, in order.
+     * @param {number} dpi Print resolution in dots per inch.
+     * @param {{signal?: AbortSignal, onProgress?: Function}} options Print options.
+     * @returns {Promise<boolean>} Resolves true once the print dialog was shown.
+     */
+    print(pageNumbers, dpi, options) {
+        return printPages(this, pageNumbers, dpi, options);
+    }
+
+    cancelPrint() {
+        if (this.printController) {
+            this.printController.abort(new DOMException('Printing was superseded', 'AbortError'));
+            this.printController = null;
+        }
+        if (this.printFrame) {
+            this.printFrame.remove();
+            this.printFrame = null;
+        }
+    }
+
+    /**
+     * Renders a page off-screen, with its annotations and rotation, and encodes it as an image.
+     * @param {number} pageNumber 1-based page number.
+     * @param {{scale: number, width: number, format: string, quality: number, background: string}} settings
+     * Image settings as for renderPageToImage(), with `quality` from 0 to 100.
+     * @returns {Promise<{data?: ArrayLike<number>, width?: number, height?: number}>} Encoded image and its size
+     * in pixels; without data if the page could not be rendered.
+     */
+    async renderPageImage(pageNumber, settings) {
+        const result = {};
+        await interop.RenderPageImage(this.id, pageNumber, settings.scale, settings.width, settings.format, settings.quality, settings.background, result);
+        return result;
+    }
+
+    /**
+     * Gets the displayed size of a page, with page and user rotation applied.
+     * @param {number} pageNumber 1-based page number.
+     * @returns {{width: number, height: number}|null} Size in points, null if the document has no such page.
+     */
+    getPageSize(pageNumber) {
+        const sizes = interop.GetPageSizes(this.id);
+        const index = (pageNumber - 1) * 2;
+        return index >= 0 && index + 1 < sizes.length ? { width: sizes[index], height: sizes[index + 1] } : null;
+    }
+
+    setSearchMatches(matches) {
+        this.searchMatches = matches;
+        this.state.searchMatchCount = matches.length;
+        this.state.activeMatchIndex = -1;
+        this.requestRender();
+    }
+
+    /**
+     * Makes the match at the given index active and scrolls it to the center of the viewport.
+     * @param {number} index Match index, wrapped around the match count.
+     * @returns {object|null} The active match, or null if there are no matches.
+     */
+    activateMatch(index) {
+        const count = this.searchMatches.length;
+        if (count === 0) {
+            return null;
+        }
+
+        const match = this.searchMatches[((index % count) + count) % count];
+        this.state.activeMatchIndex = match.index;
+
+        if (match.rects.length > 0) {
+            const left = Math.min(...match.rects.map(r => r.left));
+            const top = Math.min(...match.rects.map(r => r.top));
+            const right = Math.max(...match.rects.map(r => r.left + r.width));
+            const bottom = Math.max(...match.rects.map(r => r.top + r.height));
+            this.forcePageRect = { left: left, top: top, width: right - left, height: bottom - top };
+        }
+
+        this.state.forcePageSet = match.pageNumber;
+        this.requestRender();
+        return match;
+    }
+
+    drawOverlay() {
+        const canvas = this.overlayCanvas;
+        if (!canvas) {
+            return;
+        }
+
+        if (canvas.width !== this.state.viewportWidth || canvas.height !== this.state.viewportHeight) {
+            canvas.width = this.state.viewportWidth;
+            canvas.height = this.state.viewportHeight;
+            canvas.style.width = this.state.containerWidth + 'px';
+            canvas.style.height = this.state.containerHeight + 'px';
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (this.searchMatches.length === 0 && this.selectionRects.length === 0 && this.pageDifferences.size === 0) {
+            return;
+        }
+
+        for (const page of this.visiblePages) {
+            const difference = this.pageDifferences.get(page.pageNumber);
+            if (difference) {
+                this.drawPageDifference(ctx, page.matrix, difference);
+            }
+
+            // Canvas 2D order is (a, b, c, d, e, f) = (scaleX, skewY, skewX, scaleY, transX, transY).
+            const m = page.matrix;
+            ctx.setTransform(m[0], m[3], m[1], m[4], m[2], m[5]);
+
+            ctx.fillStyle = TEXT_SELECTION_COLOR;
+            for (const rect of this.selectionRects) {
+                if (rect.pageNumber === page.pageNumber) {
+                    ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+                }
+            }
+
+            for (const match of this.searchMatches) {
+                if (match.pageNumber !== page.pageNumber) {
+                    continue;
+                }
+
+                ctx.fillStyle = match.index === this.state.activeMatchIndex ? SEARCH_ACTIVE_MATCH_COLOR : SEARCH_MATCH_COLOR;
+                for (const rect of match.rects) {
+                    ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+                }
+            }
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    /**
+     * Draws a compare mode difference mask over a page. The mask covers the displayed (rotated) page from
+     * its top-left corner, while the page matrix maps the unrotated page, so the mask is placed over the
+     * bounding box of the transformed page corners.
+     * @param {CanvasRenderingContext2D} ctx Overlay context.
+     * @param {number[]} m Page-to-viewport matrix of the page.
+     * @param {{image: HTMLCanvasElement, width: number, height: number}} difference Mask and displayed page size in points.
+     */
+    drawPageDifference(ctx, m, difference) {
+        const quarterTurn = Math.abs(m[0]) < Math.abs(m[1]);
+        const width = quarterTurn ? difference.height : difference.width;
+        const height = quarterTurn ? difference.width : difference.height;
+
+        const xs = [];
+        const ys = [];
+        for (const [x, y] of [[0, 0], [width, 0], [0, height], [width, height]]) {
+            xs.push(m[0] * x + m[1] * y + m[2]);
+            ys.push(m[3] * x + m[4] * y + m[5]);
+        }
+
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        const pixelsPerPoint = (Math.max(...xs) - left) / difference.width / COMPARE_RENDER_SCALE;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(difference.image, left, top, difference.image.width * pixelsPerPoint, difference.image.height * pixelsPerPoint);
+    }
+
+    onResizeRequested() {
+        const hasHorizontalScrollbar = this.state.scrollWidth > this.state.viewportWidth;
+        const hasVerticalScrollbar = this.state.scrollHeight > this.state.viewportHeight;
+
+        this.scrollHost.style.overflowX = hasHorizontalScrollbar ? 'scroll' : 'hidden';
+        this.scrollHost.style.overflowY = hasVerticalScrollbar ? 'scroll' : 'hidden';
+
+        if (this.state.autoScaleMode !== 'none') {
+            this.autoScalePending = true;
+        }
+
+        this.requestRender();
+    }
+
+    attachEvents() {
+        // Touch panning and pinch-zoom are handled by the panel rather than native scrolling.
+        this.scrollHost.style.touchAction = 'none';
+
+        // Make the panel focusable so it can receive keyboard shortcuts.
+        if (!this.container.hasAttribute('tabindex')) {
+            this.container.tabIndex = 0;
+        }
+
+        this.container.addEventListener('keydown', this.onKeyDown);
+        this.container.addEventListener('copy', this.onCopy);
+        this.container.addEventListener('wheel', this.onWheel, { passive: false });
+        this.scrollHost.addEventListener('scroll', this.onScroll);
+        this.scrollHost.addEventListener('pointerdown', this.onPointerDown);
+        this.scrollHost.addEventListener('dblclick', this.onDoubleClick);
+        this.scrollHost.addEventListener('pointermove', this.onTouchPointerMove);
+        this.scrollHost.addEventListener('pointerup', this.onTouchPointerUp);
+        this.scrollHost.addEventListener('pointercancel', this.onTouchPointerUp);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('pointerup', this.onPointerUp);
+
+        this.resizeObserver = new ResizeObserver(this.onResizeRequested);
+        this.resizeObserver.observe(this.container);
+    }
+
+    detachEvents() {
+        this.container.removeEventListener('keydown', this.onKeyDown);
+        this.container.removeEventListener('copy', this.onCopy);
+        this.container.removeEventListener('wheel', this.onWheel);
+        this.scrollHost.removeEventListener('scroll', this.onScroll);
+        this.scrollHost.removeEventListener('pointerdown', this.onPointerDown);
+        this.scrollHost.removeEventListener('dblclick', this.onDoubleClick);
+        this.scrollHost.removeEventListener('pointermove', this.onTouchPointerMove);
+        this.scrollHost.removeEventListener('pointerup', this.onTouchPointerUp);
+        this.scrollHost.removeEventListener('pointercancel', this.onTouchPointerUp);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('pointerup', this.onPointerUp);
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+
+    async initInterop() {
+        const thumbnailSize = this.configuration.maxThumbnailSize || 400;
+        this.thumbnailCanvas = document.createElement('canvas');
+        this.thumbnailCanvas.classList.add('pdf-thumbnail-canvas');
+        this.thumbnailCanvas.width = thumbnailSize;
+        this.thumbnailCanvas.height = thumbnailSize;
+        this.thumbnailCanvas.style.cssText = 'position:fixed; visibility:hidden; pointer-events:none;';
+        this.container.appendChild(this.thumbnailCanvas);
+
+        // Highlights are drawn on a separate 2D canvas stacked right above the rendering canvas,
+        // so they never end up in the cached page surfaces.
+        this.overlayCanvas = document.createElement('canvas');
+        this.overlayCanvas.classList.add('pdf-panel-overlay');
+        this.overlayCanvas.style.cssText = 'position:absolute; top:0; left:0; pointer-events:none; z-index:1;';
+        this.canvas.after(this.overlayCanvas);
+
+        await interop.RegisterCanvas(this.id, this.configuration);
+    }
+
+    async start() {
+        this.container.style.backgroundColor = this.configuration.backgroundColor;
+        this.attachEvents();
+        await this.initInterop();
+        this.requestRender();
+        console.log(`View '${this.id}' registered successfully`);
+    }
+
+    dispose() {
+        if (this.viewStateSaveTimer !== null) {
+            this.saveViewState();
+        }
+        this.stopInertia();
+        this.detachEvents();
+        this.eventListeners.clear();
+        this.cancelDocumentLoad();
+        this.cancelPrint();
+        this.closeFormFieldEditor(false);
+        if (this.thumbnailSidebar) {
+            this.thumbnailSidebar.dispose();
+            this.thumbnailSidebar = null;
+        }
+        if (this.thumbnailCanvas) {
+            this.thumbnailCanvas.remove();
+            this.thumbnailCanvas = null;
+        }
+        if (this.overlayCanvas) {
+            this.overlayCanvas.remove();
+            this.overlayCanvas = null;
+        }
+    }
+}
+
+/**
+ * Virtualized vertical list of page thumbnails for a panel view. Only items in or near the visible
+ * part of the sidebar exist in the DOM, and their thumbnails are rendered one at a time as they
+ * scroll into view, so the cost does not grow with the page count.
+ */
+class PdfThumbnailSidebar {
+    constructor(view, element) {
+        this.view = view;
+        this.element = element;
+
+        // Displayed page sizes as [width, height] pairs and the top of every item in CSS pixels,
+        // with the total list height as the last entry.
+        this.pageSizes = [];
+        this.offsets = [0];
+        this.thumbnailWidth = 0;
+        this.loaded = false;
+        this.disposed = false;
+        this.documentVersion = 0;
+        this.currentPage = 0;
+
+        // Items in the DOM keyed by page number, rendered thumbnails as canvases in least recently
+        // used order, and pages waiting to be rendered.
+        this.items = new Map();
+        this.cache = new Map();
+        this.renderQueue = [];
+        this.renderingQueue = false;
+        this.updateFrameRequestId = null;
+
+        this.spacer = document.createElement('div');
+        this.spacer.classList.add('pdf-thumbnail-spacer');
+        this.spacer.style.cssText = 'position:relative; width:100%; height:0;';
+        this.element.appendChild(this.spacer);
+        this.element.style.overflowY = 'auto';
+
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onResize = this.onResize.bind(this);
+
+        this.element.addEventListener('scroll', this.scheduleUpdate);
+        this.element.addEventListener('click', this.onClick);
+        this.resizeObserver = new ResizeObserver(this.onResize);
+        this.resizeObserver.observe(this.element);
+    }
+
+    /**
+     * Drops the current pages and thumbnails; the new document is loaded on the next update.
+     */
+    invalidate() {
+        this.loaded = false;
+        this.documentVersion++;
+        this.pageSizes = [];
+        this.offsets = [0];
+        this.currentPage = 0;
+        this.renderQueue = [];
+        this.cache.clear();
+        this.clearItems();
+        this.spacer.style.height = '0px';
+    }
+
+    /**
+     * Synchronizes the sidebar with the view state after a render.
+     */
+    update() {
+        if (!this.loaded && this.view.state.pageCount > 0) {
+            this.load();
+        }
+
+        if (this.loaded && this.view.state.currentPage !== this.currentPage) {
+            this.currentPage = this.view.state.currentPage;
+            this.scrollToPage(this.currentPage);
+            for (const [pageNumber, item] of this.items) {
+                this.applyCurrentStyle(item, pageNumber === this.currentPage);
+            }
+        }
+    }
+
+    load() {
+        const sizes = interop.GetPageSizes(this.view.id);
+        this.pageSizes = [];
+        for (let i = 0; i + 1 < sizes.length; i += 2) {
+            this.pageSizes.push([sizes[i], sizes[i + 1]]);
+        }
+
+        this.loaded = this.pageSizes.length > 0;
+        this.layout();
+    }
+
+    layout() {
+        this.thumbnailWidth = Math.max(1, this.element.clientWidth - THUMBNAIL_PADDING * 2);
+        this.offsets = [0];
+
+        let top = 0;
+        for (const [width, height] of this.pageSizes) {
+            top += THUMBNAIL_PADDING + this.getThumbnailHeight(width, height) + THUMBNAIL_LABEL_HEIGHT;
+            this.offsets.push(top);
+        }
+
+        this.spacer.style.height = (top + THUMBNAIL_PADDING) + 'px';
+        this.clearItems();
+        this.updateItems();
+    }
+
+    getThumbnailHeight(width, height) {
+        return width > 0 ? Math.round(this.thumbnailWidth * height / width) : this.thumbnailWidth;
+    }
+
+    onResize() {
+        if (!this.loaded) {
+            return;
+        }
+
+        const width = Math.max(1, this.element.clientWidth - THUMBNAIL_PADDING * 2);
+        if (width !== this.thumbnailWidth) {
+            this.layout();
+        } else {
+            this.scheduleUpdate();
+        }
+    }
+
+    scheduleUpdate() {
+        if (this.updateFrameRequestId !== null) {
+            return;
+        }
+
+        this.updateFrameRequestId = window.requestAnimationFrame(() => {
+            this.updateFrameRequestId = null;
+            this.updateItems();
+        });
+    }
+
+    /**
+     * Finds the index of the item containing the vertical position.
+     * @param {number} y Position in CSS pixels from the top of the list.
+     * @returns {number} 0-based item index.
+     */
+    findItemIndex(y) {
+        let low = 0;
+        let high = this.pageSizes.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.offsets[middle] <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    updateItems() {
+        if (this.disposed || !this.loaded) {
+            return;
+        }
+
+        const scrollTop = this.element.scrollTop;
+        const first = Math.max(0, this.findItemIndex(scrollTop) - THUMBNAIL_OVERSCAN);
+        const last = Math.min(this.pageSizes.length - 1, this.findItemIndex(scrollTop + this.element.clientHeight) + THUMBNAIL_OVERSCAN);
+
+        for (const pageNumber of [...this.items.keys()]) {
+            if (pageNumber < first + 1 || pageNumber > last + 1) {
+                this.items.get(pageNumber).element.remove();
+                this.items.delete(pageNumber);
+            }
+        }
+
+        for (let index = first; index <= last; index++) {
+            const pageNumber = index + 1;
+            if (!this.items.has(pageNumber)) {
+                this.items.set(pageNumber, this.createItem(pageNumber));
+            }
+        }
+
+        // Pages that scrolled away are dropped; visible ones render top to bottom.
+        this.renderQueue = this.renderQueue.filter(pageNumber => this.items.has(pageNumber));
+        this.renderQueue.sort((a, b) => a - b);
+        void this.processRenderQueue();
+    }
+
+    createItem(pageNumber) {
+        const [width, height] = this.pageSizes[pageNumber - 1];
+        const thumbnailHeight = this.getThumbnailHeight(width, height);
+        const dpr = window.devicePixelRatio || 1;
+
+        const element = document.createElement('div');
+        element.classList.add('pdf-thumbnail-item');
+        element.dataset.pageNumber = String(pageNumber);
+        element.title = `Page ${pageNumber}`;
+        element.style.cssText = `position:absolute; left:${THUMBNAIL_PADDING}px; top:${this.offsets[pageNumber - 1] + THUMBNAIL_PADDING}px; `
+            + `width:${this.thumbnailWidth}px; cursor:pointer;`;
+
+        const canvas = document.createElement('canvas');
+        canvas.classList.add('pdf-thumbnail-image');
+        canvas.width = Math.max(1, Math.round(this.thumbnailWidth * dpr));
+        canvas.height = Math.max(1, Math.round(thumbnailHeight * dpr));
+        canvas.style.cssText = `display:block; width:${this.thumbnailWidth}px; height:${thumbnailHeight}px; background:#fff; `
+            + 'box-shadow:0 1px 3px rgba(0, 0, 0, 0.3);';
+
+        const label = document.createElement('div');
+        label.classList.add('pdf-thumbnail-label');
+        label.textContent = String(pageNumber);
+        label.style.cssText = `height:${THUMBNAIL_LABEL_HEIGHT}px; line-height:${THUMBNAIL_LABEL_HEIGHT}px; text-align:center; font-size:12px;`;
+
+        element.append(canvas, label);
+        this.spacer.appendChild(element);
+
+        const item = { element: element, canvas: canvas };
+        this.applyCurrentStyle(item, pageNumber === this.currentPage);
+
+        const thumbnail = this.cache.get(pageNumber);
+        if (thumbnail) {
+            this.cache.delete(pageNumber);
+            this.cache.set(pageNumber, thumbnail);
+            this.drawThumbnail(item, thumbnail);
+        } else {
+            if (!this.renderQueue.includes(pageNumber)) {
+                this.renderQueue.push(pageNumber);
+            }
+        }
+
+        return item;
+    }
+
+    applyCurrentStyle(item, isCurrent) {
+        item.element.classList.toggle('pdf-thumbnail-item-current', isCurrent);
+        item.canvas.style.outline = isCurrent ? `3px solid ${THUMBNAIL_CURRENT_COLOR}` : '';
+    }
+
+    drawThumbnail(item, thumbnail) {
+        const ctx = item.canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, item.canvas.width, item.canvas.height);
+        ctx.drawImage(thumbnail, 0, 0, item.canvas.width, item.canvas.height);
+    }
+
+    async processRenderQueue() {
+        if (this.renderingQueue) {
+            return;
+        }
+        this.renderingQueue = true;
+
+        try {
+            while (!this.disposed && this.renderQueue.length > 0) {
+                const pageNumber = this.renderQueue.shift();
+                if (!this.items.has(pageNumber) || this.cache.has(pageNumber)) {
+                    continue;
+                }
+
+                const [width, height] = this.pageSizes[pageNumber - 1];
+                const dpr = window.devicePixelRatio || 1;
+                const displaySize = Math.max(this.thumbnailWidth, this.getThumbnailHeight(width, height));
+                const maxSize = Math.min(this.view.configuration.maxThumbnailSize || 400, Math.ceil(displaySize * dpr));
+
+                const documentVersion = this.documentVersion;
+                const result = {};
+                await interop.RenderThumbnail(this.view.id, pageNumber, maxSize, result);
+
+                if (this.disposed || documentVersion !== this.documentVersion || !result.pixels) {
+                    continue;
+                }
+
+                const thumbnail = document.createElement('canvas');
+                thumbnail.width = result.width;
+                thumbnail.height = result.height;
+                thumbnail.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(result.pixels), result.width, result.height), 0, 0);
+
+                this.cache.set(pageNumber, thumbnail);
+                if (this.cache.size > THUMBNAIL_CACHE_SIZE) {
+                    this.cache.delete(this.cache.keys().next().value);
+                }
+
+                const item = this.items.get(pageNumber);
+                if (item) {
+                    this.drawThumbnail(item, thumbnail);
+                }
+            }
+        } finally {
+            this.renderingQueue = false;
+        }
+    }
+
+    /**
+     * Scrolls the sidebar just enough to show the item of the page.
+     * @param {number} pageNumber 1-based page number.
+     */
+    scrollToPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.pageSizes.length) {
+            return;
+        }
+
+        const top = this.offsets[pageNumber - 1];
+        const bottom = this.offsets[pageNumber] + THUMBNAIL_PADDING;
+        const viewTop = this.element.scrollTop;
+        const viewBottom = viewTop + this.element.clientHeight;
+
+        if (top < viewTop) {
+            this.element.scrollTop = top;
+        } else if (bottom > viewBottom) {
+            this.element.scrollTop = bottom - this.element.clientHeight;
+        }
+    }
+
+    onClick(e) {
+        const itemElement = e.target.closest('.pdf-thumbnail-item');
+        if (!itemElement || !this.spacer.contains(itemElement)) {
+            return;
+        }
+
+        setPage(this.view.id, Number(itemElement.dataset.pageNumber));
+    }
+
+    clearItems() {
+        for (const item of this.items.values()) {
+            item.element.remove();
+        }
+        this.items.clear();
+    }
+
+    dispose() {
+        this.disposed = true;
+        if (this.updateFrameRequestId !== null) {
+            window.cancelAnimationFrame(this.updateFrameRequestId);
+            this.updateFrameRequestId = null;
+        }
+        this.element.removeEventListener('scroll', this.scheduleUpdate);
+        this.element.removeEventListener('click', this.onClick);
+        this.resizeObserver.disconnect();
+        this.clearItems();
+        this.cache.clear();
+        this.spacer.remove();
+    }
+}
+
+/**
+ * Calls a load progress callback if one was given.
+ * @param {Function|undefined} onProgress Progress callback.
+ * @param {number} loadedBytes Bytes received so far.
+ * @param {number|null} totalBytes Document size, null if unknown.
+ */
+function reportLoadProgress(onProgress, loadedBytes, totalBytes) {
+    if (typeof onProgress === 'function') {
+        onProgress({ loadedBytes: loadedBytes, totalBytes: totalBytes });
+    }
+}
+
+/**
+ * Reads the total length from a `Content-Range: bytes start-end/length` header.
+ * @param {string|null} header Header value.
+ * @returns {number|null} Total length, null if it is missing or unknown.
+ */
+function parseContentRangeLength(header) {
+    const match = header ? /\/(\d+)\s*$/.exec(header) : null;
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Fetches an inclusive byte range of a document.
+ * @param {string} url Document URL.
+ * @param {number} start First byte.
+ * @param {number} end Last byte.
+ * @param {AbortSignal} signal Abort signal.
+ * @returns {Promise<Uint8Array>} Range bytes.
+ */
+async function fetchDocumentRange(url, start, end, signal) {
+    const response = await fetch(url, { headers: { Range: `bytes=${start}-${end}` }, signal: signal });
+    if (response.status !== 206) {
+        throw new Error(`Range request for bytes ${start}-${end} of '${url}' failed: HTTP ${response.status}`);
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.length !== end - start + 1) {
+        throw new Error(`Unexpected range response length ${data.length} for bytes ${start}-${end} of '${url}'`);
+    }
+
+    return data;
+}
+
+/**
+ * Reads a whole stream into memory, reporting progress for every received chunk.
+ * @param {ReadableStream<Uint8Array>} stream Stream to read.
+ * @param {number|null} totalBytes Expected size, null if unknown.
+ * @param {AbortSignal} signal Abort signal; cancels the stream when aborted.
+ * @param {Function|undefined} onProgress Progress callback.
+ * @returns {Promise<Uint8Array>} Stream content.
+ */
+async function readDocumentStream(stream, totalBytes, signal, onProgress) {
+    const reader = stream.getReader();
+    const cancel = () => reader.cancel(signal.reason).catch(() => { });
+    signal.addEventListener('abort', cancel, { once: true });
+
+    try {
+        const chunks = [];
+        let loadedBytes = 0;
+
+        while (true) {
+            signal.throwIfAborted();
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            chunks.push(value);
+            loadedBytes += value.byteLength;
+            reportLoadProgress(onProgress, loadedBytes, totalBytes);
+        }
+        signal.throwIfAborted();
+
+        const data = new Uint8Array(loadedBytes);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+
+        return data;
+    } finally {
+        signal.removeEventListener('abort', cancel);
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Reads an in-memory or streamed document source into a byte array.
+ * @param {Blob|ReadableStream<Uint8Array>|ArrayBuffer|ArrayBufferView} source Document source.
+ * @param {AbortSignal} signal Abort signal.
+ * @param {Function|undefined} onProgress Progress callback.
+ * @returns {Promise<Uint8Array>} Document bytes.
+ */
+async function readDocumentSource(source, signal, onProgress) {
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        const data = source instanceof ArrayBuffer
+            ? new Uint8Array(source)
+            : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+        reportLoadProgress(onProgress, data.length, data.length);
+        return data;
+    }
+    if (source instanceof Blob) {
+        return readDocumentStream(source.stream(), source.size, signal, onProgress);
+    }
+    if (source instanceof ReadableStream) {
+        return readDocumentStream(source, null, signal, onProgress);
+    }
+
+    throw new TypeError('Unsupported document source: expected a URL, Blob, ReadableStream or ArrayBuffer');
+}
+
+/**
+ * Converts the flat `selectionRects` array written by RequestRedraw (5 numbers per line:
+ * page number, left, top, width, height) into rectangles.
+ * @param {number[]} values Flat rectangle array.
+ * @returns {{pageNumber: number, left: number, top: number, width: number, height: number}[]} Selection rectangles in page coordinates.
+ */
+function parseSelectionRects(values) {
+    const rects = [];
+    if (!values) {
+        return rects;
+    }
+
+    for (let i = 0; i + 4 < values.length; i += 5) {
+        rects.push({ pageNumber: values[i], left: values[i + 1], top: values[i + 2], width: values[i + 3], height: values[i + 4] });
+    }
+
+    return rects;
+}
+
+/**
+ * Converts the flat `visiblePages` array written by RequestRedraw (7 numbers per page:
+ * page number followed by scaleX, skewX, transX, skewY, scaleY, transY) into page entries.
+ * @param {number[]} values Flat transform array.
+ * @returns {{pageNumber: number, matrix: number[]}[]} Visible pages with page-to-viewport matrices in device pixels.
+ */
+function parseVisiblePages(values) {
+    const pages = [];
+    if (!values) {
+        return pages;
+    }
+
+    for (let i = 0; i + 6 < values.length; i += 7) {
+        pages.push({ pageNumber: values[i], matrix: Array.from(values.slice(i + 1, i + 7)) });
+    }
+
+    return pages;
+}
+
+/**
+ * Initialize PDF panel interop and bind JS module imports.
+ * @param {(name: string, module: any) => void} setModuleImports Binds a logical module name to an ESM object for [JSImport].
+ * @param {(assemblyName: string) => Promise<any>} getAssemblyExports Retrieves .NET assembly exports.
+ * @returns {Promise<void>} Resolves when interop is ready.
+ */
+export async function initialize(setModuleImports, getAssemblyExports) {
+    const exports = await getAssemblyExports(`PdfPixel.PdfPanel.Web`);
+    const panelInterop = exports.PdfPixel.PdfPanel.Web.PdfPanelInterop;
+
+    setModuleImports('canvasInterop.js', this);
+
+    interop = panelInterop;
+    await interop.Initialize();
+    resolveInitialized();
+
+    console.log('Panel interop initialized');
+}
+
+/**
+ * Wait until initialize() has completed, e.g. before registering panels from code that does not
+ * control the runtime start-up.
+ * @returns {Promise<void>} Resolves once the panel interop is initialized.
+ */
+export function whenInitialized() {
+    return initialized;
+}
+
+/**
+ * Register a PDF panel view bound to a container element.
+ * @param {string} id Unique view id.
+ * @param {HTMLElement} containerElement The `.pdf-panel-*` container element.
+ * @param {object} [configuration] Optional overrides for the view defaults (zoom limits, colors, padding,
+ * `scrollStep`, `keyboardNavigation`, `keyBindings`, `autoScaleMode`, `layout`). With `persistViewState`
+ * the view position is saved to localStorage per document and restored when the document is opened again.
+ * @returns {Promise<boolean>} True if registration succeeded.
+ */
+export async function registerPanel(id, containerElement, configuration) {
+    if (!containerElement) {
+        console.error(`Container element is null or undefined for id '${id}'`);
+        return false;
+    }
+    if (views.has(id)) {
+        console.warn(`View with id '${id}' is already registered`);
+        return false;
+    }
+
+    let view;
+    try {
+        view = new PdfPanelView(id, containerElement, configuration);
+    } catch (err) {
+        console.error(err?.message || String(err));
+        return false;
+    }
+
+    views.set(id, view);
+    await view.start();
+    return true;
+}
+
+/**
  * Unregister and dispose a PDF panel view.
  * @param {string} id View id to unregister.
  * @returns {Promise<boolean>} True if unregistered.
  */
-export async function unregisterPanel(id) {
-    if (!views.has(id)) {
-        console.warn(`Canvas with id '${id}' is not registered`);
+export async function unregisterPanel(id) {
+    if (!views.has(id)) {
+        console.warn(`Canvas with id '${id}' is not registered`);
+        return false;
+    }
+    const view = views.get(id);
+    if (view) {
+        view.panelLink?.dispose();
+        view.dispose();
+    }
+    views.delete(id);
+    console.log(`Canvas '${id}' unregistered successfully`);
+    await interop.UnregisterCanvas(id);
+    return true;
+}
+
+/**
+ * Register font data for a standard PDF font by name.
+ * The name must match a PdfStandardFontName enum value (e.g. "Times", "Helvetica", "Courier").
+ * Must be called before loading documents that use the font.
+ * @param {string} name Standard font name (case-insensitive).
+ * @param {Uint8Array} fontData Raw font file bytes (TTF, OTF, etc.).
+ * @returns {Promise<void>} Resolves when the font is registered. Rejects if the name is not a standard
+ * font name or the data is not a supported font file.
+ */
+export async function setFont(name, fontData) {
+    const error = interop.SetFont(name, fontData);
+    if (error === 'UnknownFont') {
+        throw new Error(`Unknown standard font name '${name}'. Expected one of: ${interop.GetStandardFontNames().join(', ')}`);
+    }
+    if (error) {
+        throw new Error(`Font data for '${name}' is not a supported font file`);
+    }
+}
+
+/**
+ * Register font data under any family name, to substitute fonts that documents use without embedding
+ * them. A family can be registered in several weights and styles; the closest one is used. A family
+ * that is a standard font name (see setFont) also registers the standard font.
+ * Must be called before loading documents that use the font.
+ * @param {{family: string, data: Uint8Array|ArrayBuffer, weight?: number, style?: 'normal'|'italic'|'oblique'}} font
+ * Family name matched against the font names in documents (case-insensitive, e.g. 'MS Mincho' or 'Calibri'),
+ * raw font file bytes, and the CSS weight (default 400) and style (default 'normal') the data provides.
+ * @returns {Promise<void>} Resolves when the font is registered. Rejects on invalid arguments or if the
+ * data is not a supported font file.
+ */
+export async function registerFont(font) {
+    const { family, data, weight = 400, style = 'normal' } = font || {};
+    if (typeof family !== 'string' || family.trim() === '') {
+        throw new TypeError('Font family must be a non-empty string');
+    }
+    if (!(data instanceof Uint8Array) && !(data instanceof ArrayBuffer)) {
+        throw new TypeError(`Font data for '${family}' must be a Uint8Array or ArrayBuffer`);
+    }
+    if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+        throw new RangeError(`Font weight for '${family}' must be an integer from 1 to 1000`);
+    }
+    if (!FONT_STYLES.includes(style)) {
+        throw new RangeError(`Unknown font style '${style}'. Expected one of: ${FONT_STYLES.join(', ')}`);
+    }
+
+    const error = interop.RegisterFont(family.trim(), data instanceof Uint8Array ? data : new Uint8Array(data), weight, style);
+    if (error) {
+        throw new Error(`Font data for '${family}' is not a supported font file`);
+    }
+}
+
+/**
+ * Set the fallback chain: registered families searched in order for text the matched font has no
+ * glyphs for, e.g. CJK or symbol text in documents that do not embed their fonts. Replaces the previous chain.
+ * @param {string[]} families Registered family names, most preferred first; an empty array clears the chain.
+ * @returns {Promise<void>} Resolves when the chain is set. Rejects, leaving the chain unchanged, if a
+ * family is not registered.
+ */
+export async function setFallbackFonts(families) {
+    if (!Array.isArray(families) || families.some(family => typeof family !== 'string')) {
+        throw new TypeError('Fallback fonts must be an array of family names');
+    }
+
+    const unknownFamilies = interop.SetFallbackFonts(families);
+    if (unknownFamilies.length > 0) {
+        throw new Error(`Fallback fonts are not registered: ${unknownFamilies.join(', ')}`);
+    }
+}
+
+/**
+ * Get the family names fonts are registered under, including the display names of standard fonts
+ * (e.g. 'Times New Roman' for 'TimesNewRoman') and the family names from the font files.
+ * @returns {string[]} Family names in alphabetical order.
+ */
+export function getRegisteredFonts() {
+    return interop.GetRegisteredFonts();
+}
+
+/**
+ * Set the PDF document for the specified view.
+ * If the document is encrypted and the password does not open it, the onPasswordRequired callback is
+ * asked for another password; without a callback, or when it gives up, the promise rejects and the
+ * current document stays in place.
+ * @param {string} id View id.
+ * @param {Uint8Array} documentData PDF file bytes.
+ * @param {string} [password] User password of an encrypted document.
+ * @returns {Promise<void>} Resolves when the document is set. Rejects with a PdfDocumentError named
+ * 'PasswordRequired', 'IncorrectPassword', 'CorruptDocument' or 'ViewNotInitialized' when the document
+ * cannot be opened, or an Error if the view was not found.
+ */
+export async function setDocument(id, documentData, password) {
+    const view = views.get(id);
+    if (!view) {
+        throw new Error(`View not found for id '${id}'`);
+    }
+
+    view.cancelDocumentLoad();
+
+    const code = await view.openWithPassword(nextPassword => interop.SetDocument(id, documentData, nextPassword), password);
+    if (code) {
+        const error = new PdfDocumentError(code);
+        view.emit('documenterror', { error: error });
+        throw error;
+    }
+
+    view.onDocumentChanged();
+}
+
+/**
+ * Load a PDF document from a URL, Blob/File, ReadableStream or buffer and show it in the specified view.
+ * URLs are loaded with HTTP Range requests when the server supports them: the document is shown as soon
+ * as its structure is read and pages render while the rest downloads in the background. Other sources
+ * are read completely first. Opening another document or calling setDocument cancels the load.
+ * @param {string} id View id.
+ * @param {string|URL|Blob|ReadableStream<Uint8Array>|ArrayBuffer|ArrayBufferView} source Document source.
+ * @param {{signal?: AbortSignal, onProgress?: (progress: {loadedBytes: number, totalBytes: number|null}) => void,
+ * rangeChunkSize?: number, password?: string}} [options] Cancellation signal, download progress callback (`totalBytes`
+ * is null when the size is unknown), Range request size in bytes (256 KB by default) and user password.
+ * @returns {Promise<boolean>} Resolves true once the document is shown, false if the view was not found.
+ * Rejects with the abort reason when cancelled, a PdfDocumentError when the document cannot be opened
+ * (see setDocument for password handling), or an Error when the source cannot be read.
+ */
+export async function openDocument(id, source, options) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    return view.openDocument(source, options || {});
+}
+
+/**
+ * Request a redraw for the specified view.
+ * @param {string} id View id.
+ * @returns {boolean} True if the view was found and a render was enqueued.
+ */
+export function requestRedraw(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.requestRender();
+    return true;
+}
+
+/**
+ * Navigate to a specific page in the specified view.
+ * Sets forcePageSet on the view state and requests a redraw.
+ * @param {string} id View id.
+ * @param {number} pageNumber 1-based page number to navigate to.
+ * @returns {boolean} True if the view was found and navigation was requested.
+ */
+export function setPage(id, pageNumber) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.state.forcePageSet = pageNumber;
+    view.requestRender();
+    return true;
+}
+
+/**
+ * Subscribe to state change notifications for the specified view.
+ * The callback receives a snapshot of the full view state after every completed render.
+ * Only one callback is kept per view; use on(id, 'statechange', handler) to add more subscribers.
+ * @param {string} id View id.
+ * @param {(state: object) => void} callback Called with the current state snapshot.
+ * @returns {boolean} True if the view was found and the callback was registered.
+ */
+export function setOnStateChanged(id, callback) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.onStateChanged = callback;
+    return true;
+}
+
+/**
+ * @typedef {object} PageChangeEvent
+ * @property {number} pageNumber Current page, 0 when no document is shown.
+ * @property {number} previousPageNumber Page that was current before.
+ * @property {string} pageLabel Label of the current page, empty if the document defines none.
+ * @property {number} pageCount Number of pages in the document.
+ */
+
+/**
+ * @typedef {object} ScaleChangeEvent
+ * @property {number} scale New zoom scale.
+ * @property {number} previousScale Zoom scale before the change.
+ * @property {string} autoScaleMode Active auto-scale mode, 'none' after a manual zoom.
+ */
+
+/**
+ * @typedef {object} ScrollEvent
+ * @property {number} horizontalOffset Horizontal scroll position in device pixels.
+ * @property {number} verticalOffset Vertical scroll position in device pixels.
+ * @property {number} scrollWidth Width of the scrollable content in device pixels.
+ * @property {number} scrollHeight Height of the scrollable content in device pixels.
+ */
+
+/**
+ * @typedef {object} ResizeEvent
+ * @property {number} containerWidth Container width in CSS pixels.
+ * @property {number} containerHeight Container height in CSS pixels.
+ * @property {number} devicePixelScale Device pixels per CSS pixel.
+ */
+
+/**
+ * @typedef {object} DocumentLoadedEvent
+ * @property {number} pageCount Number of pages in the document.
+ */
+
+/**
+ * @typedef {object} DocumentErrorEvent
+ * @property {Error} error A PdfDocumentError when the document cannot be opened, otherwise the read or download error.
+ */
+
+/**
+ * @typedef {object} RenderStartEvent
+ * Emitted for every render, which runs on each animation frame while the view scrolls, zooms or
+ * loads pages. Handlers should be cheap; throttle expensive work such as DOM updates.
+ * @property {number} renderVersion Increasing id of the render.
+ */
+
+/**
+ * @typedef {object} RenderEndEvent
+ * @property {number} renderVersion Id of the render, as in renderstart.
+ * @property {boolean} completed False if the render was superseded by a newer one or failed.
+ * @property {number} duration Render time in milliseconds.
+ */
+
+/**
+ * Subscribe to an event of the specified view. Events and payloads:
+ * - `statechange`: state snapshot as in getState(), after every completed render;
+ * - `pagechange`: PageChangeEvent;
+ * - `scalechange`: ScaleChangeEvent;
+ * - `scroll`: ScrollEvent;
+ * - `resize`: ResizeEvent;
+ * - `documentloaded`: DocumentLoadedEvent, after the first render of a new document;
+ * - `documenterror`: DocumentErrorEvent, when setDocument or openDocument fails (cancelled loads are not reported);
+ * - `renderstart`/`renderend`: RenderStartEvent/RenderEndEvent around every render, up to once per
+ *   animation frame while the view is scrolled or zoomed, so handlers must be cheap.
+ * Change events are emitted after the render that applied the change, before `statechange`.
+ * @param {string} id View id.
+ * @param {string} eventName Event name.
+ * @param {(payload: object) => void} handler Called with the event payload.
+ * @returns {(() => void)|null} Function removing the handler, or null if the view or event was not found.
+ */
+export function on(id, eventName, handler) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+    if (!VIEW_EVENTS.includes(eventName)) {
+        console.error(`Unknown event '${eventName}'. Expected one of: ${VIEW_EVENTS.join(', ')}`);
+        return null;
+    }
+    if (typeof handler !== 'function') {
+        console.error(`Handler for event '${eventName}' is not a function`);
+        return null;
+    }
+    return view.addListener(eventName, handler);
+}
+
+/**
+ * Subscribe to an event of the specified view. Same as on().
+ * @param {string} id View id.
+ * @param {string} eventName Event name.
+ * @param {(payload: object) => void} handler Called with the event payload.
+ * @returns {(() => void)|null} Function removing the handler, or null if the view or event was not found.
+ */
+export function addEventListener(id, eventName, handler) {
+    return on(id, eventName, handler);
+}
+
+/**
+ * Get a snapshot of the current state of the specified view, as last reported by a completed render
+ * plus any changes queued since (e.g. scroll position or auto-scale mode).
+ * @param {string} id View id.
+ * @returns {object|null} State snapshot, or null if the view was not found.
+ */
+export function getState(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+    return view.getStateSnapshot();
+}
+
+/**
+ * Change configuration options of the specified view without registering it again:
+ * `backgroundColor`, `pagesPadding` (sides that are left out keep their values), `minimumPageGap`,
+ * `minZoom`, `maxZoom`, `zoomFactor` and `scrollStep`. The current scale is clamped to new zoom limits
+ * and a sticky auto-scale mode is re-applied. Other options are fixed at registration and are ignored
+ * with a warning.
+ * @param {string} id View id.
+ * @param {object} configuration Options to change.
+ * @returns {boolean} True if the view was found and the options are valid and applied.
+ */
+export function updateConfiguration(id, configuration) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!configuration || typeof configuration !== 'object') {
+        console.error('Configuration must be an object');
+        return false;
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(configuration)) {
+        if (!UPDATABLE_CONFIGURATION_KEYS.includes(key)) {
+            console.warn(`Configuration option '${key}' cannot be changed after registration`);
+            continue;
+        }
+
+        if (key === 'backgroundColor') {
+            if (typeof value !== 'string' || !CSS.supports('color', value)) {
+                console.error(`Invalid backgroundColor '${value}'`);
+                return false;
+            }
+        } else if (key === 'pagesPadding') {
+            const padding = Object.assign({}, view.configuration.pagesPadding, value);
+            if (['left', 'top', 'right', 'bottom'].some(side => !(Number.isFinite(padding[side]) && padding[side] >= 0))) {
+                console.error('pagesPadding values must be non-negative numbers');
+                return false;
+            }
+            changes.pagesPadding = padding;
+            continue;
+        } else if (key === 'minimumPageGap') {
+            if (!(Number.isFinite(value) && value >= 0)) {
+                console.error(`Invalid minimumPageGap '${value}'`);
+                return false;
+            }
+        } else if (key === 'zoomFactor') {
+            // Zooming out multiplies the scale by 1 - zoomFactor.
+            if (!(Number.isFinite(value) && value > 0 && value < 1)) {
+                console.error(`zoomFactor must be between 0 and 1, got '${value}'`);
+                return false;
+            }
+        } else if (!(Number.isFinite(value) && value > 0)) {
+            console.error(`Invalid ${key} '${value}'`);
+            return false;
+        }
+
+        changes[key] = value;
+    }
+
+    const minZoom = changes.minZoom ?? view.configuration.minZoom;
+    const maxZoom = changes.maxZoom ?? view.configuration.maxZoom;
+    if (minZoom > maxZoom) {
+        console.error(`minZoom ${minZoom} is greater than maxZoom ${maxZoom}`);
+        return false;
+    }
+
+    view.updateConfiguration(changes);
+    return true;
+}
+
+/**
+ * Set the zoom scale for the specified view, keeping the viewport center fixed.
+ * Clears any active auto-scale mode.
+ * @param {string} id View id.
+ * @param {number} scale The desired scale factor (e.g. 1.0 = 100%).
+ * @returns {boolean} True if the view was found and the scale was updated.
+ */
+export function setScale(id, scale) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.applyScale(scale, view.state.viewportWidth / 2, view.state.viewportHeight / 2);
+    view.requestRender();
+    return true;
+}
+
+/**
+ * Remap or disable keyboard shortcuts for the specified view.
+ * Combos use the form "Ctrl+Alt+Shift+Key" with the KeyboardEvent key name ("Space" for the space bar);
+ * Shift is only written for named keys such as "Shift+Space". Cmd is treated as Ctrl.
+ * Actions: lineUp, lineDown, lineLeft, lineRight, pageUp, pageDown, pageLeft, pageRight,
+ * firstPage, lastPage, zoomIn, zoomOut, resetZoom, copy, print. Pass null as the action to disable a combo.
+ * Ctrl+P is bound to print by default, which prints the document instead of the web page; disable it to
+ * keep the browser's own print command.
+ * @param {string} id View id.
+ * @param {Object<string, string|null>} bindings Combos to add, replace or disable.
+ * @returns {boolean} True if the view was found and the bindings were updated.
+ */
+export function setKeyBindings(id, bindings) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    Object.assign(view.configuration.keyBindings, bindings);
+    return true;
+}
+
+/**
+ * Set the auto-scale mode for the specified view.
+ * The mode is re-applied whenever the container resizes or a document is set, and is cleared
+ * by any manual zoom. The active mode is reported as `autoScaleMode` in state snapshots.
+ * @param {string} id View id.
+ * @param {'none'|'fitWidth'|'fitPage'|'fitHeight'} mode Auto-scale mode.
+ * @returns {boolean} True if the view was found and the mode was applied.
+ */
+export function setAutoScaleMode(id, mode) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!AUTO_SCALE_MODES.includes(mode)) {
+        console.error(`Unknown auto-scale mode '${mode}'. Expected one of: ${AUTO_SCALE_MODES.join(', ')}`);
+        return false;
+    }
+    view.setAutoScaleMode(mode);
+    view.requestRender();
+    return true;
+}
+
+/**
+ * Set the page layout of the specified view. The current page stays in view across the switch and
+ * a sticky auto-scale mode is re-applied. The active layout is reported as `layout` in state snapshots.
+ * In 'singlePage' layout one page is shown at a time; scrolling the wheel past its top or bottom
+ * edge moves to the adjacent page.
+ * @param {string} id View id.
+ * @param {'vertical'|'horizontal'|'spread'|'spreadWithCover'|'singlePage'} layout Page layout.
+ * @returns {boolean} True if the view was found and the layout was applied.
+ */
+export function setLayout(id, layout) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!LAYOUT_MODES.includes(layout)) {
+        console.error(`Unknown layout '${layout}'. Expected one of: ${LAYOUT_MODES.join(', ')}`);
+        return false;
+    }
+    view.setLayout(layout);
+    return true;
+}
+
+/**
+ * Get the position of the specified view, as of the last completed render.
+ * @param {string} id View id.
+ * @returns {{pageNumber: number, left: number, top: number, scale: number, autoScaleMode: string}|null}
+ * Current page, the point of it at the top-left corner of the viewport in PDF coordinates
+ * (points, bottom-left origin, unrotated), scale and auto-scale mode; null if the view was not
+ * found or shows no document.
+ */
+export function getViewState(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+    return view.getViewState();
+}
+
+/**
+ * Restore a position obtained from getViewState(). An auto-scale mode other than 'none' is applied
+ * instead of the scale; `left` and `top` are optional and leave the viewport at the page edge when omitted.
+ * @param {string} id View id.
+ * @param {{pageNumber: number, left?: number, top?: number, scale?: number, autoScaleMode?: string}} snapshot View position.
+ * @returns {boolean} True if the view was found and the position was applied.
+ */
+export function restoreViewState(id, snapshot) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!snapshot || !Number.isInteger(snapshot.pageNumber) || snapshot.pageNumber < 1) {
+        console.error('Invalid view state: pageNumber must be a positive integer');
+        return false;
+    }
+    if (snapshot.scale !== undefined && !(snapshot.scale > 0)) {
+        console.error('Invalid view state: scale must be a positive number');
+        return false;
+    }
+    if (snapshot.autoScaleMode !== undefined && !AUTO_SCALE_MODES.includes(snapshot.autoScaleMode)) {
+        console.error(`Unknown auto-scale mode '${snapshot.autoScaleMode}'. Expected one of: ${AUTO_SCALE_MODES.join(', ')}`);
+        return false;
+    }
+    view.restoreViewState(snapshot);
+    return true;
+}
+
+/**
+ * Get the position of the specified view as PDF open parameters for a URL fragment,
+ * e.g. 'page=5&zoom=150,0,200' or 'page=2&view=FitH,300' while an auto-scale mode is active.
+ * @param {string} id View id.
+ * @returns {string|null} Parameters without the leading '#'; null if the view was not found or shows no document.
+ */
+export function getOpenParameters(id) {
+    const snapshot = getViewState(id);
+    return snapshot ? formatOpenParameters(snapshot) : null;
+}
+
+/**
+ * Apply PDF open parameters from a URL fragment to the specified view: `page=N`,
+ * `zoom=scale[,left,top]` with the scale in percent, and `view=Fit`, `view=FitH[,top]` or
+ * `view=FitV[,left]`. Other parameters are ignored.
+ * @param {string} id View id.
+ * @param {string} fragment URL fragment, with or without the leading '#'.
+ * @returns {boolean} True if the view was found and the fragment contained a page or zoom to apply.
+ */
+export function applyOpenParameters(id, fragment) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
         return false;
     }
-    const view = views.get(id);
-    if (view) {
-        view.dispose();
+    const snapshot = parseOpenParameters(fragment ?? '');
+    if (!snapshot) {
+        return false;
     }
-    views.delete(id);
-    console.log(`Canvas '${id}' unregistered successfully`);
-    await interop.UnregisterCanvas(id);
+    view.restoreViewState(snapshot);
     return true;
 }
 
 /**
- * Register font data for a standard PDF font by name.
- * The name must match a PdfStandardFontName enum value (e.g. "Times", "Helvetica", "Courier").
- * Must be called before loading documents that use the font.
- * @param {string} name Standard font name (case-insensitive).
- * @param {Uint8Array} fontData Raw font file bytes (TTF, OTF, etc.).
- * @returns {Promise<void>} Resolves when the font is registered.
+ * Search the document text of the specified view and highlight all matches.
+ * Whitespace in the query matches any whitespace, including line breaks. Results replace the
+ * previous search; use nextMatch/prevMatch to move between them.
+ * @param {string} id View id.
+ * @param {string} query Text to find; an empty query clears the results.
+ * @param {{caseSensitive?: boolean, wholeWord?: boolean}} [options] Search options.
+ * @returns {Promise<{index: number, pageNumber: number, rects: {left: number, top: number, width: number, height: number}[]}[]>}
+ * Matches in document order. Rectangles are in page coordinates (PDF points, top-left origin, unrotated).
  */
-export async function setFont(name, fontData) {
-    interop.SetFont(name, fontData);
+export async function search(id, query, options) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return [];
+    }
+
+    const result = { pageNumbers: [], rects: [] };
+    if (query && query.trim()) {
+        await interop.Search(id, query, !!options?.caseSensitive, !!options?.wholeWord, result);
+    }
+
+    const matches = Array.from(result.pageNumbers, (pageNumber, index) => ({ index: index, pageNumber: pageNumber, rects: [] }));
+    for (let i = 0; i + 4 < result.rects.length; i += 5) {
+        matches[result.rects[i]].rects.push({
+            left: result.rects[i + 1],
+            top: result.rects[i + 2],
+            width: result.rects[i + 3],
+            height: result.rects[i + 4]
+        });
+    }
+
+    view.setSearchMatches(matches);
+    return matches;
 }
 
 /**
- * Set the PDF document for the specified view.
+ * Activate the next search match and scroll it into the center of the view.
+ * Wraps around to the first match after the last one.
  * @param {string} id View id.
- * @param {Uint8Array} documentData PDF file bytes.
- * @returns {Promise<void>} Resolves when the document is set.
+ * @returns {object|null} The active match, or null if the view was not found or there are no matches.
  */
-export async function setDocument(id, documentData) {
-    await interop.SetDocument(id, documentData);
+export function nextMatch(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+    return view.activateMatch(view.state.activeMatchIndex + 1);
 }
 
 /**
- * Request a redraw for the specified view.
+ * Activate the previous search match and scroll it into the center of the view.
+ * Wraps around to the last match before the first one.
  * @param {string} id View id.
- * @returns {boolean} True if the view was found and a render was enqueued.
+ * @returns {object|null} The active match, or null if the view was not found or there are no matches.
  */
-export function requestRedraw(id) {
+export function prevMatch(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+    const index = view.state.activeMatchIndex < 0 ? -1 : view.state.activeMatchIndex - 1;
+    return view.activateMatch(index);
+}
+
+/**
+ * Clear search results and highlights for the specified view.
+ * @param {string} id View id.
+ * @returns {boolean} True if the view was found and the results were cleared.
+ */
+export function clearSearch(id) {
     const view = views.get(id);
     if (!view) {
         console.error(`View not found for id '${id}'`);
         return false;
     }
-    view.requestRender();
+    view.setSearchMatches([]);
     return true;
 }
 
 /**
- * Navigate to a specific page in the specified view.
- * Sets forcePageSet on the view state and requests a redraw.
+ * Get the text currently selected in the specified view.
+ * Text is selected by dragging with the mouse or double-clicking a word.
  * @param {string} id View id.
- * @param {number} pageNumber 1-based page number to navigate to.
+ * @returns {string} Selected text, empty if nothing is selected or the view was not found.
+ */
+export function getSelectedText(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return '';
+    }
+    return view.selectedText;
+}
+
+/**
+ * Clear the text selection in the specified view.
+ * @param {string} id View id.
+ * @returns {boolean} True if the view was found and the selection was cleared.
+ */
+export function clearSelection(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.clearSelection();
+    return true;
+}
+
+/**
+ * Get the fonts the document of the specified view uses without embedding them, and the registered
+ * fonts they are mapped to. The fonts are read off the UI thread. Fonts of the page resources are
+ * listed unless the page cannot be read yet, e.g. while the document downloads; such pages are
+ * reported in `unresolvedPages` and listed by a later call. Fonts used only inside form XObjects or
+ * annotations are listed once their pages were rendered.
+ * @param {string} id View id.
+ * @returns {Promise<{substitutions: {name: string, weight: number, style: string, substitute: string|null, fallbacks: string[]}[], unresolvedPages: number[]}|null>}
+ * For each font the requested name without subset prefix and style suffixes, requested CSS weight and style,
+ * family of the substitute (null if no font is registered) and the fallback families used for missing glyphs
+ * so far; and the pages whose fonts could not be read. Null if the view was not found. Rejects if the fonts
+ * could not be listed.
+ */
+export async function getFontSubstitutions(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+
+    const json = await interop.GetFontSubstitutions(id);
+    if (!json) {
+        throw new Error(`Font substitutions could not be listed for id '${id}'`);
+    }
+    return JSON.parse(json);
+}
+
+/**
+ * Get the document outline (bookmarks) of the specified view.
+ * @param {string} id View id.
+ * @returns {{id: number, title: string, isOpen: boolean,
+ * destination: {pageNumber: number, pageLabel: string, fitType: string, zoom: number|null}|null,
+ * uri: string|null, items: object[]}[]} Top-level outline items with nested `items`; empty if the document has no outline.
+ */
+export function getOutline(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return [];
+    }
+    return JSON.parse(interop.GetOutline(id));
+}
+
+/**
+ * Navigate to the destination of an outline item, honouring the zoom and position it specifies.
+ * @param {string} id View id.
+ * @param {number} itemId Outline item id from getOutline().
  * @returns {boolean} True if the view was found and navigation was requested.
  */
-export function setPage(id, pageNumber) {
+export function navigateToOutlineItem(id, itemId) {
     const view = views.get(id);
     if (!view) {
         console.error(`View not found for id '${id}'`);
         return false;
     }
-    view.state.forcePageSet = pageNumber;
+    if (!Number.isInteger(itemId) || itemId < 0) {
+        console.error(`Invalid outline item id '${itemId}'`);
+        return false;
+    }
+    view.forceOutlineItem = itemId;
     view.requestRender();
     return true;
 }
 
 /**
- * Subscribe to state change notifications for the specified view.
- * The callback receives a snapshot of the full view state after every completed render.
+ * Subscribe to activations of links that leave the document: URI, launch and remote document actions.
+ * The panel never opens these targets itself; the callback decides whether to follow them.
+ * Links to destinations inside the document are navigated to directly.
  * @param {string} id View id.
- * @param {(state: object) => void} callback Called with the current state snapshot.
+ * @param {(link: {type: 'uri'|'launch'|'goToRemote', target: string}) => void} callback Called with the activated link.
  * @returns {boolean} True if the view was found and the callback was registered.
  */
-export function setOnStateChanged(id, callback) {
+export function onLinkActivated(id, callback) {
     const view = views.get(id);
     if (!view) {
         console.error(`View not found for id '${id}'`);
         return false;
     }
-    view.onStateChanged = callback;
+    view.onLinkActivated = callback;
     return true;
 }
 
 /**
- * Set the zoom scale for the specified view, keeping the viewport center fixed.
+ * Render a page off-screen, with its annotations and rotation, and encode it as an image.
+ * The visible viewport and the view state are not affected.
  * @param {string} id View id.
- * @param {number} scale The desired scale factor (e.g. 1.0 = 100%).
- * @returns {boolean} True if the view was found and the scale was updated.
+ * @param {number} pageNumber 1-based page number.
+ * @param {{scale?: number, width?: number, format?: 'png'|'jpeg'|'webp', quality?: number, background?: string}} [options]
+ * `scale` is image pixels per PDF point (1 renders at 72 dpi, the default) and is ignored when `width` in pixels is given;
+ * `quality` from 0 to 1 applies to JPEG and WebP; `background` is a '#RRGGBB' or '#AARRGGBB' color, white by default
+ * ('#00000000' keeps PNG and WebP transparent).
+ * @returns {Promise<Blob|null>} Encoded image, or null if the options are invalid or the page could not be rendered.
  */
-export function setScale(id, scale) {
+export async function renderPageToImage(id, pageNumber, options) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return null;
+    }
+
+    const settings = Object.assign({ scale: 1, width: 0, format: 'png', quality: DEFAULT_IMAGE_QUALITY, background: '#FFFFFF' }, options || {});
+    const mimeType = IMAGE_FORMATS[settings.format];
+    if (!mimeType) {
+        console.error(`Unsupported image format '${settings.format}', expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+        return null;
+    }
+    if (!(settings.scale > 0) && !(settings.width > 0)) {
+        console.error(`Image scale or width must be positive for id '${id}'`);
+        return null;
+    }
+    if (typeof settings.background !== 'string' || !IMAGE_BACKGROUND_PATTERN.test(settings.background)) {
+        console.error(`Invalid image background '${settings.background}', expected '#RRGGBB' or '#AARRGGBB'`);
+        return null;
+    }
+
+    const quality = Math.round(Math.max(0, Math.min(1, settings.quality)) * 100);
+    const result = await view.renderPageImage(pageNumber, {
+        scale: settings.scale, width: Math.round(settings.width || 0), format: settings.format, quality: quality, background: settings.background
+    });
+    if (!result.data) {
+        return null;
+    }
+    return new Blob([new Uint8Array(result.data)], { type: mimeType });
+}
+
+/**
+ * Print pages of the specified view. The pages are rendered off-screen at print resolution into a hidden
+ * iframe, each on a printed page of its own size, and the browser print dialog is opened for it; the
+ * visible viewport is not printed or affected. Starting another print job cancels the previous one.
+ * @param {string} id View id.
+ * @param {{pageRange?: string|number[], dpi?: number, signal?: AbortSignal,
+ * onProgress?: (progress: {renderedPages: number, totalPages: number}) => void}} [options] Pages to print as a
+ * range string such as '1-3, 5, 8-' or an array of page numbers (all pages by default), print resolution
+ * (150 dpi by default), cancellation signal and a callback called after each rendered page.
+ * @returns {Promise<boolean>} Resolves true once the print dialog was shown, false if the view was not found, has no
+ * document or the options are invalid. Rejects with the abort reason when cancelled, or an Error when a page cannot be rendered.
+ */
+export async function print(id, options) {
     const view = views.get(id);
     if (!view) {
         console.error(`View not found for id '${id}'`);
         return false;
     }
-    const clampedScale = Math.max(
-        view.configuration.minZoom,
-        Math.min(view.configuration.maxZoom, scale)
-    );
-    const oldScale = view.state.scale;
-    const centerX = view.state.viewportWidth / 2;
-    const centerY = view.state.viewportHeight / 2;
-    view.state.verticalOffset = (view.state.verticalOffset + centerY) * (clampedScale / oldScale) - centerY;
-    view.state.horizontalOffset = (view.state.horizontalOffset + centerX) * (clampedScale / oldScale) - centerX;
-    view.state.scale = clampedScale;
-    view.requestRender();
+
+    const settings = Object.assign({ pageRange: null, dpi: DEFAULT_PRINT_DPI }, options || {});
+    const pageCount = view.state.pageCount;
+    if (pageCount === 0) {
+        console.error(`No document to print for id '${id}'`);
+        return false;
+    }
+
+    const pageNumbers = settings.pageRange === null || settings.pageRange === undefined
+        ? Array.from({ length: pageCount }, (_, i) => i + 1)
+        : parsePageRange(settings.pageRange, pageCount);
+    if (!pageNumbers) {
+        console.error(`Invalid page range '${settings.pageRange}' for a document with ${pageCount} pages`);
+        return false;
+    }
+    if (!(settings.dpi > 0)) {
+        console.error(`Print resolution must be positive, got '${settings.dpi}'`);
+        return false;
+    }
+
+    return view.print(pageNumbers, settings.dpi, settings);
+}
+
+/**
+ * Rotate a page of the specified view. The rotation adds to the page's current rotation and is reported
+ * per page in `state.pageRotations` (degrees for page n at index n - 1) once applied.
+ * @param {string} id View id.
+ * @param {number} pageNumber 1-based page number.
+ * @param {number} degrees Clockwise rotation in degrees, a multiple of 90; negative values rotate counterclockwise.
+ * @returns {boolean} True if the view was found and the rotation was requested.
+ */
+export function rotatePage(id, pageNumber, degrees) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > view.state.pageCount) {
+        console.error(`Invalid page number '${pageNumber}'`);
+        return false;
+    }
+    if (!Number.isInteger(degrees) || degrees % 90 !== 0) {
+        console.error(`Rotation must be a multiple of 90 degrees, got '${degrees}'`);
+        return false;
+    }
+    view.rotate(pageNumber, degrees);
+    return true;
+}
+
+/**
+ * Rotate all pages of the specified view, adding to each page's current rotation.
+ * @param {string} id View id.
+ * @param {number} degrees Clockwise rotation in degrees, a multiple of 90; negative values rotate counterclockwise.
+ * @returns {boolean} True if the view was found and the rotation was requested.
+ */
+export function rotateAll(id, degrees) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!Number.isInteger(degrees) || degrees % 90 !== 0) {
+        console.error(`Rotation must be a multiple of 90 degrees, got '${degrees}'`);
+        return false;
+    }
+    view.rotate(0, degrees);
+    return true;
+}
+
+/**
+ * Get the values of the interactive form fields of the specified view, keyed by fully qualified field name.
+ * Text fields have string values, checkboxes booleans, radio buttons, combo boxes and single-select list
+ * boxes the selected export value or null, and multi-select list boxes arrays of export values.
+ * Push buttons, signatures and unnamed fields are not included.
+ * @param {string} id View id.
+ * @returns {Object<string, string|boolean|string[]|null>} Field values; empty if the document has no form.
+ */
+export function getFormValues(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return {};
+    }
+    return JSON.parse(interop.GetFormValues(id));
+}
+
+/**
+ * Set values of interactive form fields of the specified view, in the format returned by getFormValues().
+ * A checkbox set to true takes its first export value, and fields not listed keep their values.
+ * Values set this way are not reported through onFormFieldChanged.
+ * @param {string} id View id.
+ * @param {Object<string, string|boolean|string[]|null>} values New values keyed by fully qualified field name.
+ * @returns {string[]} Names of the fields whose value changed.
+ */
+export function setFormValues(id, values) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return [];
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        console.error(`Form values must be an object for id '${id}'`);
+        return [];
+    }
+
+    // A value typed into an open editor would otherwise overwrite the new value when it is committed.
+    view.closeFormFieldEditor(false);
+    const changed = interop.SetFormValues(id, JSON.stringify(values));
+    if (changed.length > 0) {
+        view.requestRender();
+    }
+    return changed;
+}
+
+/**
+ * Subscribe to form field changes made by the user: typing into a text field, picking a choice
+ * or toggling a checkbox or radio button.
+ * @param {string} id View id.
+ * @param {(change: {name: string, value: string|boolean|string[]|null}) => void} callback Called with the
+ * field name and its new value in the format of getFormValues().
+ * @returns {boolean} True if the view was found and the callback was registered.
+ */
+export function onFormFieldChanged(id, callback) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.onFormFieldChanged = callback;
+    return true;
+}
+
+/**
+ * Show a virtualized list of page thumbnails for the specified view inside an element.
+ * Only thumbnails scrolled into view are rendered, at most `maxThumbnailSize` pixels large; the
+ * thumbnail of `state.currentPage` is highlighted with the `pdf-thumbnail-item-current` class and
+ * clicking a thumbnail navigates to its page. Replaces any sidebar already registered for the view.
+ * @param {string} id View id.
+ * @param {HTMLElement} element Scrollable element to fill with thumbnails; it should have a fixed height.
+ * @returns {boolean} True if the view was found and the sidebar was registered.
+ */
+export function registerThumbnailSidebar(id, element) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!element) {
+        console.error(`Sidebar element is null or undefined for id '${id}'`);
+        return false;
+    }
+    if (view.thumbnailSidebar) {
+        view.thumbnailSidebar.dispose();
+    }
+    view.thumbnailSidebar = new PdfThumbnailSidebar(view, element);
+    view.thumbnailSidebar.update();
+    return true;
+}
+
+/**
+ * Remove the thumbnail sidebar of the specified view and release its thumbnails.
+ * @param {string} id View id.
+ * @returns {boolean} True if the view had a sidebar and it was removed.
+ */
+export function unregisterThumbnailSidebar(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!view.thumbnailSidebar) {
+        return false;
+    }
+    view.thumbnailSidebar.dispose();
+    view.thumbnailSidebar = null;
+    return true;
+}
+
+/**
+ * Link views so that they scroll and zoom together, e.g. to show two revisions of a document side by side.
+ * Positions are kept as page coordinates: the linked views show the same point of the same page, or the
+ * last page of a shorter document. Views joining the link, and views that open another document, take
+ * the position of the others. A view can only belong to one link.
+ * @param {string[]} ids Ids of two or more views.
+ * @param {{syncScroll?: boolean, syncZoom?: boolean, syncPage?: boolean, compare?: boolean}} [options]
+ * `syncScroll` keeps the position, `syncZoom` the scale and auto-scale mode, and `syncPage` the current page
+ * when positions are not kept; all are enabled by default. `compare` (two views only) marks the pixels that
+ * differ between the pages of the two documents, as displayed, on the overlay of both views; pages are
+ * compared as they scroll into view.
+ * @returns {(() => void)|null} Function removing the link, or null if the views could not be linked.
+ */
+export function linkPanels(ids, options) {
+    if (!Array.isArray(ids) || ids.length < 2) {
+        console.error('At least two view ids are required to link panels');
+        return null;
+    }
+
+    const linkedViews = [];
+    for (const id of ids) {
+        const view = views.get(id);
+        if (!view) {
+            console.error(`View not found for id '${id}'`);
+            return null;
+        }
+        if (linkedViews.includes(view)) {
+            console.error(`View '${id}' is listed more than once`);
+            return null;
+        }
+        if (view.panelLink) {
+            console.error(`View '${id}' is already linked, unlink it first`);
+            return null;
+        }
+        linkedViews.push(view);
+    }
+
+    const settings = Object.assign({ syncScroll: true, syncZoom: true, syncPage: true, compare: false }, options || {});
+    if (settings.compare && linkedViews.length !== 2) {
+        console.error(`Compare mode needs exactly two views, got ${linkedViews.length}`);
+        return null;
+    }
+
+    const link = new PdfPanelLink(linkedViews, settings);
+    return () => link.dispose();
+}
+
+/**
+ * Remove the link of linkPanels() the specified view belongs to, for all views of the link.
+ * Compare mode differences are cleared from the views.
+ * @param {string} id View id.
+ * @returns {boolean} True if the view was linked and the link was removed.
+ */
+export function unlinkPanels(id) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    if (!view.panelLink) {
+        return false;
+    }
+    view.panelLink.dispose();
+    return true;
+}
+
+/**
+ * Subscribe to password requests for encrypted documents of the specified view.
+ * The callback is called when setDocument or openDocument cannot open a document with the password
+ * given so far; it resolves to the next password to try, or null to give up, which rejects the load
+ * with a PdfDocumentError.
+ * @param {string} id View id.
+ * @param {(request: {reason: 'PasswordRequired'|'IncorrectPassword'}) => (string|null|Promise<string|null>)} callback
+ * Returns the password to try next.
+ * @returns {boolean} True if the view was found and the callback was registered.
+ */
+export function onPasswordRequired(id, callback) {
+    const view = views.get(id);
+    if (!view) {
+        console.error(`View not found for id '${id}'`);
+        return false;
+    }
+    view.onPasswordRequired = callback;
     return true;
 }
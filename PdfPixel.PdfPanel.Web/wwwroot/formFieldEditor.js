@@ -0,0 +1,199 @@
+// Form field editors laid over text and choice widgets.
+const FORM_FIELD_EDITOR_BORDER_COLOR = 'rgb(0, 120, 215)';
+const FORM_FIELD_EDITOR_FONT_RATIO = 0.65;
+const FORM_FIELD_EDITOR_MULTILINE_FONT_SIZE = 12;
+const FORM_FIELD_ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Native element laid over a text or choice field widget while it is edited, so typing goes through the
+ * browser, including IME composition. The value is committed when the element loses focus, when a choice
+ * changes or on Enter in a single-line field; Escape discards it. The element follows the widget on every
+ * render and is hidden while the widget page is scrolled out of view.
+ */
+export class PdfFormFieldEditor {
+    constructor(view, field) {
+        this.view = view;
+        this.field = field;
+        this.closed = false;
+        this.datalist = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onChange = this.onChange.bind(this);
+
+        this.element = this.createElement();
+        this.element.classList.add('pdf-form-field-editor');
+        this.element.style.cssText =
+            'position:absolute; z-index:2; box-sizing:border-box; margin:0; padding:0 2px; ' +
+            `border:1px solid ${FORM_FIELD_EDITOR_BORDER_COLOR}; background:white; color:black; font-family:Helvetica, Arial, sans-serif;`;
+        this.element.style.textAlign = FORM_FIELD_ALIGNMENTS[field.quadding] || 'left';
+
+        this.element.addEventListener('keydown', this.onKeyDown);
+        this.element.addEventListener('blur', this.onBlur);
+        this.element.addEventListener('change', this.onChange);
+        view.overlayCanvas.after(this.element);
+    }
+
+    createElement() {
+        const field = this.field;
+
+        if (field.type === 'text') {
+            const element = document.createElement(field.multiline ? 'textarea' : 'input');
+            if (!field.multiline) {
+                element.type = field.password ? 'password' : 'text';
+            } else {
+                element.style.resize = 'none';
+            }
+            if (field.maxLength !== null) {
+                element.maxLength = field.maxLength;
+            }
+            if (field.comb && field.maxLength > 0) {
+                element.style.fontFamily = 'monospace';
+            }
+            element.value = field.value.length > 0 ? field.value[0] : '';
+            return element;
+        }
+
+        // Editable combo boxes accept any text and suggest the options.
+        if (field.type === 'combo' && field.editable) {
+            const element = document.createElement('input');
+            element.type = 'text';
+            this.datalist = document.createElement('datalist');
+            this.datalist.id = `${this.view.id}-form-field-options`;
+            for (const option of field.options) {
+                const item = document.createElement('option');
+                item.value = option.value;
+                item.label = option.label;
+                this.datalist.appendChild(item);
+            }
+            this.view.container.appendChild(this.datalist);
+            element.setAttribute('list', this.datalist.id);
+            element.value = field.value.length > 0 ? field.value[0] : '';
+            return element;
+        }
+
+        const element = document.createElement('select');
+        element.multiple = field.type === 'list' && field.multiSelect;
+        if (field.type === 'list') {
+            element.size = Math.max(2, field.options.length);
+        }
+        for (const option of field.options) {
+            const item = document.createElement('option');
+            item.value = option.value;
+            item.textContent = option.label;
+            item.selected = field.value.includes(option.value);
+            element.appendChild(item);
+        }
+        if (!element.multiple && field.value.length === 0) {
+            element.selectedIndex = -1;
+        }
+        return element;
+    }
+
+    /**
+     * Places the element over the widget using the page transforms of the last render.
+     */
+    position() {
+        const page = this.view.visiblePages.find(p => p.pageNumber === this.field.pageNumber);
+        if (!page) {
+            this.element.style.visibility = 'hidden';
+            return;
+        }
+
+        const m = page.matrix;
+        const rect = this.field.rect;
+        const dps = this.view.state.devicePixelScale || 1;
+        const xs = [];
+        const ys = [];
+        for (const [x, y] of [[rect.left, rect.top], [rect.left + rect.width, rect.top],
+            [rect.left, rect.top + rect.height], [rect.left + rect.width, rect.top + rect.height]]) {
+            xs.push((m[0] * x + m[1] * y + m[2]) / dps);
+            ys.push((m[3] * x + m[4] * y + m[5]) / dps);
+        }
+
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        const width = Math.max(...xs) - left;
+        const height = Math.max(...ys) - top;
+        const pageScale = Math.hypot(m[0], m[3]) / dps;
+        const fontSize = this.field.multiline || this.field.type === 'list'
+            ? FORM_FIELD_EDITOR_MULTILINE_FONT_SIZE * pageScale
+            : height * FORM_FIELD_EDITOR_FONT_RATIO;
+
+        this.element.style.visibility = '';
+        this.element.style.left = left + 'px';
+        this.element.style.top = top + 'px';
+        this.element.style.width = width + 'px';
+        this.element.style.height = height + 'px';
+        this.element.style.fontSize = fontSize + 'px';
+    }
+
+    focus() {
+        this.element.focus({ preventScroll: true });
+        if (typeof this.element.select === 'function' && this.element.tagName !== 'SELECT') {
+            this.element.select();
+        }
+    }
+
+    getValue() {
+        if (this.element.tagName === 'SELECT') {
+            return Array.from(this.element.selectedOptions, option => option.value);
+        }
+        return [this.element.value];
+    }
+
+    onKeyDown(e) {
+        if (e.isComposing) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.view.closeFormFieldEditor(false);
+            this.view.container.focus({ preventScroll: true });
+        } else if (e.key === 'Enter' && this.element.tagName === 'INPUT') {
+            e.preventDefault();
+            this.view.closeFormFieldEditor(true);
+            this.view.container.focus({ preventScroll: true });
+        }
+    }
+
+    onBlur() {
+        if (this.view.formFieldEditor === this) {
+            this.view.closeFormFieldEditor(true);
+        }
+    }
+
+    onChange() {
+        // Text is committed on blur or Enter; choices as soon as they are picked.
+        if (this.element.tagName === 'SELECT' && !this.element.multiple) {
+            this.view.closeFormFieldEditor(true);
+            this.view.container.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Removes the element; called through PdfPanelView.closeFormFieldEditor().
+     * @param {boolean} commit True to write the edited value to the field.
+     */
+    close(commit) {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+
+        this.element.removeEventListener('keydown', this.onKeyDown);
+        this.element.removeEventListener('blur', this.onBlur);
+        this.element.removeEventListener('change', this.onChange);
+        const value = this.getValue();
+        this.element.remove();
+        if (this.datalist) {
+            this.datalist.remove();
+            this.datalist = null;
+        }
+
+        if (commit) {
+            this.view.commitFormFieldValue(this.field.name, value);
+        }
+    }
+}
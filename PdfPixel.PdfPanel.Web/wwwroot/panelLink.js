@@ -0,0 +1,406 @@
+// Distance in pixels at the target scale below which views of linkPanels() count as showing the
+// same position, so rounding of scroll offsets does not start another round of synchronization.
+const LINK_POSITION_TOLERANCE = 1;
+
+// Compare mode of linkPanels(): pages are rendered at this many pixels per PDF point, pixels with a
+// color channel differing by more than the threshold are painted in the difference color (RGBA), and
+// the difference masks of this many pages are kept in memory.
+export const COMPARE_RENDER_SCALE = 1.5;
+const COMPARE_THRESHOLD = 48;
+const COMPARE_DIFFERENCE_COLOR = [255, 0, 80, 150];
+const COMPARE_CACHE_SIZE = 20;
+
+/**
+ * Views of linkPanels() kept at the same scale and position. Positions are synchronized as page
+ * coordinates, so documents with different page sizes stay aligned page by page.
+ *
+ * A change pushed into a view is applied by its next render, whose change events would otherwise be
+ * pushed back to the view they came from, and on to the other views again. The render version each push
+ * requested is remembered and state changes of a view are not propagated until that render completed;
+ * pushes to views already showing the position are skipped as well, which ends any remaining back and forth.
+ *
+ * In compare mode the pages of the two views are rendered off-screen as they scroll into view, one page
+ * at a time, and the pixels that differ are marked on the overlay canvas of both views.
+ */
+export class PdfPanelLink {
+    constructor(linkedViews, options) {
+        this.views = linkedViews;
+        this.options = options;
+        this.disposed = false;
+
+        // State of every view as of its last completed render, which changes are detected against, the
+        // render version of views with a pending push, and views to align to the others once they show a
+        // document: all but the first when linked, and any view that opens another document.
+        this.linkedStates = new Map();
+        this.syncedVersions = new Map();
+        this.pendingAlignments = new Set(linkedViews.slice(1));
+
+        // Difference masks keyed by page number and the rotations of both pages, in least recently added
+        // order, and pages waiting to be compared. The comparison version is increased when a document
+        // changes, so outdated results are dropped.
+        this.differences = new Map();
+        this.comparisonQueue = [];
+        this.comparing = false;
+        this.comparisonVersion = 0;
+
+        this.unsubscribers = [];
+        for (const view of linkedViews) {
+            view.panelLink = this;
+            this.linkedStates.set(view, this.captureState(view));
+            this.unsubscribers.push(
+                view.addListener('statechange', () => this.onStateChange(view)),
+                view.addListener('documentloaded', () => this.onDocumentLoaded(view)));
+        }
+
+        for (const view of this.pendingAlignments) {
+            view.requestRender();
+        }
+        if (options.compare) {
+            this.updateComparison();
+        }
+    }
+
+    captureState(view) {
+        const state = view.state;
+        return {
+            scale: state.scale,
+            autoScaleMode: state.autoScaleMode,
+            horizontalOffset: state.horizontalOffset,
+            verticalOffset: state.verticalOffset,
+            currentPage: state.currentPage,
+            pageCount: state.pageCount,
+            rotations: state.pageRotations.join(',')
+        };
+    }
+
+    onStateChange(view) {
+        if (this.disposed) {
+            return;
+        }
+
+        const previous = this.linkedStates.get(view);
+        const current = this.captureState(view);
+        this.linkedStates.set(view, current);
+
+        const partner = this.views.find(other => other !== view && other.state.pageCount > 0);
+
+        if (this.syncedVersions.has(view)) {
+            // The view is about to show, or just showed, the position of another view.
+            if (view.renderVersion > this.syncedVersions.get(view)) {
+                this.syncedVersions.delete(view);
+            }
+        } else if (this.pendingAlignments.has(view) && view.state.pageCount > 0 && partner) {
+            this.pendingAlignments.delete(view);
+            this.push(partner, view, { zoom: true, scroll: true, page: true });
+        } else {
+            const zoom = current.scale !== previous.scale || current.autoScaleMode !== previous.autoScaleMode;
+            const changes = {
+                zoom: zoom,
+                scroll: zoom || current.horizontalOffset !== previous.horizontalOffset ||
+                    current.verticalOffset !== previous.verticalOffset || current.pageCount !== previous.pageCount,
+                page: current.currentPage !== previous.currentPage
+            };
+
+            if (changes.scroll || changes.page) {
+                for (const target of this.views) {
+                    if (target !== view) {
+                        this.push(view, target, changes);
+                    }
+                }
+            }
+        }
+
+        if (this.options.compare) {
+            if (current.rotations !== previous.rotations) {
+                this.showDifferences();
+            }
+            this.updateComparison();
+        }
+    }
+
+    /**
+     * Applies changes of a view to another one on its next render, as far as the link options ask for.
+     * @param {PdfPanelView} source View that changed.
+     * @param {PdfPanelView} target View to update.
+     * @param {{zoom: boolean, scroll: boolean, page: boolean}} changes What changed in the source.
+     */
+    push(source, target, changes) {
+        if (source.state.pageCount === 0 || target.state.pageCount === 0) {
+            return;
+        }
+
+        const options = this.options;
+        let pushed = false;
+
+        if (options.syncZoom && changes.zoom) {
+            const mode = source.state.autoScaleMode;
+            const scale = target.clampScale(source.state.scale);
+            if (mode !== 'none') {
+                if (target.state.autoScaleMode !== mode) {
+                    target.setAutoScaleMode(mode);
+                    pushed = true;
+                }
+            } else if (target.state.autoScaleMode !== 'none' || target.state.scale !== scale) {
+                if (options.syncScroll) {
+                    target.state.scale = scale;
+                    target.setAutoScaleMode('none');
+                } else {
+                    target.applyScale(scale, target.state.viewportWidth / 2, target.state.viewportHeight / 2);
+                }
+                pushed = true;
+            }
+        }
+
+        if (options.syncScroll && changes.scroll) {
+            const position = source.getViewState();
+            const targetPosition = target.getViewState();
+            if (position && targetPosition) {
+                const pageNumber = Math.min(position.pageNumber, target.state.pageCount);
+                const tolerance = LINK_POSITION_TOLERANCE / target.state.scale;
+                if (pushed || pageNumber !== targetPosition.pageNumber ||
+                    Math.abs(position.left - targetPosition.left) > tolerance ||
+                    Math.abs(position.top - targetPosition.top) > tolerance) {
+                    target.forcePosition = { pageNumber: pageNumber, left: position.left, top: position.top };
+                    pushed = true;
+                }
+            }
+        } else if (options.syncPage && changes.page) {
+            const pageNumber = Math.min(source.state.currentPage, target.state.pageCount);
+            if (target.state.currentPage !== pageNumber) {
+                target.state.forcePageSet = pageNumber;
+                pushed = true;
+            }
+        }
+
+        if (pushed) {
+            target.requestRender();
+            this.syncedVersions.set(target, target.renderVersion);
+        }
+    }
+
+    onDocumentLoaded(view) {
+        this.pendingAlignments.add(view);
+        this.syncedVersions.delete(view);
+
+        if (this.options.compare) {
+            this.comparisonVersion++;
+            this.comparisonQueue = [];
+            this.differences.clear();
+            this.showDifferences();
+        }
+    }
+
+    getComparisonKey(pageNumber) {
+        return [pageNumber, ...this.views.map(view => view.state.pageRotations[pageNumber - 1] || 0)].join(':');
+    }
+
+    /**
+     * Queues the comparison of the pages visible in either view that were not compared yet.
+     */
+    updateComparison() {
+        if (this.views.some(view => view.state.pageCount === 0)) {
+            return;
+        }
+
+        const pageNumbers = new Set(this.views.flatMap(view => view.visiblePages.map(page => page.pageNumber)));
+        for (const pageNumber of pageNumbers) {
+            const key = this.getComparisonKey(pageNumber);
+            if (!this.differences.has(key) && !this.comparisonQueue.some(item => item.key === key)) {
+                this.comparisonQueue.push({ pageNumber: pageNumber, key: key });
+            }
+        }
+
+        void this.processComparisonQueue();
+    }
+
+    async processComparisonQueue() {
+        if (this.comparing) {
+            return;
+        }
+        this.comparing = true;
+
+        try {
+            while (!this.disposed && this.comparisonQueue.length > 0) {
+                const { pageNumber, key } = this.comparisonQueue.shift();
+                if (this.differences.has(key) || key !== this.getComparisonKey(pageNumber)) {
+                    continue;
+                }
+
+                const comparisonVersion = this.comparisonVersion;
+                let difference;
+                try {
+                    difference = await this.comparePage(pageNumber);
+                } catch (err) {
+                    console.error(`Comparing page ${pageNumber} failed:`, err);
+                    difference = null;
+                }
+
+                if (this.disposed || comparisonVersion !== this.comparisonVersion) {
+                    continue;
+                }
+
+                // Pages that cannot be compared are stored as well, so they are not retried on every render.
+                this.differences.set(key, { pageNumber: pageNumber, pages: difference });
+                if (this.differences.size > COMPARE_CACHE_SIZE) {
+                    this.differences.delete(this.differences.keys().next().value);
+                }
+                this.showDifferences();
+            }
+        } finally {
+            this.comparing = false;
+        }
+    }
+
+    /**
+     * Renders a page of both views and builds the mask of the pixels that differ. A page missing from one
+     * of the documents is compared against a blank page.
+     * @param {number} pageNumber 1-based page number.
+     * @returns {Promise<({image: HTMLCanvasElement, width: number, height: number}|null)[]|null>} Mask and
+     * displayed page size in points for each view, null for a view without the page; null if neither page rendered.
+     */
+    async comparePage(pageNumber) {
+        const images = await Promise.all(this.views.map(view => renderComparisonImage(view, pageNumber)));
+
+        try {
+            const mask = createDifferenceMask(images[0], images[1]);
+            if (!mask) {
+                return null;
+            }
+
+            return this.views.map(view => {
+                if (pageNumber > view.state.pageCount) {
+                    return null;
+                }
+
+                const size = view.getPageSize(pageNumber);
+                return size ? { image: mask, width: size.width, height: size.height } : null;
+            });
+        } finally {
+            for (const image of images) {
+                image?.close();
+            }
+        }
+    }
+
+    /**
+     * Hands the masks matching the current page rotations to the views and redraws their overlays.
+     */
+    showDifferences() {
+        for (const view of this.views) {
+            view.pageDifferences = new Map();
+        }
+
+        for (const [key, difference] of this.differences) {
+            if (!difference.pages || key !== this.getComparisonKey(difference.pageNumber)) {
+                continue;
+            }
+
+            this.views.forEach((view, index) => {
+                if (difference.pages[index]) {
+                    view.pageDifferences.set(difference.pageNumber, difference.pages[index]);
+                }
+            });
+        }
+
+        for (const view of this.views) {
+            view.drawOverlay();
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+        for (const unsubscribe of this.unsubscribers) {
+            unsubscribe();
+        }
+        this.unsubscribers = [];
+        this.comparisonQueue = [];
+        this.differences.clear();
+
+        for (const view of this.views) {
+            view.panelLink = null;
+            if (view.pageDifferences.size > 0) {
+                view.pageDifferences = new Map();
+                view.drawOverlay();
+            }
+        }
+    }
+}
+
+/**
+ * Renders a page of a view for compare mode at COMPARE_RENDER_SCALE.
+ * @param {PdfPanelView} view View to render.
+ * @param {number} pageNumber 1-based page number.
+ * @returns {Promise<ImageBitmap|null>} Rendered page, null if the document has no such page or it could not be rendered.
+ */
+async function renderComparisonImage(view, pageNumber) {
+    if (pageNumber > view.state.pageCount) {
+        return null;
+    }
+
+    const result = await view.renderPageImage(pageNumber, { scale: COMPARE_RENDER_SCALE, width: 0, format: 'png', quality: 100, background: '#FFFFFF' });
+    return result.data ? createImageBitmap(new Blob([new Uint8Array(result.data)], { type: 'image/png' })) : null;
+}
+
+/**
+ * Builds a mask painting the pixels in which two page images differ in COMPARE_DIFFERENCE_COLOR. Both
+ * images are aligned at the top-left corner and areas covered by only one of them are compared against white.
+ * @param {ImageBitmap|null} first First page image.
+ * @param {ImageBitmap|null} second Second page image.
+ * @returns {HTMLCanvasElement|null} Mask as large as both images, null if neither image was given.
+ */
+function createDifferenceMask(first, second) {
+    const width = Math.max(first?.width || 0, second?.width || 0);
+    const height = Math.max(first?.height || 0, second?.height || 0);
+    if (width === 0 || height === 0) {
+        return null;
+    }
+
+    const firstPixels = readComparisonPixels(first, width, height);
+    const secondPixels = readComparisonPixels(second, width, height);
+
+    const mask = document.createElement('canvas');
+    mask.width = width;
+    mask.height = height;
+    const ctx = mask.getContext('2d');
+    const output = ctx.createImageData(width, height);
+    const [red, green, blue, alpha] = COMPARE_DIFFERENCE_COLOR;
+
+    for (let i = 0; i < firstPixels.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(firstPixels[i] - secondPixels[i]),
+            Math.abs(firstPixels[i + 1] - secondPixels[i + 1]),
+            Math.abs(firstPixels[i + 2] - secondPixels[i + 2]));
+
+        if (delta > COMPARE_THRESHOLD) {
+            output.data[i] = red;
+            output.data[i + 1] = green;
+            output.data[i + 2] = blue;
+            output.data[i + 3] = alpha;
+        }
+    }
+
+    ctx.putImageData(output, 0, 0);
+    return mask;
+}
+
+/**
+ * Reads the pixels of an image drawn on white at the top-left corner of an area.
+ * @param {ImageBitmap|null} image Image to read, or null for a blank area.
+ * @param {number} width Area width in pixels.
+ * @param {number} height Area height in pixels.
+ * @returns {Uint8ClampedArray} RGBA pixels of the area.
+ */
+function readComparisonPixels(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    if (image) {
+        ctx.drawImage(image, 0, 0);
+    }
+
+    return ctx.getImageData(0, 0, width, height).data;
+}
@@ -0,0 +1,254 @@
+import * as canvasInterop from './canvasInterop.js';
+
+// Attributes read when the element is connected and applied again when they change.
+const VIEWER_ATTRIBUTES = ['src', 'page', 'scale', 'background-color', 'min-zoom', 'max-zoom'];
+
+// Used for elements without an id, which the panel needs to find its canvases.
+let nextViewerId = 1;
+
+const VIEWER_STYLE = `
+    :host {
+        display: block;
+        position: relative;
+        overflow: hidden;
+        min-height: 150px;
+    }
+
+    :host(:focus:not(:focus-visible)) {
+        outline: none;
+    }
+
+    ::slotted(.pdf-panel-canvas) {
+        display: block;
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: none;
+        z-index: 1;
+    }
+
+    ::slotted(.pdf-panel-scroll-host) {
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        overflow: auto;
+        z-index: 2;
+    }
+`;
+
+/**
+ * `<pdf-pixel-viewer>` element showing a PDF panel without hand-built markup.
+ *
+ * The element registers a panel with its own id when connected and unregisters it when disconnected;
+ * it must be initialized with canvasInterop.initialize() before panels are registered, which the
+ * element waits for. The panel canvas and scroll host are created as children of the element and
+ * projected through a slot of its shadow root, which holds the styles: the .NET side looks the
+ * canvases up with document selectors, which do not reach into shadow trees.
+ *
+ * Attributes:
+ * - `src`: document URL, loaded with canvasInterop.openDocument();
+ * - `page`: page to show;
+ * - `scale`: zoom factor, or an auto-scale mode ('fitWidth', 'fitPage', 'fitHeight');
+ * - `background-color`, `min-zoom`, `max-zoom`: panel configuration, updated live when changed.
+ *
+ * Events of canvasInterop.on() are dispatched on the element as CustomEvents of the same name with
+ * the payload in `detail`, e.g. `pagechange` or `documenterror`. Other canvasInterop exports can be
+ * called with the element id once `statechange` or `documentloaded` was dispatched.
+ */
+export class PdfPixelViewerElement extends HTMLElement {
+    static get observedAttributes() {
+        return VIEWER_ATTRIBUTES;
+    }
+
+    constructor() {
+        super();
+
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `<style>${VIEWER_STYLE}</style><slot></slot>`;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.classList.add('pdf-panel-canvas');
+        this.scrollHost = document.createElement('div');
+        this.scrollHost.classList.add('pdf-panel-scroll-host');
+        const spacer = document.createElement('div');
+        spacer.classList.add('pdf-panel-scroll-spacer');
+        this.scrollHost.appendChild(spacer);
+
+        // Id of the registered panel, null while not registered.
+        this.panelId = null;
+
+        // Incremented on every connect and disconnect so an outdated registration can tell it was superseded.
+        this.connectionVersion = 0;
+
+        // Functions removing the event re-dispatching handlers of the registered panel.
+        this.unsubscribers = [];
+    }
+
+    async connectedCallback() {
+        const connectionVersion = ++this.connectionVersion;
+
+        if (!this.id) {
+            this.id = `pdf-pixel-viewer-${nextViewerId++}`;
+        }
+        if (!this.canvas.isConnected) {
+            this.append(this.canvas, this.scrollHost);
+        }
+
+        await canvasInterop.whenInitialized();
+        if (connectionVersion !== this.connectionVersion) {
+            return;
+        }
+
+        const id = this.id;
+        if (!await canvasInterop.registerPanel(id, this, this.getConfiguration())) {
+            return;
+        }
+        if (connectionVersion !== this.connectionVersion) {
+            await canvasInterop.unregisterPanel(id);
+            return;
+        }
+
+        this.panelId = id;
+        this.unsubscribers = canvasInterop.VIEW_EVENTS.map(eventName =>
+            canvasInterop.on(id, eventName, payload => {
+                this.dispatchEvent(new CustomEvent(eventName, { detail: payload }));
+            }));
+
+        this.applyScale();
+        if (this.hasAttribute('src')) {
+            this.loadDocument();
+        } else {
+            this.applyPage();
+        }
+    }
+
+    disconnectedCallback() {
+        this.connectionVersion++;
+
+        if (this.panelId === null) {
+            return;
+        }
+
+        for (const unsubscribe of this.unsubscribers) {
+            unsubscribe?.();
+        }
+        this.unsubscribers = [];
+
+        const id = this.panelId;
+        this.panelId = null;
+        void canvasInterop.unregisterPanel(id);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.panelId === null || oldValue === newValue) {
+            return;
+        }
+
+        switch (name) {
+            case 'src':
+                this.loadDocument();
+                break;
+            case 'page':
+                this.applyPage();
+                break;
+            case 'scale':
+                this.applyScale();
+                break;
+            default:
+                canvasInterop.updateConfiguration(this.panelId, this.getPanelOptions());
+                break;
+        }
+    }
+
+    /**
+     * Builds the registerPanel() configuration from the attributes that are set.
+     * @returns {object} Configuration overrides.
+     */
+    getConfiguration() {
+        const configuration = this.getPanelOptions();
+
+        const scale = this.getAttribute('scale');
+        if (scale && Number.isNaN(Number(scale))) {
+            configuration.autoScaleMode = scale;
+        }
+
+        return configuration;
+    }
+
+    /**
+     * Reads the configuration attributes that are set, in the form of updateConfiguration().
+     * A removed attribute keeps the value it had.
+     * @returns {object} Configuration options.
+     */
+    getPanelOptions() {
+        const configuration = {};
+
+        const backgroundColor = this.getAttribute('background-color');
+        if (backgroundColor) {
+            configuration.backgroundColor = backgroundColor;
+        }
+
+        const minZoom = parseFloat(this.getAttribute('min-zoom'));
+        if (minZoom > 0) {
+            configuration.minZoom = minZoom;
+        }
+
+        const maxZoom = parseFloat(this.getAttribute('max-zoom'));
+        if (maxZoom > 0) {
+            configuration.maxZoom = maxZoom;
+        }
+
+        return configuration;
+    }
+
+    /**
+     * Loads the document of the `src` attribute, then shows the page of the `page` attribute.
+     * Load failures are reported with the `documenterror` event.
+     */
+    loadDocument() {
+        const id = this.panelId;
+        const src = this.getAttribute('src');
+        if (!src) {
+            return;
+        }
+
+        canvasInterop.openDocument(id, src)
+            .then(opened => {
+                if (opened && this.panelId === id) {
+                    this.applyPage();
+                }
+            })
+            .catch(err => {
+                if (err?.name !== 'AbortError') {
+                    console.error(`Failed to load '${src}' in viewer '${id}':`, err);
+                }
+            });
+    }
+
+    applyPage() {
+        const pageNumber = parseInt(this.getAttribute('page'), 10);
+        if (pageNumber > 0) {
+            canvasInterop.setPage(this.panelId, pageNumber);
+        }
+    }
+
+    applyScale() {
+        const scale = this.getAttribute('scale');
+        if (!scale) {
+            return;
+        }
+
+        const value = Number(scale);
+        if (Number.isNaN(value)) {
+            canvasInterop.setAutoScaleMode(this.panelId, scale);
+        } else if (value > 0) {
+            canvasInterop.setScale(this.panelId, value);
+        }
+    }
+}
+
+if (!customElements.get('pdf-pixel-viewer')) {
+    customElements.define('pdf-pixel-viewer', PdfPixelViewerElement);
+}
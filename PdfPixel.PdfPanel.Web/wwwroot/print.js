@@ -0,0 +1,172 @@
+// Print resolution used when print() is called without a dpi option.
+export const DEFAULT_PRINT_DPI = 150;
+
+// Number of page images decoded at a time while the print document is built.
+const PRINT_DECODE_BATCH_SIZE = 4;
+
+// Milliseconds after which the print frame is removed when the browser never reports afterprint.
+const PRINT_FRAME_REMOVE_DELAY = 60000;
+
+/**
+ * Renders pages of a view off-screen at print resolution into a hidden iframe, one image per printed
+ * page sized with named `@page` rules, and opens the browser print dialog for it. Pages are rendered
+ * one at a time and their images decoded in batches of PRINT_DECODE_BATCH_SIZE, so a long document is
+ * never held decoded in memory at once. The frame is removed on afterprint, after PRINT_FRAME_REMOVE_DELAY
+ * at the latest, or right away when the job fails. The job is tracked by the view's printController and
+ * printFrame, so PdfPanelView.cancelPrint() can stop it.
+ * @param {PdfPanelView} view View to print.
+ * @param {number[]} pageNumbers Pages to print, in order.
+ * @param {number} dpi Print resolution in dots per inch.
+ * @param {{signal?: AbortSignal, onProgress?: Function}} options Print options.
+ * @returns {Promise<boolean>} Resolves true once the print dialog was shown.
+ */
+export async function printPages(view, pageNumbers, dpi, options) {
+    view.cancelPrint();
+
+    const controller = new AbortController();
+    view.printController = controller;
+    const abortFromCaller = () => controller.abort(options.signal.reason);
+    if (options.signal) {
+        if (options.signal.aborted) {
+            abortFromCaller();
+        } else {
+            options.signal.addEventListener('abort', abortFromCaller, { once: true });
+        }
+    }
+    const signal = controller.signal;
+
+    const frame = document.createElement('iframe');
+    frame.classList.add('pdf-panel-print-frame');
+    frame.style.cssText = 'position:fixed; right:0; bottom:0; width:0; height:0; border:0; visibility:hidden;';
+    view.printFrame = frame;
+
+    const imageUrls = [];
+    let removeTimer = 0;
+    const removeFrame = () => {
+        clearTimeout(removeTimer);
+        frame.remove();
+        imageUrls.forEach(url => URL.revokeObjectURL(url));
+        imageUrls.length = 0;
+        if (view.printFrame === frame) {
+            view.printFrame = null;
+        }
+    };
+
+    let printed = false;
+    try {
+        signal.throwIfAborted();
+        await new Promise(resolve => {
+            frame.addEventListener('load', resolve, { once: true });
+            document.body.appendChild(frame);
+        });
+        signal.throwIfAborted();
+
+        const printDocument = frame.contentDocument;
+        const scale = dpi / 72;
+        const sizes = [];
+        const rules = [
+            'html, body { margin: 0; padding: 0; }',
+            'img { display: block; width: 100%; height: 100%; }',
+            '.pdf-print-page { overflow: hidden; break-after: page; }',
+            '.pdf-print-page:last-child { break-after: auto; }'
+        ];
+        let decoding = [];
+
+        for (let i = 0; i < pageNumbers.length; i++) {
+            const pageNumber = pageNumbers[i];
+            signal.throwIfAborted();
+
+            const result = await view.renderPageImage(pageNumber, { scale: scale, width: 0, format: 'png', quality: 100, background: '#FFFFFF' });
+            signal.throwIfAborted();
+            if (!result.data) {
+                throw new Error(`Page ${pageNumber} could not be rendered for printing at ${dpi} dpi`);
+            }
+
+            const url = URL.createObjectURL(new Blob([new Uint8Array(result.data)], { type: 'image/png' }));
+            imageUrls.push(url);
+
+            const width = (result.width / scale).toFixed(2) + 'pt';
+            const height = (result.height / scale).toFixed(2) + 'pt';
+            const size = `${width} ${height}`;
+            let sizeIndex = sizes.indexOf(size);
+            if (sizeIndex < 0) {
+                sizeIndex = sizes.push(size) - 1;
+                rules.push(`@page pdf-page-size-${sizeIndex} { size: ${size}; margin: 0; }`);
+            }
+
+            const container = printDocument.createElement('div');
+            container.className = 'pdf-print-page';
+            container.style.cssText = `page: pdf-page-size-${sizeIndex}; width: ${width}; height: ${height};`;
+            const image = printDocument.createElement('img');
+            image.src = url;
+            container.appendChild(image);
+            printDocument.body.appendChild(container);
+
+            decoding.push(image.decode());
+            if (decoding.length >= PRINT_DECODE_BATCH_SIZE || i === pageNumbers.length - 1) {
+                await Promise.all(decoding);
+                decoding = [];
+                signal.throwIfAborted();
+            }
+
+            if (typeof options.onProgress === 'function') {
+                options.onProgress({ renderedPages: i + 1, totalPages: pageNumbers.length });
+            }
+        }
+
+        // Browsers without named pages print every page at the size of the first one.
+        rules.unshift(`@page { size: ${sizes[0]}; margin: 0; }`);
+
+        const style = printDocument.createElement('style');
+        style.textContent = rules.join('\n');
+        printDocument.head.appendChild(style);
+
+        // print() blocks until the dialog closes in most browsers; others report it with afterprint,
+        // and the timer removes the frame in browsers that report neither.
+        frame.contentWindow.addEventListener('afterprint', removeFrame, { once: true });
+        removeTimer = setTimeout(removeFrame, PRINT_FRAME_REMOVE_DELAY);
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        printed = true;
+        return true;
+    } finally {
+        options.signal?.removeEventListener('abort', abortFromCaller);
+        if (!printed) {
+            removeFrame();
+        }
+        if (view.printController === controller) {
+            view.printController = null;
+        }
+    }
+}
+
+/**
+ * Parses a page range such as '1-3, 5, 8-' into page numbers. An open end runs to the last page.
+ * @param {string|number[]} range Range string or array of page numbers.
+ * @param {number} pageCount Number of pages in the document.
+ * @returns {number[]|null} Page numbers in the given order, null if the range is invalid or out of bounds.
+ */
+export function parsePageRange(range, pageCount) {
+    if (Array.isArray(range)) {
+        return range.length > 0 && range.every(n => Number.isInteger(n) && n >= 1 && n <= pageCount) ? range.slice() : null;
+    }
+
+    const pageNumbers = [];
+    for (const part of String(range).split(',')) {
+        const match = /^\s*(\d+)\s*(?:(-)\s*(\d*)\s*)?$/.exec(part);
+        if (!match) {
+            return null;
+        }
+
+        const first = Number(match[1]);
+        const last = match[2] ? (match[3] ? Number(match[3]) : pageCount) : first;
+        if (first < 1 || last > pageCount || first > last) {
+            return null;
+        }
+
+        for (let n = first; n <= last; n++) {
+            pageNumbers.push(n);
+        }
+    }
+    return pageNumbers;
+}
@@ -0,0 +1,106 @@
+// View positions saved per document fingerprint when persistViewState is enabled, most recent first.
+const VIEW_HISTORY_KEY = 'pdf-pixel-view-history';
+const VIEW_HISTORY_SIZE = 50;
+
+// PDF open parameter `view` values and the auto-scale modes they correspond to.
+const OPEN_PARAMETER_VIEWS = { Fit: 'fitPage', FitH: 'fitWidth', FitV: 'fitHeight' };
+
+/**
+ * Reads the saved view positions, most recent first.
+ * @returns {object[]} View state snapshots with a `fingerprint` property; empty if storage is unavailable.
+ */
+export function readViewHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(VIEW_HISTORY_KEY) || '[]');
+        return Array.isArray(history) ? history : [];
+    } catch (err) {
+        console.warn('Saved view positions could not be read:', err);
+        return [];
+    }
+}
+
+/**
+ * Saves the view position of a document, keeping the VIEW_HISTORY_SIZE most recent documents.
+ * @param {string} fingerprint Document fingerprint.
+ * @param {object} snapshot View state snapshot.
+ */
+export function writeViewHistory(fingerprint, snapshot) {
+    const history = readViewHistory().filter(entry => entry.fingerprint !== fingerprint);
+    history.unshift({ fingerprint: fingerprint, ...snapshot });
+    try {
+        localStorage.setItem(VIEW_HISTORY_KEY, JSON.stringify(history.slice(0, VIEW_HISTORY_SIZE)));
+    } catch (err) {
+        console.warn('View position could not be saved:', err);
+    }
+}
+
+/**
+ * Parses PDF open parameters such as 'page=5&zoom=150,0,200' or 'page=2&view=FitH,300', with or
+ * without the leading '#'. Supported: `page`, `zoom=scale[,left,top]` (scale in percent) and
+ * `view=Fit|FitH[,top]|FitV[,left]`; other and malformed parameters are ignored, later ones override earlier ones.
+ * @param {string} fragment URL fragment.
+ * @returns {object|null} View state snapshot for restoreViewState(), null if no page or zoom is given.
+ */
+export function parseOpenParameters(fragment) {
+    const snapshot = {};
+
+    for (const part of String(fragment).replace(/^#/, '').split(/[&#]/)) {
+        const separator = part.indexOf('=');
+        if (separator < 0) {
+            continue;
+        }
+
+        let name, values;
+        try {
+            name = decodeURIComponent(part.slice(0, separator)).trim().toLowerCase();
+            values = decodeURIComponent(part.slice(separator + 1)).split(',').map(value => value.trim());
+        } catch (err) {
+            // A malformed escape such as '%E0' only invalidates its own parameter.
+            console.warn(`Open parameter '${part}' is not correctly encoded:`, err);
+            continue;
+        }
+        const numbers = values.map(value => value === '' ? NaN : Number(value));
+        const coordinate = index => Number.isFinite(numbers[index]) ? numbers[index] : undefined;
+
+        if (name === 'page' && Number.isInteger(numbers[0]) && numbers[0] >= 1) {
+            snapshot.pageNumber = numbers[0];
+        } else if (name === 'zoom' && numbers[0] > 0) {
+            snapshot.scale = numbers[0] / 100;
+            snapshot.autoScaleMode = 'none';
+            snapshot.left = coordinate(1);
+            snapshot.top = coordinate(2);
+        } else if (name === 'view' && OPEN_PARAMETER_VIEWS[values[0]]) {
+            snapshot.autoScaleMode = OPEN_PARAMETER_VIEWS[values[0]];
+            snapshot.left = values[0] === 'FitV' ? coordinate(1) : undefined;
+            snapshot.top = values[0] === 'FitH' ? coordinate(1) : undefined;
+        }
+    }
+
+    if (snapshot.pageNumber === undefined && snapshot.autoScaleMode === undefined) {
+        return null;
+    }
+    snapshot.pageNumber ??= 1;
+    return snapshot;
+}
+
+/**
+ * Formats a view state snapshot as PDF open parameters, the reverse of parseOpenParameters().
+ * Coordinates that are not finite numbers are left out; `zoom` gets a position only when both are finite.
+ * @param {object} snapshot View state snapshot.
+ * @returns {string} Parameters without the leading '#'.
+ */
+export function formatOpenParameters(snapshot) {
+    const left = Number.isFinite(snapshot.left) ? `,${Math.round(snapshot.left)}` : '';
+    const top = Number.isFinite(snapshot.top) ? `,${Math.round(snapshot.top)}` : '';
+
+    switch (snapshot.autoScaleMode) {
+        case 'fitPage':
+            return `page=${snapshot.pageNumber}&view=Fit`;
+        case 'fitWidth':
+            return `page=${snapshot.pageNumber}&view=FitH${top}`;
+        case 'fitHeight':
+            return `page=${snapshot.pageNumber}&view=FitV${left}`;
+        default:
+            return `page=${snapshot.pageNumber}&zoom=${Math.round(snapshot.scale * 100)}${left && top ? left + top : ''}`;
+    }
+}
@@ -0,0 +1,239 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Threading;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Read-only seekable stream over a document that is still being downloaded in fixed-size chunks.
+/// Reading a chunk that is not loaded yet registers a request for it and waits until JavaScript delivers it.
+/// Waiting is only allowed on thread pool threads: chunks are delivered through the interop thread,
+/// so reads of missing data on any other thread fail with <see cref="IOException"/> instead of deadlocking.
+/// </summary>
+public sealed class ChunkedDocumentStream : Stream
+{
+    private readonly object _locker = new object();
+    private readonly byte[][] _chunks;
+    private readonly List<int> _requestedChunks = new List<int>();
+    private readonly long _length;
+    private readonly int _chunkSize;
+    private long _position;
+    private bool _isAborted;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ChunkedDocumentStream"/> class with no chunks loaded.
+    /// </summary>
+    /// <param name="length">Total length of the document in bytes.</param>
+    /// <param name="chunkSize">Size of every chunk but the last one in bytes.</param>
+    public ChunkedDocumentStream(long length, int chunkSize)
+    {
+        if (length < 0)
+        {
+            throw new ArgumentOutOfRangeException(nameof(length));
+        }
+        if (chunkSize <= 0)
+        {
+            throw new ArgumentOutOfRangeException(nameof(chunkSize));
+        }
+
+        _length = length;
+        _chunkSize = chunkSize;
+        _chunks = new byte[(int)((length + chunkSize - 1) / chunkSize)][];
+    }
+
+    public override bool CanRead => true;
+
+    public override bool CanSeek => true;
+
+    public override bool CanWrite => false;
+
+    public override long Length => _length;
+
+    public override long Position
+    {
+        get
+        {
+            lock (_locker)
+            {
+                return _position;
+            }
+        }
+        set
+        {
+            if (value < 0)
+            {
+                throw new ArgumentOutOfRangeException(nameof(value));
+            }
+
+            lock (_locker)
+            {
+                _position = value;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Stores a downloaded chunk and wakes up readers waiting for it.
+    /// </summary>
+    /// <param name="index">0-based chunk index.</param>
+    /// <param name="data">Chunk bytes; only the last chunk may be shorter than the chunk size.</param>
+    public void AddChunk(int index, byte[] data)
+    {
+        if (index < 0 || index >= _chunks.Length)
+        {
+            throw new ArgumentOutOfRangeException(nameof(index));
+        }
+
+        long expectedLength = Math.Min(_chunkSize, _length - (long)index * _chunkSize);
+        if (data == null || data.Length != expectedLength)
+        {
+            throw new ArgumentException($"Chunk {index} must be {expectedLength} bytes long.", nameof(data));
+        }
+
+        lock (_locker)
+        {
+            _chunks[index] ??= data;
+            _requestedChunks.Remove(index);
+            Monitor.PulseAll(_locker);
+        }
+    }
+
+    /// <summary>
+    /// Takes the oldest chunk requested by a reader that is still not loaded.
+    /// </summary>
+    /// <returns>0-based chunk index, or -1 if no reader is waiting for data.</returns>
+    public int TakeRequestedChunk()
+    {
+        lock (_locker)
+        {
+            while (_requestedChunks.Count > 0)
+            {
+                int index = _requestedChunks[0];
+                _requestedChunks.RemoveAt(0);
+
+                if (_chunks[index] == null)
+                {
+                    return index;
+                }
+            }
+
+            return -1;
+        }
+    }
+
+    /// <summary>
+    /// Stops waiting for data: current and future reads of missing chunks fail with <see cref="IOException"/>.
+    /// </summary>
+    public void Abort()
+    {
+        lock (_locker)
+        {
+            _isAborted = true;
+            Monitor.PulseAll(_locker);
+        }
+    }
+
+    public override int Read(byte[] buffer, int offset, int count)
+    {
+        if (buffer == null)
+        {
+            throw new ArgumentNullException(nameof(buffer));
+        }
+        if (offset < 0 || count < 0 || count > buffer.Length - offset)
+        {
+            throw new ArgumentOutOfRangeException(offset < 0 ? nameof(offset) : nameof(count));
+        }
+
+        lock (_locker)
+        {
+            int totalRead = 0;
+
+            while (totalRead < count && _position < _length)
+            {
+                int index = (int)(_position / _chunkSize);
+                byte[] chunk = WaitForChunk(index);
+
+                int chunkOffset = (int)(_position - (long)index * _chunkSize);
+                int read = Math.Min(count - totalRead, chunk.Length - chunkOffset);
+                Buffer.BlockCopy(chunk, chunkOffset, buffer, offset + totalRead, read);
+
+                _position += read;
+                totalRead += read;
+            }
+
+            return totalRead;
+        }
+    }
+
+    // The parser reads most tokens byte by byte, so this avoids the buffer the base implementation allocates per call.
+    public override int ReadByte()
+    {
+        lock (_locker)
+        {
+            if (_position >= _length)
+            {
+                return -1;
+            }
+
+            int index = (int)(_position / _chunkSize);
+            byte[] chunk = WaitForChunk(index);
+            byte value = chunk[_position - (long)index * _chunkSize];
+            _position++;
+            return value;
+        }
+    }
+
+    public override long Seek(long offset, SeekOrigin origin)
+    {
+        long position = origin switch
+        {
+            SeekOrigin.Begin => offset,
+            SeekOrigin.Current => Position + offset,
+            SeekOrigin.End => _length + offset,
+            _ => throw new ArgumentOutOfRangeException(nameof(origin))
+        };
+
+        Position = position;
+        return position;
+    }
+
+    public override void Flush()
+    {
+    }
+
+    public override void SetLength(long value)
+    {
+        throw new NotSupportedException();
+    }
+
+    public override void Write(byte[] buffer, int offset, int count)
+    {
+        throw new NotSupportedException();
+    }
+
+    private byte[] WaitForChunk(int index)
+    {
+        while (_chunks[index] == null)
+        {
+            if (_isAborted)
+            {
+                throw new IOException("Document loading was aborted before the data was received.");
+            }
+
+            if (!_requestedChunks.Contains(index))
+            {
+                _requestedChunks.Add(index);
+            }
+
+            if (!Thread.CurrentThread.IsThreadPoolThread)
+            {
+                throw new IOException($"Document data at offset {(long)index * _chunkSize} is not loaded yet.");
+            }
+
+            Monitor.Wait(_locker);
+        }
+
+        return _chunks[index];
+    }
+}
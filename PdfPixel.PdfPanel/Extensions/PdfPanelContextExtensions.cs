@@ -1,4 +1,5 @@
 ﻿using PdfPixel.Annotations.Models;
+using PdfPixel.PdfPanel.Layout;
 using SkiaSharp;
 using System;
 using System.Collections.Generic;
@@ -17,7 +18,7 @@ public static class PdfPanelContextExtensions
     /// Determines the currently centered page in the viewport.
     /// </summary>
     /// <param name="context">The panel context containing pages and viewport information.</param>
-    /// <returns>The page number of the page whose center is closest to the viewport center.</returns>
+    /// <returns>The page number of the page whose center is closest to the viewport center, or the displayed page in single page layout.</returns>
     /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
     public static int GetCurrentPage(this PdfPanelContext context)
     {
@@ -26,6 +27,10 @@ public static class PdfPanelContextExtensions
             throw new ArgumentNullException(nameof(context));
         }
         int pageCount = context.Pages.Count;
+        if (context.Layout is PdfPanelSinglePageLayout singlePageLayout)
+        {
+            return Math.Clamp(singlePageLayout.PageNumber, 1, Math.Max(1, pageCount));
+        }
         float viewportCenterX = context.HorizontalOffset + context.ViewportWidth / 2f;
         float viewportCenterY = context.VerticalOffset + context.ViewportHeight / 2f;
         int closestPageNumber = 1;
@@ -67,11 +72,35 @@ public static class PdfPanelContextExtensions
         var page = context.Pages.FirstOrDefault(p => p.PageNumber == pageNumber);
         if (page != null)
         {
+            EnsurePageInLayout(context, pageNumber);
             context.VerticalOffset = page.Offset.Y - context.MinimumPageGap * context.Scale;
             context.HorizontalOffset = page.Offset.X - context.MinimumPageGap * context.Scale;
         }
     }
 
+    /// <summary>
+    /// Scrolls the viewport so the bottom edge of the specified page is positioned at the bottom of the viewport
+    /// considering the minimum page gap. Used when turning back a page, so reading continues from the page end.
+    /// </summary>
+    /// <param name="context">The panel context containing pages and viewport information.</param>
+    /// <param name="pageNumber">The page number to scroll to.</param>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
+    public static void ScrollToPageBottom(this PdfPanelContext context, int pageNumber)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+        var page = context.Pages.FirstOrDefault(p => p.PageNumber == pageNumber);
+        if (page != null)
+        {
+            EnsurePageInLayout(context, pageNumber);
+            float pageBottom = page.Offset.Y + page.GetRotatedScaledSize(context.Scale).Height;
+            context.VerticalOffset = pageBottom + context.MinimumPageGap * context.Scale - context.ViewportHeight;
+            context.HorizontalOffset = page.Offset.X - context.MinimumPageGap * context.Scale;
+        }
+    }
+
     /// <summary>
     /// Increases the current scale by the specified factor while preserving the viewport offset around the provided center.
     /// </summary>
@@ -147,6 +176,12 @@ public static class PdfPanelContextExtensions
         {
             throw new ArgumentNullException(nameof(context));
         }
+
+        // Only the displayed page matters in single page layout, the others are laid out off-screen.
+        IReadOnlyList<PdfPanelPage> pages = context.Layout is PdfPanelSinglePageLayout && context.Pages.Count > 0
+            ? new[] { context.Pages[context.GetCurrentPage() - 1] }
+            : context.Pages;
+
         switch (mode)
         {
             case PdfPanelAutoScaleMode.NoAutoScale:
@@ -155,18 +190,23 @@ public static class PdfPanelContextExtensions
             }
             case PdfPanelAutoScaleMode.ScaleToWidth:
             {
-                ApplyScaleToPages(context, context.Pages);
+                ApplyScaleToPages(context, pages);
                 break;
             }
             case PdfPanelAutoScaleMode.ScaleToHeight:
             {
-                ApplyScaleToPagesHeight(context, context.Pages);
+                ApplyScaleToPagesHeight(context, pages);
+                break;
+            }
+            case PdfPanelAutoScaleMode.ScaleToPage:
+            {
+                ApplyScaleToWholePages(context, pages);
                 break;
             }
         }
     }
 
-    private static void ApplyScaleToPages(PdfPanelContext context, PdfPanelPageCollection pages)
+    private static void ApplyScaleToPages(PdfPanelContext context, IReadOnlyList<PdfPanelPage> pages)
     {
         if (context == null)
         {
@@ -178,21 +218,7 @@ public static class PdfPanelContextExtensions
             return;
         }
 
-        float minLeft = float.MaxValue;
-        float minTop = float.MaxValue;
-        float maxRight = float.MinValue;
-        float maxBottom = float.MinValue;
-
-        foreach (var page in pages)
-        {
-            var rect = page.GetScaledPageBounds(context.Scale);
-            minLeft = Math.Min(minLeft, rect.Left);
-            minTop = Math.Min(minTop, rect.Top);
-            maxRight = Math.Max(maxRight, rect.Right);
-            maxBottom = Math.Max(maxBottom, rect.Bottom);
-        }
-
-        float contentWidth = Math.Max(0, maxRight - minLeft);
+        float contentWidth = GetContentWidth(context, pages);
         float padding = context.PagesPadding.Left + context.PagesPadding.Right;
         var targetWidth = contentWidth + padding + 1;
         var scale = context.ViewportWidth * context.Scale / targetWidth;
@@ -205,7 +231,7 @@ public static class PdfPanelContextExtensions
         UpdateScalePreserveOffset(context, scale, 0, 0);
     }
 
-    private static void ApplyScaleToPagesHeight(PdfPanelContext context, PdfPanelPageCollection pages)
+    private static void ApplyScaleToPagesHeight(PdfPanelContext context, IReadOnlyList<PdfPanelPage> pages)
     {
         if (context == null)
         {
@@ -237,6 +263,70 @@ public static class PdfPanelContextExtensions
         UpdateScalePreserveOffset(context, scale, 0, 0);
     }
 
+    private static void ApplyScaleToWholePages(PdfPanelContext context, IReadOnlyList<PdfPanelPage> pages)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        if (pages == null || pages.Count == 0)
+        {
+            return;
+        }
+
+        float contentWidth = GetContentWidth(context, pages);
+        float contentHeight = 0;
+
+        foreach (var page in pages)
+        {
+            var rect = page.GetScaledPageBounds(context.Scale);
+            contentHeight = Math.Max(contentHeight, rect.Height);
+        }
+
+        float horizontalPadding = context.PagesPadding.Left + context.PagesPadding.Right;
+        float verticalPadding = context.MinimumPageGap * context.Scale;
+        var widthScale = context.ViewportWidth * context.Scale / (contentWidth + horizontalPadding + 1);
+        var heightScale = context.ViewportHeight * context.Scale / (contentHeight + verticalPadding + 1);
+        var scale = Math.Min(widthScale, heightScale);
+
+        if (Math.Abs(scale - context.Scale) / context.Scale <= ScaleTolerance)
+        {
+            return;
+        }
+
+        UpdateScalePreserveOffset(context, scale, 0, 0);
+    }
+
+    /// <summary>
+    /// Width that has to fit into the viewport: the widest row of pages, or the widest page in horizontal layout.
+    /// </summary>
+    private static float GetContentWidth(PdfPanelContext context, IReadOnlyList<PdfPanelPage> pages)
+    {
+        if (context.Layout is PdfPanelHorizontalLayout)
+        {
+            float maxWidth = 0;
+
+            foreach (var page in pages)
+            {
+                maxWidth = Math.Max(maxWidth, page.GetRotatedScaledSize(context.Scale).Width);
+            }
+
+            return maxWidth;
+        }
+
+        float minLeft = float.MaxValue;
+        float maxRight = float.MinValue;
+
+        foreach (var page in pages)
+        {
+            var rect = page.GetScaledPageBounds(context.Scale);
+            minLeft = Math.Min(minLeft, rect.Left);
+            maxRight = Math.Max(maxRight, rect.Right);
+        }
+
+        return Math.Max(0, maxRight - minLeft);
+    }
 
     /// <summary>
     /// Finds the page at the specified viewport point.
@@ -305,9 +395,14 @@ public static class PdfPanelContextExtensions
             return;
         }
 
+        EnsurePageInLayout(context, targetPage.PageNumber);
+
         if (destination.Zoom.HasValue && destination.Zoom.Value > 0)
         {
             context.Scale = destination.Zoom.Value;
+
+            // Page offsets below must reflect the new scale.
+            context.Update();
         }
 
         SKRect? targetLocation = destination.GetTargetLocation();
@@ -328,4 +423,228 @@ public static class PdfPanelContextExtensions
             context.ScrollToPage(targetPage.PageNumber);
         }
     }
+
+    /// <summary>
+    /// Scrolls so that a point of a page is at the top-left corner of the viewport, as a destination
+    /// with explicit coordinates does. A coordinate that is not specified is taken from the page edge.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <param name="left">Horizontal PDF coordinate, or <see langword="null"/> for the left page edge.</param>
+    /// <param name="top">Vertical PDF coordinate, or <see langword="null"/> for the top page edge.</param>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
+    public static void ScrollToPdfPoint(this PdfPanelContext context, int pageNumber, float? left, float? top)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        if (!context.Pages.TryGetPage(pageNumber, out var targetPage))
+        {
+            return;
+        }
+
+        context.ScrollToPage(pageNumber);
+
+        if (!left.HasValue && !top.HasValue)
+        {
+            return;
+        }
+
+        SKPoint pageLocation = targetPage.FromPdfPoint(new SKPoint(left ?? 0, top ?? targetPage.Info.Height));
+        SKMatrix pageToCanvas = targetPage.ViewportToPageMatrix(context.Scale, 0, 0).Invert();
+        SKPoint canvasLocation = pageToCanvas.MapPoint(pageLocation);
+
+        if (left.HasValue)
+        {
+            context.HorizontalOffset = canvasLocation.X;
+        }
+
+        if (top.HasValue)
+        {
+            context.VerticalOffset = canvasLocation.Y;
+        }
+    }
+
+    /// <summary>
+    /// Scrolls so that the specified page rectangle is centered in the viewport.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="pageNumber">Number of the page containing the rectangle.</param>
+    /// <param name="pageRect">Rectangle in page coordinates (top-left origin, unrotated).</param>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
+    public static void ScrollToPageRectangle(this PdfPanelContext context, int pageNumber, SKRect pageRect)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        if (!context.Pages.TryGetPage(pageNumber, out var targetPage))
+        {
+            return;
+        }
+
+        EnsurePageInLayout(context, pageNumber);
+
+        SKMatrix pageToCanvas = targetPage.ViewportToPageMatrix(context.Scale, 0, 0).Invert();
+        SKRect canvasRect = pageToCanvas.MapRect(pageRect);
+
+        context.HorizontalOffset = canvasRect.MidX - context.ViewportWidth / 2;
+        context.VerticalOffset = canvasRect.MidY - context.ViewportHeight / 2;
+    }
+
+    /// <summary>
+    /// Replaces the page layout and scrolls so that the page that was current before the switch stays current.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="layout">The new layout.</param>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> or <paramref name="layout"/> is <see langword="null"/>.</exception>
+    public static void SetLayout(this PdfPanelContext context, IPdfPanelLayout layout)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        if (layout == null)
+        {
+            throw new ArgumentNullException(nameof(layout));
+        }
+
+        int currentPage = context.GetCurrentPage();
+
+        if (layout is PdfPanelSinglePageLayout singlePageLayout)
+        {
+            singlePageLayout.PageNumber = currentPage;
+        }
+
+        context.Layout = layout;
+        context.Update();
+        context.ScrollToPage(currentPage);
+        context.Update();
+    }
+
+    /// <summary>
+    /// Adds a rotation to the specified pages and updates the layout, keeping the content under the viewport
+    /// center in place. If no page is under the center, the current page is anchored instead.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="pageNumbers">Numbers of the pages to rotate; numbers outside the document are ignored.</param>
+    /// <param name="degrees">Clockwise rotation in degrees, a multiple of 90; negative values rotate counterclockwise.</param>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> or <paramref name="pageNumbers"/> is <see langword="null"/>.</exception>
+    /// <exception cref="ArgumentException">Thrown when <paramref name="degrees"/> is not a multiple of 90.</exception>
+    public static void RotatePages(this PdfPanelContext context, IEnumerable<int> pageNumbers, int degrees)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        if (pageNumbers == null)
+        {
+            throw new ArgumentNullException(nameof(pageNumbers));
+        }
+
+        if (degrees % 90 != 0)
+        {
+            throw new ArgumentException("Rotation must be a multiple of 90 degrees.", nameof(degrees));
+        }
+
+        if (context.Pages.Count == 0)
+        {
+            return;
+        }
+
+        var viewportCenter = new SKPoint(context.ViewportWidth / 2f, context.ViewportHeight / 2f);
+        var anchorPage = context.GetPageAtViewportPoint(viewportCenter) ?? context.Pages[context.GetCurrentPage() - 1];
+        SKPoint anchorPoint = anchorPage.ViewportToPageMatrix(context).MapPoint(viewportCenter);
+
+        foreach (int pageNumber in pageNumbers.Distinct())
+        {
+            if (context.Pages.TryGetPage(pageNumber, out var page))
+            {
+                page.UserRotation = ((page.UserRotation + degrees) % 360 + 360) % 360;
+            }
+        }
+
+        context.Update();
+
+        SKPoint anchorViewportPoint = anchorPage.ViewportToPageMatrix(context).Invert().MapPoint(anchorPoint);
+        context.HorizontalOffset += anchorViewportPoint.X - viewportCenter.X;
+        context.VerticalOffset += anchorViewportPoint.Y - viewportCenter.Y;
+        context.Update();
+    }
+
+    /// <summary>
+    /// Gets the text caret position closest to a viewport point.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="viewportPoint">Point in viewport coordinate space.</param>
+    /// <param name="position">The caret position on the page under the point.</param>
+    /// <returns>True if the point is over a page.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
+    public static bool TryGetTextPositionAt(this PdfPanelContext context, SKPoint viewportPoint, out PdfPanelTextPosition position)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        var page = context.GetPageAtViewportPoint(viewportPoint);
+        if (page == null)
+        {
+            position = default;
+            return false;
+        }
+
+        SKPoint pagePoint = page.ViewportToPageMatrix(context).MapPoint(viewportPoint);
+        int index = context.Pages.GetPageText(page.PageNumber).GetCaretIndexAt(pagePoint);
+        position = new PdfPanelTextPosition(page.PageNumber, index);
+        return true;
+    }
+
+    /// <summary>
+    /// Gets a selection of the word closest to a viewport point.
+    /// </summary>
+    /// <param name="context">The panel context.</param>
+    /// <param name="viewportPoint">Point in viewport coordinate space.</param>
+    /// <returns>The word selection, or <see langword="null"/> if the point is not over a page with text.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is <see langword="null"/>.</exception>
+    public static PdfPanelTextSelection GetWordSelectionAt(this PdfPanelContext context, SKPoint viewportPoint)
+    {
+        if (context == null)
+        {
+            throw new ArgumentNullException(nameof(context));
+        }
+
+        var page = context.GetPageAtViewportPoint(viewportPoint);
+        if (page == null)
+        {
+            return null;
+        }
+
+        SKPoint pagePoint = page.ViewportToPageMatrix(context).MapPoint(viewportPoint);
+        if (!context.Pages.GetPageText(page.PageNumber).TryGetWordRangeAt(pagePoint, out int start, out int length))
+        {
+            return null;
+        }
+
+        return new PdfPanelTextSelection(
+            new PdfPanelTextPosition(page.PageNumber, start),
+            new PdfPanelTextPosition(page.PageNumber, start + length));
+    }
+
+    /// <summary>
+    /// In single page layout, switches the displayed page so that offsets of the specified page are valid.
+    /// </summary>
+    private static void EnsurePageInLayout(PdfPanelContext context, int pageNumber)
+    {
+        if (context.Layout is PdfPanelSinglePageLayout singlePageLayout && singlePageLayout.PageNumber != pageNumber)
+        {
+            singlePageLayout.PageNumber = pageNumber;
+            context.Update();
+        }
+    }
 }
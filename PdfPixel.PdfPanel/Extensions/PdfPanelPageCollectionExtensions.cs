@@ -0,0 +1,172 @@
+﻿using SkiaSharp;
+using System;
+using System.Collections.Generic;
+using System.Text;
+
+namespace PdfPixel.PdfPanel.Extensions;
+
+/// <summary>
+/// Extension methods for <see cref="PdfPanelPageCollection"/>.
+/// </summary>
+public static class PdfPanelPageCollectionExtensions
+{
+    /// <summary>
+    /// Searches the text of all pages for the specified query.
+    /// Whitespace in the query matches any whitespace, including line breaks.
+    /// </summary>
+    /// <param name="pages">The page collection to search.</param>
+    /// <param name="query">Text to find.</param>
+    /// <param name="caseSensitive">Whether letter case must match.</param>
+    /// <param name="wholeWord">Whether matches must not be adjacent to letters or digits.</param>
+    /// <returns>Matches in page and text order.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="pages"/> is <see langword="null"/>.</exception>
+    public static IEnumerable<PdfPanelSearchMatch> Search(this PdfPanelPageCollection pages, string query, bool caseSensitive, bool wholeWord)
+    {
+        if (pages == null)
+        {
+            throw new ArgumentNullException(nameof(pages));
+        }
+
+        string needle = NormalizeWhitespace(query);
+        if (needle.Length == 0)
+        {
+            yield break;
+        }
+
+        var comparison = caseSensitive ? StringComparison.Ordinal : StringComparison.OrdinalIgnoreCase;
+
+        foreach (var page in pages)
+        {
+            foreach (var match in FindMatches(pages.GetPageText(page.PageNumber), needle, comparison, wholeWord))
+            {
+                yield return match;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Finds the non-overlapping occurrences of a normalized query in the text of a page.
+    /// </summary>
+    /// <param name="pageText">Text of the page.</param>
+    /// <param name="needle">Query with whitespace runs collapsed to single spaces.</param>
+    /// <param name="comparison">String comparison to match with.</param>
+    /// <param name="wholeWord">Whether matches must not be adjacent to letters or digits.</param>
+    /// <returns>Matches in text order.</returns>
+    internal static IEnumerable<PdfPanelSearchMatch> FindMatches(PdfPanelPageText pageText, string needle, StringComparison comparison, bool wholeWord)
+    {
+        string haystack = pageText.Text.Replace('\n', ' ');
+        int index = haystack.IndexOf(needle, comparison);
+
+        while (index >= 0)
+        {
+            if (!wholeWord || IsWholeWord(haystack, index, needle.Length))
+            {
+                yield return new PdfPanelSearchMatch(pageText.PageNumber, index, needle.Length, pageText.GetTextBounds(index, needle.Length));
+            }
+
+            index = haystack.IndexOf(needle, index + needle.Length, comparison);
+        }
+    }
+
+    /// <summary>
+    /// Gets the selected text, pages are separated by a new line.
+    /// </summary>
+    /// <param name="pages">The page collection.</param>
+    /// <param name="selection">The text selection.</param>
+    /// <returns>Selected text, empty if nothing is selected.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="pages"/> is <see langword="null"/>.</exception>
+    public static string GetSelectedText(this PdfPanelPageCollection pages, PdfPanelTextSelection selection)
+    {
+        if (pages == null)
+        {
+            throw new ArgumentNullException(nameof(pages));
+        }
+
+        if (selection == null || selection.IsEmpty)
+        {
+            return string.Empty;
+        }
+
+        var builder = new StringBuilder();
+
+        for (int pageNumber = selection.Start.PageNumber; pageNumber <= selection.End.PageNumber; pageNumber++)
+        {
+            string text = pages.GetPageText(pageNumber).Text;
+            GetSelectedRange(selection, pageNumber, text.Length, out int start, out int end);
+
+            if (pageNumber != selection.Start.PageNumber)
+            {
+                builder.Append('\n');
+            }
+
+            builder.Append(text, start, end - start);
+        }
+
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// Gets the bounding rectangles of the selected text on a page, one rectangle per line.
+    /// </summary>
+    /// <param name="pages">The page collection.</param>
+    /// <param name="selection">The text selection.</param>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <returns>Rectangles in page coordinates (top-left origin, unrotated), empty if the page has no selected text.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when <paramref name="pages"/> is <see langword="null"/>.</exception>
+    public static SKRect[] GetSelectionBounds(this PdfPanelPageCollection pages, PdfPanelTextSelection selection, int pageNumber)
+    {
+        if (pages == null)
+        {
+            throw new ArgumentNullException(nameof(pages));
+        }
+
+        if (selection == null || selection.IsEmpty || pageNumber < selection.Start.PageNumber || pageNumber > selection.End.PageNumber)
+        {
+            return Array.Empty<SKRect>();
+        }
+
+        var pageText = pages.GetPageText(pageNumber);
+        GetSelectedRange(selection, pageNumber, pageText.Text.Length, out int start, out int end);
+        return pageText.GetTextBounds(start, end - start);
+    }
+
+    internal static void GetSelectedRange(PdfPanelTextSelection selection, int pageNumber, int textLength, out int start, out int end)
+    {
+        start = pageNumber == selection.Start.PageNumber ? Math.Min(selection.Start.Index, textLength) : 0;
+        end = pageNumber == selection.End.PageNumber ? Math.Min(selection.End.Index, textLength) : textLength;
+        end = Math.Max(start, end);
+    }
+
+    private static bool IsWholeWord(string text, int index, int length)
+    {
+        int end = index + length;
+        bool startsAtBoundary = index == 0 || !char.IsLetterOrDigit(text[index - 1]);
+        bool endsAtBoundary = end >= text.Length || !char.IsLetterOrDigit(text[end]);
+        return startsAtBoundary && endsAtBoundary;
+    }
+
+    internal static string NormalizeWhitespace(string value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return string.Empty;
+        }
+
+        var builder = new StringBuilder(value.Length);
+        bool previousIsWhitespace = false;
+
+        foreach (char c in value.Trim())
+        {
+            bool isWhitespace = char.IsWhiteSpace(c);
+            if (isWhitespace && previousIsWhitespace)
+            {
+                continue;
+            }
+
+            builder.Append(isWhitespace ? ' ' : c);
+            previousIsWhitespace = isWhitespace;
+        }
+
+        return builder.ToString();
+    }
+}
@@ -263,6 +263,24 @@ public static class PdfPanelPageExtensions
             page.Info.Height - pdfPoint.Y);
     }
 
+    /// <summary>
+    /// Converts a point from page coordinates (top-left origin, Y-down) to PDF coordinates (bottom-left origin, Y-up).
+    /// </summary>
+    /// <param name="page">The page.</param>
+    /// <param name="pagePoint">Point in page coordinates.</param>
+    /// <returns>Point in PDF coordinates.</returns>
+    public static SKPoint ToPdfPoint(this PdfPanelPage page, SKPoint pagePoint)
+    {
+        if (page == null)
+        {
+            throw new ArgumentNullException(nameof(page));
+        }
+
+        return new SKPoint(
+            pagePoint.X,
+            page.Info.Height - pagePoint.Y);
+    }
+
     /// <summary>
     /// Converts a rectangle from PDF coordinates (bottom-left origin, Y-up) to page coordinates (top-left origin, Y-down).
     /// </summary>
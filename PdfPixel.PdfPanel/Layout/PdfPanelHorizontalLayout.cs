@@ -0,0 +1,77 @@
+using PdfPixel.PdfPanel.Extensions;
+using SkiaSharp;
+using System;
+
+namespace PdfPixel.PdfPanel.Layout;
+
+/// <summary>
+/// Places pages in a single row from left to right, centered vertically.
+/// </summary>
+public class PdfPanelHorizontalLayout : IPdfPanelLayout
+{
+    public SKSize CalculateDimensions(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float viewportWidth,
+        float viewportHeight)
+    {
+        int pageCount = pages.Count;
+
+        float paddingLeft = pagesPadding.Left;
+        float paddingRight = pagesPadding.Right;
+        float paddingTop = pagesPadding.Top;
+        float paddingBottom = pagesPadding.Bottom;
+        float scaledPageGap = pageGap * scale;
+
+        float maxPageHeightScaled = 0f;
+        float totalWidthScaled = 0f;
+
+        for (int i = 0; i < pageCount; i++)
+        {
+            PdfPanelPage page = pages[i];
+            SKSize rotatedScaledSize = page.GetRotatedScaledSize(scale);
+
+            maxPageHeightScaled = Math.Max(maxPageHeightScaled, rotatedScaledSize.Height);
+            totalWidthScaled += rotatedScaledSize.Width;
+        }
+
+        if (pageCount > 1)
+        {
+            totalWidthScaled += scaledPageGap * (pageCount - 1);
+        }
+
+        float contentHeight = maxPageHeightScaled + paddingTop + paddingBottom;
+        float extentWidth = totalWidthScaled + paddingLeft + paddingRight;
+        float extentHeight = Math.Max(viewportHeight, contentHeight);
+
+        return new SKSize(extentWidth, extentHeight);
+    }
+
+    public void CalculatePageOffsets(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float extentWidth,
+        float extentHeight)
+    {
+        int pageCount = pages.Count;
+        float paddingLeft = pagesPadding.Left;
+        float scaledPageGap = pageGap * scale;
+        float horizontalOffset = paddingLeft;
+
+        for (int i = 0; i < pageCount; i++)
+        {
+            PdfPanelPage page = pages[i];
+            SKSize rotatedScaledSize = page.GetRotatedScaledSize(scale);
+
+            float pageOffsetTop = (extentHeight - rotatedScaledSize.Height) / 2f;
+
+            page.Offset = new SKPoint(horizontalOffset, pageOffsetTop);
+
+            horizontalOffset += rotatedScaledSize.Width + scaledPageGap;
+        }
+    }
+}
@@ -0,0 +1,80 @@
+using PdfPixel.PdfPanel.Extensions;
+using SkiaSharp;
+using System;
+
+namespace PdfPixel.PdfPanel.Layout;
+
+/// <summary>
+/// Shows one page at a time, centered in the viewport.
+/// Other pages are placed outside of the extent so they are never visible.
+/// </summary>
+public class PdfPanelSinglePageLayout : IPdfPanelLayout
+{
+    /// <summary>
+    /// Number of the displayed page. Values outside the document are clamped to the first or last page.
+    /// </summary>
+    public int PageNumber { get; set; } = 1;
+
+    public SKSize CalculateDimensions(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float viewportWidth,
+        float viewportHeight)
+    {
+        if (pages.Count == 0)
+        {
+            return new SKSize(viewportWidth, viewportHeight);
+        }
+
+        SKSize rotatedScaledSize = pages[GetPageIndex(pages)].GetRotatedScaledSize(scale);
+
+        float contentWidth = rotatedScaledSize.Width + pagesPadding.Left + pagesPadding.Right;
+        float contentHeight = rotatedScaledSize.Height + pagesPadding.Top + pagesPadding.Bottom;
+        float extentWidth = Math.Max(viewportWidth, contentWidth);
+        float extentHeight = Math.Max(viewportHeight, contentHeight);
+
+        return new SKSize(extentWidth, extentHeight);
+    }
+
+    public void CalculatePageOffsets(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float extentWidth,
+        float extentHeight)
+    {
+        if (pages.Count == 0)
+        {
+            return;
+        }
+
+        int pageIndex = GetPageIndex(pages);
+        float scaledPageGap = pageGap * scale;
+
+        for (int i = 0; i < pages.Count; i++)
+        {
+            PdfPanelPage page = pages[i];
+            SKSize rotatedScaledSize = page.GetRotatedScaledSize(scale);
+
+            if (i == pageIndex)
+            {
+                float pageOffsetLeft = (extentWidth - rotatedScaledSize.Width) / 2f;
+                float pageOffsetTop = (extentHeight - rotatedScaledSize.Height) / 2f;
+                page.Offset = new SKPoint(pageOffsetLeft, pageOffsetTop);
+            }
+            else
+            {
+                // Left of the extent, where the viewport never reaches.
+                page.Offset = new SKPoint(-rotatedScaledSize.Width - scaledPageGap, 0);
+            }
+        }
+    }
+
+    private int GetPageIndex(PdfPanelPageCollection pages)
+    {
+        return Math.Clamp(PageNumber, 1, pages.Count) - 1;
+    }
+}
@@ -0,0 +1,125 @@
+using PdfPixel.PdfPanel.Extensions;
+using SkiaSharp;
+using System;
+using System.Collections.Generic;
+
+namespace PdfPixel.PdfPanel.Layout;
+
+/// <summary>
+/// Places pages side by side in two-page spreads stacked from top to bottom.
+/// Both pages of a spread meet at a spine in the middle of the extent, like an open book.
+/// </summary>
+public class PdfPanelSpreadLayout : IPdfPanelLayout
+{
+    public PdfPanelSpreadLayout(bool showCoverPage)
+    {
+        ShowCoverPage = showCoverPage;
+    }
+
+    /// <summary>
+    /// When <see langword="true"/>, the first page is shown alone on the right side of the spine
+    /// so that even pages are on the left, as in a printed book.
+    /// </summary>
+    public bool ShowCoverPage { get; }
+
+    public SKSize CalculateDimensions(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float viewportWidth,
+        float viewportHeight)
+    {
+        float paddingLeft = pagesPadding.Left;
+        float paddingRight = pagesPadding.Right;
+        float paddingTop = pagesPadding.Top;
+        float paddingBottom = pagesPadding.Bottom;
+        float scaledPageGap = pageGap * scale;
+
+        float maxPageWidthScaled = 0f;
+        float totalHeightScaled = 0f;
+        int rowCount = 0;
+
+        foreach (var (leftIndex, rightIndex) in GetSpreads(pages.Count))
+        {
+            SKSize leftSize = GetPageSize(pages, leftIndex, scale);
+            SKSize rightSize = GetPageSize(pages, rightIndex, scale);
+
+            maxPageWidthScaled = Math.Max(maxPageWidthScaled, Math.Max(leftSize.Width, rightSize.Width));
+            totalHeightScaled += Math.Max(leftSize.Height, rightSize.Height);
+            rowCount++;
+        }
+
+        if (rowCount > 1)
+        {
+            totalHeightScaled += scaledPageGap * (rowCount - 1);
+        }
+
+        float contentWidth = maxPageWidthScaled * 2 + scaledPageGap + paddingLeft + paddingRight;
+        float extentWidth = Math.Max(viewportWidth, contentWidth);
+        float extentHeight = totalHeightScaled + paddingTop + paddingBottom;
+
+        return new SKSize(extentWidth, extentHeight);
+    }
+
+    public void CalculatePageOffsets(
+        PdfPanelPageCollection pages,
+        float scale,
+        SKRect pagesPadding,
+        float pageGap,
+        float extentWidth,
+        float extentHeight)
+    {
+        float paddingTop = pagesPadding.Top;
+        float scaledPageGap = pageGap * scale;
+        float spine = extentWidth / 2f;
+        float verticalOffset = paddingTop;
+
+        foreach (var (leftIndex, rightIndex) in GetSpreads(pages.Count))
+        {
+            SKSize leftSize = GetPageSize(pages, leftIndex, scale);
+            SKSize rightSize = GetPageSize(pages, rightIndex, scale);
+            float rowHeight = Math.Max(leftSize.Height, rightSize.Height);
+
+            if (leftIndex >= 0)
+            {
+                float pageOffsetLeft = spine - scaledPageGap / 2f - leftSize.Width;
+                float pageOffsetTop = verticalOffset + (rowHeight - leftSize.Height) / 2f;
+                pages[leftIndex].Offset = new SKPoint(pageOffsetLeft, pageOffsetTop);
+            }
+
+            if (rightIndex >= 0)
+            {
+                float pageOffsetLeft = spine + scaledPageGap / 2f;
+                float pageOffsetTop = verticalOffset + (rowHeight - rightSize.Height) / 2f;
+                pages[rightIndex].Offset = new SKPoint(pageOffsetLeft, pageOffsetTop);
+            }
+
+            verticalOffset += rowHeight + scaledPageGap;
+        }
+    }
+
+    /// <summary>
+    /// Enumerates spreads as pairs of 0-based page indexes; -1 marks an empty side.
+    /// </summary>
+    private IEnumerable<(int LeftIndex, int RightIndex)> GetSpreads(int pageCount)
+    {
+        int index = 0;
+
+        if (ShowCoverPage && pageCount > 0)
+        {
+            yield return (-1, 0);
+            index = 1;
+        }
+
+        for (; index < pageCount; index += 2)
+        {
+            yield return (index, index + 1 < pageCount ? index + 1 : -1);
+        }
+    }
+
+    private static SKSize GetPageSize(PdfPanelPageCollection pages, int index, float scale)
+    {
+        return index >= 0 ? pages[index].GetRotatedScaledSize(scale) : SKSize.Empty;
+    }
+}
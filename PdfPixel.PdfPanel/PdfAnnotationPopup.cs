@@ -43,6 +43,11 @@ public class PdfAnnotationPopup
             return true;
         }
 
+        if (Annotation is PdfWidgetAnnotation widget && widget.GetCursorType() != WidgetCursorType.Arrow)
+        {
+            return true;
+        }
+
         if (Annotation.ShouldDisplayBubble)
         {
             return true;
@@ -15,5 +15,10 @@ public enum PdfPanelAutoScaleMode
     /// <summary>
     /// Scale to height of pages.
     /// </summary>
-    ScaleToHeight
+    ScaleToHeight,
+
+    /// <summary>
+    /// Scale so that whole pages fit into the viewport.
+    /// </summary>
+    ScaleToPage
 }
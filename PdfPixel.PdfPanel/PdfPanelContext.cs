@@ -16,7 +16,7 @@ public class PdfPanelContext
 {
     private readonly PdfRenderingQueue _pdfRenderingQueue;
     private readonly IPdfPanelRenderTargetFactory _renderTargetFactory;
-    private readonly IPdfPanelLayout _layout;
+    private IPdfPanelLayout _layout;
 
     public PdfPanelContext(PdfPanelPageCollection pages, PdfRenderingQueue renderingQueue, IPdfPanelRenderTargetFactory renderTargetFactory, IPdfPanelLayout layout)
     {
@@ -26,6 +26,15 @@ public class PdfPanelContext
         _layout = layout ?? throw new ArgumentNullException(nameof(layout));
     }
 
+    /// <summary>
+    /// Layout strategy used to position pages. Call <see cref="Update"/> after changing it.
+    /// </summary>
+    public IPdfPanelLayout Layout
+    {
+        get => _layout;
+        set => _layout = value ?? throw new ArgumentNullException(nameof(value));
+    }
+
     /// <summary>
     /// Width of the viewing area in device pixels (unscaled canvas space).
     /// </summary>
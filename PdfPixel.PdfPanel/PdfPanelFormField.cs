@@ -0,0 +1,197 @@
+﻿using PdfPixel.Annotations.Models;
+using PdfPixel.Forms;
+using PdfPixel.Models;
+using PdfPixel.Text;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Interactive form field of the document with all its widgets.
+/// </summary>
+/// <remarks>
+/// Values are exchanged as lists of strings: the text of a text field, the export value of the selected
+/// checkbox or radio button (empty when none is selected) and the export values of the selected choice options.
+/// </remarks>
+public sealed class PdfPanelFormField
+{
+    internal PdfPanelFormField(string name, IReadOnlyList<PdfPanelFormWidget> widgets)
+    {
+        if (widgets == null || widgets.Count == 0)
+        {
+            throw new ArgumentException("A form field must have at least one widget.", nameof(widgets));
+        }
+
+        Name = name ?? string.Empty;
+        Widgets = widgets;
+        Field = widgets[0].Annotation.Field;
+        FieldType = GetFieldType(Field);
+        Options = CreateOptions(Field, widgets);
+    }
+
+    /// <summary>
+    /// Fully qualified name of the field, empty for fields without a name.
+    /// </summary>
+    public string Name { get; }
+
+    /// <summary>
+    /// Kind of the field.
+    /// </summary>
+    public PdfPanelFormFieldType FieldType { get; }
+
+    /// <summary>
+    /// Widgets of the field in page order.
+    /// </summary>
+    public IReadOnlyList<PdfPanelFormWidget> Widgets { get; }
+
+    /// <summary>
+    /// Field model of the first widget, used for the field properties.
+    /// </summary>
+    public PdfFormField Field { get; }
+
+    /// <summary>
+    /// Selectable values: the options of a choice field, or the on states of checkbox and radio button widgets.
+    /// Empty for other fields.
+    /// </summary>
+    public IReadOnlyList<PdfPanelFormFieldOption> Options { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the value can be changed by the user.
+    /// </summary>
+    public bool IsEditable => !Field.IsReadOnly && FieldType != PdfPanelFormFieldType.PushButton && FieldType != PdfPanelFormFieldType.Signature;
+
+    /// <summary>
+    /// Gets the current value of the field.
+    /// </summary>
+    /// <returns>The text of a text field, the selected export values of other fields.</returns>
+    public IReadOnlyList<string> GetValues()
+    {
+        switch (Field)
+        {
+            case PdfTextFormField textField:
+                return new[] { textField.GetTextValue() };
+            case PdfChoiceFormField choiceField:
+                return choiceField.GetSelectedValues().ToArray();
+            case PdfButtonFormField when FieldType != PdfPanelFormFieldType.PushButton:
+                foreach (var widget in Widgets)
+                {
+                    if (widget.Annotation.IsButtonChecked())
+                    {
+                        return new[] { widget.Annotation.GetCurrentAppearanceState().DecodePdfString() };
+                    }
+                }
+                return Array.Empty<string>();
+            default:
+                return Array.Empty<string>();
+        }
+    }
+
+    /// <summary>
+    /// Sets the value of the field on all its widgets.
+    /// </summary>
+    /// <param name="values">The new value, see <see cref="GetValues"/>. Checkbox and radio button values
+    /// that are not one of the <see cref="Options"/> turn the field off.</param>
+    /// <returns>True if the value changed.</returns>
+    internal bool SetValues(IReadOnlyList<string> values)
+    {
+        if (FieldType == PdfPanelFormFieldType.PushButton || FieldType == PdfPanelFormFieldType.Signature)
+        {
+            return false;
+        }
+
+        values ??= Array.Empty<string>();
+        var previousValues = GetValues();
+
+        foreach (var field in Widgets.Select(widget => widget.Annotation.Field).Distinct())
+        {
+            switch (field)
+            {
+                case PdfTextFormField textField:
+                    textField.SetTextValue(values.Count > 0 ? values[0] : string.Empty);
+                    break;
+                case PdfChoiceFormField choiceField:
+                    choiceField.SetSelectedValues(values);
+                    break;
+                case PdfButtonFormField buttonField:
+                    string stateName = values.Count > 0 && Options.Any(option => option.ExportValue == values[0]) ? values[0] : null;
+                    buttonField.SetValue(PdfValueFactory.Name(stateName != null ? stateName.EncodePdfString() : PdfTokens.OffStateName));
+                    break;
+            }
+        }
+
+        return !previousValues.SequenceEqual(GetValues());
+    }
+
+    /// <summary>
+    /// Toggles a checkbox or selects a radio button in response to a click on one of the widgets.
+    /// A selected radio button is turned off only if the field allows it.
+    /// </summary>
+    /// <param name="widget">Clicked widget of this field.</param>
+    /// <returns>True if the value changed.</returns>
+    internal bool Toggle(PdfWidgetAnnotation widget)
+    {
+        if (FieldType != PdfPanelFormFieldType.CheckBox && FieldType != PdfPanelFormFieldType.RadioButton)
+        {
+            return false;
+        }
+
+        var onState = widget.GetOnStateName();
+        if (onState.IsEmpty)
+        {
+            return false;
+        }
+
+        if (!widget.IsButtonChecked())
+        {
+            return SetValues(new[] { onState.DecodePdfString() });
+        }
+
+        if (FieldType == PdfPanelFormFieldType.RadioButton && Field.Flags.HasFlag(PdfFormFieldFlags.NoToggleToOff))
+        {
+            return false;
+        }
+
+        return SetValues(Array.Empty<string>());
+    }
+
+    private static PdfPanelFormFieldType GetFieldType(PdfFormField field)
+    {
+        return field switch
+        {
+            PdfTextFormField => PdfPanelFormFieldType.Text,
+            PdfChoiceFormField choiceField => choiceField.IsCombo ? PdfPanelFormFieldType.ComboBox : PdfPanelFormFieldType.ListBox,
+            PdfButtonFormField buttonField when buttonField.IsPushButton => PdfPanelFormFieldType.PushButton,
+            PdfButtonFormField buttonField when buttonField.IsRadio => PdfPanelFormFieldType.RadioButton,
+            PdfButtonFormField => PdfPanelFormFieldType.CheckBox,
+            _ => PdfPanelFormFieldType.Signature
+        };
+    }
+
+    private static PdfPanelFormFieldOption[] CreateOptions(PdfFormField field, IReadOnlyList<PdfPanelFormWidget> widgets)
+    {
+        var options = new List<PdfPanelFormFieldOption>();
+
+        if (field is PdfChoiceFormField choiceField)
+        {
+            for (int i = 0; i < choiceField.OptionCount; i++)
+            {
+                options.Add(new PdfPanelFormFieldOption(choiceField.GetExportValue(i), choiceField.GetDisplayText(i)));
+            }
+        }
+        else if (field is PdfButtonFormField buttonField && !buttonField.IsPushButton)
+        {
+            foreach (var widget in widgets)
+            {
+                string exportValue = widget.Annotation.GetOnStateName().DecodePdfString();
+                if (!string.IsNullOrEmpty(exportValue) && !options.Any(option => option.ExportValue == exportValue))
+                {
+                    options.Add(new PdfPanelFormFieldOption(exportValue, exportValue));
+                }
+            }
+        }
+
+        return options.ToArray();
+    }
+}
@@ -0,0 +1,23 @@
+﻿namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Selectable value of a form field.
+/// </summary>
+public sealed class PdfPanelFormFieldOption
+{
+    public PdfPanelFormFieldOption(string exportValue, string displayText)
+    {
+        ExportValue = exportValue;
+        DisplayText = displayText;
+    }
+
+    /// <summary>
+    /// Value stored in the field when the option is selected.
+    /// </summary>
+    public string ExportValue { get; }
+
+    /// <summary>
+    /// Text shown to the user for the option.
+    /// </summary>
+    public string DisplayText { get; }
+}
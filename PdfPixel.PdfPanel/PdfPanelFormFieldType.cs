@@ -0,0 +1,42 @@
+﻿namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Kind of an interactive form field as presented by the panel.
+/// </summary>
+public enum PdfPanelFormFieldType
+{
+    /// <summary>
+    /// Single or multiline text field.
+    /// </summary>
+    Text,
+
+    /// <summary>
+    /// Checkbox, selected or not.
+    /// </summary>
+    CheckBox,
+
+    /// <summary>
+    /// Group of radio buttons with at most one selected.
+    /// </summary>
+    RadioButton,
+
+    /// <summary>
+    /// Drop-down list, optionally with an editable text.
+    /// </summary>
+    ComboBox,
+
+    /// <summary>
+    /// Scrollable list with one or more selected options.
+    /// </summary>
+    ListBox,
+
+    /// <summary>
+    /// Push button without a value.
+    /// </summary>
+    PushButton,
+
+    /// <summary>
+    /// Digital signature field, not editable in the panel.
+    /// </summary>
+    Signature
+}
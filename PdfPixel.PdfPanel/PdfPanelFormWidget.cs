@@ -0,0 +1,32 @@
+﻿using PdfPixel.Annotations.Models;
+using SkiaSharp;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Widget of a form field: the place on a page where the field is shown and edited.
+/// </summary>
+public sealed class PdfPanelFormWidget
+{
+    internal PdfPanelFormWidget(int pageNumber, PdfWidgetAnnotation annotation, SKRect bounds)
+    {
+        PageNumber = pageNumber;
+        Annotation = annotation;
+        Bounds = bounds;
+    }
+
+    /// <summary>
+    /// Number of the page containing the widget.
+    /// </summary>
+    public int PageNumber { get; }
+
+    /// <summary>
+    /// Widget annotation of the field.
+    /// </summary>
+    public PdfWidgetAnnotation Annotation { get; }
+
+    /// <summary>
+    /// Bounds of the widget in page coordinates (top-left origin, unrotated).
+    /// </summary>
+    public SKRect Bounds { get; }
+}
@@ -1,10 +1,13 @@
 ﻿using PdfPixel.Annotations.Models;
+using PdfPixel.Fonts.Management;
 using PdfPixel.Models;
 using PdfPixel.PdfPanel.Extensions;
+using PdfPixel.TextExtraction;
 using SkiaSharp;
 using System;
 using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.IO;
 using System.Collections.ObjectModel;
 using System.Linq;
 using System.Threading;
@@ -17,18 +20,53 @@ namespace PdfPixel.PdfPanel;
 /// </summary>
 public sealed class PdfPanelPageCollection : ReadOnlyCollection<PdfPanelPage>, IDisposable
 {
+    /// <summary>
+    /// Maximum width and height in pixels of images rendered by <see cref="RenderPage"/>.
+    /// </summary>
+    public const int MaxRenderedImageSize = 16384;
+
     private readonly ConcurrentDictionary<int, CachedSkPicture> pictureCache = new ConcurrentDictionary<int, CachedSkPicture>();
+    private readonly ConcurrentDictionary<int, PdfPanelPageText> textCache = new ConcurrentDictionary<int, PdfPanelPageText>();
+    private readonly Dictionary<int, Task<PdfPanelPageText>> pendingTexts = new Dictionary<int, Task<PdfPanelPageText>>();
+    private readonly object textLocker = new object();
+    private readonly Lazy<PdfPanelFormField[]> formFields;
     private readonly object disposeLocker = new object();
     private bool isDisposed;
 
-    internal PdfPanelPageCollection(PdfPanelRenderer renderer, IList<PdfPanelPage> pages)
+    internal PdfPanelPageCollection(PdfPanelRenderer renderer, IList<PdfPanelPage> pages, IReadOnlyList<PdfOutlineItem> outlines)
         : base(pages)
     {
         Renderer = renderer;
+        Outlines = outlines;
+        formFields = new Lazy<PdfPanelFormField[]>(CreateFormFields);
     }
 
     internal PdfPanelRenderer Renderer { get; }
 
+    /// <summary>
+    /// Top-level items of the document outline (bookmarks), empty if the document has none.
+    /// </summary>
+    public IReadOnlyList<PdfOutlineItem> Outlines { get; }
+
+    /// <summary>
+    /// Interactive form fields of the document in page order. Fields are collected from all pages on first access.
+    /// </summary>
+    public IReadOnlyList<PdfPanelFormField> FormFields => formFields.Value;
+
+    /// <summary>
+    /// Lists the fonts the document requests without embedding them and the typefaces they are mapped to.
+    /// Fonts of the page resources are resolved on each call; fonts used only by form XObjects or
+    /// annotations are included once their pages were rendered. Resolving reads the fonts of every page
+    /// and waits while the document is read for rendering, so UI threads should call this on a thread pool thread.
+    /// </summary>
+    /// <param name="unresolvedPageNumbers">Receives the numbers of the pages whose fonts could not be read, e.g.
+    /// because their data is not loaded yet; the fonts of the other pages are listed. <see langword="null"/> to skip them silently.</param>
+    /// <returns>Substitutions in the order the fonts were first requested.</returns>
+    public IReadOnlyList<PdfFontSubstitution> GetFontSubstitutions(ICollection<int> unresolvedPageNumbers = null)
+    {
+        return Renderer.GetFontSubstitutions(unresolvedPageNumbers);
+    }
+
     /// <summary>
     /// Returns the page if it exists.
     /// </summary>
@@ -77,6 +115,240 @@ public sealed class PdfPanelPageCollection : ReadOnlyCollection<PdfPanelPage>, I
         return null;
     }
 
+    /// <summary>
+    /// Gets the text content of the page. Text is extracted on the calling thread on first access and cached;
+    /// UI threads should use <see cref="GetPageTextAsync"/> instead, since extracting a dense page takes a while.
+    /// </summary>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <returns>Page text, empty if the page does not exist.</returns>
+    /// <exception cref="IOException">Thrown when the page data cannot be read yet, or when the calling thread is not
+    /// a thread pool thread and another thread reads the document; nothing is cached and the next call extracts
+    /// the text again.</exception>
+    public PdfPanelPageText GetPageText(int pageNumber)
+    {
+        if (!TryGetPage(pageNumber, out _))
+        {
+            return new PdfPanelPageText(pageNumber, Array.Empty<PdfWord>());
+        }
+
+        if (textCache.TryGetValue(pageNumber, out var text))
+        {
+            return text;
+        }
+
+        return ExtractPageText(pageNumber);
+    }
+
+    /// <summary>
+    /// Gets the text content of the page, extracting it on a thread pool thread on first access.
+    /// Concurrent requests for the same page share one extraction; the result is cached. Extraction waits
+    /// while the document is read for rendering, since both parse the same document stream.
+    /// On-demand document streams wait for missing data there, so the task fails with <see cref="IOException"/>
+    /// only when the data cannot be loaded, e.g. after the download was aborted.
+    /// </summary>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <returns>Page text, empty if the page does not exist.</returns>
+    public Task<PdfPanelPageText> GetPageTextAsync(int pageNumber)
+    {
+        if (!TryGetPage(pageNumber, out _))
+        {
+            return Task.FromResult(new PdfPanelPageText(pageNumber, Array.Empty<PdfWord>()));
+        }
+
+        lock (textLocker)
+        {
+            if (textCache.TryGetValue(pageNumber, out var text))
+            {
+                return Task.FromResult(text);
+            }
+
+            if (!pendingTexts.TryGetValue(pageNumber, out var task))
+            {
+                task = Task.Run(() =>
+                {
+                    try
+                    {
+                        return ExtractPageText(pageNumber);
+                    }
+                    finally
+                    {
+                        lock (textLocker)
+                        {
+                            pendingTexts.Remove(pageNumber);
+                        }
+                    }
+                });
+                pendingTexts[pageNumber] = task;
+            }
+
+            return task;
+        }
+    }
+
+    private PdfPanelPageText ExtractPageText(int pageNumber)
+    {
+        return textCache.GetOrAdd(pageNumber, new PdfPanelPageText(pageNumber, Renderer.GetPageWords(pageNumber)));
+    }
+
+    /// <summary>
+    /// Renders the page with its annotations into a standalone raster image, with page and user rotation applied.
+    /// The image is rendered on the CPU and does not use or change the pictures cached for the viewport.
+    /// </summary>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <param name="scale">Image pixels per page unit.</param>
+    /// <param name="backgroundColor">Color the page is drawn on; transparent keeps the page background transparent.</param>
+    /// <param name="token">Cancellation token.</param>
+    /// <returns>Raster image, or null if the page does not exist, the image would exceed <see cref="MaxRenderedImageSize"/>
+    /// pixels in either dimension or rendering failed.</returns>
+    public SKImage RenderPage(int pageNumber, float scale, SKColor backgroundColor, CancellationToken token)
+    {
+        if (scale <= 0 || !TryGetPage(pageNumber, out var page))
+        {
+            return null;
+        }
+
+        var rotatedSize = page.GetRotatedSize();
+        int width = (int)Math.Ceiling(rotatedSize.Width * scale);
+        int height = (int)Math.Ceiling(rotatedSize.Height * scale);
+        if (width <= 0 || height <= 0 || width > MaxRenderedImageSize || height > MaxRenderedImageSize)
+        {
+            return null;
+        }
+
+        using var picture = Renderer.GetPicture(pageNumber, scale, token);
+        if (picture == null)
+        {
+            return null;
+        }
+
+        using var annotationPicture = Renderer.GetAnnotationPicture(pageNumber, scale, null, PdfPanelPointerState.None, token);
+        using var surface = SKSurface.Create(new SKImageInfo(width, height, SKColorType.Rgba8888, SKAlphaType.Premul));
+        if (surface == null)
+        {
+            return null;
+        }
+
+        var canvas = surface.Canvas;
+        canvas.Clear(backgroundColor);
+        canvas.Scale(scale);
+
+        var transformMatrix = SkCanvasExtensions.GetPictureTransformMatrix(picture.CullRect.Width, picture.CullRect.Height, page.Info, page.UserRotation);
+        canvas.DrawPicture(picture, in transformMatrix);
+
+        if (annotationPicture != null)
+        {
+            transformMatrix = SkCanvasExtensions.GetPictureTransformMatrix(annotationPicture.CullRect.Width, annotationPicture.CullRect.Height, page.Info, page.UserRotation);
+            canvas.DrawPicture(annotationPicture, in transformMatrix);
+        }
+
+        canvas.Flush();
+        return surface.Snapshot();
+    }
+
+    /// <summary>
+    /// Gets the form field with the specified fully qualified name.
+    /// </summary>
+    /// <param name="name">Fully qualified field name.</param>
+    /// <returns>The form field if found; otherwise, null.</returns>
+    public PdfPanelFormField GetFormField(string name)
+    {
+        if (string.IsNullOrEmpty(name))
+        {
+            return null;
+        }
+
+        return formFields.Value.FirstOrDefault(field => field.Name == name);
+    }
+
+    /// <summary>
+    /// Gets the form field shown by the widget annotation.
+    /// </summary>
+    /// <param name="widget">Widget annotation of the field.</param>
+    /// <returns>The form field if found; otherwise, null.</returns>
+    public PdfPanelFormField GetFormField(PdfWidgetAnnotation widget)
+    {
+        if (widget == null)
+        {
+            return null;
+        }
+
+        return formFields.Value.FirstOrDefault(field => field.Widgets.Any(fieldWidget => fieldWidget.Annotation == widget));
+    }
+
+    /// <summary>
+    /// Sets the value of the form field and invalidates annotations of the pages showing it.
+    /// </summary>
+    /// <param name="field">Form field of this document.</param>
+    /// <param name="values">New value, see <see cref="PdfPanelFormField.GetValues"/>.</param>
+    /// <returns>True if the value changed.</returns>
+    public bool SetFormFieldValues(PdfPanelFormField field, IReadOnlyList<string> values)
+    {
+        if (field == null || !field.SetValues(values))
+        {
+            return false;
+        }
+
+        InvalidateFormField(field);
+        return true;
+    }
+
+    /// <summary>
+    /// Toggles the checkbox or radio button shown by the widget, as if it was clicked.
+    /// </summary>
+    /// <param name="field">Form field of this document.</param>
+    /// <param name="widget">Clicked widget annotation of the field.</param>
+    /// <returns>True if the value changed.</returns>
+    public bool ToggleFormField(PdfPanelFormField field, PdfWidgetAnnotation widget)
+    {
+        if (field == null || !field.IsEditable || !field.Toggle(widget))
+        {
+            return false;
+        }
+
+        InvalidateFormField(field);
+        return true;
+    }
+
+    /// <summary>
+    /// Renders a standalone thumbnail of the page with page and user rotation applied.
+    /// Unlike thumbnails used by the rendering queue, the result is not cached and does not require a GPU surface.
+    /// </summary>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <param name="maxSize">Maximum width or height of the thumbnail in pixels.</param>
+    /// <returns>Raster thumbnail image with transparent background, or null if the page does not exist or rendering failed.</returns>
+    public SKImage RenderThumbnail(int pageNumber, int maxSize)
+    {
+        if (maxSize <= 0 || !TryGetPage(pageNumber, out var page))
+        {
+            return null;
+        }
+
+        using var surface = SKSurface.Create(new SKImageInfo(maxSize, maxSize, SKColorType.Rgba8888, SKAlphaType.Premul));
+        var thumbnail = Renderer.GetThumbnail(pageNumber, surface);
+
+        int rotation = page.GetTotalRotation();
+        if (thumbnail == null || rotation == 0)
+        {
+            return thumbnail;
+        }
+
+        using (thumbnail)
+        {
+            int width = rotation % 180 == 0 ? thumbnail.Width : thumbnail.Height;
+            int height = rotation % 180 == 0 ? thumbnail.Height : thumbnail.Width;
+
+            using var rotatedSurface = SKSurface.Create(new SKImageInfo(width, height, SKColorType.Rgba8888, SKAlphaType.Premul));
+            var canvas = rotatedSurface.Canvas;
+            canvas.Clear(SKColors.Transparent);
+            canvas.Translate(width / 2f, height / 2f);
+            canvas.RotateDegrees(rotation);
+            canvas.DrawImage(thumbnail, -thumbnail.Width / 2f, -thumbnail.Height / 2f);
+            canvas.Flush();
+
+            return rotatedSurface.Snapshot();
+        }
+    }
+
     /// <summary>
     /// Generates <see cref="PdfPanelPageCollection"/> from PDF document.
     /// </summary>
@@ -96,7 +368,7 @@ public sealed class PdfPanelPageCollection : ReadOnlyCollection<PdfPanelPage>, I
             pages.Add(page);
         }
 
-        return new PdfPanelPageCollection(renderer, pages);
+        return new PdfPanelPageCollection(renderer, pages, document.Outlines);
     }
 
     internal async IAsyncEnumerable<CachedSkPicture> UpdateCacheWithThumbnails(
@@ -215,6 +487,47 @@ public sealed class PdfPanelPageCollection : ReadOnlyCollection<PdfPanelPage>, I
         }
     }
 
+    private PdfPanelFormField[] CreateFormFields()
+    {
+        var fieldWidgets = new Dictionary<object, List<PdfPanelFormWidget>>();
+        var fieldNames = new Dictionary<object, string>();
+
+        for (int pageNumber = 1; pageNumber <= Count; pageNumber++)
+        {
+            foreach (var widget in Renderer.CreateFormWidgets(pageNumber))
+            {
+                var field = widget.Annotation.Field;
+                string name = field.GetFullyQualifiedName();
+
+                // Widgets of one field hold separate field instances, so they are matched by name,
+                // or by the field object for unnamed fields.
+                object key = !string.IsNullOrEmpty(name) ? name : field.FieldObject.Reference.IsValid ? field.FieldObject.Reference : field;
+
+                if (!fieldWidgets.TryGetValue(key, out var widgets))
+                {
+                    widgets = new List<PdfPanelFormWidget>();
+                    fieldWidgets.Add(key, widgets);
+                    fieldNames.Add(key, name);
+                }
+
+                widgets.Add(widget);
+            }
+        }
+
+        return fieldWidgets.Select(pair => new PdfPanelFormField(fieldNames[pair.Key], pair.Value)).ToArray();
+    }
+
+    private void InvalidateFormField(PdfPanelFormField field)
+    {
+        foreach (var pageNumber in field.Widgets.Select(widget => widget.PageNumber).Distinct())
+        {
+            if (pictureCache.TryGetValue(pageNumber, out var cachedPicture))
+            {
+                cachedPicture.UpdateAnnotationPicture(null);
+            }
+        }
+    }
+
     internal bool TryGetPictureFromCache(int pageNumber, out CachedSkPicture picture)
     {
         return pictureCache.TryGetValue(pageNumber, out picture);
@@ -239,6 +552,7 @@ public sealed class PdfPanelPageCollection : ReadOnlyCollection<PdfPanelPage>, I
             }
 
             pictureCache.Clear();
+            textCache.Clear();
         }
     }
 }
@@ -0,0 +1,239 @@
+﻿using PdfPixel.TextExtraction;
+using SkiaSharp;
+using System;
+using System.Collections.Generic;
+using System.Text;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Text content of a single page, built from extracted words in content order.
+/// Words on the same line are separated by a space when there is a visible gap between them,
+/// lines are separated by a new line character.
+/// </summary>
+public sealed class PdfPanelPageText
+{
+    private const float WordGapFactor = 0.15f;
+
+    private readonly SKRect[] _characterBounds;
+    private readonly int[] _characterLines;
+    private readonly int[] _characterWords;
+
+    internal PdfPanelPageText(int pageNumber, PdfWord[] words)
+    {
+        PageNumber = pageNumber;
+        Words = words ?? Array.Empty<PdfWord>();
+
+        var builder = new StringBuilder();
+        var bounds = new List<SKRect>();
+        var lines = new List<int>();
+        var wordIndices = new List<int>();
+        PdfWord previousWord = null;
+
+        for (int wordIndex = 0; wordIndex < Words.Count; wordIndex++)
+        {
+            var word = Words[wordIndex];
+
+            if (previousWord != null)
+            {
+                if (word.LineIndex != previousWord.LineIndex)
+                {
+                    AppendSeparator(builder, bounds, lines, wordIndices, '\n', previousWord.LineIndex);
+                }
+                else if (HasGap(previousWord, word))
+                {
+                    AppendSeparator(builder, bounds, lines, wordIndices, ' ', word.LineIndex);
+                }
+            }
+
+            foreach (var character in word.Characters)
+            {
+                if (string.IsNullOrEmpty(character.Text))
+                {
+                    continue;
+                }
+
+                // Ligatures and other multi-char glyphs share the glyph bounds.
+                for (int i = 0; i < character.Text.Length; i++)
+                {
+                    builder.Append(character.Text[i]);
+                    bounds.Add(character.BoundingBox);
+                    lines.Add(word.LineIndex);
+                    wordIndices.Add(wordIndex);
+                }
+            }
+
+            previousWord = word;
+        }
+
+        Text = builder.ToString();
+        _characterBounds = bounds.ToArray();
+        _characterLines = lines.ToArray();
+        _characterWords = wordIndices.ToArray();
+    }
+
+    /// <summary>
+    /// Number of the page.
+    /// </summary>
+    public int PageNumber { get; }
+
+    /// <summary>
+    /// Extracted words with bounding boxes in page coordinates (top-left origin, unrotated).
+    /// </summary>
+    public IReadOnlyList<PdfWord> Words { get; }
+
+    /// <summary>
+    /// Plain text of the page.
+    /// </summary>
+    public string Text { get; }
+
+    /// <summary>
+    /// Gets the bounding rectangles of a text range, one rectangle per line.
+    /// </summary>
+    /// <param name="start">Index of the first character in <see cref="Text"/>.</param>
+    /// <param name="length">Number of characters.</param>
+    /// <returns>Rectangles in page coordinates (top-left origin, unrotated).</returns>
+    public SKRect[] GetTextBounds(int start, int length)
+    {
+        var result = new List<SKRect>();
+        int end = Math.Min(Text.Length, start + length);
+        SKRect lineBounds = SKRect.Empty;
+        int currentLine = -1;
+
+        for (int i = Math.Max(0, start); i < end; i++)
+        {
+            SKRect characterBounds = _characterBounds[i];
+            if (characterBounds.IsEmpty)
+            {
+                continue;
+            }
+
+            if (_characterLines[i] != currentLine)
+            {
+                if (!lineBounds.IsEmpty)
+                {
+                    result.Add(lineBounds);
+                }
+
+                lineBounds = characterBounds;
+                currentLine = _characterLines[i];
+            }
+            else
+            {
+                lineBounds = SKRect.Union(lineBounds, characterBounds);
+            }
+        }
+
+        if (!lineBounds.IsEmpty)
+        {
+            result.Add(lineBounds);
+        }
+
+        return result.ToArray();
+    }
+
+    private static bool HasGap(PdfWord previousWord, PdfWord word)
+    {
+        float height = Math.Min(previousWord.BoundingBox.Height, word.BoundingBox.Height);
+        return word.BoundingBox.Left - previousWord.BoundingBox.Right > height * WordGapFactor;
+    }
+
+    /// <summary>
+    /// Gets the caret index in <see cref="Text"/> closest to a page point.
+    /// Characters on the line under the point are preferred over closer characters on other lines.
+    /// </summary>
+    /// <param name="pagePoint">Point in page coordinates (top-left origin, unrotated).</param>
+    /// <returns>Index between 0 and the text length; the caret is placed after the character when the point is past its middle.</returns>
+    public int GetCaretIndexAt(SKPoint pagePoint)
+    {
+        int index = GetCharacterIndexAt(pagePoint);
+        if (index < 0)
+        {
+            return 0;
+        }
+
+        return pagePoint.X > _characterBounds[index].MidX ? index + 1 : index;
+    }
+
+    /// <summary>
+    /// Gets the text range of the word closest to a page point.
+    /// </summary>
+    /// <param name="pagePoint">Point in page coordinates (top-left origin, unrotated).</param>
+    /// <param name="start">Index of the first word character in <see cref="Text"/>.</param>
+    /// <param name="length">Number of word characters.</param>
+    /// <returns>True if the page has text.</returns>
+    public bool TryGetWordRangeAt(SKPoint pagePoint, out int start, out int length)
+    {
+        int index = GetCharacterIndexAt(pagePoint);
+        if (index < 0)
+        {
+            start = 0;
+            length = 0;
+            return false;
+        }
+
+        int wordIndex = _characterWords[index];
+        int end = index;
+
+        while (index > 0 && _characterWords[index - 1] == wordIndex)
+        {
+            index--;
+        }
+
+        while (end + 1 < _characterWords.Length && _characterWords[end + 1] == wordIndex)
+        {
+            end++;
+        }
+
+        start = index;
+        length = end - index + 1;
+        return true;
+    }
+
+    private int GetCharacterIndexAt(SKPoint pagePoint)
+    {
+        int bestIndex = -1;
+        float bestVerticalDistance = float.MaxValue;
+        float bestHorizontalDistance = float.MaxValue;
+
+        for (int i = 0; i < _characterBounds.Length; i++)
+        {
+            SKRect bounds = _characterBounds[i];
+            if (bounds.IsEmpty)
+            {
+                continue;
+            }
+
+            float verticalDistance = GetDistance(pagePoint.Y, bounds.Top, bounds.Bottom);
+            float horizontalDistance = GetDistance(pagePoint.X, bounds.Left, bounds.Right);
+
+            if (verticalDistance < bestVerticalDistance ||
+                (verticalDistance == bestVerticalDistance && horizontalDistance < bestHorizontalDistance))
+            {
+                bestIndex = i;
+                bestVerticalDistance = verticalDistance;
+                bestHorizontalDistance = horizontalDistance;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    private static float GetDistance(float value, float min, float max)
+    {
+        if (value < min)
+        {
+            return min - value;
+        }
+
+        return value > max ? value - max : 0;
+    }
+
+    private static void AppendSeparator(StringBuilder builder, List<SKRect> bounds, List<int> lines, List<int> wordIndices, char separator, int lineIndex)
+    {
+        builder.Append(separator);
+        bounds.Add(SKRect.Empty);
+        lines.Add(lineIndex);
+        wordIndices.Add(-1);
+    }
+}
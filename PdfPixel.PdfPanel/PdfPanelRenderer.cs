@@ -1,9 +1,12 @@
 ﻿using PdfPixel.Annotations.Models;
+using PdfPixel.Fonts.Management;
 using PdfPixel.Models;
 using PdfPixel.Text;
+using PdfPixel.TextExtraction;
 using SkiaSharp;
 using System;
 using System.Collections.Generic;
+using System.IO;
 using System.Linq;
 using System.Threading;
 
@@ -15,6 +18,7 @@ namespace PdfPixel.PdfPanel;
 internal sealed class PdfPanelRenderer
 {
     private readonly PdfDocument document;
+    private readonly object documentLocker = new object();
 
     public PdfPanelRenderer(PdfDocument document)
     {
@@ -65,6 +69,27 @@ internal sealed class PdfPanelRenderer
         return popups.ToArray();
     }
 
+    public PdfPanelFormWidget[] CreateFormWidgets(int pageNumber)
+    {
+        if (pageNumber < 1 || pageNumber > document.Pages.Count)
+        {
+            return Array.Empty<PdfPanelFormWidget>();
+        }
+
+        var pdfPage = document.Pages[pageNumber - 1];
+        var widgets = new List<PdfPanelFormWidget>();
+
+        foreach (var annotation in pdfPage.Annotations)
+        {
+            if (annotation is PdfWidgetAnnotation widget && widget.Field != null)
+            {
+                widgets.Add(new PdfPanelFormWidget(pageNumber, widget, FromPdfRect(pdfPage, widget.Rectangle)));
+            }
+        }
+
+        return widgets.ToArray();
+    }
+
     private Dictionary<PdfReference, PdfAnnotationBase> BuildAnnotationMap(PdfPage pdfPage)
     {
         var map = new Dictionary<PdfReference, PdfAnnotationBase>();
@@ -220,7 +245,7 @@ internal sealed class PdfPanelRenderer
     {
         try
         {
-            return GetPictureInternal(pageNumber, scale, previewMode: false, token);
+            return ReadDocument(() => GetPictureInternal(pageNumber, scale, previewMode: false, token));
         }
         catch
         {
@@ -237,28 +262,31 @@ internal sealed class PdfPanelRenderer
     {
         try
         {
-            var pdfPage = document.Pages[pageNumber - 1];
-
-            if (pdfPage.Annotations.Count == 0)
+            return ReadDocument(() =>
             {
-                return null;
-            }
+                var pdfPage = document.Pages[pageNumber - 1];
 
-            var visualStateKind = ConvertToVisualStateKind(pointerState);
+                if (pdfPage.Annotations.Count == 0)
+                {
+                    return null;
+                }
 
-            using var recorder = new SKPictureRecorder();
-            using var canvas = recorder.BeginRecording(SKRect.Create(pdfPage.CropBox.Width, pdfPage.CropBox.Height));
-            canvas.ClipRect(new SKRect(0, 0, pdfPage.CropBox.Width, pdfPage.CropBox.Height));
+                var visualStateKind = ConvertToVisualStateKind(pointerState);
 
-            ApplyPageTransformations(canvas, pdfPage);
+                using var recorder = new SKPictureRecorder();
+                using var canvas = recorder.BeginRecording(SKRect.Create(pdfPage.CropBox.Width, pdfPage.CropBox.Height));
+                canvas.ClipRect(new SKRect(0, 0, pdfPage.CropBox.Width, pdfPage.CropBox.Height));
 
-            var parameters = new PdfRenderingParameters { ScaleFactor = (float)scale, PreviewMode = false };
-            pdfPage.RenderAnnotations(canvas, parameters, activeAnnotation, visualStateKind, token);
+                ApplyPageTransformations(canvas, pdfPage);
 
-            canvas.Flush();
-            var picture = recorder.EndRecording();
+                var parameters = new PdfRenderingParameters { ScaleFactor = (float)scale, PreviewMode = false };
+                pdfPage.RenderAnnotations(canvas, parameters, activeAnnotation, visualStateKind, token);
 
-            return picture;
+                canvas.Flush();
+                var picture = recorder.EndRecording();
+
+                return picture;
+            });
         }
         catch
         {
@@ -315,37 +343,131 @@ internal sealed class PdfPanelRenderer
 
         try
         {
-            var pdfPage = document.Pages[pageNumber - 1];
-            var bounds = surface.Canvas.DeviceClipBounds;
-            var maxDimension = Math.Max(pdfPage.CropBox.Width, pdfPage.CropBox.Height);
-            var scale = Math.Min(bounds.Width, bounds.Height) / maxDimension;
+            return ReadDocument(() =>
+            {
+                var pdfPage = document.Pages[pageNumber - 1];
+                var bounds = surface.Canvas.DeviceClipBounds;
+                var maxDimension = Math.Max(pdfPage.CropBox.Width, pdfPage.CropBox.Height);
+                var scale = Math.Min(bounds.Width, bounds.Height) / maxDimension;
+
+                var canvas = surface.Canvas;
+                canvas.Clear(SKColors.Transparent);
+                canvas.Save();
+                canvas.Scale((float)scale);
+                canvas.ClipRect(new SKRect(0, 0, pdfPage.CropBox.Width, pdfPage.CropBox.Height));
+
+                ApplyPageTransformations(canvas, pdfPage);
+
+                var parameters = new PdfRenderingParameters
+                {
+                    ScaleFactor = (float)scale,
+                    PreviewMode = true
+                };
+
+                pdfPage.Draw(canvas, parameters, CancellationToken.None);
+                canvas.Restore();
+                canvas.Flush();
+
+                var drawnWidth = (int)Math.Max(1, Math.Round(pdfPage.CropBox.Width * scale));
+                var drawnHeight = (int)Math.Max(1, Math.Round(pdfPage.CropBox.Height * scale));
+                using var snapshot = surface.Snapshot(new SKRectI(0, 0, drawnWidth, drawnHeight));
+                return snapshot.ToRasterImage();
+            });
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Extracts words of the page with bounding boxes converted to page coordinates.
+    /// </summary>
+    /// <param name="pageNumber">Number of the page.</param>
+    /// <returns>Words in content order or empty array if the page content cannot be parsed.</returns>
+    /// <exception cref="IOException">Thrown when the document data cannot be read, e.g. because it is not loaded yet;
+    /// unlike a parsing failure, this is not a property of the page and extraction can succeed later.</exception>
+    public PdfWord[] GetPageWords(int pageNumber)
+    {
+        if (pageNumber < 1 || pageNumber > document.Pages.Count)
+        {
+            return Array.Empty<PdfWord>();
+        }
+
+        try
+        {
+            return ReadDocument(() =>
+            {
+                var pdfPage = document.Pages[pageNumber - 1];
+                var chunker = new PdfTextChunker();
+                var words = new List<PdfWord>();
+
+                foreach (var word in chunker.ChunkCharacters(pdfPage.ExtractText()))
+                {
+                    var characters = new PdfCharacter[word.Characters.Length];
+                    for (int i = 0; i < characters.Length; i++)
+                    {
+                        var character = word.Characters[i];
+                        characters[i] = new PdfCharacter(character.Text, FromPdfRect(pdfPage, character.BoundingBox));
+                    }
+
+                    words.Add(new PdfWord(FromPdfRect(pdfPage, word.BoundingBox), word.Type, word.LineIndex, characters));
+                }
+
+                return words.ToArray();
+            });
+        }
+        catch (Exception ex) when (ex is not IOException)
+        {
+            return Array.Empty<PdfWord>();
+        }
+    }
+
+    /// <summary>
+    /// Lists the fonts the document requests without embedding them and the typefaces they are mapped to.
+    /// </summary>
+    /// <param name="unresolvedPageNumbers">Receives the numbers of the pages whose fonts could not be read, or <see langword="null"/>.</param>
+    /// <returns>Substitutions in the order the fonts were first requested.</returns>
+    public IReadOnlyList<PdfFontSubstitution> GetFontSubstitutions(ICollection<int> unresolvedPageNumbers)
+    {
+        return ReadDocument(() => document.GetFontSubstitutions(unresolvedPageNumbers));
+    }
 
-            var canvas = surface.Canvas;
-            canvas.Clear(SKColors.Transparent);
-            canvas.Save();
-            canvas.Scale((float)scale);
-            canvas.ClipRect(new SKRect(0, 0, pdfPage.CropBox.Width, pdfPage.CropBox.Height));
+    /// <summary>
+    /// Runs <paramref name="read"/> while no other thread reads the document. Lazily parsed objects and stream
+    /// data share the position of the document stream, and parsed objects are cached without synchronization.
+    /// Thread pool threads wait for the document. Other threads fail with <see cref="IOException"/> while it is
+    /// read elsewhere, as they do for data that is not loaded yet: a reader may be waiting for
+    /// <see cref="ChunkedDocumentStream"/> data that the UI thread delivers.
+    /// </summary>
+    private T ReadDocument<T>(Func<T> read)
+    {
+        bool lockTaken = false;
 
-            ApplyPageTransformations(canvas, pdfPage);
+        try
+        {
+            if (Thread.CurrentThread.IsThreadPoolThread)
+            {
+                Monitor.Enter(documentLocker, ref lockTaken);
+            }
+            else
+            {
+                Monitor.TryEnter(documentLocker, ref lockTaken);
+            }
 
-            var parameters = new PdfRenderingParameters
+            if (!lockTaken)
             {
-                ScaleFactor = (float)scale,
-                PreviewMode = true
-            };
-
-            pdfPage.Draw(canvas, parameters, CancellationToken.None);
-            canvas.Restore();
-            canvas.Flush();
-
-            var drawnWidth = (int)Math.Max(1, Math.Round(pdfPage.CropBox.Width * scale));
-            var drawnHeight = (int)Math.Max(1, Math.Round(pdfPage.CropBox.Height * scale));
-            using var snapshot = surface.Snapshot(new SKRectI(0, 0, drawnWidth, drawnHeight));
-            return snapshot.ToRasterImage();
+                throw new IOException("The document is being read by another thread.");
+            }
+
+            return read();
         }
-        catch
+        finally
         {
-            return null;
+            if (lockTaken)
+            {
+                Monitor.Exit(documentLocker);
+            }
         }
     }
 
@@ -0,0 +1,37 @@
+﻿using SkiaSharp;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Single text search hit on a page.
+/// </summary>
+public sealed class PdfPanelSearchMatch
+{
+    public PdfPanelSearchMatch(int pageNumber, int index, int length, SKRect[] bounds)
+    {
+        PageNumber = pageNumber;
+        Index = index;
+        Length = length;
+        Bounds = bounds;
+    }
+
+    /// <summary>
+    /// Number of the page containing the match.
+    /// </summary>
+    public int PageNumber { get; }
+
+    /// <summary>
+    /// Index of the first matched character in <see cref="PdfPanelPageText.Text"/>.
+    /// </summary>
+    public int Index { get; }
+
+    /// <summary>
+    /// Number of matched characters.
+    /// </summary>
+    public int Length { get; }
+
+    /// <summary>
+    /// Bounding rectangles of the match in page coordinates (top-left origin, unrotated), one per line.
+    /// </summary>
+    public SKRect[] Bounds { get; }
+}
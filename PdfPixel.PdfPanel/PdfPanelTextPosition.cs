@@ -0,0 +1,31 @@
+﻿using System;
+
+namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Caret position in document text: a page and an index into its <see cref="PdfPanelPageText.Text"/>.
+/// </summary>
+public readonly struct PdfPanelTextPosition : IComparable<PdfPanelTextPosition>
+{
+    public PdfPanelTextPosition(int pageNumber, int index)
+    {
+        PageNumber = pageNumber;
+        Index = index;
+    }
+
+    /// <summary>
+    /// Number of the page.
+    /// </summary>
+    public int PageNumber { get; }
+
+    /// <summary>
+    /// Caret index in the page text, the position before the character with this index.
+    /// </summary>
+    public int Index { get; }
+
+    public int CompareTo(PdfPanelTextPosition other)
+    {
+        int pageComparison = PageNumber.CompareTo(other.PageNumber);
+        return pageComparison != 0 ? pageComparison : Index.CompareTo(other.Index);
+    }
+}
@@ -0,0 +1,38 @@
+﻿namespace PdfPixel.PdfPanel;
+
+/// <summary>
+/// Text selection between two caret positions, possibly spanning several pages.
+/// </summary>
+public sealed class PdfPanelTextSelection
+{
+    public PdfPanelTextSelection(PdfPanelTextPosition anchor, PdfPanelTextPosition focus)
+    {
+        Anchor = anchor;
+        Focus = focus;
+    }
+
+    /// <summary>
+    /// Position where the selection was started.
+    /// </summary>
+    public PdfPanelTextPosition Anchor { get; }
+
+    /// <summary>
+    /// Position where the selection currently ends, may precede <see cref="Anchor"/>.
+    /// </summary>
+    public PdfPanelTextPosition Focus { get; }
+
+    /// <summary>
+    /// The earlier of <see cref="Anchor"/> and <see cref="Focus"/>.
+    /// </summary>
+    public PdfPanelTextPosition Start => Anchor.CompareTo(Focus) <= 0 ? Anchor : Focus;
+
+    /// <summary>
+    /// The later of <see cref="Anchor"/> and <see cref="Focus"/>.
+    /// </summary>
+    public PdfPanelTextPosition End => Anchor.CompareTo(Focus) <= 0 ? Focus : Anchor;
+
+    /// <summary>
+    /// Whether the selection contains no characters.
+    /// </summary>
+    public bool IsEmpty => Anchor.CompareTo(Focus) == 0;
+}
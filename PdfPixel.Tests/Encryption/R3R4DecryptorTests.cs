@@ -0,0 +1,46 @@
+﻿using PdfPixel.Encryption;
+using System.Linq;
+using Xunit;
+
+namespace PdfPixel.Tests.Encryption;
+
+// Expected values were computed independently per Algorithms 3.2, 3.3 and 3.5 of the PDF 1.7 specification
+// for R=3, 128-bit key, /P -44, /ID[0] 00..0F, user password "user" and owner password "owner".
+public class R3R4DecryptorTests
+{
+    private static readonly byte[] FileId = Enumerable.Range(0, 16).Select(value => (byte)value).ToArray();
+
+    private static readonly byte[] OwnerEntry =
+    {
+        0x0B, 0xA3, 0x83, 0x5F, 0x88, 0xF9, 0x03, 0x88, 0xE7, 0x4E, 0x54, 0x58, 0x41, 0x25, 0xCE, 0x14,
+        0x2B, 0xE0, 0xDE, 0x24, 0xC6, 0xB0, 0xD3, 0x77, 0x46, 0xE0, 0x75, 0xB8, 0x91, 0x75, 0x66, 0x71
+    };
+
+    private static readonly byte[] UserEntry =
+    {
+        0x2A, 0x14, 0xF1, 0xC0, 0x13, 0x06, 0xE3, 0x52, 0x84, 0xBB, 0xCA, 0x67, 0x66, 0x4F, 0x89, 0x7A,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+    };
+
+    [Theory]
+    [InlineData("user", true)]
+    [InlineData("owner", true)]
+    [InlineData("", false)]
+    [InlineData("wrong", false)]
+    public void IsPasswordValid_AcceptsUserAndOwnerPasswords(string password, bool expected)
+    {
+        var decryptor = new R3R4Decryptor(new PdfDecryptorParameters
+        {
+            V = 2,
+            R = 3,
+            LengthBits = 128,
+            Permissions = -44,
+            FileIdFirst = FileId,
+            OwnerEntry = OwnerEntry,
+            UserEntry = UserEntry
+        });
+        decryptor.UpdatePassword(password);
+
+        Assert.Equal(expected, decryptor.IsPasswordValid);
+    }
+}
@@ -0,0 +1,99 @@
+﻿using PdfPixel.Encryption;
+using PdfPixel.Models;
+using System.Linq;
+using Xunit;
+
+namespace PdfPixel.Tests.Encryption;
+
+// Expected values were computed independently per Algorithms 3.2-3.4 of the PDF 1.7 specification
+// for R=2, 40-bit key, /P -44, /ID[0] 00..0F, user password "user" and owner password "owner".
+public class StandardR2DecryptorTests
+{
+    private static readonly byte[] FileId = Enumerable.Range(0, 16).Select(value => (byte)value).ToArray();
+
+    private static readonly byte[] OwnerEntry =
+    {
+        0x94, 0xE8, 0x09, 0x44, 0x19, 0x66, 0x2A, 0x77, 0x44, 0x42, 0xFB, 0x07, 0x2E, 0x3D, 0x9F, 0x19,
+        0xE9, 0xD1, 0x30, 0xEC, 0x09, 0xA4, 0xD0, 0x06, 0x1E, 0x78, 0xFE, 0x92, 0x0F, 0x7A, 0xB6, 0x2F
+    };
+
+    private static readonly byte[] UserEntry =
+    {
+        0x4A, 0x42, 0xBD, 0x4C, 0x10, 0xDC, 0xED, 0xE0, 0xC8, 0x9D, 0xDC, 0x34, 0x7E, 0x31, 0x7C, 0xAE,
+        0xDE, 0x85, 0x8B, 0x3E, 0xB9, 0x06, 0x27, 0x37, 0x92, 0xFE, 0x73, 0x82, 0xAE, 0x8F, 0x1C, 0x3E
+    };
+
+    private static readonly byte[] FileKey = { 0x12, 0xF4, 0x70, 0x20, 0x81 };
+
+    [Fact]
+    public void PadPassword_AppendsPaddingString()
+    {
+        byte[] padded = StandardR2Decryptor.PadPassword("user");
+
+        Assert.Equal(32, padded.Length);
+        Assert.Equal(new byte[] { 0x75, 0x73, 0x65, 0x72, 0x28, 0xBF, 0x4E, 0x5E }, padded.Take(8));
+        Assert.Equal(StandardR2Decryptor.PadPassword(string.Empty).Take(28), padded.Skip(4));
+    }
+
+    [Fact]
+    public void ComputeFileKey_MatchesKnownAnswer()
+    {
+        byte[] fileKey = StandardR2Decryptor.ComputeFileKey(StandardR2Decryptor.PadPassword("user"), CreateParameters(), 5);
+
+        Assert.Equal(FileKey, fileKey);
+    }
+
+    [Fact]
+    public void ComputeUserEntryR2_MatchesKnownAnswer()
+    {
+        Assert.Equal(UserEntry, StandardR2Decryptor.ComputeUserEntryR2(FileKey));
+    }
+
+    [Fact]
+    public void DecryptOwnerEntry_ReturnsPaddedUserPassword()
+    {
+        byte[] userPassword = StandardR2Decryptor.DecryptOwnerEntry(StandardR2Decryptor.PadPassword("owner"), OwnerEntry);
+
+        Assert.Equal(StandardR2Decryptor.PadPassword("user"), userPassword);
+    }
+
+    [Theory]
+    [InlineData("user", true)]
+    [InlineData("owner", true)]
+    [InlineData("", false)]
+    [InlineData("wrong", false)]
+    public void IsPasswordValid_AcceptsUserAndOwnerPasswords(string password, bool expected)
+    {
+        var decryptor = new StandardR2Decryptor(CreateParameters());
+        decryptor.UpdatePassword(password);
+
+        Assert.Equal(expected, decryptor.IsPasswordValid);
+    }
+
+    [Fact]
+    public void DecryptString_UsesSameKeyForOwnerPassword()
+    {
+        var data = new byte[] { 1, 2, 3, 4, 5 };
+        var reference = new PdfReference(7);
+        var userDecryptor = new StandardR2Decryptor(CreateParameters());
+        userDecryptor.UpdatePassword("user");
+        var ownerDecryptor = new StandardR2Decryptor(CreateParameters());
+        ownerDecryptor.UpdatePassword("owner");
+
+        Assert.Equal(userDecryptor.DecryptString(data, reference).ToArray(), ownerDecryptor.DecryptString(data, reference).ToArray());
+    }
+
+    private static PdfDecryptorParameters CreateParameters()
+    {
+        return new PdfDecryptorParameters
+        {
+            V = 1,
+            R = 2,
+            LengthBits = 40,
+            Permissions = -44,
+            FileIdFirst = FileId,
+            OwnerEntry = OwnerEntry,
+            UserEntry = UserEntry
+        };
+    }
+}
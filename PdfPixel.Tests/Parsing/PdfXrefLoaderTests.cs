@@ -0,0 +1,69 @@
+﻿using Microsoft.Extensions.Logging.Abstractions;
+using PdfPixel.Fonts.Management;
+using PdfPixel.Models;
+using System.Collections.Generic;
+using System.IO;
+using System.Text;
+using Xunit;
+
+namespace PdfPixel.Tests.Parsing;
+
+public class PdfXrefLoaderTests
+{
+    [Fact]
+    public void Read_SetsBothPartsOfFileIdentifier()
+    {
+        var document = ReadDocument("/ID [<00112233> <44556677>]");
+
+        Assert.Equal(new byte[] { 0x00, 0x11, 0x22, 0x33 }, document.FileId);
+        Assert.Equal(new byte[] { 0x44, 0x55, 0x66, 0x77 }, document.FileVersionId);
+    }
+
+    [Fact]
+    public void Read_LeavesVersionIdentifierUnsetForSingleElementIdentifier()
+    {
+        var document = ReadDocument("/ID [<00112233>]");
+
+        Assert.Equal(new byte[] { 0x00, 0x11, 0x22, 0x33 }, document.FileId);
+        Assert.Null(document.FileVersionId);
+    }
+
+    [Fact]
+    public void Read_LeavesFileIdentifierUnsetWithoutIdentifier()
+    {
+        var document = ReadDocument(string.Empty);
+
+        Assert.Null(document.FileId);
+        Assert.Null(document.FileVersionId);
+    }
+
+    private static PdfDocument ReadDocument(string trailerEntries)
+    {
+        var objects = new[]
+        {
+            "<< /Type /Catalog /Pages 2 0 R >>",
+            "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+            "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] >>"
+        };
+
+        var builder = new StringBuilder("%PDF-1.7\n");
+        var offsets = new List<int>();
+
+        for (int i = 0; i < objects.Length; i++)
+        {
+            offsets.Add(builder.Length);
+            builder.Append($"{i + 1} 0 obj\n{objects[i]}\nendobj\n");
+        }
+
+        int xrefOffset = builder.Length;
+        builder.Append($"xref\n0 {objects.Length + 1}\n0000000000 65535 f \n");
+        foreach (int offset in offsets)
+        {
+            builder.Append($"{offset:D10} 00000 n \n");
+        }
+        builder.Append($"trailer\n<< /Size {objects.Length + 1} /Root 1 0 R {trailerEntries} >>\nstartxref\n{xrefOffset}\n%%EOF\n");
+
+        var reader = new PdfDocumentReader(NullLoggerFactory.Instance, new InMemorySkiaFontProvider());
+        return reader.Read(new MemoryStream(Encoding.ASCII.GetBytes(builder.ToString())));
+    }
+}
@@ -0,0 +1,190 @@
+﻿using PdfPixel.PdfPanel;
+using System;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace PdfPixel.Tests.PdfPanel;
+
+public class ChunkedDocumentStreamTests
+{
+    private const int ChunkSize = 4;
+    private static readonly byte[] Document = Enumerable.Range(0, 10).Select(value => (byte)value).ToArray();
+
+    [Fact]
+    public void Read_CopiesDataAcrossChunks()
+    {
+        var stream = CreateLoadedStream();
+        stream.Position = 2;
+        var buffer = new byte[6];
+
+        int read = stream.Read(buffer, 0, buffer.Length);
+
+        Assert.Equal(6, read);
+        Assert.Equal(Document.Skip(2).Take(6), buffer);
+        Assert.Equal(8, stream.Position);
+    }
+
+    [Fact]
+    public void Read_StopsAtEndOfDocument()
+    {
+        var stream = CreateLoadedStream();
+        stream.Position = 8;
+        var buffer = new byte[5];
+
+        Assert.Equal(2, stream.Read(buffer, 1, 4));
+        Assert.Equal(new byte[] { 0, 8, 9, 0, 0 }, buffer);
+        Assert.Equal(0, stream.Read(buffer, 0, 4));
+    }
+
+    [Fact]
+    public void ReadByte_ReturnsBytesThenMinusOneAtEnd()
+    {
+        var stream = CreateLoadedStream();
+        stream.Position = 7;
+
+        Assert.Equal(7, stream.ReadByte());
+        Assert.Equal(8, stream.ReadByte());
+        Assert.Equal(9, stream.ReadByte());
+        Assert.Equal(-1, stream.ReadByte());
+        Assert.Equal(10, stream.Position);
+    }
+
+    [Theory]
+    [InlineData(3, SeekOrigin.Begin, 3)]
+    [InlineData(2, SeekOrigin.Current, 7)]
+    [InlineData(-1, SeekOrigin.End, 9)]
+    public void Seek_MovesPositionRelativeToOrigin(long offset, SeekOrigin origin, long expectedPosition)
+    {
+        var stream = CreateLoadedStream();
+        stream.Position = 5;
+
+        Assert.Equal(expectedPosition, stream.Seek(offset, origin));
+        Assert.Equal(expectedPosition, stream.Position);
+        Assert.Equal(Document[expectedPosition], stream.ReadByte());
+    }
+
+    [Fact]
+    public void Seek_RejectsNegativePosition()
+    {
+        var stream = CreateLoadedStream();
+
+        Assert.Throws<ArgumentOutOfRangeException>(() => stream.Seek(-1, SeekOrigin.Begin));
+    }
+
+    [Fact]
+    public void AddChunk_RejectsChunkOfWrongLength()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+
+        Assert.Throws<ArgumentException>(() => stream.AddChunk(0, new byte[3]));
+        Assert.Throws<ArgumentException>(() => stream.AddChunk(2, new byte[ChunkSize]));
+        Assert.Throws<ArgumentOutOfRangeException>(() => stream.AddChunk(3, new byte[2]));
+    }
+
+    [Fact]
+    public void Read_OfMissingChunkOutsideThreadPoolFailsAndRequestsChunk()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+        stream.AddChunk(0, Document.Take(ChunkSize).ToArray());
+        stream.Position = 5;
+
+        var exception = RunOnDedicatedThread(() => stream.ReadByte());
+
+        Assert.IsType<IOException>(exception);
+        Assert.Equal(1, stream.TakeRequestedChunk());
+        Assert.Equal(-1, stream.TakeRequestedChunk());
+    }
+
+    [Fact]
+    public async Task Read_OnThreadPoolWaitsForMissingChunk()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+        var read = Task.Run(() =>
+        {
+            var buffer = new byte[Document.Length];
+            stream.Read(buffer, 0, buffer.Length);
+            return buffer;
+        });
+
+        for (int delivered = 0; delivered < 3;)
+        {
+            int index = stream.TakeRequestedChunk();
+            if (index < 0)
+            {
+                await Task.Delay(10);
+                continue;
+            }
+
+            stream.AddChunk(index, Document.Skip(index * ChunkSize).Take(ChunkSize).ToArray());
+            delivered++;
+        }
+
+        Assert.Equal(Document, await read);
+    }
+
+    [Fact]
+    public void TakeRequestedChunk_SkipsChunksLoadedMeanwhile()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+        stream.Position = 0;
+        RunOnDedicatedThread(() => stream.ReadByte());
+        stream.Position = 4;
+        RunOnDedicatedThread(() => stream.ReadByte());
+
+        stream.AddChunk(0, Document.Take(ChunkSize).ToArray());
+
+        Assert.Equal(1, stream.TakeRequestedChunk());
+        Assert.Equal(-1, stream.TakeRequestedChunk());
+    }
+
+    [Fact]
+    public async Task Abort_FailsWaitingAndLaterReads()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+        var read = Task.Run(() => stream.ReadByte());
+
+        while (stream.TakeRequestedChunk() < 0)
+        {
+            await Task.Delay(10);
+        }
+
+        stream.Abort();
+
+        await Assert.ThrowsAsync<IOException>(() => read);
+        await Assert.ThrowsAsync<IOException>(() => Task.Run(() => stream.ReadByte()));
+    }
+
+    private static ChunkedDocumentStream CreateLoadedStream()
+    {
+        var stream = new ChunkedDocumentStream(Document.Length, ChunkSize);
+        for (int index = 0; index * ChunkSize < Document.Length; index++)
+        {
+            stream.AddChunk(index, Document.Skip(index * ChunkSize).Take(ChunkSize).ToArray());
+        }
+
+        return stream;
+    }
+
+    private static Exception? RunOnDedicatedThread(Action action)
+    {
+        Exception? exception = null;
+        var thread = new Thread(() =>
+        {
+            try
+            {
+                action();
+            }
+            catch (Exception ex)
+            {
+                exception = ex;
+            }
+        });
+
+        thread.Start();
+        thread.Join();
+        return exception;
+    }
+}
@@ -0,0 +1,166 @@
+﻿using Microsoft.Extensions.Logging.Abstractions;
+using PdfPixel.Fonts.Management;
+using PdfPixel.Models;
+using PdfPixel.PdfPanel;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using Xunit;
+
+namespace PdfPixel.Tests.PdfPanel;
+
+public sealed class PdfPanelFormFieldTests : IDisposable
+{
+    private const int NoToggleToOffAndRadioFlags = (1 << 14) | (1 << 15);
+    private const int ComboFlag = 1 << 17;
+
+    private readonly PdfDocument document;
+    private readonly Dictionary<string, PdfPanelFormField> fields;
+
+    public PdfPanelFormFieldTests()
+    {
+        document = ReadDocument(
+            "<< /Type /Catalog /Pages 2 0 R /AcroForm << /Fields [4 0 R 5 0 R 6 0 R 9 0 R] >> >>",
+            "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+            "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Annots [4 0 R 5 0 R 7 0 R 8 0 R 9 0 R] >>",
+            "<< /Type /Annot /Subtype /Widget /FT /Tx /T (name) /V (Ann) /Rect [10 10 100 30] >>",
+            "<< /Type /Annot /Subtype /Widget /FT /Btn /T (agree) /V /Off /AS /Off /Rect [10 40 30 60] /AP << /N << /Yes 10 0 R /Off 10 0 R >> >> >>",
+            $"<< /FT /Btn /Ff {NoToggleToOffAndRadioFlags} /T (color) /V /Red /Kids [7 0 R 8 0 R] >>",
+            "<< /Type /Annot /Subtype /Widget /Parent 6 0 R /AS /Red /Rect [10 70 30 90] /AP << /N << /Red 10 0 R /Off 10 0 R >> >> >>",
+            "<< /Type /Annot /Subtype /Widget /Parent 6 0 R /AS /Off /Rect [40 70 60 90] /AP << /N << /Blue 10 0 R /Off 10 0 R >> >> >>",
+            $"<< /Type /Annot /Subtype /Widget /FT /Ch /Ff {ComboFlag} /T (size) /Opt [(S) (M) (L)] /V (M) /Rect [10 100 100 120] >>",
+            "<< /Length 0 >>\nstream\n\nendstream");
+
+        fields = new PdfPanelRenderer(document).CreateFormWidgets(1)
+            .GroupBy(widget => widget.Annotation.Field.GetFullyQualifiedName())
+            .ToDictionary(group => group.Key, group => new PdfPanelFormField(group.Key, group.ToList()));
+    }
+
+    public void Dispose()
+    {
+        document.Dispose();
+    }
+
+    [Fact]
+    public void Constructor_DetectsFieldTypesAndOptions()
+    {
+        Assert.Equal(PdfPanelFormFieldType.Text, fields["name"].FieldType);
+        Assert.Equal(PdfPanelFormFieldType.CheckBox, fields["agree"].FieldType);
+        Assert.Equal(PdfPanelFormFieldType.RadioButton, fields["color"].FieldType);
+        Assert.Equal(PdfPanelFormFieldType.ComboBox, fields["size"].FieldType);
+        Assert.Equal(new[] { "Yes" }, fields["agree"].Options.Select(option => option.ExportValue));
+        Assert.Equal(new[] { "Red", "Blue" }, fields["color"].Options.Select(option => option.ExportValue));
+        Assert.Equal(new[] { "S", "M", "L" }, fields["size"].Options.Select(option => option.ExportValue));
+    }
+
+    [Fact]
+    public void GetValues_ReturnsDocumentValues()
+    {
+        Assert.Equal(new[] { "Ann" }, fields["name"].GetValues());
+        Assert.Empty(fields["agree"].GetValues());
+        Assert.Equal(new[] { "Red" }, fields["color"].GetValues());
+        Assert.Equal(new[] { "M" }, fields["size"].GetValues());
+    }
+
+    [Fact]
+    public void SetValues_ChangesTextAndReportsOnlyChanges()
+    {
+        var field = fields["name"];
+
+        Assert.True(field.SetValues(new[] { "Bob" }));
+        Assert.Equal(new[] { "Bob" }, field.GetValues());
+        Assert.False(field.SetValues(new[] { "Bob" }));
+    }
+
+    [Fact]
+    public void SetValues_SelectsChoiceOption()
+    {
+        var field = fields["size"];
+
+        Assert.True(field.SetValues(new[] { "L" }));
+        Assert.Equal(new[] { "L" }, field.GetValues());
+    }
+
+    [Fact]
+    public void SetValues_TurnsCheckBoxOffForUnknownValue()
+    {
+        var field = fields["agree"];
+
+        Assert.True(field.SetValues(new[] { "Yes" }));
+        Assert.True(field.Widgets[0].Annotation.IsButtonChecked());
+
+        Assert.True(field.SetValues(new[] { "Maybe" }));
+        Assert.Empty(field.GetValues());
+        Assert.False(field.Widgets[0].Annotation.IsButtonChecked());
+    }
+
+    [Fact]
+    public void SetValues_UpdatesAllRadioButtonWidgets()
+    {
+        var field = fields["color"];
+
+        Assert.True(field.SetValues(new[] { "Blue" }));
+
+        Assert.Equal(new[] { "Blue" }, field.GetValues());
+        Assert.Equal(new[] { false, true }, field.Widgets.Select(widget => widget.Annotation.IsButtonChecked()));
+    }
+
+    [Fact]
+    public void Toggle_SwitchesCheckBoxOnAndOff()
+    {
+        var field = fields["agree"];
+        var widget = field.Widgets[0].Annotation;
+
+        Assert.True(field.Toggle(widget));
+        Assert.Equal(new[] { "Yes" }, field.GetValues());
+
+        Assert.True(field.Toggle(widget));
+        Assert.Empty(field.GetValues());
+    }
+
+    [Fact]
+    public void Toggle_SelectsRadioButtonWithoutTurningSelectedOneOff()
+    {
+        var field = fields["color"];
+
+        Assert.True(field.Toggle(field.Widgets[1].Annotation));
+        Assert.Equal(new[] { "Blue" }, field.GetValues());
+
+        Assert.False(field.Toggle(field.Widgets[1].Annotation));
+        Assert.Equal(new[] { "Blue" }, field.GetValues());
+    }
+
+    [Fact]
+    public void Toggle_IgnoresFieldsOtherThanButtons()
+    {
+        var field = fields["name"];
+
+        Assert.False(field.Toggle(field.Widgets[0].Annotation));
+        Assert.Equal(new[] { "Ann" }, field.GetValues());
+    }
+
+    private static PdfDocument ReadDocument(params string[] objects)
+    {
+        var builder = new StringBuilder("%PDF-1.7\n");
+        var offsets = new List<int>();
+
+        for (int i = 0; i < objects.Length; i++)
+        {
+            offsets.Add(builder.Length);
+            builder.Append($"{i + 1} 0 obj\n{objects[i]}\nendobj\n");
+        }
+
+        int xrefOffset = builder.Length;
+        builder.Append($"xref\n0 {objects.Length + 1}\n0000000000 65535 f \n");
+        foreach (int offset in offsets)
+        {
+            builder.Append($"{offset:D10} 00000 n \n");
+        }
+        builder.Append($"trailer\n<< /Size {objects.Length + 1} /Root 1 0 R >>\nstartxref\n{xrefOffset}\n%%EOF\n");
+
+        var reader = new PdfDocumentReader(NullLoggerFactory.Instance, new InMemorySkiaFontProvider());
+        return reader.Read(new MemoryStream(Encoding.ASCII.GetBytes(builder.ToString())));
+    }
+}
@@ -0,0 +1,185 @@
+﻿using PdfPixel.Models;
+using PdfPixel.PdfPanel;
+using PdfPixel.PdfPanel.Extensions;
+using PdfPixel.PdfPanel.Layout;
+using SkiaSharp;
+using System;
+using Xunit;
+
+namespace PdfPixel.Tests.PdfPanel;
+
+public class PdfPanelLayoutTests
+{
+    private const float PageGap = 10;
+    private static readonly SKRect Padding = new SKRect(10, 10, 10, 10);
+
+    [Fact]
+    public void HorizontalLayout_PlacesPagesInRowCenteredVertically()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(150, 100), new SKSize(100, 200));
+        var layout = new PdfPanelHorizontalLayout();
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 300, 500);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(390, 500), extent);
+        Assert.Equal(new SKPoint(10, 150), pages[0].Offset);
+        Assert.Equal(new SKPoint(120, 200), pages[1].Offset);
+        Assert.Equal(new SKPoint(280, 150), pages[2].Offset);
+    }
+
+    [Fact]
+    public void HorizontalLayout_ScalesPagesAndGaps()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(100, 200));
+        var layout = new PdfPanelHorizontalLayout();
+
+        SKSize extent = layout.CalculateDimensions(pages, 2, Padding, PageGap, 100, 100);
+        layout.CalculatePageOffsets(pages, 2, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(440, 420), extent);
+        Assert.Equal(new SKPoint(10, 10), pages[0].Offset);
+        Assert.Equal(new SKPoint(230, 10), pages[1].Offset);
+    }
+
+    [Fact]
+    public void SpreadLayout_PlacesPagePairsAroundSpine()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(150, 100), new SKSize(100, 200));
+        var layout = new PdfPanelSpreadLayout(showCoverPage: false);
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 100, 100);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(330, 430), extent);
+        Assert.Equal(new SKPoint(60, 10), pages[0].Offset);
+        Assert.Equal(new SKPoint(170, 60), pages[1].Offset);
+        Assert.Equal(new SKPoint(60, 220), pages[2].Offset);
+    }
+
+    [Fact]
+    public void SpreadLayout_ShowsCoverPageAloneOnRightSide()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(150, 100), new SKSize(100, 200));
+        var layout = new PdfPanelSpreadLayout(showCoverPage: true);
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 100, 100);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(330, 430), extent);
+        Assert.Equal(new SKPoint(170, 10), pages[0].Offset);
+        Assert.Equal(new SKPoint(10, 270), pages[1].Offset);
+        Assert.Equal(new SKPoint(170, 220), pages[2].Offset);
+    }
+
+    [Fact]
+    public void SpreadLayout_CentersSpreadsInWideViewport()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(100, 200));
+        var layout = new PdfPanelSpreadLayout(showCoverPage: false);
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 500, 100);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(500, 220), extent);
+        Assert.Equal(new SKPoint(145, 10), pages[0].Offset);
+        Assert.Equal(new SKPoint(255, 10), pages[1].Offset);
+    }
+
+    [Fact]
+    public void SinglePageLayout_CentersDisplayedPageAndMovesOthersOutOfExtent()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(150, 100), new SKSize(100, 200));
+        var layout = new PdfPanelSinglePageLayout { PageNumber = 2 };
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 300, 300);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(300, 300), extent);
+        Assert.Equal(new SKPoint(75, 100), pages[1].Offset);
+        Assert.Equal(new SKPoint(-110, 0), pages[0].Offset);
+        Assert.Equal(new SKPoint(-110, 0), pages[2].Offset);
+    }
+
+    [Fact]
+    public void SinglePageLayout_ClampsPageNumberToDocument()
+    {
+        var pages = CreatePages(new SKSize(100, 200), new SKSize(150, 100), new SKSize(100, 400));
+        var layout = new PdfPanelSinglePageLayout { PageNumber = 5 };
+
+        SKSize extent = layout.CalculateDimensions(pages, 1, Padding, PageGap, 300, 300);
+        layout.CalculatePageOffsets(pages, 1, Padding, PageGap, extent.Width, extent.Height);
+
+        Assert.Equal(new SKSize(300, 420), extent);
+        Assert.Equal(new SKPoint(100, 10), pages[2].Offset);
+    }
+
+    [Fact]
+    public void ScrollToPage_ShowsTopOfPageInSinglePageLayout()
+    {
+        var layout = new PdfPanelSinglePageLayout { PageNumber = 1 };
+        var context = CreateContext(layout, new SKSize(100, 200), new SKSize(100, 400));
+
+        context.ScrollToPage(2);
+        context.Update();
+
+        Assert.Equal(2, layout.PageNumber);
+        Assert.Equal(0, context.VerticalOffset);
+    }
+
+    [Fact]
+    public void ScrollToPageBottom_ShowsBottomOfPageInSinglePageLayout()
+    {
+        var layout = new PdfPanelSinglePageLayout { PageNumber = 1 };
+        var context = CreateContext(layout, new SKSize(100, 200), new SKSize(100, 400));
+
+        context.ScrollToPageBottom(2);
+        context.Update();
+
+        Assert.Equal(2, layout.PageNumber);
+        Assert.Equal(270, context.VerticalOffset);
+        Assert.Equal(0, context.HorizontalOffset);
+    }
+
+    [Fact]
+    public void ScrollToPageBottom_AlignsPageBottomWithViewportInVerticalLayout()
+    {
+        var context = CreateContext(new PdfPanelVerticalLayout(), new SKSize(100, 200), new SKSize(100, 400), new SKSize(100, 200));
+        SKPoint offset = context.Pages[1].Offset;
+
+        context.ScrollToPageBottom(2);
+        context.Update();
+
+        Assert.Equal(offset.Y + 400 + PageGap - context.ViewportHeight, context.VerticalOffset);
+    }
+
+    private static PdfPanelContext CreateContext(IPdfPanelLayout layout, params SKSize[] sizes)
+    {
+        var context = new PdfPanelContext(CreatePages(sizes), new PdfRenderingQueue(null), new NullRenderTargetFactory(), layout)
+        {
+            ViewportWidth = 300,
+            ViewportHeight = 150,
+            PagesPadding = Padding,
+            MinimumPageGap = PageGap
+        };
+        context.Update();
+        return context;
+    }
+
+    private static PdfPanelPageCollection CreatePages(params SKSize[] sizes)
+    {
+        var pages = new PdfPanelPage[sizes.Length];
+        for (int i = 0; i < sizes.Length; i++)
+        {
+            var info = new PdfPanelPageInfo((i + 1).ToString(), sizes[i].Width, sizes[i].Height, 0);
+            pages[i] = new PdfPanelPage(info, i + 1, Array.Empty<PdfAnnotationPopup>());
+        }
+
+        return new PdfPanelPageCollection(null, pages, Array.Empty<PdfOutlineItem>());
+    }
+
+    private sealed class NullRenderTargetFactory : IPdfPanelRenderTargetFactory
+    {
+        public IPdfPanelRenderTarget GetRenderTarget(PdfPanelContext context) => null;
+    }
+}
@@ -0,0 +1,143 @@
+﻿using Microsoft.Extensions.Logging.Abstractions;
+using PdfPixel.Fonts.Management;
+using PdfPixel.Models;
+using PdfPixel.PdfPanel;
+using SkiaSharp;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace PdfPixel.Tests.PdfPanel;
+
+public class PdfPanelPageCollectionTests
+{
+    private const int PageCount = 20;
+
+    [Fact]
+    public async Task GetPageTextAsync_ExtractsTextWhilePagesAreRendered()
+    {
+        using var pages = PdfPanelPageCollection.FromDocument(ReadDocument(PageCount));
+
+        var rendering = Task.Run(() =>
+        {
+            for (int pageNumber = 1; pageNumber <= pages.Count; pageNumber++)
+            {
+                using var image = pages.RenderPage(pageNumber, 2, SKColors.White, CancellationToken.None);
+                Assert.NotNull(image);
+            }
+        });
+
+        var texts = await Task.WhenAll(Enumerable.Range(1, pages.Count).Select(pages.GetPageTextAsync));
+        await rendering;
+
+        for (int i = 0; i < texts.Length; i++)
+        {
+            Assert.Equal($"Page {i + 1}", texts[i].Text);
+        }
+    }
+
+    [Fact]
+    public async Task RenderPage_RendersTheSameImagesWhileThumbnailsAreRendered()
+    {
+        byte[][] expected;
+        using (var sequentialPages = PdfPanelPageCollection.FromDocument(ReadDocument(PageCount)))
+        {
+            expected = Enumerable.Range(1, PageCount)
+                .Select(pageNumber => ReadPixels(sequentialPages.RenderPage(pageNumber, 2, SKColors.White, CancellationToken.None)))
+                .ToArray();
+        }
+
+        using var pages = PdfPanelPageCollection.FromDocument(ReadDocument(PageCount));
+
+        var thumbnails = Task.Run(() =>
+        {
+            for (int pageNumber = 1; pageNumber <= pages.Count; pageNumber++)
+            {
+                using var thumbnail = pages.RenderThumbnail(pageNumber, 64);
+                Assert.NotNull(thumbnail);
+            }
+        });
+
+        var images = await Task.WhenAll(Enumerable.Range(1, pages.Count)
+            .Select(pageNumber => Task.Run(() => ReadPixels(pages.RenderPage(pageNumber, 2, SKColors.White, CancellationToken.None)))));
+        await thumbnails;
+
+        Assert.Equal(expected, images);
+    }
+
+    [Fact]
+    public async Task GetFontSubstitutions_ListsFontsWhilePagesAreRendered()
+    {
+        using var pages = PdfPanelPageCollection.FromDocument(ReadDocument(PageCount));
+
+        var rendering = Task.Run(() =>
+        {
+            for (int pageNumber = 1; pageNumber <= pages.Count; pageNumber++)
+            {
+                using var image = pages.RenderPage(pageNumber, 2, SKColors.White, CancellationToken.None);
+                Assert.NotNull(image);
+            }
+        });
+
+        var unresolvedPageNumbers = new List<int>();
+        var substitutions = await Task.Run(() => pages.GetFontSubstitutions(unresolvedPageNumbers));
+        await rendering;
+
+        Assert.Empty(unresolvedPageNumbers);
+        Assert.Contains(substitutions, substitution => substitution.RequestedName == "Helvetica");
+    }
+
+    private static byte[] ReadPixels(SKImage image)
+    {
+        Assert.NotNull(image);
+
+        using (image)
+        {
+            using var bitmap = SKBitmap.FromImage(image);
+            return bitmap.Bytes;
+        }
+    }
+
+    private static PdfDocument ReadDocument(int pageCount)
+    {
+        // Every page has a font of its own, so rendering and extraction both parse objects of every page.
+        var objects = new List<string>
+        {
+            "<< /Type /Catalog /Pages 2 0 R >>",
+            $"<< /Type /Pages /Kids [{string.Join(" ", Enumerable.Range(0, pageCount).Select(i => $"{3 + i * 3} 0 R"))}] /Count {pageCount} >>"
+        };
+
+        for (int i = 0; i < pageCount; i++)
+        {
+            int pageObject = 3 + i * 3;
+            string content = $"BT /F1 12 Tf 20 100 Td (Page {i + 1}) Tj ET";
+            objects.Add($"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Resources << /Font << /F1 {pageObject + 1} 0 R >> >> /Contents {pageObject + 2} 0 R >>");
+            objects.Add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+            objects.Add($"<< /Length {content.Length} >>\nstream\n{content}\nendstream");
+        }
+
+        var builder = new StringBuilder("%PDF-1.7\n");
+        var offsets = new List<int>();
+
+        for (int i = 0; i < objects.Count; i++)
+        {
+            offsets.Add(builder.Length);
+            builder.Append($"{i + 1} 0 obj\n{objects[i]}\nendobj\n");
+        }
+
+        int xrefOffset = builder.Length;
+        builder.Append($"xref\n0 {objects.Count + 1}\n0000000000 65535 f \n");
+        foreach (int offset in offsets)
+        {
+            builder.Append($"{offset:D10} 00000 n \n");
+        }
+        builder.Append($"trailer\n<< /Size {objects.Count + 1} /Root 1 0 R >>\nstartxref\n{xrefOffset}\n%%EOF\n");
+
+        var reader = new PdfDocumentReader(NullLoggerFactory.Instance, new InMemorySkiaFontProvider());
+        return reader.Read(new MemoryStream(Encoding.ASCII.GetBytes(builder.ToString())));
+    }
+}
@@ -0,0 +1,208 @@
+﻿using PdfPixel.PdfPanel;
+using PdfPixel.PdfPanel.Extensions;
+using PdfPixel.TextExtraction;
+using SkiaSharp;
+using System;
+using System.Linq;
+using Xunit;
+
+namespace PdfPixel.Tests.PdfPanel;
+
+public class PdfPanelPageTextTests
+{
+    private const float CharacterWidth = 10;
+    private const float LineHeight = 10;
+
+    [Fact]
+    public void Text_SeparatesWordsWithGapsBySpaceAndLinesByNewLine()
+    {
+        var pageText = CreatePageText();
+
+        Assert.Equal("Hello world\nFoo", pageText.Text);
+    }
+
+    [Fact]
+    public void Text_JoinsWordsWithoutGap()
+    {
+        var words = new[]
+        {
+            CreateWord("Hello", 0, 0, 0),
+            CreateWord(",", 0, 0, 50)
+        };
+
+        var pageText = new PdfPanelPageText(1, words);
+
+        Assert.Equal("Hello,", pageText.Text);
+    }
+
+    [Fact]
+    public void GetTextBounds_ReturnsOneRectanglePerLine()
+    {
+        var pageText = CreatePageText();
+
+        var bounds = pageText.GetTextBounds(6, 9);
+
+        Assert.Equal(2, bounds.Length);
+        Assert.Equal(new SKRect(60, 0, 110, LineHeight), bounds[0]);
+        Assert.Equal(new SKRect(0, 20, 30, 20 + LineHeight), bounds[1]);
+    }
+
+    [Fact]
+    public void GetTextBounds_ClampsRangeToText()
+    {
+        var pageText = CreatePageText();
+
+        var bounds = pageText.GetTextBounds(12, 100);
+
+        Assert.Equal(new[] { new SKRect(0, 20, 30, 20 + LineHeight) }, bounds);
+    }
+
+    [Theory]
+    [InlineData(2, 5, 0)]
+    [InlineData(8, 5, 1)]
+    [InlineData(108, 5, 11)]
+    [InlineData(500, 5, 11)]
+    [InlineData(27, 25, 15)]
+    public void GetCaretIndexAt_PrefersCharactersOnLineUnderPoint(float x, float y, int expectedIndex)
+    {
+        var pageText = CreatePageText();
+
+        Assert.Equal(expectedIndex, pageText.GetCaretIndexAt(new SKPoint(x, y)));
+    }
+
+    [Fact]
+    public void GetCaretIndexAt_ReturnsZeroForPageWithoutText()
+    {
+        var pageText = new PdfPanelPageText(1, Array.Empty<PdfWord>());
+
+        Assert.Equal(0, pageText.GetCaretIndexAt(new SKPoint(10, 10)));
+    }
+
+    [Fact]
+    public void TryGetWordRangeAt_ReturnsRangeOfWordUnderPoint()
+    {
+        var pageText = CreatePageText();
+
+        Assert.True(pageText.TryGetWordRangeAt(new SKPoint(75, 5), out int start, out int length));
+        Assert.Equal("world", pageText.Text.Substring(start, length));
+    }
+
+    [Fact]
+    public void TryGetWordRangeAt_FailsForPageWithoutText()
+    {
+        var pageText = new PdfPanelPageText(1, Array.Empty<PdfWord>());
+
+        Assert.False(pageText.TryGetWordRangeAt(new SKPoint(10, 10), out _, out _));
+    }
+
+    [Fact]
+    public void FindMatches_MatchesAcrossLineBreaksAndIgnoresCase()
+    {
+        var pageText = CreatePageText();
+        string needle = PdfPanelPageCollectionExtensions.NormalizeWhitespace("  WORLD \t foo ");
+
+        var matches = PdfPanelPageCollectionExtensions.FindMatches(pageText, needle, StringComparison.OrdinalIgnoreCase, wholeWord: false).ToList();
+
+        var match = Assert.Single(matches);
+        Assert.Equal(1, match.PageNumber);
+        Assert.Equal(6, match.Index);
+        Assert.Equal(9, match.Length);
+        Assert.Equal(2, match.Bounds.Length);
+    }
+
+    [Fact]
+    public void FindMatches_HonorsCaseSensitivity()
+    {
+        var pageText = CreatePageText();
+
+        var matches = PdfPanelPageCollectionExtensions.FindMatches(pageText, "hello", StringComparison.Ordinal, wholeWord: false);
+
+        Assert.Empty(matches);
+    }
+
+    [Fact]
+    public void FindMatches_WholeWordSkipsMatchesInsideWords()
+    {
+        var words = new[]
+        {
+            CreateWord("foobar", 0, 0, 0),
+            CreateWord("foo", 0, 0, 80)
+        };
+        var pageText = new PdfPanelPageText(3, words);
+
+        var matches = PdfPanelPageCollectionExtensions.FindMatches(pageText, "foo", StringComparison.Ordinal, wholeWord: true).ToList();
+
+        var match = Assert.Single(matches);
+        Assert.Equal(3, match.PageNumber);
+        Assert.Equal(7, match.Index);
+    }
+
+    [Fact]
+    public void FindMatches_DoesNotReturnOverlappingMatches()
+    {
+        var pageText = new PdfPanelPageText(1, new[] { CreateWord("aaaa", 0, 0, 0) });
+
+        var matches = PdfPanelPageCollectionExtensions.FindMatches(pageText, "aa", StringComparison.Ordinal, wholeWord: false);
+
+        Assert.Equal(new[] { 0, 2 }, matches.Select(match => match.Index));
+    }
+
+    [Theory]
+    [InlineData("", "")]
+    [InlineData(" \t\n", "")]
+    [InlineData(" a \n\t b ", "a b")]
+    public void NormalizeWhitespace_TrimsAndCollapsesWhitespace(string value, string expected)
+    {
+        Assert.Equal(expected, PdfPanelPageCollectionExtensions.NormalizeWhitespace(value));
+    }
+
+    [Theory]
+    [InlineData(1, 4, 10)]
+    [InlineData(2, 0, 10)]
+    [InlineData(3, 0, 3)]
+    public void GetSelectedRange_CoversPagesBetweenSelectionEnds(int pageNumber, int expectedStart, int expectedEnd)
+    {
+        var selection = new PdfPanelTextSelection(new PdfPanelTextPosition(3, 3), new PdfPanelTextPosition(1, 4));
+
+        PdfPanelPageCollectionExtensions.GetSelectedRange(selection, pageNumber, 10, out int start, out int end);
+
+        Assert.Equal(expectedStart, start);
+        Assert.Equal(expectedEnd, end);
+    }
+
+    [Fact]
+    public void GetSelectedRange_ClampsIndicesToTextLength()
+    {
+        var selection = new PdfPanelTextSelection(new PdfPanelTextPosition(1, 20), new PdfPanelTextPosition(1, 30));
+
+        PdfPanelPageCollectionExtensions.GetSelectedRange(selection, 1, 10, out int start, out int end);
+
+        Assert.Equal(10, start);
+        Assert.Equal(10, end);
+    }
+
+    private static PdfPanelPageText CreatePageText()
+    {
+        var words = new[]
+        {
+            CreateWord("Hello", 0, 0, 0),
+            CreateWord("world", 0, 0, 60),
+            CreateWord("Foo", 1, 20, 0)
+        };
+
+        return new PdfPanelPageText(1, words);
+    }
+
+    private static PdfWord CreateWord(string text, int lineIndex, float top, float left)
+    {
+        var characters = new PdfCharacter[text.Length];
+        for (int i = 0; i < text.Length; i++)
+        {
+            float characterLeft = left + i * CharacterWidth;
+            characters[i] = new PdfCharacter(text[i].ToString(), new SKRect(characterLeft, top, characterLeft + CharacterWidth, top + LineHeight));
+        }
+
+        var bounds = new SKRect(left, top, left + text.Length * CharacterWidth, top + LineHeight);
+        return new PdfWord(bounds, PdfWordType.Normal, lineIndex, characters);
+    }
+}
@@ -163,6 +163,16 @@ public abstract class PdfAnnotationBase
     /// </summary>
     public PdfString AppearanceState { get; }
 
+    /// <summary>
+    /// Gets the appearance state used to pick an appearance from the appearance subdictionaries
+    /// when a visual state has more than one appearance (for example checkbox on and off states).
+    /// </summary>
+    /// <returns>The current appearance state name, <see cref="AppearanceState"/> by default.</returns>
+    public virtual PdfString GetCurrentAppearanceState()
+    {
+        return AppearanceState;
+    }
+
     /// <summary>
     /// Gets the border style dictionary that specifies the characteristics of the annotation's border.
     /// </summary>
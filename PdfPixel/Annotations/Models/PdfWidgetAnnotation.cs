@@ -1,9 +1,12 @@
 using PdfPixel.Annotations.Models;
+using PdfPixel.Annotations.Rendering;
 using PdfPixel.Forms;
 using PdfPixel.Models;
+using PdfPixel.Rendering;
 using PdfPixel.Text;
 using SkiaSharp;
 using System;
+using System.Threading;
 
 namespace PdfPixel.Annotations.Models;
 
@@ -108,6 +111,83 @@ public class PdfWidgetAnnotation : PdfAnnotationBase
         return null;
     }
 
+    /// <summary>
+    /// Renders the widget. Text and choice widgets of a field whose value was changed are drawn
+    /// from the value, because their appearance stream still shows the original value.
+    /// </summary>
+    /// <param name="canvas">The canvas to render to.</param>
+    /// <param name="page">The PDF page containing this annotation.</param>
+    /// <param name="visualStateKind">The visual state to render (Normal, Rollover, Down).</param>
+    /// <param name="renderer">The renderer context for rendering appearance streams.</param>
+    /// <param name="renderingParameters">Rendering parameters.</param>
+    /// <param name="token">Token to cancel rendering.</param>
+    /// <returns>True if the annotation was rendered, false otherwise.</returns>
+    public override bool Render(
+        SKCanvas canvas,
+        PdfPage page,
+        PdfAnnotationVisualStateKind visualStateKind,
+        IPdfRenderer renderer,
+        PdfRenderingParameters renderingParameters,
+        CancellationToken token)
+    {
+        if (Field?.IsValueModified == true && Field is PdfTextFormField or PdfChoiceFormField)
+        {
+            PdfWidgetValueRenderer.RenderValue(canvas, this, page);
+            return true;
+        }
+
+        return base.Render(canvas, page, visualStateKind, renderer, renderingParameters, token);
+    }
+
+    /// <summary>
+    /// Gets the appearance state of the widget. For checkboxes and radio buttons whose value was changed
+    /// the state follows the field value: the widget's on state if the value selects it, otherwise /Off.
+    /// </summary>
+    /// <returns>The current appearance state name.</returns>
+    public override PdfString GetCurrentAppearanceState()
+    {
+        if (Field is not PdfButtonFormField buttonField || !buttonField.IsValueModified)
+        {
+            return base.GetCurrentAppearanceState();
+        }
+
+        var onState = GetOnStateName();
+        var value = buttonField.Value;
+
+        if (!onState.IsEmpty && value != null && value.Type == PdfValueType.Name && value.AsName() == onState)
+        {
+            return onState;
+        }
+
+        return PdfTokens.OffStateName;
+    }
+
+    /// <summary>
+    /// Gets the name of the appearance state that shows a checkbox or radio button widget as selected.
+    /// </summary>
+    /// <remarks>
+    /// This is also the value the field takes when this widget is selected.
+    /// </remarks>
+    /// <returns>The on state name, or an empty string if the widget has no on state appearance.</returns>
+    public PdfString GetOnStateName()
+    {
+        var normalAppearance = AppearanceDictionary?.GetDictionary(PdfTokens.NKey);
+        if (normalAppearance == null)
+        {
+            return PdfString.Empty;
+        }
+
+        foreach (var stateName in normalAppearance.RawValues.Keys)
+        {
+            if (stateName != PdfTokens.OffStateName)
+            {
+                return stateName;
+            }
+        }
+
+        return PdfString.Empty;
+    }
+
     /// <summary>
     /// Gets the text value for text field widgets.
     /// </summary>
@@ -128,12 +208,18 @@ public class PdfWidgetAnnotation : PdfAnnotationBase
     /// <returns>True if the button is checked, false otherwise.</returns>
     public bool IsButtonChecked()
     {
-        if (Field is PdfButtonFormField buttonField)
+        if (Field is not PdfButtonFormField buttonField)
+        {
+            return false;
+        }
+
+        if (buttonField.IsPushButton || GetOnStateName().IsEmpty)
         {
             return buttonField.IsChecked();
         }
 
-        return false;
+        var appearanceState = GetCurrentAppearanceState();
+        return !appearanceState.IsEmpty && appearanceState != PdfTokens.OffStateName;
     }
 
     /// <summary>
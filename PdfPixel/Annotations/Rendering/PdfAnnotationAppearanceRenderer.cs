@@ -42,7 +42,12 @@ internal static class PdfAnnotationAppearanceRenderer
         }
 
         var effectiveState = ResolveVisualState(annotation, visualStateKind);
-        var appearanceObject = GetAppearanceObjectForState(annotation.AppearanceDictionary, effectiveState);
+        var appearanceObject = GetAppearanceObjectForState(annotation, effectiveState);
+
+        if (appearanceObject == null && effectiveState != PdfAnnotationVisualStateKind.Normal)
+        {
+            appearanceObject = GetAppearanceObjectForState(annotation, PdfAnnotationVisualStateKind.Normal);
+        }
 
         if (appearanceObject == null)
         {
@@ -112,6 +117,31 @@ internal static class PdfAnnotationAppearanceRenderer
         };
     }
 
+    /// <summary>
+    /// Gets the appearance stream for the specified visual state. When the visual state maps to an
+    /// appearance subdictionary of named states (for example /Yes and /Off of a checkbox), the stream
+    /// is picked by the annotation's current appearance state.
+    /// </summary>
+    private static PdfObject GetAppearanceObjectForState(
+        PdfAnnotationBase annotation,
+        PdfAnnotationVisualStateKind state)
+    {
+        var appearanceObject = GetAppearanceObjectForState(annotation.AppearanceDictionary, state);
+
+        if (appearanceObject == null || appearanceObject.HasStream || !appearanceObject.EmbaddedStream.IsEmpty)
+        {
+            return appearanceObject;
+        }
+
+        var appearanceState = annotation.GetCurrentAppearanceState();
+        if (appearanceState.IsEmpty)
+        {
+            return null;
+        }
+
+        return appearanceObject.Dictionary.GetObject(appearanceState);
+    }
+
     /// <summary>
     /// Renders a Form XObject appearance.
     /// </summary>
@@ -0,0 +1,385 @@
+using PdfPixel.Annotations.Models;
+using PdfPixel.Fonts.Management;
+using PdfPixel.Forms;
+using PdfPixel.Models;
+using PdfPixel.Text;
+using SkiaSharp;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+
+namespace PdfPixel.Annotations.Rendering;
+
+/// <summary>
+/// Draws the appearance of text and choice widgets from the current field value.
+/// </summary>
+/// <remarks>
+/// Used instead of the appearance stream once the field value was changed, because the stream
+/// stored in the document still shows the original value. The generated appearance follows the
+/// widget's background and border colors and the font size and color of the default appearance string.
+/// </remarks>
+internal static class PdfWidgetValueRenderer
+{
+    private const float DefaultFontSize = 12f;
+    private const float MinAutoFontSize = 4f;
+    private const float TextPadding = 2f;
+    private const float LineSpacing = 1.15f;
+    private const char PasswordChar = '•';
+
+    private static readonly PdfSubstitutionInfo FieldFont = PdfSubstitutionInfo.Parse((PdfString)"Helvetica"u8, null);
+    private static readonly SKColor SelectedOptionColor = new SKColor(153, 193, 218);
+
+    /// <summary>
+    /// Renders the widget with its field value.
+    /// </summary>
+    /// <param name="canvas">Canvas in PDF page space (bottom-left origin, Y up).</param>
+    /// <param name="widget">Widget of a text or choice field.</param>
+    /// <param name="page">The PDF page containing the widget.</param>
+    public static void RenderValue(SKCanvas canvas, PdfWidgetAnnotation widget, PdfPage page)
+    {
+        var rect = widget.Rectangle;
+        if (rect.Width <= 0 || rect.Height <= 0)
+        {
+            return;
+        }
+
+        canvas.Save();
+
+        try
+        {
+            // Local space with top-left origin and Y down, as text is laid out in UI coordinates.
+            canvas.Translate(rect.Left, rect.Bottom);
+            canvas.Scale(1, -1);
+
+            var bounds = SKRect.Create(rect.Width, rect.Height);
+            float borderWidth = DrawBackgroundAndBorder(canvas, widget, page, bounds);
+
+            var contentBounds = SKRect.Inflate(bounds, -(borderWidth + TextPadding), -(borderWidth + TextPadding));
+            if (contentBounds.Width <= 0 || contentBounds.Height <= 0)
+            {
+                return;
+            }
+
+            canvas.ClipRect(contentBounds);
+
+            ParseDefaultAppearance(GetDefaultAppearance(widget, page), out float fontSize, out float[] colorComponents);
+            var textColor = PdfAnnotationColorResolver.ResolveColor(colorComponents, page, SKColors.Black);
+
+            switch (widget.Field)
+            {
+                case PdfTextFormField textField:
+                    DrawTextField(canvas, textField, page, contentBounds, fontSize, textColor);
+                    break;
+                case PdfChoiceFormField choiceField when choiceField.IsCombo:
+                    DrawSingleLine(canvas, GetComboText(choiceField), choiceField.Quadding, page, contentBounds, fontSize, textColor);
+                    break;
+                case PdfChoiceFormField choiceField:
+                    DrawListBox(canvas, choiceField, page, contentBounds, fontSize, textColor);
+                    break;
+            }
+        }
+        finally
+        {
+            canvas.Restore();
+        }
+    }
+
+    private static float DrawBackgroundAndBorder(SKCanvas canvas, PdfWidgetAnnotation widget, PdfPage page, SKRect bounds)
+    {
+        var characteristics = widget.AppearanceCharacteristics;
+
+        var backgroundColor = PdfAnnotationColorResolver.ResolveColor(characteristics?.GetArray(PdfTokens.BackgroundColorKey)?.GetFloatArray(), page);
+        if (backgroundColor.Alpha != 0)
+        {
+            using var backgroundPaint = new SKPaint { Color = backgroundColor, Style = SKPaintStyle.Fill };
+            canvas.DrawRect(bounds, backgroundPaint);
+        }
+
+        var borderColor = PdfAnnotationColorResolver.ResolveColor(characteristics?.GetArray(PdfTokens.BorderColorKey)?.GetFloatArray(), page);
+        float borderWidth = widget.BorderStyle?.Width ?? 1f;
+        if (borderColor.Alpha == 0 || borderWidth <= 0)
+        {
+            return 0;
+        }
+
+        using var borderPaint = new SKPaint
+        {
+            Color = borderColor,
+            Style = SKPaintStyle.Stroke,
+            StrokeWidth = borderWidth,
+            IsAntialias = true
+        };
+
+        widget.BorderStyle?.TryApplyEffect(borderPaint, borderColor);
+        canvas.DrawRect(SKRect.Inflate(bounds, -borderWidth / 2, -borderWidth / 2), borderPaint);
+
+        return borderWidth;
+    }
+
+    private static void DrawTextField(SKCanvas canvas, PdfTextFormField field, PdfPage page, SKRect bounds, float fontSize, SKColor color)
+    {
+        string text = field.GetTextValue();
+        if (field.IsPassword)
+        {
+            text = new string(PasswordChar, text.Length);
+        }
+
+        if (field.IsComb && field.MaxLength > 0)
+        {
+            DrawComb(canvas, text, field.MaxLength.Value, page, bounds, fontSize, color);
+        }
+        else if (field.IsMultiline)
+        {
+            DrawMultiline(canvas, text, field.Quadding, page, bounds, fontSize, color);
+        }
+        else
+        {
+            DrawSingleLine(canvas, text, field.Quadding, page, bounds, fontSize, color);
+        }
+    }
+
+    private static void DrawSingleLine(SKCanvas canvas, string text, int quadding, PdfPage page, SKRect bounds, float fontSize, SKColor color)
+    {
+        if (string.IsNullOrEmpty(text))
+        {
+            return;
+        }
+
+        using var font = CreateFont(page, text, fontSize);
+
+        if (fontSize <= 0)
+        {
+            font.Size = Math.Max(MinAutoFontSize, bounds.Height / LineSpacing);
+
+            float textWidth = font.MeasureText(text);
+            if (textWidth > bounds.Width)
+            {
+                font.Size = Math.Max(MinAutoFontSize, font.Size * bounds.Width / textWidth);
+            }
+        }
+
+        using var paint = new SKPaint { Color = color, IsAntialias = true };
+        float baseline = GetCenteredBaseline(font, bounds.Top, bounds.Height);
+        DrawAlignedText(canvas, text, quadding, bounds, baseline, font, paint);
+    }
+
+    private static void DrawMultiline(SKCanvas canvas, string text, int quadding, PdfPage page, SKRect bounds, float fontSize, SKColor color)
+    {
+        if (string.IsNullOrEmpty(text))
+        {
+            return;
+        }
+
+        using var font = CreateFont(page, text, fontSize > 0 ? fontSize : DefaultFontSize);
+        using var paint = new SKPaint { Color = color, IsAntialias = true };
+
+        float lineHeight = font.Size * LineSpacing;
+        float baseline = bounds.Top - font.Metrics.Ascent;
+
+        foreach (var line in WrapText(text, font, bounds.Width))
+        {
+            if (baseline + font.Metrics.Ascent > bounds.Bottom)
+            {
+                break;
+            }
+
+            DrawAlignedText(canvas, line, quadding, bounds, baseline, font, paint);
+            baseline += lineHeight;
+        }
+    }
+
+    private static void DrawComb(SKCanvas canvas, string text, int maxLength, PdfPage page, SKRect bounds, float fontSize, SKColor color)
+    {
+        if (string.IsNullOrEmpty(text))
+        {
+            return;
+        }
+
+        float cellWidth = bounds.Width / maxLength;
+
+        using var font = CreateFont(page, text, fontSize > 0 ? fontSize : Math.Max(MinAutoFontSize, Math.Min(bounds.Height, cellWidth) / LineSpacing));
+        using var paint = new SKPaint { Color = color, IsAntialias = true };
+
+        float baseline = GetCenteredBaseline(font, bounds.Top, bounds.Height);
+
+        for (int i = 0; i < text.Length && i < maxLength; i++)
+        {
+            string character = text[i].ToString();
+            float x = bounds.Left + cellWidth * i + (cellWidth - font.MeasureText(character)) / 2;
+            canvas.DrawText(character, x, baseline, font, paint);
+        }
+    }
+
+    private static void DrawListBox(SKCanvas canvas, PdfChoiceFormField field, PdfPage page, SKRect bounds, float fontSize, SKColor color)
+    {
+        if (field.OptionCount == 0)
+        {
+            return;
+        }
+
+        var selectedValues = new HashSet<string>(field.GetSelectedValues());
+
+        using var font = CreateFont(page, string.Join(string.Empty, field.GetDisplayTexts()), fontSize > 0 ? fontSize : DefaultFontSize);
+        using var paint = new SKPaint { Color = color, IsAntialias = true };
+        using var selectionPaint = new SKPaint { Color = SelectedOptionColor, Style = SKPaintStyle.Fill };
+
+        float lineHeight = font.Size * LineSpacing;
+        float top = bounds.Top;
+
+        for (int i = Math.Max(0, field.TopIndex); i < field.OptionCount && top < bounds.Bottom; i++)
+        {
+            if (selectedValues.Contains(field.GetExportValue(i)))
+            {
+                canvas.DrawRect(SKRect.Create(bounds.Left, top, bounds.Width, lineHeight), selectionPaint);
+            }
+
+            float baseline = GetCenteredBaseline(font, top, lineHeight);
+            DrawAlignedText(canvas, field.GetDisplayText(i), field.Quadding, bounds, baseline, font, paint);
+            top += lineHeight;
+        }
+    }
+
+    private static string GetComboText(PdfChoiceFormField field)
+    {
+        string value = field.GetSelectedValues().FirstOrDefault();
+        if (value == null)
+        {
+            return string.Empty;
+        }
+
+        for (int i = 0; i < field.OptionCount; i++)
+        {
+            if (field.GetExportValue(i) == value)
+            {
+                return field.GetDisplayText(i);
+            }
+        }
+
+        return value;
+    }
+
+    private static void DrawAlignedText(SKCanvas canvas, string text, int quadding, SKRect bounds, float baseline, SKFont font, SKPaint paint)
+    {
+        float x = quadding switch
+        {
+            1 => bounds.MidX,
+            2 => bounds.Right,
+            _ => bounds.Left
+        };
+
+        var align = quadding switch
+        {
+            1 => SKTextAlign.Center,
+            2 => SKTextAlign.Right,
+            _ => SKTextAlign.Left
+        };
+
+        canvas.DrawText(text, x, baseline, align, font, paint);
+    }
+
+    private static float GetCenteredBaseline(SKFont font, float top, float height)
+    {
+        var metrics = font.Metrics;
+        return top + (height - (metrics.Descent - metrics.Ascent)) / 2 - metrics.Ascent;
+    }
+
+    private static IEnumerable<string> WrapText(string text, SKFont font, float width)
+    {
+        foreach (var paragraph in text.Replace("\r\n", "\n").Split('\n', '\r'))
+        {
+            var line = string.Empty;
+
+            foreach (var word in paragraph.Split(' '))
+            {
+                var candidate = line.Length == 0 ? word : line + " " + word;
+                if (line.Length > 0 && font.MeasureText(candidate) > width)
+                {
+                    yield return line;
+                    line = word;
+                }
+                else
+                {
+                    line = candidate;
+                }
+            }
+
+            yield return line;
+        }
+    }
+
+    private static SKFont CreateFont(PdfPage page, string text, float fontSize)
+    {
+        var typeface = page.Document.FontSubstitutor.SubstituteTypeface(FieldFont, text);
+        return new SKFont(typeface, fontSize) { Subpixel = true };
+    }
+
+    /// <summary>
+    /// Gets the default appearance string of the widget, inherited from the field or the interactive form.
+    /// </summary>
+    private static string GetDefaultAppearance(PdfWidgetAnnotation widget, PdfPage page)
+    {
+        var appearance = widget.AnnotationObject.Dictionary.GetString(PdfTokens.DefaultAppearanceKey);
+
+        if (appearance.IsEmpty && widget.Field != null)
+        {
+            appearance = widget.Field.DefaultAppearance;
+        }
+
+        if (appearance.IsEmpty)
+        {
+            var acroForm = page.Document.RootObject?.Dictionary.GetDictionary(PdfTokens.AcroFormKey);
+            appearance = acroForm?.GetString(PdfTokens.DefaultAppearanceKey) ?? PdfString.Empty;
+        }
+
+        return appearance.ToString();
+    }
+
+    /// <summary>
+    /// Reads the font size (Tf) and fill color (g, rg or k) from a default appearance string.
+    /// A font size of 0 means the text is sized automatically to fit the widget.
+    /// </summary>
+    private static void ParseDefaultAppearance(string appearance, out float fontSize, out float[] colorComponents)
+    {
+        fontSize = 0;
+        colorComponents = null;
+
+        var tokens = appearance.Split((char[])null, StringSplitOptions.RemoveEmptyEntries);
+
+        for (int i = 0; i < tokens.Length; i++)
+        {
+            switch (tokens[i])
+            {
+                case "Tf" when i >= 1:
+                    fontSize = ParseOperand(tokens[i - 1]);
+                    break;
+                case "g" when i >= 1:
+                    colorComponents = ParseOperands(tokens, i, 1);
+                    break;
+                case "rg" when i >= 3:
+                    colorComponents = ParseOperands(tokens, i, 3);
+                    break;
+                case "k" when i >= 4:
+                    colorComponents = ParseOperands(tokens, i, 4);
+                    break;
+            }
+        }
+    }
+
+    private static float[] ParseOperands(string[] tokens, int operatorIndex, int count)
+    {
+        var operands = new float[count];
+
+        for (int i = 0; i < count; i++)
+        {
+            operands[i] = ParseOperand(tokens[operatorIndex - count + i]);
+        }
+
+        return operands;
+    }
+
+    private static float ParseOperand(string token)
+    {
+        return float.TryParse(token, NumberStyles.Float, CultureInfo.InvariantCulture, out float value) ? value : 0;
+    }
+}
@@ -46,6 +46,12 @@ namespace PdfPixel.Encryption
 
         protected string Password { get; private set; }
 
+        /// <summary>
+        /// Gets whether the current password opens the document.
+        /// Handlers that cannot validate passwords report <see langword="true"/>.
+        /// </summary>
+        public virtual bool IsPasswordValid => true;
+
         public virtual void UpdatePassword(string password)
         {
             Password = password ?? string.Empty;
@@ -9,6 +9,7 @@ namespace PdfPixel.Encryption
     /// Unified decryptor for Standard security handler revisions R=3 and R=4.
     /// Implements common key derivation and supports RC4 (V2) and AESV2 per crypt filter method.
     /// Uses distinct paths for streams and strings honoring CF overrides.
+    /// Both user and owner passwords (Algorithm 3.7) open the document.
     /// </summary>
     internal sealed class R3R4Decryptor : BasePdfDecryptor
     {
@@ -101,10 +102,27 @@ namespace PdfPixel.Encryption
             }
             _fileKeyLengthBytes = bits / 8;
 
+            byte[] password = GetPasswordBytes();
+            _fileKey = ComputeFileKey(password);
+            _userValidated = MatchesUserEntry(_fileKey);
+
+            if (!_userValidated && Parameters.OwnerEntry != null && Parameters.OwnerEntry.Length >= PasswordPadLength)
+            {
+                // An owner password decrypts /O to the padded user password, which yields the file key.
+                byte[] ownerFileKey = ComputeFileKey(DecryptOwnerEntry(password));
+                if (MatchesUserEntry(ownerFileKey))
+                {
+                    _fileKey = ownerFileKey;
+                    _userValidated = true;
+                }
+            }
+        }
+
+        private byte[] ComputeFileKey(byte[] paddedPassword)
+        {
             using (var md5 = ManagedMd5.Create())
             {
-                var pwdBytes = GetPasswordBytes();
-                md5.TransformBlock(pwdBytes, 0, pwdBytes.Length, null, 0);
+                md5.TransformBlock(paddedPassword, 0, paddedPassword.Length, null, 0);
 
                 if (Parameters.OwnerEntry != null)
                 {
@@ -130,45 +148,63 @@ namespace PdfPixel.Encryption
                     digest = md5.ComputeHash(digest.AsSpan(0, _fileKeyLengthBytes).ToArray());
                 }
 
-                _fileKey = new byte[_fileKeyLengthBytes];
-                Buffer.BlockCopy(digest, 0, _fileKey, 0, _fileKeyLengthBytes);
+                var fileKey = new byte[_fileKeyLengthBytes];
+                Buffer.BlockCopy(digest, 0, fileKey, 0, _fileKeyLengthBytes);
+                return fileKey;
             }
-
-            ValidateUserPassword();
         }
 
-        private void ValidateUserPassword()
+        private byte[] DecryptOwnerEntry(byte[] paddedOwnerPassword)
         {
-            if (_userValidated)
-            {
-                return;
-            }
-            if (_fileKey == null || Parameters.UserEntry == null || Parameters.UserEntry.Length < 16)
+            byte[] digest;
+            using (var md5 = ManagedMd5.Create())
             {
-                return;
+                digest = md5.ComputeHash(paddedOwnerPassword);
+                for (int i = 0; i < 50; i++)
+                {
+                    digest = md5.ComputeHash(digest);
+                }
             }
 
-            try
+            byte[] ownerKey = new byte[_fileKeyLengthBytes];
+            Buffer.BlockCopy(digest, 0, ownerKey, 0, _fileKeyLengthBytes);
+
+            byte[] block = new byte[PasswordPadLength];
+            Buffer.BlockCopy(Parameters.OwnerEntry, 0, block, 0, PasswordPadLength);
+
+            byte[] tempKey = new byte[ownerKey.Length];
+            for (int i = 19; i >= 0; i--)
             {
-                byte[] expectedFirst16 = ComputeUserEntryR3R4();
-                bool match = true;
-                for (int i = 0; i < 16; i++)
+                for (int k = 0; k < ownerKey.Length; k++)
                 {
-                    if (expectedFirst16[i] != Parameters.UserEntry[i])
-                    {
-                        match = false;
-                        break;
-                    }
+                    tempKey[k] = (byte)(ownerKey[k] ^ i);
                 }
-                _userValidated = match;
+                block = Rc4Raw(tempKey, block);
+            }
+
+            return block;
+        }
+
+        private bool MatchesUserEntry(byte[] fileKey)
+        {
+            if (Parameters.UserEntry == null || Parameters.UserEntry.Length < 16)
+            {
+                return false;
             }
-            catch
+
+            byte[] expectedFirst16 = ComputeUserEntryR3R4(fileKey);
+            for (int i = 0; i < 16; i++)
             {
-                // Intentionally ignored; some producers accept decryption without strict validation.
+                if (expectedFirst16[i] != Parameters.UserEntry[i])
+                {
+                    return false;
+                }
             }
+
+            return true;
         }
 
-        private byte[] ComputeUserEntryR3R4()
+        private byte[] ComputeUserEntryR3R4(byte[] fileKey)
         {
             byte[] digest;
             using (var md5 = ManagedMd5.Create())
@@ -182,12 +218,12 @@ namespace PdfPixel.Encryption
             byte[] block = new byte[16];
             Buffer.BlockCopy(digest, 0, block, 0, 16);
 
-            byte[] tempKey = new byte[_fileKey.Length];
+            byte[] tempKey = new byte[fileKey.Length];
             for (int i = 0; i < 20; i++)
             {
-                for (int k = 0; k < _fileKey.Length; k++)
+                for (int k = 0; k < fileKey.Length; k++)
                 {
-                    tempKey[k] = (byte)(_fileKey[k] ^ i);
+                    tempKey[k] = (byte)(fileKey[k] ^ i);
                 }
                 block = Rc4Raw(tempKey, block);
             }
@@ -317,5 +353,15 @@ namespace PdfPixel.Encryption
                 _lastPassword = password;
             }
         }
+
+        public override bool IsPasswordValid
+        {
+            get
+            {
+                EnsureFileKey();
+                // Without a file key or /U entry the password cannot be checked, so decryption is attempted as is.
+                return _fileKey == null || Parameters.UserEntry == null || Parameters.UserEntry.Length < 16 || _userValidated;
+            }
+        }
     }
 }
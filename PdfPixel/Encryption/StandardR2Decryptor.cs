@@ -5,12 +5,13 @@ namespace PdfPixel.Encryption
 {
     /// <summary>
     /// Standard security handler implementation for revision R=2 (RC4, 40..128 bit keys).
-    /// Implements Algorithm 3.2 (encryption key) and user password validation (Algorithm 3.4) from PDF spec.
-    /// Owner password derivation path is not implemented yet (future enhancement).
+    /// Implements Algorithm 3.2 (encryption key), user password validation (Algorithm 3.4)
+    /// and owner password validation (Algorithm 3.7) from PDF spec.
     /// </summary>
     internal sealed class StandardR2Decryptor : BasePdfDecryptor
     {
         private const int DefaultKeyBits = 40;
+        private const int OwnerKeyLengthBytes = 5;
         private const int PasswordPadLength = 32;
         private static readonly byte[] PasswordPadding = new byte[]
         {
@@ -56,6 +57,16 @@ namespace PdfPixel.Encryption
             }
         }
 
+        public override bool IsPasswordValid
+        {
+            get
+            {
+                EnsureFileKey();
+                // Without a file key or /U entry the password cannot be checked, so decryption is attempted as is.
+                return _fileKey == null || Parameters.UserEntry == null || Parameters.UserEntry.Length < 16 || _userValidated;
+            }
+        }
+
         private void EnsureFileKey()
         {
             if (_fileKey != null)
@@ -80,86 +91,109 @@ namespace PdfPixel.Encryption
             }
             _fileKeyLengthBytes = bits / 8;
 
+            byte[] password = PadPassword(Password);
+            _fileKey = ComputeFileKey(password, Parameters, _fileKeyLengthBytes);
+            _userValidated = MatchesUserEntry(_fileKey);
+
+            if (!_userValidated && Parameters.OwnerEntry != null && Parameters.OwnerEntry.Length >= PasswordPadLength)
+            {
+                // Algorithm 3.7: an owner password decrypts /O to the padded user password, which yields the file key.
+                byte[] ownerFileKey = ComputeFileKey(DecryptOwnerEntry(password, Parameters.OwnerEntry), Parameters, _fileKeyLengthBytes);
+                if (MatchesUserEntry(ownerFileKey))
+                {
+                    _fileKey = ownerFileKey;
+                    _userValidated = true;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Computes the file encryption key from a padded password (Algorithm 3.2).
+        /// </summary>
+        internal static byte[] ComputeFileKey(byte[] paddedPassword, PdfDecryptorParameters parameters, int keyLengthBytes)
+        {
             using (var md5 = ManagedMd5.Create())
             {
                 // Step order per Algorithm 3.2: padded password, owner entry, permissions (LE 4), file ID (first element)
-                var pwdBytes = GetPasswordBytes();
-                md5.TransformBlock(pwdBytes, 0, pwdBytes.Length, null, 0);
+                md5.TransformBlock(paddedPassword, 0, paddedPassword.Length, null, 0);
 
-                if (Parameters.OwnerEntry != null)
+                if (parameters.OwnerEntry != null)
                 {
-                    md5.TransformBlock(Parameters.OwnerEntry, 0, Parameters.OwnerEntry.Length, null, 0);
+                    md5.TransformBlock(parameters.OwnerEntry, 0, parameters.OwnerEntry.Length, null, 0);
                 }
 
-                var p = BitConverter.GetBytes(Parameters.Permissions);
+                var p = BitConverter.GetBytes(parameters.Permissions);
                 md5.TransformBlock(p, 0, 4, null, 0);
 
-                md5.TransformBlock(Parameters.FileIdFirst, 0, Parameters.FileIdFirst.Length, null, 0);
+                md5.TransformBlock(parameters.FileIdFirst, 0, parameters.FileIdFirst.Length, null, 0);
                 md5.TransformFinalBlock(Array.Empty<byte>(), 0, 0);
                 var digest = md5.Hash;
-                _fileKey = new byte[_fileKeyLengthBytes];
-                Buffer.BlockCopy(digest, 0, _fileKey, 0, _fileKeyLengthBytes);
+                var fileKey = new byte[keyLengthBytes];
+                Buffer.BlockCopy(digest, 0, fileKey, 0, keyLengthBytes);
+                return fileKey;
             }
+        }
 
-            ValidateUserPassword();
+        /// <summary>
+        /// Computes the /U entry for a file key (Algorithm 3.4): the padding string encrypted with RC4.
+        /// </summary>
+        internal static byte[] ComputeUserEntryR2(byte[] fileKey)
+        {
+            return Rc4(fileKey, PasswordPadding).ToArray();
         }
 
-        private void ValidateUserPassword()
+        /// <summary>
+        /// Decrypts the /O entry with the key derived from a padded owner password (Algorithm 3.7, steps a-b for R=2).
+        /// </summary>
+        /// <returns>Padded user password when the owner password is correct.</returns>
+        internal static byte[] DecryptOwnerEntry(byte[] paddedOwnerPassword, byte[] ownerEntry)
         {
-            if (_userValidated)
-            {
-                return;
-            }
-            if (Parameters.UserEntry == null || _fileKey == null)
-            {
-                return;
-            }
-            try
+            using (var md5 = ManagedMd5.Create())
             {
-                byte[] expectedU = ComputeUserEntryR2();
-                // Stored U is 32 bytes: first 16 from RC4 result, remaining padding
-                // Compare full length if available, else compare first 16 bytes.
-                if (Parameters.UserEntry.Length >= 16)
-                {
-                    int compareLength = Math.Min(expectedU.Length, Parameters.UserEntry.Length);
-                    bool match = true;
-                    for (int i = 0; i < compareLength; i++)
-                    {
-                        if (expectedU[i] != Parameters.UserEntry[i])
-                        {
-                            match = false;
-                            break;
-                        }
-                    }
-                    _userValidated = match;
-                }
+                var digest = md5.ComputeHash(paddedOwnerPassword);
+                var ownerKey = new byte[OwnerKeyLengthBytes];
+                Buffer.BlockCopy(digest, 0, ownerKey, 0, OwnerKeyLengthBytes);
+                return Rc4(ownerKey, ownerEntry.AsSpan(0, PasswordPadLength)).ToArray();
             }
-            catch
+        }
+
+        /// <summary>
+        /// Pads or truncates a password to 32 bytes with the standard padding string.
+        /// </summary>
+        internal static byte[] PadPassword(string password)
+        {
+            var bytes = System.Text.Encoding.ASCII.GetBytes(password ?? string.Empty);
+            if (bytes.Length > PasswordPadLength)
             {
-                // Ignore validation failures silently  decryption may still proceed for lenient scenarios.
+                byte[] trimmed = new byte[PasswordPadLength];
+                Buffer.BlockCopy(bytes, 0, trimmed, 0, PasswordPadLength);
+                return trimmed;
             }
+            byte[] padded = new byte[PasswordPadLength];
+            Buffer.BlockCopy(bytes, 0, padded, 0, bytes.Length);
+            Buffer.BlockCopy(PasswordPadding, 0, padded, bytes.Length, PasswordPadLength - bytes.Length);
+            return padded;
         }
 
-        private byte[] ComputeUserEntryR2()
+        private bool MatchesUserEntry(byte[] fileKey)
         {
-            using (var md5 = ManagedMd5.Create())
+            // Stored U is 32 bytes; compare full length if available, else compare first 16 bytes.
+            if (Parameters.UserEntry == null || Parameters.UserEntry.Length < 16)
+            {
+                return false;
+            }
+
+            byte[] expectedU = ComputeUserEntryR2(fileKey);
+            int compareLength = Math.Min(expectedU.Length, Parameters.UserEntry.Length);
+            for (int i = 0; i < compareLength; i++)
             {
-                md5.TransformBlock(PasswordPadding, 0, PasswordPadding.Length, null, 0);
-                if (Parameters.FileIdFirst != null)
+                if (expectedU[i] != Parameters.UserEntry[i])
                 {
-                    md5.TransformBlock(Parameters.FileIdFirst, 0, Parameters.FileIdFirst.Length, null, 0);
+                    return false;
                 }
-                md5.TransformFinalBlock(Array.Empty<byte>(), 0, 0);
-                var digest = md5.Hash; // 16 bytes
-
-                // Encrypt digest with RC4 using file key
-                var rc4Out = Rc4(_fileKey, digest); // 16 bytes
-                // Append padding to form 32 bytes (spec stores 32, but comparison can be first 16)
-                byte[] full = new byte[32];
-                Buffer.BlockCopy(rc4Out.ToArray(), 0, full, 0, rc4Out.Length);
-                Buffer.BlockCopy(PasswordPadding, 0, full, rc4Out.Length, 32 - rc4Out.Length);
-                return full;
             }
+
+            return true;
         }
 
         private byte[] DeriveObjectKey(PdfReference reference)
@@ -215,21 +249,5 @@ namespace PdfPixel.Encryption
             }
             return output;
         }
-
-        private byte[] GetPasswordBytes()
-        {
-            string pwd = Password ?? string.Empty;
-            var bytes = System.Text.Encoding.ASCII.GetBytes(pwd);
-            if (bytes.Length > PasswordPadLength)
-            {
-                byte[] trimmed = new byte[PasswordPadLength];
-                Buffer.BlockCopy(bytes, 0, trimmed, 0, PasswordPadLength);
-                return trimmed;
-            }
-            byte[] padded = new byte[PasswordPadLength];
-            Buffer.BlockCopy(bytes, 0, padded, 0, bytes.Length);
-            Buffer.BlockCopy(PasswordPadding, 0, padded, bytes.Length, PasswordPadLength - bytes.Length);
-            return padded;
-        }
     }
 }
@@ -1,6 +1,7 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using PdfPixel.Fonts.Mapping;
 using SkiaSharp;
 
@@ -9,12 +10,16 @@ namespace PdfPixel.Fonts.Management;
 /// <summary>
 /// Font provider that resolves standard PDF fonts and named fonts from explicitly registered in-memory font data.
 /// Suitable for environments where system fonts are unavailable, such as browser/WASM.
+/// A family can hold several styles; the closest registered style is used. Text a resolved typeface has
+/// no glyphs for is looked up in the fallback families set with <see cref="SetFallbackFonts"/>.
 /// </summary>
 public sealed class InMemorySkiaFontProvider : ISkiaFontProvider
 {
-    private readonly Dictionary<PdfStandardFontName, SKTypeface> _standardFonts = new();
-    private readonly Dictionary<string, SKTypeface> _namedFonts = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<PdfStandardFontName, List<SKTypeface>> _standardFonts = new();
+    private readonly Dictionary<string, List<SKTypeface>> _namedFonts = new(StringComparer.OrdinalIgnoreCase);
     private readonly HashSet<SKTypeface> _ownedTypefaces = new();
+    private readonly Dictionary<SKTypeface, SKFontStyle> _registeredStyles = new();
+    private string[] _fallbackFamilies = [];
     private SKTypeface _fallback;
 
     /// <summary>
@@ -42,62 +47,220 @@ public sealed class InMemorySkiaFontProvider : ISkiaFontProvider
     /// </summary>
     /// <param name="standardFont">The standard PDF font to associate with the supplied font data.</param>
     /// <param name="fontData">Raw font file bytes (TTF, OTF, etc.).</param>
-    public void RegisterStandardFont(PdfStandardFontName standardFont, byte[] fontData)
+    /// <returns><c>true</c> if the font data was read; <c>false</c> if it is not a supported font file.</returns>
+    public bool RegisterStandardFont(PdfStandardFontName standardFont, byte[] fontData)
     {
         var typeface = SKTypeface.FromStream(new MemoryStream(fontData));
         if (typeface == null)
         {
-            return;
+            return false;
         }
 
         _ownedTypefaces.Add(typeface);
-        _standardFonts[standardFont] = typeface;
+        AddStandardFont(standardFont, typeface);
 
         // Register by the typeface's own family name so GetFont can match it
         if (!string.IsNullOrEmpty(typeface.FamilyName))
         {
-            _namedFonts[typeface.FamilyName] = typeface;
+            AddNamedFont(typeface.FamilyName, typeface);
         }
 
-        // Register by well-known display names that PDFs commonly reference
-        if (StandardFontDisplayNames.TryGetValue(standardFont, out var displayNames))
+        // Use the first registered font as the fallback
+        _fallback ??= typeface;
+        return true;
+    }
+
+    /// <summary>
+    /// Registers font data under an arbitrary family name, e.g. a substitute for a font documents
+    /// reference without embedding it. Several styles of a family can be registered; a name that is
+    /// also a <see cref="PdfStandardFontName"/> registers the standard font as well.
+    /// </summary>
+    /// <param name="family">Family name the font is matched by.</param>
+    /// <param name="fontData">Raw font file bytes (TTF, OTF, etc.).</param>
+    /// <param name="style">Style the font is registered as; <c>null</c> to use the style of the font file.</param>
+    /// <returns><c>true</c> if the font data was read; <c>false</c> if it is not a supported font file.</returns>
+    public bool RegisterFont(string family, byte[] fontData, SKFontStyle style = null)
+    {
+        if (string.IsNullOrEmpty(family))
         {
-            for (int i = 0; i < displayNames.Length; i++)
-            {
-                _namedFonts[displayNames[i]] = typeface;
-            }
+            throw new ArgumentException("Family name must not be empty.", nameof(family));
+        }
+
+        var typeface = SKTypeface.FromStream(new MemoryStream(fontData));
+        if (typeface == null)
+        {
+            return false;
+        }
+
+        if (style != null)
+        {
+            // Keep the style the font was registered as for matching, independent of the font file.
+            _registeredStyles[typeface] = style;
+        }
+
+        _ownedTypefaces.Add(typeface);
+        AddNamedFont(family, typeface);
+
+        if (Enum.TryParse<PdfStandardFontName>(family, ignoreCase: true, out var standardFont))
+        {
+            AddStandardFont(standardFont, typeface);
         }
 
-        // Use the first registered font as the fallback
         _fallback ??= typeface;
+        return true;
+    }
+
+    /// <summary>
+    /// Sets the families searched, in order, for text that the resolved typeface has no glyphs for,
+    /// such as CJK text in a document whose fonts are not embedded. Families that are not registered are skipped.
+    /// </summary>
+    /// <param name="families">Fallback family names, most preferred first.</param>
+    public void SetFallbackFonts(IEnumerable<string> families)
+    {
+        _fallbackFamilies = families?.Where(family => !string.IsNullOrEmpty(family)).ToArray() ?? [];
     }
 
+    /// <summary>
+    /// Determines whether a font is registered under the specified family name.
+    /// </summary>
+    /// <param name="family">Family name to look up.</param>
+    /// <returns><c>true</c> if the family has at least one registered font.</returns>
+    public bool IsRegistered(string family)
+    {
+        return !string.IsNullOrEmpty(family) && _namedFonts.ContainsKey(family);
+    }
+
+    /// <summary>
+    /// Gets the family names fonts are registered under, including standard display names.
+    /// </summary>
+    public IReadOnlyCollection<string> RegisteredFamilies => _namedFonts.Keys;
+
     /// <inheritdoc/>
     public SKTypeface GetStandardFont(PdfStandardFontName standardFont, SKFontStyle style, string unicode)
     {
-        if (_standardFonts.TryGetValue(standardFont, out var typeface))
+        _standardFonts.TryGetValue(standardFont, out var typefaces);
+        return ResolveWithFallback(typefaces, style, unicode);
+    }
+
+    /// <inheritdoc/>
+    public SKTypeface GetFont(string name, SKFontStyle style, string unicode)
+    {
+        List<SKTypeface> typefaces = null;
+        if (!string.IsNullOrEmpty(name))
+        {
+            _namedFonts.TryGetValue(name, out typefaces);
+        }
+
+        return ResolveWithFallback(typefaces, style, unicode);
+    }
+
+    private SKTypeface ResolveWithFallback(List<SKTypeface> typefaces, SKFontStyle style, string unicode)
+    {
+        var typeface = MatchStyle(typefaces, style);
+        if (typeface != null && (unicode == null || typeface.ContainsGlyphs(unicode)))
+        {
+            return typeface;
+        }
+
+        if (unicode != null)
         {
-            if (unicode == null || typeface.ContainsGlyphs(unicode))
+            for (int i = 0; i < _fallbackFamilies.Length; i++)
             {
-                return typeface;
+                if (_namedFonts.TryGetValue(_fallbackFamilies[i], out var fallbackTypefaces))
+                {
+                    var fallbackTypeface = MatchStyle(fallbackTypefaces, style);
+                    if (fallbackTypeface.ContainsGlyphs(unicode))
+                    {
+                        return fallbackTypeface;
+                    }
+                }
             }
         }
 
+        // Neither the matched typeface nor a fallback family covers the text.
         return _fallback;
     }
 
-    /// <inheritdoc/>
-    public SKTypeface GetFont(string name, SKFontStyle style, string unicode)
+    /// <summary>
+    /// Picks the typeface closest to the requested style: matching slant first, then nearest weight.
+    /// </summary>
+    private SKTypeface MatchStyle(List<SKTypeface> typefaces, SKFontStyle style)
     {
-        if (!string.IsNullOrEmpty(name) && _namedFonts.TryGetValue(name, out var typeface))
+        if (typefaces == null || typefaces.Count == 0)
+        {
+            return null;
+        }
+
+        if (style == null || typefaces.Count == 1)
+        {
+            return typefaces[0];
+        }
+
+        SKTypeface bestTypeface = null;
+        int bestScore = int.MaxValue;
+        foreach (var typeface in typefaces)
         {
-            if (unicode == null || typeface.ContainsGlyphs(unicode))
+            var typefaceStyle = GetRegisteredStyle(typeface);
+            bool slantMatches = (typefaceStyle.Slant == SKFontStyleSlant.Upright) == (style.Slant == SKFontStyleSlant.Upright);
+            int score = (slantMatches ? 0 : 10000) + Math.Abs(typefaceStyle.Weight - style.Weight);
+            if (score < bestScore)
             {
-                return typeface;
+                bestScore = score;
+                bestTypeface = typeface;
             }
         }
 
-        return _fallback;
+        return bestTypeface;
+    }
+
+    private SKFontStyle GetRegisteredStyle(SKTypeface typeface)
+    {
+        return _registeredStyles.TryGetValue(typeface, out var style) ? style : typeface.FontStyle;
+    }
+
+    private void AddStandardFont(PdfStandardFontName standardFont, SKTypeface typeface)
+    {
+        if (!_standardFonts.TryGetValue(standardFont, out var typefaces))
+        {
+            typefaces = new List<SKTypeface>();
+            _standardFonts[standardFont] = typefaces;
+        }
+
+        ReplaceStyle(typefaces, typeface);
+
+        // Register by well-known display names that PDFs commonly reference
+        if (StandardFontDisplayNames.TryGetValue(standardFont, out var displayNames))
+        {
+            for (int i = 0; i < displayNames.Length; i++)
+            {
+                AddNamedFont(displayNames[i], typeface);
+            }
+        }
+    }
+
+    private void AddNamedFont(string name, SKTypeface typeface)
+    {
+        if (!_namedFonts.TryGetValue(name, out var typefaces))
+        {
+            typefaces = new List<SKTypeface>();
+            _namedFonts[name] = typefaces;
+        }
+
+        ReplaceStyle(typefaces, typeface);
+    }
+
+    /// <summary>
+    /// Adds a typeface to a family, replacing a previously registered typeface of the same style.
+    /// </summary>
+    private void ReplaceStyle(List<SKTypeface> typefaces, SKTypeface typeface)
+    {
+        var style = GetRegisteredStyle(typeface);
+        typefaces.RemoveAll(existing =>
+        {
+            var existingStyle = GetRegisteredStyle(existing);
+            return existingStyle.Weight == style.Weight && existingStyle.Slant == style.Slant;
+        });
+        typefaces.Add(typeface);
     }
 
     /// <summary>
@@ -113,6 +276,8 @@ public sealed class InMemorySkiaFontProvider : ISkiaFontProvider
         _standardFonts.Clear();
         _namedFonts.Clear();
         _ownedTypefaces.Clear();
+        _registeredStyles.Clear();
+        _fallbackFamilies = [];
         _fallback = null;
     }
 }
@@ -0,0 +1,55 @@
+using SkiaSharp;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace PdfPixel.Fonts.Management;
+
+/// <summary>
+/// Describes how a font that is not embedded in a document was substituted.
+/// </summary>
+public sealed class PdfFontSubstitution
+{
+    // Replaced rather than modified so that readers never see a list that is being changed.
+    private IReadOnlyList<string> _fallbackFamilies = [];
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PdfFontSubstitution"/> class.
+    /// </summary>
+    /// <param name="requestedName">Font name requested by the document, without subset prefix and style hints.</param>
+    /// <param name="style">Font style requested by the document.</param>
+    /// <param name="substituteFamily">Family name of the typeface used instead, or <c>null</c> if none was found.</param>
+    public PdfFontSubstitution(string requestedName, SKFontStyle style, string substituteFamily)
+    {
+        RequestedName = requestedName;
+        Style = style;
+        SubstituteFamily = substituteFamily;
+    }
+
+    /// <summary>
+    /// Gets the font name requested by the document, without subset prefix and style hints.
+    /// </summary>
+    public string RequestedName { get; }
+
+    /// <summary>
+    /// Gets the font style requested by the document.
+    /// </summary>
+    public SKFontStyle Style { get; }
+
+    /// <summary>
+    /// Gets the family name of the typeface used for the font, or <c>null</c> if no typeface was found.
+    /// </summary>
+    public string SubstituteFamily { get; }
+
+    /// <summary>
+    /// Gets the family names of other typefaces used for text the substitute has no glyphs for.
+    /// </summary>
+    public IReadOnlyList<string> FallbackFamilies => _fallbackFamilies;
+
+    internal void AddFallbackFamily(string family)
+    {
+        if (family != null && family != SubstituteFamily && !_fallbackFamilies.Contains(family))
+        {
+            _fallbackFamilies = [.. _fallbackFamilies, family];
+        }
+    }
+}
@@ -1,6 +1,8 @@
 using PdfPixel.Fonts.Mapping;
 using SkiaSharp;
 using System;
+using System.Collections.Generic;
+using System.Linq;
 
 namespace PdfPixel.Fonts.Management;
 
@@ -11,10 +13,12 @@ namespace PdfPixel.Fonts.Management;
 /// This class attempts to resolve non-embedded PDF fonts to available system fonts via an <see cref="ISkiaFontProvider"/>.
 /// It matches fonts by normalized stem and style, falling back to known family substitutions if necessary.
 /// Resolved typefaces are cached by <see cref="PdfFontName"/>.
+/// Every substitution is recorded and listed by <see cref="GetSubstitutions"/>.
 /// </remarks>
 internal sealed class SkiaFontSubstitutor
 {
     private ISkiaFontProvider _skiaFontProvider;
+    private readonly Dictionary<string, PdfFontSubstitution> _substitutions = new Dictionary<string, PdfFontSubstitution>();
 
     /// <summary>
     /// Initializes a new instance of the <see cref="SkiaFontSubstitutor"/> class.
@@ -37,8 +41,25 @@ internal sealed class SkiaFontSubstitutor
     /// </returns>
     public SKTypeface SubstituteTypeface(PdfSubstitutionInfo substitutionInfo, string unicode)
     {
-        SKFontStyle style = substitutionInfo.FontStyle;
+        SKTypeface typeface = ResolveTypeface(substitutionInfo, unicode);
+        RecordSubstitution(substitutionInfo, unicode, typeface);
+        return typeface ?? SKTypeface.Default;
+    }
+
+    /// <summary>
+    /// Lists the substitutions made so far, in the order the fonts were first requested.
+    /// </summary>
+    /// <returns>Snapshot of the recorded substitutions.</returns>
+    public IReadOnlyList<PdfFontSubstitution> GetSubstitutions()
+    {
+        lock (_substitutions)
+        {
+            return _substitutions.Values.ToList();
+        }
+    }
 
+    private SKTypeface ResolveTypeface(PdfSubstitutionInfo substitutionInfo, string unicode)
+    {
         if (Enum.TryParse<PdfStandardFontName>(substitutionInfo.NormalizedStem, out var standardFont))
         {
             var standardTypeface = _skiaFontProvider.GetStandardFont(standardFont, substitutionInfo.FontStyle, unicode);
@@ -49,6 +70,25 @@ internal sealed class SkiaFontSubstitutor
             }
         }
 
-        return _skiaFontProvider.GetFont(substitutionInfo.NormalizedStem, substitutionInfo.FontStyle, unicode) ?? SKTypeface.Default;
+        return _skiaFontProvider.GetFont(substitutionInfo.NormalizedStem, substitutionInfo.FontStyle, unicode);
+    }
+
+    private void RecordSubstitution(PdfSubstitutionInfo substitutionInfo, string unicode, SKTypeface typeface)
+    {
+        SKFontStyle style = substitutionInfo.FontStyle;
+        string key = $"{substitutionInfo.NormalizedStem}/{style.Weight}/{style.Width}/{style.Slant}";
+
+        lock (_substitutions)
+        {
+            if (!_substitutions.TryGetValue(key, out var substitution))
+            {
+                // The substitute is the typeface chosen regardless of text; others only cover missing glyphs.
+                SKTypeface substitute = unicode == null ? typeface : ResolveTypeface(substitutionInfo, null);
+                substitution = new PdfFontSubstitution(substitutionInfo.NormalizedStem, style, substitute?.FamilyName);
+                _substitutions.Add(key, substitution);
+            }
+
+            substitution.AddFallbackFamily(typeface?.FamilyName);
+        }
     }
 }
\ No newline at end of file
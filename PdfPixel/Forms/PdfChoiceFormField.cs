@@ -117,7 +117,7 @@ public class PdfChoiceFormField : PdfFormField
 
         if (Value.Type == PdfValueType.String)
         {
-            yield return Value.AsString().ToString();
+            yield return Value.AsString().DecodePdfString();
         }
         else if (Value.Type == PdfValueType.Array)
         {
@@ -129,13 +129,86 @@ public class PdfChoiceFormField : PdfFormField
                     var item = valueArray.GetValue(i);
                     if (item != null && item.Type == PdfValueType.String)
                     {
-                        yield return item.AsString().ToString();
+                        yield return item.AsString().DecodePdfString();
                     }
                 }
             }
         }
     }
 
+    /// <summary>
+    /// Gets the export value of the option at the specified index.
+    /// </summary>
+    /// <param name="index">Index of the option.</param>
+    /// <returns>The export value, or an empty string if the index is out of range.</returns>
+    public string GetExportValue(int index)
+    {
+        var option = index >= 0 && index < OptionCount ? Options.GetValue(index) : null;
+
+        if (option?.Type == PdfValueType.String)
+        {
+            return option.AsString().DecodePdfString();
+        }
+
+        if (option?.Type == PdfValueType.Array)
+        {
+            var optionArray = option.AsArray();
+            if (optionArray != null && optionArray.Count >= 1)
+            {
+                return optionArray.GetString(0).DecodePdfString();
+            }
+        }
+
+        return string.Empty;
+    }
+
+    /// <summary>
+    /// Gets the display text of the option at the specified index.
+    /// </summary>
+    /// <param name="index">Index of the option.</param>
+    /// <returns>The display text, the export value if the option has no separate display text, or an empty string if the index is out of range.</returns>
+    public string GetDisplayText(int index)
+    {
+        var option = index >= 0 && index < OptionCount ? Options.GetValue(index) : null;
+
+        if (option?.Type == PdfValueType.Array)
+        {
+            var optionArray = option.AsArray();
+            if (optionArray != null && optionArray.Count >= 2)
+            {
+                return optionArray.GetString(1).DecodePdfString();
+            }
+        }
+
+        return GetExportValue(index);
+    }
+
+    /// <summary>
+    /// Sets the selected value(s) of this field.
+    /// </summary>
+    /// <param name="values">Export values of the selected options, or free text for editable combo boxes.
+    /// Only the first value is kept unless the field allows multiple selection.</param>
+    public void SetSelectedValues(IEnumerable<string> values)
+    {
+        var items = (values ?? Enumerable.Empty<string>())
+            .Where(value => value != null)
+            .Select(value => (IPdfValue)PdfValueFactory.String(value.EncodePdfString()))
+            .ToList();
+
+        if (items.Count == 0)
+        {
+            SetValue(null);
+        }
+        else if (items.Count == 1 || !IsMultiSelect)
+        {
+            SetValue(items[0]);
+        }
+        else
+        {
+            SetValue(PdfValueFactory.Array(new PdfArray(FieldObject.Document, items)));
+        }
+    }
+
     /// <summary>
     /// Gets the index of the currently highlighted option (for keyboard navigation).
     /// </summary>
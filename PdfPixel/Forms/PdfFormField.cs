@@ -14,6 +14,8 @@ namespace PdfPixel.Forms;
 /// </remarks>
 public abstract class PdfFormField : IFormFieldMouseInteraction, IFormFieldKeyboardInteraction
 {
+    private const int MaxParentDepth = 32;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="PdfFormField"/> class.
     /// </summary>
@@ -82,7 +84,16 @@ public abstract class PdfFormField : IFormFieldMouseInteraction, IFormFieldKeybo
     /// <remarks>
     /// The type and format depend on the field type.
     /// </remarks>
-    public IPdfValue Value { get; }
+    public IPdfValue Value { get; private set; }
+
+    /// <summary>
+    /// Gets a value indicating whether the value was changed with <see cref="SetValue"/> after the field was read.
+    /// </summary>
+    /// <remarks>
+    /// Appearance streams stored in the document reflect the original value only,
+    /// so widgets of a modified field have to generate their appearance from <see cref="Value"/>.
+    /// </remarks>
+    public bool IsValueModified { get; private set; }
 
     /// <summary>
     /// Gets the default field value.
@@ -134,7 +145,35 @@ public abstract class PdfFormField : IFormFieldMouseInteraction, IFormFieldKeybo
     /// <returns>The fully qualified field name.</returns>
     public virtual string GetFullyQualifiedName()
     {
-        return PartialName.ToString();
+        var name = PartialName.DecodePdfString();
+        var parentObject = FieldObject.Dictionary.GetObject(PdfTokens.ParentKey);
+
+        for (int depth = 0; parentObject != null && depth < MaxParentDepth; depth++)
+        {
+            var parentName = parentObject.Dictionary.GetString(PdfTokens.TitleKey);
+            if (!parentName.IsEmpty)
+            {
+                name = string.IsNullOrEmpty(name) ? parentName.DecodePdfString() : parentName.DecodePdfString() + "." + name;
+            }
+
+            parentObject = parentObject.Dictionary.GetObject(PdfTokens.ParentKey);
+        }
+
+        return name;
+    }
+
+    /// <summary>
+    /// Replaces the field value.
+    /// </summary>
+    /// <param name="value">The new value, or null to clear it.</param>
+    /// <remarks>
+    /// Only this field instance is updated. Widgets that resolve to the same field object
+    /// hold their own instances, so callers are responsible for updating all of them.
+    /// </remarks>
+    public void SetValue(IPdfValue value)
+    {
+        Value = value;
+        IsValueModified = true;
     }
 
     /// <summary>
@@ -92,7 +92,23 @@ public class PdfTextFormField : PdfFormField
             return string.Empty;
         }
 
-        return Value.AsString().ToString();
+        return Value.AsString().DecodePdfString();
+    }
+
+    /// <summary>
+    /// Sets the text value of this field.
+    /// </summary>
+    /// <param name="text">The new text; truncated to <see cref="MaxLength"/> when a maximum length is specified.</param>
+    public void SetTextValue(string text)
+    {
+        text ??= string.Empty;
+
+        if (MaxLength.HasValue && MaxLength.Value >= 0 && text.Length > MaxLength.Value)
+        {
+            text = text.Substring(0, MaxLength.Value);
+        }
+
+        SetValue(PdfValueFactory.String(text.EncodePdfString()));
     }
 
     /// <summary>
@@ -1,11 +1,14 @@
 using Microsoft.Extensions.Logging;
 using PdfPixel.Encryption;
 using PdfPixel.Fonts.Management;
+using PdfPixel.Fonts.Model;
 using PdfPixel.Parsing;
 using PdfPixel.Streams;
+using PdfPixel.Text;
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using PdfPixel.Fonts.Mapping;
 
 namespace PdfPixel.Models;
@@ -46,6 +49,35 @@ public class PdfDocument : IDisposable
     /// </summary>
     public PdfDictionary NamedDestinations { get; set; }
 
+    /// <summary>
+    /// Gets the top-level items of the document outline (bookmarks).
+    /// Empty if the document has no outline.
+    /// </summary>
+    public List<PdfOutlineItem> Outlines { get; } = new List<PdfOutlineItem>();
+
+    /// <summary>
+    /// Gets the permanent identifier of the file, the first element of the trailer /ID array.
+    /// <see langword="null"/> if the document has no identifier.
+    /// </summary>
+    public byte[] FileId { get; internal set; }
+
+    /// <summary>
+    /// Gets the identifier of this version of the file, the second element of the trailer /ID array,
+    /// which changes when the file is modified. <see langword="null"/> if the document has no identifier.
+    /// </summary>
+    public byte[] FileVersionId { get; internal set; }
+
+    /// <summary>
+    /// Gets a value indicating whether the document content is encrypted.
+    /// </summary>
+    public bool IsEncrypted => Decryptor != null;
+
+    /// <summary>
+    /// Gets a value indicating whether the password the document was read with opens it.
+    /// Always <see langword="true"/> for documents that are not encrypted.
+    /// </summary>
+    public bool IsPasswordValid => Decryptor == null || Decryptor.IsPasswordValid;
+
     /// <summary>
     /// Gets or sets the root object of the PDF document.
     /// </summary>
@@ -86,6 +118,67 @@ public class PdfDocument : IDisposable
     /// </summary>
     internal BufferedStream Stream { get; }
 
+    /// <summary>
+    /// Lists the fonts the document requests without embedding them and the typefaces they are mapped to.
+    /// Fonts in the resources of the pages are resolved by this call; fonts referenced only from
+    /// form XObjects or annotation appearances are included once they were rendered. A page whose
+    /// fonts cannot be read is skipped, so the result lists the fonts of the remaining pages.
+    /// </summary>
+    /// <param name="unresolvedPageNumbers">Receives the numbers of the pages whose fonts could not be read, e.g.
+    /// because their data is not loaded yet; <see langword="null"/> to skip them silently.</param>
+    /// <returns>Substitutions in the order the fonts were first requested.</returns>
+    public IReadOnlyList<PdfFontSubstitution> GetFontSubstitutions(ICollection<int> unresolvedPageNumbers = null)
+    {
+        for (int i = 0; i < Pages.Count; i++)
+        {
+            try
+            {
+                SubstitutePageFonts(Pages[i]);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Fonts of page {PageNumber} could not be resolved.", i + 1);
+                unresolvedPageNumbers?.Add(i + 1);
+            }
+        }
+
+        return FontSubstitutor.GetSubstitutions();
+    }
+
+    private void SubstitutePageFonts(PdfPage page)
+    {
+        var fontDictionary = page.ResourceDictionary.GetDictionary(PdfTokens.FontKey);
+        if (fontDictionary == null)
+        {
+            return;
+        }
+
+        foreach (var fontName in fontDictionary.RawValues.Keys)
+        {
+            var font = fontDictionary.GetDictionary(fontName);
+            var subtype = font?.GetName(PdfTokens.SubtypeKey).AsEnum<PdfFontSubType>();
+            if (subtype == null || subtype == PdfFontSubType.Type3)
+            {
+                continue;
+            }
+
+            // The font program of a composite font is described by its descendant.
+            if (subtype == PdfFontSubType.Type0)
+            {
+                font = font.GetObjects(PdfTokens.DescendantFontsKey)?.FirstOrDefault()?.Dictionary;
+            }
+
+            var descriptor = PdfFontDescriptor.FromDictionary(font?.GetDictionary(PdfTokens.FontDescriptorKey));
+            if (font == null || descriptor?.HasEmbeddedFont == true)
+            {
+                continue;
+            }
+
+            var substitutionInfo = PdfSubstitutionInfo.Parse(font.GetString(PdfTokens.BaseFontKey), descriptor);
+            FontSubstitutor.SubstituteTypeface(substitutionInfo, null);
+        }
+    }
+
     /// <summary>
     /// Releases all resources used by the <see cref="PdfDocument"/>.
     /// </summary>
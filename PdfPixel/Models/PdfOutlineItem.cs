@@ -0,0 +1,51 @@
+using PdfPixel.Annotations.Models;
+using System.Collections.Generic;
+
+namespace PdfPixel.Models;
+
+/// <summary>
+/// Represents an item of the document outline (bookmark tree).
+/// </summary>
+public class PdfOutlineItem
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PdfOutlineItem"/> class.
+    /// </summary>
+    /// <param name="title">The text displayed for the item.</param>
+    /// <param name="destination">The destination to display when the item is activated, or null.</param>
+    /// <param name="action">The action to perform when the item is activated, or null.</param>
+    /// <param name="isOpen">Whether the item is initially expanded.</param>
+    public PdfOutlineItem(string title, PdfDestination destination, PdfAction action, bool isOpen)
+    {
+        Title = title;
+        Destination = destination;
+        Action = action;
+        IsOpen = isOpen;
+    }
+
+    /// <summary>
+    /// Gets the text displayed for the item.
+    /// </summary>
+    public string Title { get; }
+
+    /// <summary>
+    /// Gets the destination to display when the item is activated.
+    /// For items using a GoTo action this is the destination of the action.
+    /// </summary>
+    public PdfDestination Destination { get; }
+
+    /// <summary>
+    /// Gets the action to perform when the item is activated, or null if the item uses a destination.
+    /// </summary>
+    public PdfAction Action { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the item is initially expanded (positive /Count).
+    /// </summary>
+    public bool IsOpen { get; }
+
+    /// <summary>
+    /// Gets the child items.
+    /// </summary>
+    public List<PdfOutlineItem> Children { get; } = new List<PdfOutlineItem>();
+}
@@ -0,0 +1,106 @@
+using Microsoft.Extensions.Logging;
+using PdfPixel.Annotations.Models;
+using PdfPixel.Models;
+using PdfPixel.Text;
+using System;
+using System.Collections.Generic;
+
+namespace PdfPixel.Parsing;
+
+/// <summary>
+/// Parses the document outline (bookmarks) from the /Outlines dictionary of the document catalog.
+/// </summary>
+public class PdfOutlineParser
+{
+    private const int MaxDepth = 64;
+
+    private readonly PdfDocument _document;
+    private readonly ILogger<PdfOutlineParser> _logger;
+
+    public PdfOutlineParser(PdfDocument document)
+    {
+        _document = document ?? throw new ArgumentNullException(nameof(document));
+        _logger = document.LoggerFactory.CreateLogger<PdfOutlineParser>();
+    }
+
+    /// <summary>
+    /// Parses the outline tree and populates <see cref="PdfDocument.Outlines"/>.
+    /// Should be called after named destinations are parsed so named outline destinations can be resolved.
+    /// The outline is optional, so a malformed tree is logged and keeps the items parsed before the error.
+    /// </summary>
+    public void ParseOutlines()
+    {
+        if (_document.RootObject == null)
+        {
+            return;
+        }
+
+        try
+        {
+            var outlinesDict = _document.RootObject.Dictionary.GetDictionary(PdfTokens.OutlinesKey);
+            if (outlinesDict == null)
+            {
+                return;
+            }
+
+            var visited = new HashSet<PdfReference>();
+            ParseSiblings(outlinesDict.GetObject(PdfTokens.FirstKey), _document.Outlines, visited, 0);
+
+            _logger.LogDebug("Parsed {Count} top-level outline items.", _document.Outlines.Count);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Exception while parsing document outline, continuing with {Count} top-level item(s).", _document.Outlines.Count);
+        }
+    }
+
+    private void ParseSiblings(PdfObject itemObject, List<PdfOutlineItem> target, HashSet<PdfReference> visited, int depth)
+    {
+        if (depth > MaxDepth)
+        {
+            _logger.LogWarning("Outline tree exceeds maximum depth of {MaxDepth}, remaining items are skipped.", MaxDepth);
+            return;
+        }
+
+        while (itemObject != null)
+        {
+            // Malformed files may link items in a cycle.
+            if (itemObject.Reference.IsValid && !visited.Add(itemObject.Reference))
+            {
+                _logger.LogWarning("Cyclic outline item reference {Reference} skipped.", itemObject.Reference);
+                return;
+            }
+
+            var itemDict = itemObject.Dictionary;
+            if (itemDict == null)
+            {
+                _logger.LogWarning("Outline item {Reference} is not a dictionary, remaining siblings are skipped.", itemObject.Reference);
+                return;
+            }
+
+            var item = CreateItem(itemDict);
+            target.Add(item);
+
+            ParseSiblings(itemDict.GetObject(PdfTokens.FirstKey), item.Children, visited, depth + 1);
+
+            itemObject = itemDict.GetObject(PdfTokens.NextKey);
+        }
+    }
+
+    private PdfOutlineItem CreateItem(PdfDictionary itemDict)
+    {
+        string title = itemDict.GetString(PdfTokens.OutlineTitleKey).DecodePdfString();
+
+        var destination = PdfDestination.Parse(itemDict.GetValue(PdfTokens.DestKey), _document);
+        var action = PdfAction.FromDictionary(itemDict.GetDictionary(PdfTokens.AKey));
+
+        if (destination == null && action is PdfGoToAction goToAction)
+        {
+            destination = goToAction.Destination;
+        }
+
+        bool isOpen = itemDict.GetIntegerOrDefault(PdfTokens.CountKey) > 0;
+
+        return new PdfOutlineItem(title, destination, action, isOpen);
+    }
+}
@@ -401,6 +401,19 @@ internal sealed class PdfXrefLoader
             _document.RootObject = dict.GetObject(PdfTokens.RootKey);
         }
 
+        if (_document.FileId == null)
+        {
+            var idArray = dict.GetArray(PdfTokens.IdKey);
+            if (idArray != null && idArray.Count > 0)
+            {
+                _document.FileId = idArray.GetValue(0).AsStringBytes().ToArray();
+                if (idArray.Count > 1)
+                {
+                    _document.FileVersionId = idArray.GetValue(1).AsStringBytes().ToArray();
+                }
+            }
+        }
+
         _trailerParser.TrySetDecryptor(dict);
     }
     #endregion
@@ -35,7 +35,8 @@ namespace PdfPixel
         /// <param name="password">An optional password used to decrypt the PDF, if it is encrypted. If the PDF is not encrypted, this
         /// parameter can be <see langword="null"/>.</param>
         /// <returns>A <see cref="PdfDocument"/> representing the parsed PDF content. If the stream is empty, an empty <see
-        /// cref="PdfDocument"/> is returned.</returns>
+        /// cref="PdfDocument"/> is returned. If the document is encrypted and <paramref name="password"/> does not open it,
+        /// a document without pages is returned and <see cref="PdfDocument.IsPasswordValid"/> is <see langword="false"/>.</returns>
         /// <exception cref="ArgumentNullException">Thrown if <paramref name="stream"/> is <see langword="null"/>.</exception>
         /// <exception cref="InvalidOperationException">Thrown if <paramref name="stream"/> is not readable or does not support seeking.</exception>
         public PdfDocument Read(Stream stream, string password = null)
@@ -64,6 +65,7 @@ namespace PdfPixel
             var xrefLoader = new PdfXrefLoader(document);
             var pageExtractor = new PdfPageExtractor(document);
             var namedDestinationParser = new PdfNamedDestinationParser(document);
+            var outlineParser = new PdfOutlineParser(document);
             var outputIntentParser = new PdfOutputIntentParser(document);
 
             try
@@ -72,8 +74,15 @@ namespace PdfPixel
 
                 document.Decryptor?.UpdatePassword(password ?? string.Empty);
 
+                if (!document.IsPasswordValid)
+                {
+                    _logger.LogWarning("The password does not open the encrypted PDF document.");
+                    return document;
+                }
+
                 namedDestinationParser.ParseNamedDestinations();
                 pageExtractor.ExtractPages();
+                outlineParser.ParseOutlines();
                 outputIntentParser.ParseFirstOutputIntentProfile();
 
                 _logger.LogInformation("Parsed PDF with {PageCount} page(s).", document.Pages.Count);
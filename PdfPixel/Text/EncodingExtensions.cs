@@ -97,6 +97,34 @@ public static class EncodingExtensions
         return CleanupEscapeSequence(result, keepEscapeSequence);
     }
 
+    /// <summary>
+    /// Encodes a .NET string as a PDF text string, the reverse of <see cref="DecodePdfString"/>.
+    /// Strings that fit ISO-8859-1 are stored as single bytes, others as UTF-16BE with a BOM.
+    /// </summary>
+    /// <param name="value">The string to encode.</param>
+    /// <returns>Encoded PDF string.</returns>
+    public static PdfString EncodePdfString(this string value)
+    {
+        if (string.IsNullOrEmpty(value))
+        {
+            return PdfString.Empty;
+        }
+
+        foreach (char c in value)
+        {
+            if (c > 0xFF)
+            {
+                var bytes = new byte[2 + Encoding.BigEndianUnicode.GetByteCount(value)];
+                bytes[0] = 0xFE;
+                bytes[1] = 0xFF;
+                Encoding.BigEndianUnicode.GetBytes(value, 0, value.Length, bytes, 2);
+                return new PdfString(bytes);
+            }
+        }
+
+        return PdfString.FromString(value);
+    }
+
     private static string CleanupEscapeSequence(string result, bool keepEscapeSequence)
     {
         if (keepEscapeSequence || !result.Contains("\x1b"))
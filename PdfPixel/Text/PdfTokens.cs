@@ -365,6 +365,13 @@ public static class PdfTokens
     public static readonly PdfString TopIndexKey = (PdfString)"TI"u8;                 // Top index for list box
     public static readonly PdfString IndicesKey = (PdfString)"I"u8;                   // Selected indices for list box
     public static readonly PdfString AppearanceCharacteristicsKey = (PdfString)"MK"u8; // Appearance characteristics dictionary
+    public static readonly PdfString BackgroundColorKey = (PdfString)"BG"u8;          // Widget background color (inside MK)
+    public static readonly PdfString BorderColorKey = (PdfString)"BC"u8;              // Widget border color (inside MK)
+    public static readonly PdfString OffStateName = (PdfString)"Off"u8;               // Off appearance state of checkboxes and radio buttons
+
+    // Document outline keys
+    public static readonly PdfString OutlinesKey = (PdfString)"Outlines"u8;           // Catalog outline dictionary
+    public static readonly PdfString OutlineTitleKey = (PdfString)"Title"u8;          // Outline item title
 
     // Page label number tree keys
     public static readonly PdfString PageLabelsKey = (PdfString)"PageLabels"u8;